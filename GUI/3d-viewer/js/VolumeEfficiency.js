@@ -1,12 +1,18 @@
 /**
  * Volume Efficiency Calculator
- * Calculates and visualizes volume efficiency for pallet loading
+ * Shows the volume efficiency of the boxes in the scene as a pie chart;
+ * the calculation lives in PalletMetrics
  * 
  * Uses the Unified Units System: 1 Three.js unit = 100mm = 10cm
  */
 
 class VolumeEfficiencyCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - palletMetrics (PalletMetrics, which does the calculation)
+     */
+    constructor(options = {}) {
+        this.palletMetrics = options.palletMetrics || new PalletMetrics();
+        
         // Pallet dimensions from unified system
         this.palletDimensions = {
             lengthCm: 120,          // 1200mm = 120cm
@@ -62,7 +68,7 @@ class VolumeEfficiencyCalculator {
     
     /**
      * Calculate volume efficiency for given boxes and height
-     * @param {Array} boxes - Array of box objects with geometry parameters
+     * @param {Array} boxes - Box meshes in the scene
      * @param {number} currentHeightCm - Current height in centimeters
      * @returns {Object} Efficiency calculation results
      */
@@ -71,54 +77,19 @@ class VolumeEfficiencyCalculator {
             return this.getEmptyEfficiencyResult();
         }
         
-        // Check if unified units system is available
-        if (!window.unitsSystem) {
-            console.error('VolumeEfficiency: Unified units system not available');
-            return this.getEmptyEfficiencyResult();
-        }
-        
-        let totalOccupiedVolumeCm3 = 0;
-        let validBoxCount = 0;
-        
-        boxes.forEach((box, index) => {
-            try {
-                if (!box.geometry || !box.geometry.parameters) {
-                    console.warn(`VolumeEfficiency: Box ${index} has invalid geometry`);
-                    return;
-                }
-                
-                // Calculate volume using unified units system
-                const boxVolumeCm3 = window.unitsSystem.calculateBoxVolumeCm3(box);
-                
-                if (boxVolumeCm3 > 0) {
-                    totalOccupiedVolumeCm3 += boxVolumeCm3;
-                    validBoxCount++;
-                } else {
-                    console.warn(`VolumeEfficiency: Box ${index} has invalid volume`);
-                }
-                
-            } catch (error) {
-                console.error(`VolumeEfficiency: Error calculating volume for box ${index}:`, error);
-            }
-        });
-        
-        // Calculate available volume using unified system pallet area
-        const palletAreaCm2 = window.unitsSystem.getPalletAreaCm2();
-        const availableVolumeCm3 = palletAreaCm2 * currentHeightCm;
-        
-        // Calculate efficiency percentage
-        let efficiency = 0;
-        if (availableVolumeCm3 > 0) {
-            efficiency = (totalOccupiedVolumeCm3 / availableVolumeCm3) * 100;
-            efficiency = Math.min(efficiency, 100); // Maximum 100%
-        }
+        const palletDimensionsMm = {
+            x: this.palletDimensions.lengthCm * 10,
+            y: this.palletDimensions.widthCm * 10
+        };
+        const result = this.palletMetrics.calculateVolumeEfficiency(
+            PalletMetrics.fromMeshes(boxes), palletDimensionsMm, currentHeightCm * 10);
         
         // Store current state
         this.currentEfficiency = {
-            occupiedVolumeCm3: totalOccupiedVolumeCm3,
-            availableVolumeCm3: availableVolumeCm3,
-            efficiency: efficiency,
-            boxCount: validBoxCount,
+            occupiedVolumeCm3: result.occupiedVolumeCm3,
+            availableVolumeCm3: result.availableVolumeCm3,
+            efficiency: result.efficiency,
+            boxCount: result.boxCount,
             currentHeightCm: currentHeightCm
         };
         
@@ -437,6 +408,24 @@ class VolumeEfficiencyCalculator {
         };
     }
     
+    /**
+     * Update pallet dimensions from the loaded pallet header
+     * @param {number} lengthUnits - Pallet length in Three.js units
+     * @param {number} widthUnits - Pallet width in Three.js units
+     * @param {number} heightUnits - Maximum load height in Three.js units
+     */
+    setPalletDimensions(lengthUnits, widthUnits, heightUnits) {
+        const lengthCm = window.unitsSystem.threeJSToDisplayCm(lengthUnits);
+        const widthCm = window.unitsSystem.threeJSToDisplayCm(widthUnits);
+        
+        this.palletDimensions = {
+            lengthCm: lengthCm,
+            widthCm: widthCm,
+            baseAreaCm2: lengthCm * widthCm,
+            maxHeightCm: window.unitsSystem.threeJSToDisplayCm(heightUnits)
+        };
+    }
+    
     /**
      * Reset calculator state to initial values
      */
@@ -0,0 +1,251 @@
+/**
+ * API Client - Requests to the FastAPI palletization backend (python/backend.py)
+ * The base URL comes from "config" in package.json; every request has a timeout
+ * and network failures are retried. Health checks on /status keep track of
+ * whether the backend is reachable, so the viewer can stay in offline file mode.
+ */
+
+class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} details - status (HTTP status, null for network errors), path, body
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = details.status ?? null;
+        this.path = details.path ?? null;
+        this.body = details.body ?? null;
+    }
+
+    /**
+     * Network errors, timeouts and 5xx responses may succeed on a later attempt
+     */
+    isRetryable() {
+        return this.status === null || this.status >= 500;
+    }
+}
+
+class ApiClient {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'http://localhost:8000';
+        this.timeout = options.timeout ?? 5000;
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay ?? 500;
+
+        // Health checks
+        this.healthPath = options.healthPath || '/status';
+        this.healthInterval = options.healthInterval ?? 10000;
+        this.healthTimer = null;
+        this.healthChecksActive = false;
+        this.status = 'unknown';
+        this.lastError = null;
+        this.statusListeners = [];
+    }
+
+    /**
+     * Read the backend address from package.json ("config.frontend.apiBaseUrl",
+     * or "config.backend" host/port/protocol); keeps the default if it is not available
+     * @param {string} url - Location of package.json relative to the page
+     * @returns {Promise<string>} Base URL in use
+     */
+    async loadConfig(url = '../package.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const config = (await response.json()).config || {};
+            const backend = config.backend;
+
+            if (config.frontend && config.frontend.apiBaseUrl) {
+                this.baseUrl = config.frontend.apiBaseUrl;
+            } else if (backend && backend.host) {
+                this.baseUrl = `${backend.protocol || 'http'}://${backend.host}:${backend.port || 8000}`;
+            }
+        } catch (error) {
+            console.warn(`Backend configuration not loaded (${error.message}), using ${this.baseUrl}`);
+        }
+
+        this.baseUrl = this.baseUrl.replace(/\/+$/, '');
+        return this.baseUrl;
+    }
+
+    /**
+     * WebSocket URL of a backend path (http → ws, https → wss)
+     * @param {string} path - Path such as '/jobs/<id>/stream'
+     * @returns {string} Absolute WebSocket URL
+     */
+    getWebSocketUrl(path) {
+        return `${this.baseUrl.replace(/^http/, 'ws')}${path}`;
+    }
+
+    /**
+     * Send a request, retrying network failures and server errors
+     * @param {string} path - Path such as '/status'
+     * @param {Object} options - method, body (sent as JSON), timeout, retries
+     * @returns {Promise<*>} Parsed JSON body (or text for non-JSON responses)
+     */
+    async request(path, options = {}) {
+        const retries = options.retries ?? this.retries;
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await this.wait(this.retryDelay * Math.pow(2, attempt - 1));
+            }
+
+            try {
+                return await this.send(path, options);
+            } catch (error) {
+                lastError = error;
+                if (!error.isRetryable()) {
+                    break;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * GET a path
+     */
+    get(path, options = {}) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    /**
+     * POST a JSON body to a path
+     */
+    post(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'POST', body: body });
+    }
+
+    /**
+     * One attempt, aborted after the timeout
+     */
+    async send(path, options) {
+        const controller = new AbortController();
+        const timeout = options.timeout ?? this.timeout;
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const init = {
+            method: options.method || 'GET',
+            headers: { 'Accept': 'application/json' },
+            signal: controller.signal
+        };
+
+        if (options.body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(options.body);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, init);
+        } catch (error) {
+            const message = error.name === 'AbortError'
+                ? `Backend did not answer within ${timeout} ms`
+                : `Backend not reachable at ${this.baseUrl}`;
+            throw new ApiError(message, { path });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const text = await response.text();
+        let body = text;
+        if ((response.headers.get('content-type') || '').includes('application/json') && text) {
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                throw new ApiError(`Backend sent invalid JSON: ${error.message}`, { status: response.status, path, body: text });
+            }
+        }
+
+        if (!response.ok) {
+            const detail = body && body.detail ? `: ${typeof body.detail === 'string' ? body.detail : JSON.stringify(body.detail)}` : '';
+            throw new ApiError(`Backend returned ${response.status}${detail}`, { status: response.status, path, body });
+        }
+
+        return body;
+    }
+
+    /**
+     * Check /status once and update the connection status
+     * @returns {Promise<boolean>} True if the backend answered
+     */
+    async checkHealth() {
+        try {
+            await this.request(this.healthPath, { retries: 0, timeout: Math.min(this.timeout, 3000) });
+            this.setStatus('online', null);
+        } catch (error) {
+            this.setStatus('offline', error);
+        }
+
+        return this.status === 'online';
+    }
+
+    /**
+     * Check health now and then every healthInterval ms
+     */
+    startHealthChecks() {
+        this.stopHealthChecks();
+        this.healthChecksActive = true;
+
+        const check = async () => {
+            await this.checkHealth();
+            if (this.healthChecksActive) {
+                this.healthTimer = setTimeout(check, this.healthInterval);
+            }
+        };
+
+        return check();
+    }
+
+    stopHealthChecks() {
+        this.healthChecksActive = false;
+        clearTimeout(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    /**
+     * Register a listener called with (status, error) when the status changes
+     * @param {Function} listener - Receives 'online' or 'offline' and the last error
+     * @returns {Function} Call to unregister
+     */
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+        return () => {
+            this.statusListeners = this.statusListeners.filter(other => other !== listener);
+        };
+    }
+
+    setStatus(status, error) {
+        const changed = status !== this.status;
+        this.status = status;
+        this.lastError = error;
+
+        if (changed) {
+            if (status === 'offline') {
+                console.warn(`Backend offline, using file mode: ${error.message}`);
+            } else {
+                console.log(`Backend online at ${this.baseUrl}`);
+            }
+            this.statusListeners.forEach(listener => listener(status, error));
+        }
+    }
+
+    isOnline() {
+        return this.status === 'online';
+    }
+
+    wait(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    }
+}
+
+// Export for global access
+window.ApiError = ApiError;
+window.ApiClient = ApiClient;
+window.apiClient = new ApiClient();
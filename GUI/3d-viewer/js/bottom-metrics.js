@@ -1,10 +1,16 @@
 /**
  * Bottom Metrics Calculator for Palletization Simulator
- * Calculates Load Stability Index (LSI) and Total Weight
+ * Shows the Load Stability Index (LSI) and Total Weight of the boxes in the scene;
+ * the LSI formula lives in PalletMetrics
  */
 
 class BottomMetricsCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - palletMetrics (PalletMetrics shared with the other calculators)
+     */
+    constructor(options = {}) {
+        this.palletMetrics = options.palletMetrics || new PalletMetrics();
+        
         // Pallet physical dimensions (1 unit = 10cm in coordinate system)
         this.palletDimensions = {
             length: 12.0,           // 120cm
@@ -19,7 +25,7 @@ class BottomMetricsCalculator {
             conservative: 20,       // 20cm - For sensitive products
             standard: 30,           // 30cm - For normal industrial applications
             liberal: 40,            // 40cm - For very stable loads
-            current: 30             // Active limit (can be changed dynamically)
+            current: this.palletMetrics.safetyLimitCm   // Active limit (can be changed dynamically)
         };
         
         // Current metrics state
@@ -71,39 +77,8 @@ class BottomMetricsCalculator {
      * @returns {Object} LSI calculation result
      */
     calculateLoadStabilityIndex(boxes, centerOfMassResult) {
-        // 1. Center of mass score (60% of LSI)
-        let centerOfMassScore = 100; // Default when no deviation
-        
-        if (centerOfMassResult && typeof centerOfMassResult.deviationCm === 'number') {
-            const deviationCm = centerOfMassResult.deviationCm;
-            const safeLimit = this.safetyLimits.current;
-            
-            // Calculate score based on deviation relative to safe limit
-            if (deviationCm <= safeLimit) {
-                // Linear decay: 100% when deviation = 0, 0% when deviation = limit
-                centerOfMassScore = Math.max(0, (1 - deviationCm / safeLimit) * 100);
-            } else {
-                // Severe penalty for deviations above limit
-                centerOfMassScore = 0;
-            }
-        }
-        
-        // 2. Weight distribution score (40% of LSI)
-        const weightDistributionScore = this.calculateWeightDistributionScore(boxes);
-        
-        // 3. Calculate final LSI
-        const lsiValue = (centerOfMassScore * 0.6) + (weightDistributionScore * 0.4);
-        
-        // 4. Determine stability rating
-        const stabilityRating = this.getLSIRating(lsiValue);
-        
-        return {
-            value: lsiValue,
-            centerOfMassScore: centerOfMassScore,
-            weightDistributionScore: weightDistributionScore,
-            stabilityRating: stabilityRating,
-            safetyLimit: this.safetyLimits.current
-        };
+        const points = boxes.map(box => ({ x: box.position.x, z: box.position.z, weight: box.userData.weight || 0 }));
+        return this.palletMetrics.getLoadStabilityIndex(points, centerOfMassResult ? centerOfMassResult.deviationCm : undefined);
     }
     
     /**
@@ -114,46 +89,7 @@ class BottomMetricsCalculator {
      * @returns {number} Weight distribution score (0-100%)
      */
     calculateWeightDistributionScore(boxes) {
-        if (boxes.length <= 1) return 100; // One or no boxes = perfect distribution
-        
-        // Divide pallet into 4 quadrants
-        const quadrants = [0, 0, 0, 0]; // [Q1, Q2, Q3, Q4]
-        let totalWeight = 0;
-        
-        boxes.forEach(box => {
-            const weight = box.userData.weight || 0;
-            const x = box.position.x;
-            const z = box.position.z;
-            
-            // Determine quadrant based on position
-            let quadrant = 0;
-            if (x >= 0 && z >= 0) quadrant = 0; // Q1: +x, +z
-            else if (x < 0 && z >= 0) quadrant = 1; // Q2: -x, +z
-            else if (x < 0 && z < 0) quadrant = 2; // Q3: -x, -z
-            else quadrant = 3; // Q4: +x, -z
-            
-            quadrants[quadrant] += weight;
-            totalWeight += weight;
-        });
-        
-        if (totalWeight === 0) return 100;
-        
-        // Calculate percentages per quadrant
-        const percentages = quadrants.map(weight => (weight / totalWeight) * 100);
-        
-        // Calculate standard deviation of percentages
-        const mean = 25; // Perfect distribution = 25% per quadrant
-        const variance = percentages.reduce((sum, percentage) => {
-            return sum + Math.pow(percentage - mean, 2);
-        }, 0) / 4;
-        const standardDeviation = Math.sqrt(variance);
-        
-        // Convert standard deviation to score (0-100%)
-        // SD = 0 (perfect) → 100%, SD = 25 (terrible) → 0%
-        const maxSD = 25; // Maximum possible deviation
-        const score = Math.max(0, (1 - standardDeviation / maxSD) * 100);
-        
-        return score;
+        return PalletMetrics.getQuadrantScore(boxes.map(box => ({ x: box.position.x, z: box.position.z, weight: box.userData.weight || 0 })));
     }
     
     /**
@@ -162,11 +98,7 @@ class BottomMetricsCalculator {
      * @returns {string} Stability rating
      */
     getLSIRating(lsiValue) {
-        if (lsiValue >= 85) return 'Excellent';
-        if (lsiValue >= 70) return 'Good';
-        if (lsiValue >= 55) return 'Fair';
-        if (lsiValue >= 40) return 'Poor';
-        return 'Critical';
+        return PalletMetrics.getLSIRating(lsiValue);
     }
     
     /**
@@ -236,6 +168,7 @@ class BottomMetricsCalculator {
     setSafetyLimit(limitCm) {
         if (limitCm > 0 && limitCm <= 60) {
             this.safetyLimits.current = limitCm;
+            this.palletMetrics.safetyLimitCm = limitCm;
         } else {
             console.warn(`Invalid safety limit: ${limitCm}cm. Must be between 1-60cm.`);
         }
@@ -248,6 +181,7 @@ class BottomMetricsCalculator {
     setSafetyProfile(profile) {
         if (this.safetyLimits.hasOwnProperty(profile) && profile !== 'current') {
             this.safetyLimits.current = this.safetyLimits[profile];
+            this.palletMetrics.safetyLimitCm = this.safetyLimits[profile];
         } else {
             console.warn(`Invalid safety profile: ${profile}. Available: conservative, standard, liberal`);
         }
@@ -324,6 +258,17 @@ class BottomMetricsCalculator {
         }
     }
     
+    /**
+     * Update pallet dimensions from the loaded pallet header
+     * @param {number} lengthUnits - Pallet length in Three.js units
+     * @param {number} widthUnits - Pallet width in Three.js units
+     */
+    setPalletDimensions(lengthUnits, widthUnits) {
+        this.palletDimensions.length = lengthUnits;
+        this.palletDimensions.width = widthUnits;
+        this.palletDimensions.baseArea = lengthUnits * widthUnits;
+    }
+    
     /**
      * Reset metrics to initial state
      */
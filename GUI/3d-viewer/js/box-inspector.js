@@ -0,0 +1,324 @@
+/**
+ * Box Inspector - Details of the box picked in the 3D view
+ * BoxRelations works out how the boxes of a pallet rest on each other (from the Crosslog
+ * coordinates, in mm); BoxInspectorPanel shows one box with links to its neighbours
+ */
+
+class BoxRelations {
+    /**
+     * @param {Object} options - tolerance (mm) for faces counted as touching,
+     *                           timelineMarkers (layer starts shared with the timeline slider)
+     */
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 10;
+        this.timelineMarkers = options.timelineMarkers || null;
+
+        this.boxes = [];
+        this.layerNumbers = new Map();
+    }
+
+    /**
+     * Use a new pallet
+     * @param {Array} sortedBoxes - Box models in sequence order
+     */
+    setBoxes(sortedBoxes) {
+        this.boxes = sortedBoxes;
+        this.layerNumbers = this.timelineMarkers ? this.timelineMarkers.getLayerNumbers(sortedBoxes) : new Map();
+    }
+
+    findBySequence(sequence) {
+        return this.boxes.find(box => box.sequence === sequence) || null;
+    }
+
+    /**
+     * @returns {number|null} 1-based layer of the box, as marked on the timeline
+     */
+    getLayerNumber(box) {
+        return this.layerNumbers.get(box) ?? null;
+    }
+
+    /**
+     * Boxes whose top face carries this box
+     * @returns {Array} { box, area (mm²), share (of this box's base, 0-1) }
+     */
+    getSupports(box) {
+        const c = box.coordinates;
+        if (c.zmin <= this.tolerance) {
+            return [];
+        }
+
+        return this.findTouching(box, other => Math.abs(other.coordinates.zmax - c.zmin) <= this.tolerance);
+    }
+
+    /**
+     * Boxes standing on this box's top face
+     * @returns {Array} { box, area (mm²), share (of this box's top, 0-1) }
+     */
+    getStackedOn(box) {
+        const c = box.coordinates;
+        return this.findTouching(box, other => Math.abs(other.coordinates.zmin - c.zmax) <= this.tolerance);
+    }
+
+    findTouching(box, isTouching) {
+        const footprint = BoxRelations.getFootprintArea(box);
+
+        return this.boxes
+            .filter(other => other !== box && isTouching(other))
+            .map(other => {
+                const area = BoxRelations.getOverlapArea(box, other);
+                return { box: other, area, share: footprint > 0 ? area / footprint : 0 };
+            })
+            .filter(entry => entry.area > 0);
+    }
+
+    /**
+     * Nearest box in a direction, for keyboard navigation
+     * left/right follow the pallet length (x), back/front its width (y), up/down the stack
+     * @param {Object} box - Box to move from
+     * @param {string} direction - left, right, back, front, up or down
+     * @returns {Object|null} Neighbouring box model
+     */
+    findNeighbour(box, direction) {
+        if (direction === 'up' || direction === 'down') {
+            const candidates = direction === 'up' ? this.getStackedOn(box) : this.getSupports(box);
+            // The one sharing the most area
+            candidates.sort((a, b) => b.area - a.area);
+            return candidates.length > 0 ? candidates[0].box : null;
+        }
+
+        const axis = direction === 'left' || direction === 'right' ? 'x' : 'y';
+        const crossAxis = axis === 'x' ? 'y' : 'x';
+        const sign = direction === 'right' || direction === 'front' ? 1 : -1;
+        const from = BoxRelations.getCentre(box);
+
+        let best = null;
+        let bestScore = Infinity;
+        this.boxes.forEach(other => {
+            if (other === box || !BoxRelations.overlapsVertically(box, other)) {
+                return;
+            }
+
+            // Only boxes within 45° of the direction count
+            const centre = BoxRelations.getCentre(other);
+            const distance = (centre[axis] - from[axis]) * sign;
+            const offset = Math.abs(centre[crossAxis] - from[crossAxis]);
+            if (distance <= 0 || offset > distance) {
+                return;
+            }
+
+            // Straight ahead beats closer boxes off to the side
+            const score = distance + 2 * offset;
+            if (score < bestScore) {
+                best = other;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    static getCentre(box) {
+        const c = box.coordinates;
+        return { x: (c.xmin + c.xmax) / 2, y: (c.ymin + c.ymax) / 2, z: (c.zmin + c.zmax) / 2 };
+    }
+
+    static getFootprintArea(box) {
+        const c = box.coordinates;
+        return (c.xmax - c.xmin) * (c.ymax - c.ymin);
+    }
+
+    static getOverlapArea(a, b) {
+        const ca = a.coordinates;
+        const cb = b.coordinates;
+        const x = Math.min(ca.xmax, cb.xmax) - Math.max(ca.xmin, cb.xmin);
+        const y = Math.min(ca.ymax, cb.ymax) - Math.max(ca.ymin, cb.ymin);
+        return x > 0 && y > 0 ? x * y : 0;
+    }
+
+    static overlapsVertically(a, b) {
+        return Math.min(a.coordinates.zmax, b.coordinates.zmax) > Math.max(a.coordinates.zmin, b.coordinates.zmin);
+    }
+}
+
+class BoxInspectorPanel {
+    /**
+     * @param {string} containerId - ID of the 3D viewer container
+     * @param {Object} options - onNavigate(sequence) when a related box is clicked, onClose(),
+     *                           catalogue (ItemCatalogue with item names and handling rules)
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.catalogue = options.catalogue || null;
+        this.onNavigate = options.onNavigate || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.writer = new CrosslogWriter();
+
+        // Interface elements
+        this.panelElement = null;
+        this.titleElement = null;
+        this.bodyElement = null;
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel structure (hidden until a box is picked)
+     */
+    createPanel() {
+        if (!this.container) {
+            console.warn('Box inspector container not found');
+            return;
+        }
+
+        this.panelElement = document.createElement('div');
+        this.panelElement.className = 'box-inspector';
+        this.panelElement.style.display = 'none';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'box-inspector-close';
+        closeButton.textContent = '✕';
+        closeButton.title = 'Close (Esc)';
+        closeButton.addEventListener('click', () => this.onClose());
+
+        this.titleElement = document.createElement('div');
+        this.titleElement.className = 'box-inspector-title';
+
+        this.bodyElement = document.createElement('dl');
+        this.bodyElement.className = 'box-inspector-body';
+
+        const hint = document.createElement('div');
+        hint.className = 'box-inspector-hint';
+        hint.textContent = '← → ↑ ↓ neighbours · PgUp/PgDn stack · Esc close';
+
+        this.panelElement.appendChild(closeButton);
+        this.panelElement.appendChild(this.titleElement);
+        this.panelElement.appendChild(this.bodyElement);
+        this.panelElement.appendChild(hint);
+        this.container.appendChild(this.panelElement);
+    }
+
+    /**
+     * @param {Object} box - Box model
+     * @param {BoxRelations} relations - Relations for the box's pallet
+     */
+    show(box, relations) {
+        if (!this.panelElement) {
+            return;
+        }
+
+        const c = box.coordinates;
+        const layer = relations.getLayerNumber(box);
+
+        this.titleElement.textContent = `Box · sequence ${box.sequence}`;
+        this.bodyElement.innerHTML = '';
+
+        this.addRow('Crosslog line', this.createCrosslogLine(box));
+        this.addRow('Dimensions', `${c.xmax - c.xmin} × ${c.ymax - c.ymin} × ${c.zmax - c.zmin} mm`);
+        this.addRow('Position', `x ${c.xmin}–${c.xmax} · y ${c.ymin}–${c.ymax} · z ${c.zmin}–${c.zmax} mm`);
+        this.addRow('Weight', `${(box.weight / 1000).toFixed(1)} kg`);
+        this.addItemRows(box.itemType);
+        this.addRow('Layer', layer !== null ? String(layer) : '–');
+        this.addRow('Supported by', c.zmin <= relations.tolerance ? 'Pallet' :
+            this.createBoxLinks(relations.getSupports(box), 'Nothing - the box is floating'));
+        this.addRow('Stacked on top', this.createBoxLinks(relations.getStackedOn(box), 'Nothing'));
+
+        this.panelElement.style.display = 'block';
+    }
+
+    /**
+     * Item type with its catalogue name, SKU and handling rules
+     */
+    addItemRows(itemType) {
+        const item = this.catalogue ? this.catalogue.get(itemType) : null;
+        if (!item) {
+            this.addRow('Item type', String(itemType));
+            return;
+        }
+
+        this.addRow('Item', [item.name || `Type ${itemType}`, item.sku ? `SKU ${item.sku}` : null, `type ${itemType}`]
+            .filter(Boolean).join(' · '));
+
+        const handling = [
+            item.fragile ? 'Fragile' : null,
+            item.thisSideUp ? 'This side up' : null,
+            item.maxStackLoad !== null ? `Max ${(item.maxStackLoad / 1000).toFixed(1)} kg on top` : null
+        ].filter(Boolean);
+        if (handling.length > 0) {
+            this.addRow('Handling', handling.join(' · '));
+        }
+    }
+
+    hide() {
+        if (this.panelElement) {
+            this.panelElement.style.display = 'none';
+        }
+    }
+
+    isVisible() {
+        return !!this.panelElement && this.panelElement.style.display !== 'none';
+    }
+
+    addRow(label, value) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+
+        const detail = document.createElement('dd');
+        if (typeof value === 'string') {
+            detail.textContent = value;
+        } else {
+            detail.appendChild(value);
+        }
+
+        this.bodyElement.appendChild(term);
+        this.bodyElement.appendChild(detail);
+    }
+
+    /**
+     * The box as a Crosslog line, with its line number in the source file when known
+     */
+    createCrosslogLine(box) {
+        const element = document.createElement('code');
+        element.className = 'box-inspector-line';
+
+        let text;
+        try {
+            text = this.writer.writeBox(box).replace(/\t/g, '  ');
+        } catch (error) {
+            text = error.message;
+        }
+        element.textContent = box.sourceLine !== undefined ? `${box.sourceLine}: ${text}` : text;
+        return element;
+    }
+
+    /**
+     * Links to related boxes with the share of area they have in common
+     */
+    createBoxLinks(entries, emptyText) {
+        if (entries.length === 0) {
+            return emptyText;
+        }
+
+        const list = document.createElement('span');
+        entries.forEach(entry => {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'box-inspector-link';
+            link.textContent = `#${entry.box.sequence} (${Math.round(entry.share * 100)}%)`;
+            link.title = `Inspect sequence ${entry.box.sequence}`;
+            link.addEventListener('click', () => this.onNavigate(entry.box.sequence));
+            list.appendChild(link);
+        });
+        return list;
+    }
+
+    dispose() {
+        if (this.panelElement) {
+            this.panelElement.remove();
+            this.panelElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.BoxRelations = BoxRelations;
+window.BoxInspectorPanel = BoxInspectorPanel;
@@ -10,11 +10,16 @@
  */
 
 class CenterOfMassCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - palletMetrics (PalletMetrics, which does the calculation)
+     */
+    constructor(options = {}) {
+        this.palletMetrics = options.palletMetrics || new PalletMetrics();
+        
         // Physics constants and configuration
         this.palletDimensions = {
-            length: 12.0,    // 1200mm in our coordinate system (1 unit = 1cm)
-            width: 8.0,      // 800mm in our coordinate system (1 unit = 1cm)
+            length: 12.0,    // 1200mm in our coordinate system (1 unit = 100mm)
+            width: 8.0,      // 800mm in our coordinate system (1 unit = 100mm)
             centerX: 0,      // Pallet center X coordinate
             centerZ: 0       // Pallet center Z coordinate
         };
@@ -25,7 +30,7 @@ class CenterOfMassCalculator {
             y: 0,            // Y coordinate (height) of center of mass
             z: 0,            // Z coordinate of center of mass (we ignore Y for top-down analysis)
             totalWeight: 0,  // Total weight of all boxes
-            deviation2D: 0,  // Distance from pallet center (in units, where 1 unit = 1cm)
+            deviation2D: 0,  // Distance from pallet center (in units, where 1 unit = 100mm)
             deviation3D: 0,  //True 3D deviation (X,Y,Z)
             boxCount: 0      // Number of boxes included in calculation
         };
@@ -35,7 +40,7 @@ class CenterOfMassCalculator {
         this.isDebugMode = false;
         
         console.log('CenterOfMassCalculator initialized with pallet dimensions:', this.palletDimensions);
-        console.log('Unit system: 1 coordinate unit = 1cm');
+        console.log('Unit system: 1 coordinate unit = 100mm');
     }
     
     /**
@@ -52,74 +57,43 @@ class CenterOfMassCalculator {
             return this.getEmptyResult();
         }
         
-        // Initialize calculation variables for 3D calculation
-        let weightedSumX = 0;    // Sum of (weight × x-position) for all boxes
-        let weightedSumY = 0;    // ✅ NEW: Sum of (weight × y-position) for height analysis
-        let weightedSumZ = 0;    // Sum of (weight × z-position) for all boxes
-        let totalWeight = 0;     // Total weight of all boxes
-        let validBoxCount = 0;   // Count of boxes with valid weight data
-        
-        // Debug information
-        if (this.isDebugMode) {
-            console.log(`🧮 Calculating 3D center of mass for ${boxes.length} boxes`);
-        }
-        
-        // Process each box in the 3D calculation
-        for (let i = 0; i < boxes.length; i++) {
-            const box = boxes[i];
-            
-            // Extract weight from box metadata
-            const weight = this.extractBoxWeight(box);
-            
-            if (weight <= 0) {
-                console.warn(`📦 Box ${i} has invalid weight: ${weight}. Skipping.`);
-                continue; // Skip boxes with invalid weight
-            }
-            
-            // Get box position in world coordinates
-            const position = this.getBoxPosition(box);
-            
-            // ✅ ENHANCED: Add contribution to all three axes
-            // Physics formula: Center = Σ(mass_i × position_i) / Σ(mass_i)
-            weightedSumX += weight * position.x;
-            weightedSumY += weight * position.y;  // ✅ NEW: Include height component
-            weightedSumZ += weight * position.z;
-            totalWeight += weight;
-            validBoxCount++;
-            
-            // Enhanced debug output for 3D analysis
-            if (this.isDebugMode) {
-                console.log(`📦 Box ${i}: pos(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}), weight=${weight}kg`);
-                console.log(`   contribution=(${(weight * position.x).toFixed(2)}, ${(weight * position.y).toFixed(2)}, ${(weight * position.z).toFixed(2)})`);
-            }
-        }
+        // PalletMetrics works in mm around the pallet centre, with y above the pallet top
+        const palletDimensionsMm = {
+            x: this.palletDimensions.length * 100,
+            y: this.palletDimensions.width * 100
+        };
+        const result = this.palletMetrics.calculateCenterOfMass(PalletMetrics.fromMeshes(boxes), palletDimensionsMm);
         
-        // Validate that we have valid data for calculation
-        if (totalWeight <= 0 || validBoxCount === 0) {
+        if (result.boxCount === 0) {
             console.warn('⚠️ No valid boxes found for center of mass calculation');
             return this.getEmptyResult();
         }
         
-        // ✅ ENHANCED: Calculate 3D center of mass coordinates
-        const centerX = weightedSumX / totalWeight;
-        const centerY = weightedSumY / totalWeight;  // ✅ NEW: Height center of mass
-        const centerZ = weightedSumZ / totalWeight;
+        if (this.isDebugMode) {
+            console.log(`🧮 Calculated 3D center of mass for ${result.boxCount} of ${boxes.length} boxes`);
+        }
+        
+        // Back to scene coordinates: 1 unit = 100mm, the pallet top is at y = 0.72 - 8
+        const centerX = result.x / 100;
+        const centerY = result.y / 100 + 0.72 - 8;
+        const centerZ = result.z / 100;
+        const validBoxCount = result.boxCount;
         
-        // ✅ ENHANCED: Calculate both 2D and 3D deviations
         // 2D deviation (horizontal only) - for backward compatibility
         const deviation2D = Math.sqrt(centerX * centerX + centerZ * centerZ);
         
-        // 3D deviation (complete spatial analysis) - NEW FEATURE
+        // 3D deviation (complete spatial analysis)
         const deviation3D = Math.sqrt(centerX * centerX + centerY * centerY + centerZ * centerZ);
         
-        // Store enhanced results
         this.currentCenterOfMass = {
             x: centerX,
-            y: centerY,          // ✅ NEW: Y coordinate stored
+            y: centerY,
             z: centerZ,
-            totalWeight: totalWeight,
+            totalWeight: result.totalWeight,
+            deviation: deviation2D,
             deviation2D: deviation2D,    // Horizontal deviation only
-            deviation3D: deviation3D,    // ✅ NEW: Complete 3D deviation
+            deviation3D: deviation3D,    // Complete 3D deviation
+            deviationMm: result.deviationMm,
             boxCount: validBoxCount
         };
 
@@ -148,40 +122,6 @@ class CenterOfMassCalculator {
         return this.getCurrentResult();
     }
     
-    /**
-     * Extract weight data from a Three.js box mesh
-     * The weight should be stored in box.userData.weight when the box was created
-     * 
-     * @param {THREE.Mesh} box - The Three.js box mesh
-     * @returns {number} The weight of the box in kg
-     */
-    extractBoxWeight(box) {
-        // Check if box has valid userData with weight information
-        if (!box.userData || typeof box.userData.weight !== 'number') {
-            console.warn('Box missing weight data in userData:', box.userData);
-            return 0;
-        }
-        
-        return box.userData.weight;
-    }
-    
-    /**
-     * Get the position of a box in our coordinate system
-     * This handles coordinate system conversion if needed
-     * 
-     * @param {THREE.Mesh} box - The Three.js box mesh
-     * @returns {Object} Position object with x, y, z coordinates
-     */
-    getBoxPosition(box) {
-        // For center of mass calculation, we primarily care about X and Z coordinates
-        // Y (height) doesn't affect the top-down center of mass analysis
-        return {
-            x: box.position.x,
-            y: box.position.y,
-            z: box.position.z
-        };
-    }
-    
     /**
      * Get empty result object for cases with no valid data
      * @returns {Object} Empty center of mass result
@@ -206,8 +146,8 @@ class CenterOfMassCalculator {
         const result = { ...this.currentCenterOfMass };
         
         // Add additional analysis properties
-        result.deviationMm = this.currentCenterOfMass.deviation * 10; // Convert units to mm (1 unit = 1cm = 10mm)
-        result.deviationCm = this.currentCenterOfMass.deviation; // Deviation in cm (direct units)
+        result.deviationMm = this.currentCenterOfMass.deviationMm || 0;
+        result.deviationCm = result.deviationMm / 10;
         result.deviationPercentage = this.calculateDeviationPercentage();
         result.stabilityRating = this.calculateStabilityRating();
         result.isWithinSafeZone = this.isWithinSafeZone();
@@ -215,6 +155,17 @@ class CenterOfMassCalculator {
         return result;
     }
     
+    /**
+     * Update pallet dimensions from the loaded pallet header
+     * The pallet center stays at (0, 0) because boxes are placed relative to it
+     * @param {number} lengthUnits - Pallet length (X axis)
+     * @param {number} widthUnits - Pallet width (Z axis)
+     */
+    setPalletDimensions(lengthUnits, widthUnits) {
+        this.palletDimensions.length = lengthUnits;
+        this.palletDimensions.width = widthUnits;
+    }
+    
     /**
      * Calculate deviation as percentage of pallet size
      * This provides context for how significant the deviation is
@@ -239,12 +190,7 @@ class CenterOfMassCalculator {
      * @returns {string} Stability rating (Excellent, Good, Fair, Poor)
      */
     calculateStabilityRating() {
-        const deviationMm = this.currentCenterOfMass.deviation * 10; // Convert to mm
-        
-        if (deviationMm <= 50) return 'Excellent';     // <= 5cm
-        if (deviationMm <= 150) return 'Good';         // <= 15cm  
-        if (deviationMm <= 300) return 'Fair';         // <= 30cm
-        return 'Poor';                                 // > 30cm
+        return PalletMetrics.getStabilityRating(this.currentCenterOfMass.deviationMm || 0);
     }
     
     /**
@@ -252,8 +198,7 @@ class CenterOfMassCalculator {
      * @returns {boolean} True if within safe zone
      */
     isWithinSafeZone() {
-        const deviationMm = this.currentCenterOfMass.deviation * 10; // Convert to mm
-        return deviationMm <= 250; // 25cm deviation considered safe
+        return (this.currentCenterOfMass.deviationMm || 0) <= 250; // 25cm deviation considered safe
     }
     
     /**
@@ -287,12 +232,11 @@ class CenterOfMassCalculator {
      * @returns {string} Formatted deviation in specified unit
      */
     getFormattedDeviationInUnit(unit) {
+        const deviationMm = this.currentCenterOfMass.deviationMm || 0;
         if (unit === 'mm') {
-            const deviationMm = this.currentCenterOfMass.deviation * 10;
             return `${deviationMm.toFixed(1)}mm`;
         } else if (unit === 'cm') {
-            const deviationCm = this.currentCenterOfMass.deviation;
-            return `${deviationCm.toFixed(1)}cm`;
+            return `${(deviationMm / 10).toFixed(1)}cm`;
         } else {
             return this.getFormattedDeviation(); // Default dynamic formatting
         }
@@ -428,8 +372,8 @@ class CenterOfMassCalculator {
     debugUnitSystem() {
         console.log('=== UNIT SYSTEM DEBUG ===');
         console.log('Coordinate System:');
-        console.log('  - 1 coordinate unit = 1cm');
-        console.log('  - Pallet: 12.0 × 8.0 units = 120cm × 80cm');
+        console.log('  - 1 coordinate unit = 100mm');
+        console.log(`  - Pallet: ${this.palletDimensions.length.toFixed(1)} × ${this.palletDimensions.width.toFixed(1)} units`);
         console.log('  - Center: (0, 0)');
         console.log('');
         console.log('Display Logic:');
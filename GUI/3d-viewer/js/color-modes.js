@@ -0,0 +1,349 @@
+/**
+ * Color Modes - What the box colors in the 3D view stand for
+ * BoxColorModes works out a color for every box of a pallet in the chosen mode, plus the
+ * legend explaining it; ColorLegend shows that legend and the mode selector under the viewer
+ *
+ * Gradients span the values of the whole pallet, so colors stay put during playback
+ */
+
+class BoxColorModes {
+    /**
+     * @param {Object} options - timelineMarkers (layer starts shared with the timeline slider)
+     */
+    constructor(options = {}) {
+        this.timelineMarkers = options.timelineMarkers || null;
+
+        this.modes = {
+            itemType: 'Item type',
+            weight: 'Weight',
+            sequence: 'Sequence order',
+            layer: 'Layer',
+            density: 'Density',
+            irregular: 'Irregular flag',
+            k: 'k value',
+            validation: 'Validation status'
+        };
+
+        // Low → high values
+        this.gradientStops = [[0, 0x2c7bb6], [0.5, 0xffffbf], [1, 0xd7191c]];
+        this.layerPalette = [0x3498db, 0xe67e22, 0x2ecc71, 0x9b59b6, 0xf1c40f, 0x1abc9c, 0xe74c3c, 0x34495e];
+        this.flagColors = { off: 0xbdc3c7, on: 0xe67e22 };
+        this.validationColors = { ok: 0x2ecc71, warning: 0xf39c12, error: 0xe74c3c };
+    }
+
+    /**
+     * @param {string} mode - One of this.modes
+     * @param {Array} sortedBoxes - Box models of the pallet in sequence order
+     * @param {Object} context - getItemTypeColor(itemType), catalogue (ItemCatalogue, for item names)
+     * @returns {Object} { colorOf: box → hex (null for the item type color) or null when boxes keep
+     *                     their item type color, legend: { type: 'categories', entries: [{ color, label, title }] }
+     *                     or { type: 'gradient', stops, min, max } (labels) }
+     */
+    getColoring(mode, sortedBoxes, context = {}) {
+        switch (mode) {
+            case 'itemType':
+                return this.getItemTypeColoring(sortedBoxes, context);
+            case 'weight':
+                return this.getValueColoring(sortedBoxes, box => box.weight || 0,
+                    value => `${(value / 1000).toFixed(1)} kg`);
+            case 'sequence':
+                return this.getSequenceColoring(sortedBoxes);
+            case 'layer':
+                return this.getLayerColoring(sortedBoxes);
+            case 'density':
+                return this.getValueColoring(sortedBoxes, BoxColorModes.getDensity,
+                    value => `${Math.round(value)} kg/m³`);
+            case 'irregular':
+                return this.getFlagColoring(box => Number(box.irregular) === 1, 'Irregular', 'Regular');
+            case 'k':
+                return this.getValueColoring(sortedBoxes, box => Number(box.k) || 0, value => `k ${value}`);
+            case 'validation':
+                return this.getValidationColoring();
+            default:
+                throw new Error(`Unknown color mode: ${mode}`);
+        }
+    }
+
+    getItemTypeColoring(sortedBoxes, context) {
+        const counts = new Map();
+        sortedBoxes.forEach(box => counts.set(box.itemType, (counts.get(box.itemType) || 0) + 1));
+
+        const catalogue = context.catalogue || null;
+        const entries = [...counts.keys()].sort((a, b) => a - b).map(itemType => {
+            const item = catalogue ? catalogue.get(itemType) : null;
+            return {
+                color: context.getItemTypeColor(itemType),
+                label: catalogue ? catalogue.getLabel(itemType) : `Item ${itemType}`,
+                title: [
+                    `Item type ${itemType}`,
+                    item && item.sku ? `SKU ${item.sku}` : null,
+                    item && item.fragile ? 'Fragile' : null,
+                    item && item.thisSideUp ? 'This side up' : null,
+                    `${counts.get(itemType)} on this pallet`
+                ].filter(Boolean).join(' · ')
+            };
+        });
+
+        return { colorOf: null, legend: { type: 'categories', entries } };
+    }
+
+    /**
+     * Gradient from the lowest to the highest value on the pallet
+     */
+    getValueColoring(sortedBoxes, getValue, formatValue) {
+        const values = sortedBoxes.map(getValue);
+        const min = values.length > 0 ? Math.min(...values) : 0;
+        const max = values.length > 0 ? Math.max(...values) : 0;
+        const span = max - min;
+
+        return {
+            // All boxes equal: middle of the gradient
+            colorOf: box => BoxColorModes.interpolate(this.gradientStops,
+                span > 0 ? Math.min(1, Math.max(0, (getValue(box) - min) / span)) : 0.5),
+            legend: { type: 'gradient', stops: this.gradientStops, min: formatValue(min), max: formatValue(max) }
+        };
+    }
+
+    /**
+     * Gradient by placement rank, so gaps in the numbering do not bunch the colors
+     */
+    getSequenceColoring(sortedBoxes) {
+        const ranks = new Map(sortedBoxes.map((box, index) => [box.sequence, index]));
+        const last = Math.max(1, sortedBoxes.length - 1);
+
+        return {
+            // Boxes streamed in after the colors were worked out are the latest
+            colorOf: box => BoxColorModes.interpolate(this.gradientStops,
+                ranks.has(box.sequence) ? ranks.get(box.sequence) / last : 1),
+            legend: {
+                type: 'gradient',
+                stops: this.gradientStops,
+                min: sortedBoxes.length > 0 ? `First (#${sortedBoxes[0].sequence})` : 'First',
+                max: sortedBoxes.length > 0 ? `Last (#${sortedBoxes[sortedBoxes.length - 1].sequence})` : 'Last'
+            }
+        };
+    }
+
+    /**
+     * Layers as marked on the timeline
+     */
+    getLayerColoring(sortedBoxes) {
+        const layers = this.timelineMarkers ? this.timelineMarkers.getLayerNumbers(sortedBoxes) : new Map();
+        const counts = new Map();
+        layers.forEach(layer => counts.set(layer, (counts.get(layer) || 0) + 1));
+        const colorOfLayer = layer => this.layerPalette[(layer - 1) % this.layerPalette.length];
+
+        return {
+            colorOf: box => layers.has(box) ? colorOfLayer(layers.get(box)) : null,
+            legend: {
+                type: 'categories',
+                entries: [...counts.keys()].sort((a, b) => a - b).map(layer => ({
+                    color: colorOfLayer(layer),
+                    label: `Layer ${layer}`,
+                    title: `${counts.get(layer)} boxes`
+                }))
+            }
+        };
+    }
+
+    getFlagColoring(isOn, onLabel, offLabel) {
+        return {
+            colorOf: box => isOn(box) ? this.flagColors.on : this.flagColors.off,
+            legend: {
+                type: 'categories',
+                entries: [
+                    { color: this.flagColors.off, label: offLabel },
+                    { color: this.flagColors.on, label: onLabel }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Worst plan check result of each box (box.validation, set when the plan is checked)
+     */
+    getValidationColoring() {
+        const colors = this.validationColors;
+        return {
+            colorOf: box => box.validation === 'error' ? colors.error :
+                box.validation === 'warning' ? colors.warning : colors.ok,
+            legend: {
+                type: 'categories',
+                entries: [
+                    { color: colors.ok, label: 'No issues' },
+                    { color: colors.warning, label: 'Warning' },
+                    { color: colors.error, label: 'Error' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * @returns {number} kg/m³ (weights in g, coordinates in mm)
+     */
+    static getDensity(box) {
+        const c = box.coordinates;
+        const volume = (c.xmax - c.xmin) * (c.ymax - c.ymin) * (c.zmax - c.zmin);
+        return volume > 0 ? (box.weight || 0) / volume * 1e6 : 0;
+    }
+
+    /**
+     * Color at a position of a gradient
+     * @param {Array} stops - [position (0-1), hex color] in increasing position
+     * @param {number} t - Position, clamped to the first and last stop
+     * @returns {number} Hex color
+     */
+    static interpolate(stops, t) {
+        const upper = stops.findIndex(([position]) => position >= t);
+        if (upper === 0) {
+            return stops[0][1];
+        }
+        if (upper < 0) {
+            return stops[stops.length - 1][1];
+        }
+
+        const [fromPosition, from] = stops[upper - 1];
+        const [toPosition, to] = stops[upper];
+        const f = (t - fromPosition) / (toPosition - fromPosition);
+        const channel = shift => Math.round(((from >> shift) & 0xff) + (((to >> shift) & 0xff) - ((from >> shift) & 0xff)) * f);
+        return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+    }
+
+    /**
+     * @param {number} color - Hex color
+     * @returns {string} '#rrggbb'
+     */
+    static toCss(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+}
+
+class ColorLegend {
+    /**
+     * @param {string} containerId - ID of the 3D viewer container (the legend goes below it)
+     * @param {Object} options - modes ({ mode: label }), mode (selected), onModeChange(mode),
+     *                           onEditCatalogue() opens the item catalogue manager
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.modes = options.modes || {};
+        this.onModeChange = options.onModeChange || (() => {});
+        this.onEditCatalogue = options.onEditCatalogue || (() => {});
+
+        // Interface elements
+        this.legendElement = null;
+        this.selectElement = null;
+        this.itemsElement = null;
+
+        this.createLegend(options.mode);
+    }
+
+    createLegend(mode) {
+        if (!this.container) {
+            console.warn('Color legend container not found');
+            return;
+        }
+
+        this.legendElement = document.createElement('div');
+        this.legendElement.className = 'color-legend';
+
+        this.selectElement = document.createElement('select');
+        this.selectElement.className = 'color-legend-mode';
+        this.selectElement.title = 'Color boxes by';
+        Object.entries(this.modes).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.selectElement.appendChild(option);
+        });
+        this.selectElement.value = mode;
+        this.selectElement.addEventListener('change', () => this.onModeChange(this.selectElement.value));
+
+        this.itemsElement = document.createElement('div');
+        this.itemsElement.className = 'color-legend-items';
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'file-action-button color-legend-edit';
+        editButton.textContent = '✏️ Catalogue';
+        editButton.title = 'Edit item names, colors and handling rules';
+        editButton.addEventListener('click', () => this.onEditCatalogue());
+
+        this.legendElement.appendChild(this.selectElement);
+        this.legendElement.appendChild(this.itemsElement);
+        this.legendElement.appendChild(editButton);
+
+        // Above the info panel, so it stays under the timeline slider
+        const infoPanel = this.container.parentElement.querySelector('.info-panel');
+        if (infoPanel) {
+            infoPanel.insertAdjacentElement('beforebegin', this.legendElement);
+        } else {
+            this.container.insertAdjacentElement('afterend', this.legendElement);
+        }
+    }
+
+    setMode(mode) {
+        if (this.selectElement) {
+            this.selectElement.value = mode;
+        }
+    }
+
+    /**
+     * @param {Object} legend - BoxColorModes legend
+     */
+    show(legend) {
+        if (!this.itemsElement) {
+            return;
+        }
+
+        this.itemsElement.innerHTML = '';
+        if (legend.type === 'gradient') {
+            this.showGradient(legend);
+        } else {
+            legend.entries.forEach(entry => this.addEntry(entry));
+        }
+    }
+
+    addEntry(entry) {
+        const chip = document.createElement('span');
+        chip.className = 'color-legend-chip';
+        if (entry.title) {
+            chip.title = entry.title;
+        }
+
+        const swatch = document.createElement('span');
+        swatch.className = 'color-legend-swatch';
+        swatch.style.background = BoxColorModes.toCss(entry.color);
+
+        chip.appendChild(swatch);
+        chip.appendChild(document.createTextNode(entry.label));
+        this.itemsElement.appendChild(chip);
+    }
+
+    showGradient(legend) {
+        const bar = document.createElement('span');
+        bar.className = 'color-legend-gradient';
+        bar.style.background = `linear-gradient(to right, ${legend.stops
+            .map(([position, color]) => `${BoxColorModes.toCss(color)} ${position * 100}%`).join(', ')})`;
+
+        const min = document.createElement('span');
+        min.textContent = legend.min;
+        const max = document.createElement('span');
+        max.textContent = legend.max;
+
+        this.itemsElement.appendChild(min);
+        this.itemsElement.appendChild(bar);
+        this.itemsElement.appendChild(max);
+    }
+
+    dispose() {
+        if (this.legendElement) {
+            this.legendElement.remove();
+            this.legendElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.BoxColorModes = BoxColorModes;
+window.ColorLegend = ColorLegend;
@@ -0,0 +1,87 @@
+/**
+ * Connection Status Badge - Backend availability shown next to the logo
+ * Follows ApiClient health checks; clicking the badge checks again right away
+ */
+
+class ConnectionStatusBadge {
+    /**
+     * @param {ApiClient} apiClient - Client whose status is shown
+     * @param {string} containerSelector - Element the badge is added to
+     */
+    constructor(apiClient, containerSelector = '.logo-container') {
+        this.apiClient = apiClient;
+        this.container = document.querySelector(containerSelector);
+
+        this.labels = {
+            unknown: 'Checking backend...',
+            online: 'Backend online',
+            offline: 'Offline - file mode'
+        };
+
+        this.badgeElement = null;
+        this.textElement = null;
+        this.unsubscribe = null;
+
+        this.createBadge();
+    }
+
+    /**
+     * Create the badge and start following the client status
+     */
+    createBadge() {
+        if (!this.container) {
+            console.warn('Connection badge container not found');
+            return;
+        }
+
+        this.badgeElement = document.createElement('button');
+        this.badgeElement.type = 'button';
+        this.badgeElement.className = 'connection-badge';
+        this.badgeElement.addEventListener('click', () => this.apiClient.checkHealth());
+
+        const dot = document.createElement('span');
+        dot.className = 'connection-dot';
+
+        this.textElement = document.createElement('span');
+        this.textElement.className = 'connection-text';
+
+        this.badgeElement.appendChild(dot);
+        this.badgeElement.appendChild(this.textElement);
+        this.container.insertBefore(this.badgeElement, this.container.firstChild);
+
+        this.unsubscribe = this.apiClient.onStatusChange(() => this.update());
+        this.update();
+    }
+
+    /**
+     * Show the current client status
+     */
+    update() {
+        if (!this.badgeElement) {
+            return;
+        }
+
+        const status = this.apiClient.status;
+        const error = this.apiClient.lastError;
+
+        this.badgeElement.dataset.status = status;
+        this.textElement.textContent = this.labels[status] || status;
+        this.badgeElement.title = error
+            ? `${this.apiClient.baseUrl}\n${error.message}\nClick to check again`
+            : `${this.apiClient.baseUrl}\nClick to check again`;
+    }
+
+    dispose() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.badgeElement) {
+            this.badgeElement.remove();
+            this.badgeElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.ConnectionStatusBadge = ConnectionStatusBadge;
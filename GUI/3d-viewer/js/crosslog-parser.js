@@ -0,0 +1,643 @@
+/**
+ * Crosslog Stream Parser - Tolerant parsing with diagnostics
+ * Reads Crosslog data line by line, collects every error and warning with
+ * its source position and keeps every pallet that parsed cleanly
+ */
+
+class CrosslogStreamParser {
+    constructor() {
+        // Field names as they appear in the Crosslog section headers
+        this.fieldNames = {
+            palletHeader: ['pallet_id', 'x', 'y', 'z', 'weight', 'total_load'],
+            volumeMetrics: ['total_volume', 'total_occupied_volume', 'm1', 'm2'],
+            box: ['xmin', 'ymin', 'zmin', 'xmax', 'ymax', 'zmax', 'sequence', 'item_type', 'weight', 'k', 'irregular']
+        };
+
+        // Relative tolerance used when comparing header totals with box sums
+        this.totalsTolerance = 0.01;
+
+        this.reset();
+    }
+
+    /**
+     * Reset parser state so a new file can be streamed in
+     */
+    reset() {
+        this.lineNumber = 0;
+        this.pendingText = '';
+        this.expecting = null;
+        this.currentPallet = null;
+        this.palletCount = 0;
+
+        this.orderInfo = {};
+        this.pallets = [];
+        this.diagnostics = [];
+        this.skippedPallets = [];
+    }
+
+    /**
+     * Parse a complete file in one call
+     * @param {string} fileContent - Raw file content
+     * @returns {Object} Parsed order, clean pallets and diagnostics
+     */
+    parse(fileContent) {
+        this.reset();
+        this.write(fileContent);
+        return this.end();
+    }
+
+    /**
+     * Feed a chunk of text to the parser
+     * Incomplete trailing lines are kept until the next chunk or end()
+     * @param {string} chunk - Text chunk
+     */
+    write(chunk) {
+        this.pendingText += chunk;
+
+        const lines = this.pendingText.split('\n');
+        this.pendingText = lines.pop();
+
+        lines.forEach(line => this.processLine(line));
+    }
+
+    /**
+     * Flush remaining text and run end-of-file checks
+     * @returns {Object} Parsed order, clean pallets and diagnostics
+     */
+    end() {
+        if (this.pendingText.length > 0) {
+            this.processLine(this.pendingText);
+            this.pendingText = '';
+        }
+
+        this.finalizePallet();
+
+        if (this.orderInfo.orderId === undefined) {
+            this.addDiagnostic('error', 'Missing [order_id] section', { line: 1, field: 'order_id' });
+        }
+
+        if (this.orderInfo.palletQuantity === undefined) {
+            this.addDiagnostic('error', 'Missing [pallet_quantity] section', { line: 1, field: 'pallet_quantity' });
+        } else if (this.orderInfo.palletQuantity !== this.palletCount) {
+            this.addDiagnostic('warning',
+                `Header declares ${this.orderInfo.palletQuantity} pallets but the file contains ${this.palletCount}`,
+                { line: this.orderInfo.palletQuantityLine, field: 'pallet_quantity' });
+        }
+
+        if (this.palletCount === 0) {
+            this.addDiagnostic('error', 'No pallet sections found', { line: this.lineNumber });
+        }
+
+        return this.getResult();
+    }
+
+    /**
+     * Build the result object
+     * @returns {Object} Result with orderInfo, pallets, diagnostics and summary
+     */
+    getResult() {
+        const errorCount = this.diagnostics.filter(d => d.severity === 'error').length;
+
+        return {
+            orderInfo: {
+                orderId: this.orderInfo.orderId,
+                palletQuantity: this.orderInfo.palletQuantity
+            },
+            pallets: this.pallets,
+            diagnostics: this.diagnostics,
+            summary: {
+                errorCount: errorCount,
+                warningCount: this.diagnostics.length - errorCount,
+                palletsFound: this.palletCount,
+                palletsLoaded: this.pallets.length,
+                skippedPallets: [...this.skippedPallets]
+            }
+        };
+    }
+
+    /**
+     * Process one raw line
+     * @param {string} rawLine - Line without the trailing newline
+     */
+    processLine(rawLine) {
+        this.lineNumber++;
+
+        const line = rawLine.replace(/\r$/, '');
+        const content = line.trim();
+
+        if (content.length === 0) {
+            return;
+        }
+
+        if (content.startsWith('[')) {
+            this.handleSectionHeader(content);
+        } else {
+            this.handleValueLine(line);
+        }
+    }
+
+    /**
+     * Section headers also act as recovery points after malformed data
+     * @param {string} content - Trimmed header line
+     */
+    handleSectionHeader(content) {
+        if (content === '[order_id]') {
+            this.expecting = 'orderId';
+        } else if (content === '[pallet_quantity]') {
+            this.expecting = 'palletQuantity';
+        } else if (content.includes('pallet_id')) {
+            this.startPallet();
+            this.expecting = 'palletHeader';
+        } else if (content.includes('total_volume')) {
+            this.expecting = this.requirePallet(content) ? 'volumeMetrics' : 'ignored';
+        } else if (content === '[item_quantity]') {
+            this.expecting = this.requirePallet(content) ? 'itemQuantity' : 'ignored';
+        } else if (content.includes('xmin') && content.includes('sequence')) {
+            // Descriptive column header - box lines follow
+            if (this.expecting !== 'box') {
+                this.addDiagnostic('warning', 'Box column header found outside an item list',
+                    { line: this.lineNumber, palletIndex: this.getCurrentPalletIndex() });
+            }
+            return;
+        } else {
+            this.addDiagnostic('warning', `Unknown section ${content} - its data will be ignored`,
+                { line: this.lineNumber, palletIndex: this.getCurrentPalletIndex() });
+            this.expecting = 'ignored';
+            return;
+        }
+
+        if (this.currentPallet) {
+            this.currentPallet.sectionsSeen.add(this.expecting);
+        }
+    }
+
+    /**
+     * Check that a pallet section is open before a pallet-level header
+     * @param {string} content - Header being processed
+     * @returns {boolean} True if a pallet is open
+     */
+    requirePallet(content) {
+        if (this.currentPallet) {
+            return true;
+        }
+
+        this.addDiagnostic('error', `${content} found before any [pallet_id] section`, { line: this.lineNumber });
+        return false;
+    }
+
+    /**
+     * Dispatch a data line to the section that is expecting it
+     * @param {string} line - Line without the trailing newline
+     */
+    handleValueLine(line) {
+        if (this.currentPallet && this.expecting) {
+            this.currentPallet.valuesSeen.add(this.expecting);
+        }
+
+        switch (this.expecting) {
+            case 'orderId':
+                this.parseOrderId(line.trim());
+                break;
+            case 'palletQuantity':
+                this.parsePalletQuantity(line.trim());
+                break;
+            case 'palletHeader':
+                this.parsePalletHeader(line);
+                break;
+            case 'volumeMetrics':
+                this.parseVolumeMetrics(line);
+                break;
+            case 'itemQuantity':
+                this.parseItemQuantity(line.trim());
+                break;
+            case 'box':
+                this.parseBoxLine(line);
+                break;
+            case 'ignored':
+                break;
+            default:
+                this.addDiagnostic('error', `Unexpected data outside any section: "${line.trim()}"`,
+                    { line: this.lineNumber, palletIndex: this.getCurrentPalletIndex() });
+                if (this.currentPallet) {
+                    this.currentPallet.errorCount++;
+                }
+        }
+    }
+
+    /**
+     * Parse the [order_id] value
+     */
+    parseOrderId(content) {
+        const orderId = parseInt(content);
+
+        if (isNaN(orderId)) {
+            this.addDiagnostic('error', `Invalid order ID: "${content}"`, { line: this.lineNumber, column: 1, field: 'order_id' });
+        } else {
+            this.orderInfo.orderId = orderId;
+        }
+
+        this.expecting = null;
+    }
+
+    /**
+     * Parse the [pallet_quantity] value
+     */
+    parsePalletQuantity(content) {
+        const palletQuantity = parseInt(content);
+
+        if (isNaN(palletQuantity) || palletQuantity <= 0) {
+            this.addDiagnostic('error', `Invalid pallet quantity: "${content}"`, { line: this.lineNumber, column: 1, field: 'pallet_quantity' });
+        } else {
+            this.orderInfo.palletQuantity = palletQuantity;
+            this.orderInfo.palletQuantityLine = this.lineNumber;
+        }
+
+        this.expecting = null;
+    }
+
+    /**
+     * Open a new pallet section, closing the previous one
+     */
+    startPallet() {
+        this.finalizePallet();
+
+        this.currentPallet = {
+            index: this.palletCount,
+            startLine: this.lineNumber,
+            errorCount: 0,
+            expectedBoxCount: null,
+            itemQuantityLine: null,
+            boxLineCount: 0,
+            sequences: new Set(),
+            sectionsSeen: new Set(['palletHeader']),
+            valuesSeen: new Set(),
+            data: {
+                id: this.palletCount,
+                metadata: {},
+                boxes: []
+            }
+        };
+
+        this.palletCount++;
+    }
+
+    /**
+     * Parse pallet header values: [pallet_id x y z weight total_load]
+     */
+    parsePalletHeader(line) {
+        const values = this.parseNumericFields(line, this.fieldNames.palletHeader);
+        this.expecting = null;
+
+        if (!values) {
+            return;
+        }
+
+        this.currentPallet.data.metadata = {
+            palletId: Math.trunc(values[0]),
+            dimensions: {
+                x: values[1],
+                y: values[2],
+                z: values[3]
+            },
+            weight: values[4],
+            totalLoad: values[5],
+            sourceLine: this.lineNumber
+        };
+
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            if (values[i + 1] <= 0) {
+                this.addPalletError(`Pallet dimension ${axis} must be positive, got ${values[i + 1]}`,
+                    this.fieldNames.palletHeader[i + 1]);
+            }
+        });
+    }
+
+    /**
+     * Parse volume metric values: [total_volume total_occupied_volume m1 m2]
+     */
+    parseVolumeMetrics(line) {
+        const values = this.parseNumericFields(line, this.fieldNames.volumeMetrics);
+        this.expecting = null;
+
+        if (!values) {
+            return;
+        }
+
+        this.currentPallet.data.metadata.volumeMetrics = {
+            totalVolume: values[0],
+            occupiedVolume: values[1],
+            efficiency1: values[2],
+            efficiency2: values[3]
+        };
+        this.currentPallet.volumeMetricsLine = this.lineNumber;
+    }
+
+    /**
+     * Parse the [item_quantity] value
+     */
+    parseItemQuantity(content) {
+        const itemQuantity = parseInt(content);
+
+        if (isNaN(itemQuantity) || itemQuantity < 0) {
+            this.addPalletError(`Invalid item quantity: "${content}"`, 'item_quantity', 1);
+            this.expecting = 'box';
+            return;
+        }
+
+        this.currentPallet.expectedBoxCount = itemQuantity;
+        this.currentPallet.itemQuantityLine = this.lineNumber;
+        this.expecting = 'box';
+    }
+
+    /**
+     * Parse one box line: [xmin ymin zmin xmax ymax zmax sequence item_type weight k irregular]
+     */
+    parseBoxLine(line) {
+        const pallet = this.currentPallet;
+        const boxIndex = pallet.boxLineCount;
+        pallet.boxLineCount++;
+
+        if (pallet.expectedBoxCount !== null && boxIndex >= pallet.expectedBoxCount) {
+            this.addPalletError(`Box line beyond the declared item quantity (${pallet.expectedBoxCount})`, null, null, { boxIndex: boxIndex });
+            return;
+        }
+
+        const values = this.parseNumericFields(line, this.fieldNames.box, { boxIndex: boxIndex });
+
+        if (!values) {
+            return;
+        }
+
+        const [xmin, ymin, zmin, xmax, ymax, zmax, sequence, itemType, weight, k, irregular] = values;
+        const boxContext = { boxIndex: boxIndex, sequence: sequence };
+        const fields = this.splitFields(line);
+
+        let isValid = true;
+        [[xmin, xmax, 'xmax'], [ymin, ymax, 'ymax'], [zmin, zmax, 'zmax']].forEach(([min, max, field]) => {
+            if (max <= min) {
+                this.addPalletError(`${field} (${max}) must be greater than its minimum (${min})`,
+                    field, this.getFieldColumn(fields, field), boxContext);
+                isValid = false;
+            }
+        });
+
+        if (!isValid) {
+            return;
+        }
+
+        ['sequence', 'item_type'].forEach(field => {
+            const value = values[this.fieldNames.box.indexOf(field)];
+            if (!Number.isInteger(value)) {
+                this.addWarning(`${field} should be an integer, got ${value}`, field, this.getFieldColumn(fields, field), boxContext);
+            }
+        });
+
+        if (pallet.sequences.has(sequence)) {
+            this.addWarning(`Duplicate sequence number ${sequence}`, 'sequence', this.getFieldColumn(fields, 'sequence'), boxContext);
+        }
+        pallet.sequences.add(sequence);
+
+        if (weight <= 0) {
+            this.addWarning(`Box weight is ${weight} - it will be ignored by the weight metrics`, 'weight', this.getFieldColumn(fields, 'weight'), boxContext);
+        }
+
+        if (irregular !== 0 && irregular !== 1) {
+            this.addWarning(`irregular flag should be 0 or 1, got ${irregular}`, 'irregular', this.getFieldColumn(fields, 'irregular'), boxContext);
+        }
+
+        const dimensions = pallet.data.metadata.dimensions;
+        if (dimensions) {
+            [['xmax', xmax, dimensions.x], ['ymax', ymax, dimensions.y], ['zmax', zmax, dimensions.z]].forEach(([field, value, limit]) => {
+                if (value > limit) {
+                    this.addWarning(`${field} (${value}) exceeds the pallet header dimension (${limit})`, field, this.getFieldColumn(fields, field), boxContext);
+                }
+            });
+        }
+
+        pallet.data.boxes.push({
+            coordinates: { xmin, ymin, zmin, xmax, ymax, zmax },
+            sequence: Math.trunc(sequence),
+            itemType: Math.trunc(itemType),
+            weight: weight,
+            k: k,
+            irregular: Math.trunc(irregular),
+            sourceLine: this.lineNumber
+        });
+    }
+
+    /**
+     * Split a tab-separated line keeping each field's 1-based column
+     * @param {string} line - Raw line
+     * @returns {Array} Array of { text, column }
+     */
+    splitFields(line) {
+        const fields = [];
+        let offset = 0;
+
+        line.split('\t').forEach(part => {
+            const leading = part.length - part.trimStart().length;
+            fields.push({ text: part.trim(), column: offset + leading + 1 });
+            offset += part.length + 1;
+        });
+
+        // Trailing tabs do not count as extra fields
+        while (fields.length > 0 && fields[fields.length - 1].text === '') {
+            fields.pop();
+        }
+
+        return fields;
+    }
+
+    /**
+     * Get the column of a named field in a split line
+     */
+    getFieldColumn(fields, fieldName) {
+        const index = this.fieldNames.box.indexOf(fieldName);
+        return fields[index] ? fields[index].column : null;
+    }
+
+    /**
+     * Parse every field of a line as a number, reporting each bad field
+     * @param {string} line - Raw line
+     * @param {Array} names - Expected field names
+     * @param {Object} context - Extra diagnostic context (boxIndex)
+     * @returns {Array|null} Numeric values or null if the line is unusable
+     */
+    parseNumericFields(line, names, context = {}) {
+        const fields = this.splitFields(line);
+
+        if (fields.length < names.length) {
+            const missing = names.slice(fields.length);
+            this.addPalletError(`Expected ${names.length} fields, got ${fields.length} (missing ${missing.join(', ')})`,
+                missing[0], line.length + 1, context);
+            return null;
+        }
+
+        if (fields.length > names.length) {
+            this.addWarning(`Expected ${names.length} fields, got ${fields.length} - extra fields ignored`,
+                null, fields[names.length].column, context);
+        }
+
+        const values = [];
+        let isValid = true;
+
+        names.forEach((name, i) => {
+            const value = fields[i].text === '' ? NaN : Number(fields[i].text);
+
+            if (!Number.isFinite(value)) {
+                this.addPalletError(`Field ${name} is not a number: "${fields[i].text}"`, name, fields[i].column, context);
+                isValid = false;
+            }
+            values.push(value);
+        });
+
+        return isValid ? values : null;
+    }
+
+    /**
+     * Close the current pallet section and decide whether it can be loaded
+     */
+    finalizePallet() {
+        const pallet = this.currentPallet;
+        if (!pallet) {
+            return;
+        }
+
+        this.currentPallet = null;
+        this.expecting = null;
+
+        const metadata = pallet.data.metadata;
+        const requiredSections = [
+            ['palletHeader', '[pallet_id]', metadata.dimensions],
+            ['volumeMetrics', '[total_volume]', metadata.volumeMetrics],
+            ['itemQuantity', '[item_quantity]', pallet.expectedBoxCount !== null]
+        ];
+
+        // Sections whose values failed to parse were already reported
+        requiredSections.forEach(([key, label, isPresent]) => {
+            if (isPresent || pallet.valuesSeen.has(key)) {
+                return;
+            }
+
+            const message = pallet.sectionsSeen.has(key) ? `Missing values for ${label}` : `Missing ${label} section`;
+            this.recordPalletError(pallet, message, { palletIndex: pallet.index, line: pallet.startLine });
+        });
+
+        if (pallet.expectedBoxCount !== null && pallet.boxLineCount < pallet.expectedBoxCount) {
+            this.recordPalletError(pallet,
+                `Box count mismatch: expected ${pallet.expectedBoxCount}, found ${pallet.boxLineCount}`,
+                { palletIndex: pallet.index, line: pallet.itemQuantityLine, field: 'item_quantity' });
+        }
+
+        if (pallet.errorCount > 0) {
+            this.skippedPallets.push(pallet.index);
+            return;
+        }
+
+        this.checkPalletTotals(pallet);
+        this.pallets.push(pallet.data);
+    }
+
+    /**
+     * Compare header totals with values recomputed from the boxes
+     */
+    checkPalletTotals(pallet) {
+        const metadata = pallet.data.metadata;
+        const boxes = pallet.data.boxes;
+
+        const occupiedVolume = boxes.reduce((sum, box) => {
+            const c = box.coordinates;
+            return sum + (c.xmax - c.xmin) * (c.ymax - c.ymin) * (c.zmax - c.zmin);
+        }, 0);
+        const totalLoad = boxes.reduce((sum, box) => sum + box.weight, 0);
+
+        if (!this.isWithinTolerance(metadata.volumeMetrics.occupiedVolume, occupiedVolume)) {
+            this.addDiagnostic('warning',
+                `total_occupied_volume is ${metadata.volumeMetrics.occupiedVolume} but the boxes add up to ${occupiedVolume}`,
+                { line: pallet.volumeMetricsLine, field: 'total_occupied_volume', palletIndex: pallet.index });
+        }
+
+        if (!this.isWithinTolerance(metadata.totalLoad, totalLoad)) {
+            this.addDiagnostic('warning',
+                `total_load is ${metadata.totalLoad} but the box weights add up to ${totalLoad}`,
+                { line: metadata.sourceLine, field: 'total_load', palletIndex: pallet.index });
+        }
+    }
+
+    /**
+     * Relative comparison for header totals
+     */
+    isWithinTolerance(declared, computed) {
+        if (computed === 0) {
+            return declared === 0;
+        }
+        return Math.abs(declared - computed) / Math.abs(computed) <= this.totalsTolerance;
+    }
+
+    /**
+     * Record an error that prevents the current pallet from loading
+     */
+    addPalletError(message, field, column = null, context = {}) {
+        if (this.currentPallet) {
+            this.currentPallet.errorCount++;
+        }
+
+        this.addDiagnostic('error', message, {
+            line: this.lineNumber,
+            column: column,
+            field: field,
+            palletIndex: this.getCurrentPalletIndex(),
+            ...context
+        });
+    }
+
+    /**
+     * Record an error against a pallet that is being finalized
+     */
+    recordPalletError(pallet, message, context) {
+        pallet.errorCount++;
+        this.addDiagnostic('error', message, context);
+    }
+
+    /**
+     * Record a warning at the current line
+     */
+    addWarning(message, field, column = null, context = {}) {
+        this.addDiagnostic('warning', message, {
+            line: this.lineNumber,
+            column: column,
+            field: field,
+            palletIndex: this.getCurrentPalletIndex(),
+            ...context
+        });
+    }
+
+    /**
+     * Store a diagnostic entry
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} message - Human readable description
+     * @param {Object} details - line, column, field, palletIndex, boxIndex, sequence
+     */
+    addDiagnostic(severity, message, details = {}) {
+        this.diagnostics.push({
+            severity: severity,
+            message: message,
+            line: details.line ?? null,
+            column: details.column ?? null,
+            field: details.field ?? null,
+            palletIndex: details.palletIndex ?? null,
+            boxIndex: details.boxIndex ?? null,
+            sequence: details.sequence ?? null
+        });
+    }
+
+    /**
+     * Get the file index of the pallet being parsed
+     */
+    getCurrentPalletIndex() {
+        return this.currentPallet ? this.currentPallet.index : null;
+    }
+}
+
+// Export for global access
+window.CrosslogStreamParser = CrosslogStreamParser;
@@ -0,0 +1,168 @@
+/**
+ * Crosslog Writer - Serializes an order back into the Crosslog format
+ * Produces the same tab-separated layout that PalletDataLoader.parseDataFile reads,
+ * recomputing the pallet totals from the boxes that are actually written
+ */
+
+class CrosslogWriter {
+    constructor() {
+        // Field names as they appear in the Crosslog section headers
+        this.fieldNames = {
+            palletHeader: ['pallet_id', 'x', 'y', 'z', 'weight', 'total_load'],
+            volumeMetrics: ['total_volume', 'total_occupied_volume', 'm1', 'm2'],
+            box: ['xmin', 'ymin', 'zmin', 'xmax', 'ymax', 'zmax', 'sequence', 'item_type', 'weight', 'k', 'irregular']
+        };
+
+        this.fieldSeparator = '\t';
+        this.lineSeparator = '\n';
+    }
+
+    /**
+     * Serialize a complete order
+     * @param {Object} orderInfo - Order info ({ orderId })
+     * @param {Array} pallets - Pallets as stored by PalletDataLoader (metadata + boxes)
+     * @returns {string} Crosslog file content
+     */
+    write(orderInfo, pallets) {
+        if (!orderInfo || orderInfo.orderId === undefined || orderInfo.orderId === null) {
+            throw new Error('Cannot write Crosslog data without an order ID');
+        }
+        if (!Array.isArray(pallets)) {
+            throw new Error('Cannot write Crosslog data: pallets must be an array');
+        }
+
+        const lines = [
+            '[order_id]',
+            String(orderInfo.orderId),
+            '[pallet_quantity]',
+            String(pallets.length)
+        ];
+
+        pallets.forEach((pallet, index) => {
+            lines.push(...this.writePallet(pallet, index));
+        });
+
+        return lines.join(this.lineSeparator) + this.lineSeparator;
+    }
+
+    /**
+     * Serialize one pallet section
+     * @param {Object} pallet - Pallet with metadata and boxes
+     * @param {number} index - Pallet position in the order (used in error messages)
+     * @returns {Array} Lines for this pallet
+     */
+    writePallet(pallet, index) {
+        const metadata = pallet.metadata;
+
+        if (!metadata || !metadata.dimensions) {
+            throw new Error(`Cannot write pallet ${index + 1}: missing pallet header data`);
+        }
+
+        const dimensions = metadata.dimensions;
+        const volumeMetrics = metadata.volumeMetrics || {};
+        const boxes = pallet.boxes || [];
+
+        const headerValues = [
+            metadata.palletId,
+            dimensions.x,
+            dimensions.y,
+            dimensions.z,
+            metadata.weight,
+            this.calculateTotalLoad(boxes)
+        ];
+
+        const metricsValues = [
+            this.calculateTotalVolume(dimensions),
+            this.calculateOccupiedVolume(boxes),
+            volumeMetrics.efficiency1,
+            volumeMetrics.efficiency2
+        ];
+
+        const lines = [
+            this.formatSectionHeader(this.fieldNames.palletHeader),
+            this.formatValues(headerValues),
+            this.formatSectionHeader(this.fieldNames.volumeMetrics),
+            this.formatValues(metricsValues),
+            '[item_quantity]',
+            String(boxes.length),
+            this.formatSectionHeader(this.fieldNames.box)
+        ];
+
+        boxes.forEach(box => {
+            lines.push(this.writeBox(box));
+        });
+
+        return lines;
+    }
+
+    /**
+     * Serialize one box line from its original Crosslog coordinates
+     * @param {Object} box - Box model with coordinates in mm
+     * @returns {string} Tab-separated box line
+     */
+    writeBox(box) {
+        const c = box.coordinates;
+
+        return this.formatValues([
+            c.xmin, c.ymin, c.zmin,
+            c.xmax, c.ymax, c.zmax,
+            box.sequence,
+            box.itemType,
+            box.weight,
+            box.k,
+            box.irregular
+        ]);
+    }
+
+    /**
+     * Total pallet volume in mm³ (x · y · z from the header)
+     */
+    calculateTotalVolume(dimensions) {
+        return dimensions.x * dimensions.y * dimensions.z;
+    }
+
+    /**
+     * Sum of box volumes in mm³
+     */
+    calculateOccupiedVolume(boxes) {
+        return boxes.reduce((total, box) => {
+            const c = box.coordinates;
+            return total + (c.xmax - c.xmin) * (c.ymax - c.ymin) * (c.zmax - c.zmin);
+        }, 0);
+    }
+
+    /**
+     * Sum of box weights in grams
+     */
+    calculateTotalLoad(boxes) {
+        return boxes.reduce((total, box) => total + box.weight, 0);
+    }
+
+    /**
+     * Format "[name \t name \t ...]" section headers
+     */
+    formatSectionHeader(names) {
+        return `[${names.join(` ${this.fieldSeparator} `)}]`;
+    }
+
+    /**
+     * Format a tab-separated value line
+     */
+    formatValues(values) {
+        return values.map(value => this.formatNumber(value)).join(this.fieldSeparator);
+    }
+
+    /**
+     * Write numbers without float noise from the volume products
+     */
+    formatNumber(value) {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(`Cannot write non-numeric Crosslog value: ${value}`);
+        }
+
+        return String(Number.isInteger(value) ? value : parseFloat(value.toPrecision(12)));
+    }
+}
+
+// Export for global access
+window.CrosslogWriter = CrosslogWriter;
@@ -0,0 +1,302 @@
+/**
+ * CSV Plan Format - Flat load plans for spreadsheets
+ * One row per box, grouped into pallets by pallet_id (units as in Crosslog: mm, grams)
+ *
+ * Required columns: pallet_id, xmin, ymin, zmin, xmax, ymax, zmax, sequence, item_type, weight
+ * Optional columns: order_id, pallet_x, pallet_y, pallet_z, pallet_weight, k, irregular
+ * Missing pallet dimensions default to a 1200x800 EUR pallet with a 1500mm load height.
+ * Comma, semicolon and tab separators are detected from the header row.
+ */
+
+class CsvPlanFormat {
+    constructor() {
+        this.requiredColumns = ['pallet_id', 'xmin', 'ymin', 'zmin', 'xmax', 'ymax', 'zmax', 'sequence', 'item_type', 'weight'];
+        this.optionalColumns = ['order_id', 'pallet_x', 'pallet_y', 'pallet_z', 'pallet_weight', 'k', 'irregular'];
+        this.exportColumns = [
+            'order_id', 'pallet_id', 'pallet_x', 'pallet_y', 'pallet_z', 'pallet_weight',
+            'xmin', 'ymin', 'zmin', 'xmax', 'ymax', 'zmax', 'sequence', 'item_type', 'weight', 'k', 'irregular', 'issues'
+        ];
+        // Written on export (PlanValidator checks failed by the box), skipped on import
+        this.ignoredColumns = ['issues'];
+
+        this.defaults = {
+            orderId: 1,
+            dimensions: { x: 1200, y: 800, z: 1500 },
+            palletWeight: 25000
+        };
+
+        this.separator = ',';
+    }
+
+    /**
+     * Parse a CSV plan into the internal pallet model (raw boxes in mm)
+     * @param {string} content - CSV text
+     * @returns {Object} Result shaped like CrosslogStreamParser.getResult()
+     */
+    parse(content) {
+        const report = new PlanImportReport();
+        const rows = content.split('\n').map((text, index) => ({ text: text.replace(/\r$/, ''), line: index + 1 }))
+            .filter(row => row.text.trim().length > 0);
+
+        if (rows.length === 0) {
+            report.addError('File is empty');
+            return report.getResult({ orderId: undefined, palletQuantity: undefined }, []);
+        }
+
+        const separator = this.detectSeparator(rows[0].text);
+        const header = this.splitRow(rows[0].text, separator).map(cell => ({ ...cell, text: cell.text.toLowerCase() }));
+        const columns = new Map(header.map((cell, index) => [cell.text, index]));
+
+        const missing = this.requiredColumns.filter(name => !columns.has(name));
+        if (missing.length > 0) {
+            report.addError(`Missing required columns: ${missing.join(', ')}`, { line: rows[0].line, column: 1 });
+            return report.getResult({ orderId: undefined, palletQuantity: undefined }, []);
+        }
+
+        header.forEach(cell => {
+            if (!this.requiredColumns.includes(cell.text) && !this.optionalColumns.includes(cell.text) &&
+                !this.ignoredColumns.includes(cell.text)) {
+                report.addWarning(`Unknown column "${cell.text}" ignored`, { line: rows[0].line, column: cell.column, field: cell.text });
+            }
+        });
+
+        // Group rows by pallet_id, keeping the order in which pallets first appear
+        const groups = new Map();
+        let orderId;
+
+        rows.slice(1).forEach(row => {
+            const cells = this.splitRow(row.text, separator);
+            const values = this.readRow(cells, columns, row.line, report, groups);
+
+            if (!values) {
+                return;
+            }
+
+            if (orderId === undefined && values.order_id !== undefined) {
+                orderId = values.order_id;
+            }
+
+            if (!groups.has(values.pallet_id)) {
+                groups.set(values.pallet_id, { index: groups.size, firstLine: row.line, rows: [] });
+            }
+            groups.get(values.pallet_id).rows.push({ values, cells, line: row.line });
+        });
+
+        report.palletsFound = groups.size;
+
+        const pallets = [];
+        groups.forEach((group, palletId) => {
+            const pallet = this.buildPallet(palletId, group, columns, report);
+
+            if (report.countPalletErrors(group.index) > 0) {
+                report.skippedPallets.push(group.index);
+            } else {
+                pallets.push(pallet);
+            }
+        });
+
+        if (groups.size === 0) {
+            report.addError('No box rows found', { line: rows[rows.length - 1].line });
+        }
+
+        return report.getResult({ orderId: orderId ?? this.defaults.orderId, palletQuantity: groups.size }, pallets);
+    }
+
+    /**
+     * Read the numeric cells of one row
+     * Rows with a bad pallet_id cannot be grouped and are reported without a pallet
+     * @returns {Object|null} Values by column name
+     */
+    readRow(cells, columns, line, report, groups) {
+        const values = {};
+        const palletCell = cells[columns.get('pallet_id')];
+        const palletId = palletCell ? Number(palletCell.text) : NaN;
+
+        if (!palletCell || palletCell.text === '' || !Number.isFinite(palletId)) {
+            report.addError(`Field pallet_id is not a number: "${palletCell ? palletCell.text : ''}"`,
+                { line, column: palletCell ? palletCell.column : null, field: 'pallet_id' });
+            return null;
+        }
+
+        const palletIndex = groups.has(palletId) ? groups.get(palletId).index : groups.size;
+        const boxIndex = groups.has(palletId) ? groups.get(palletId).rows.length : 0;
+        let isValid = true;
+
+        [...this.requiredColumns, ...this.optionalColumns].forEach(name => {
+            if (!columns.has(name)) {
+                return;
+            }
+
+            const cell = cells[columns.get(name)];
+            const isOptional = this.optionalColumns.includes(name);
+
+            if (!cell || cell.text === '') {
+                if (!isOptional) {
+                    report.addError(`Missing value for ${name}`, { line, column: cell ? cell.column : null, field: name, palletIndex, boxIndex });
+                    isValid = false;
+                }
+                return;
+            }
+
+            const value = Number(cell.text);
+            if (!Number.isFinite(value)) {
+                report.addError(`Field ${name} is not a number: "${cell.text}"`, { line, column: cell.column, field: name, palletIndex, boxIndex });
+                isValid = false;
+                return;
+            }
+
+            values[name] = value;
+        });
+
+        // Keep the row in its pallet so the pallet is skipped, not silently shortened
+        if (!isValid) {
+            if (!groups.has(palletId)) {
+                groups.set(palletId, { index: groups.size, firstLine: line, rows: [] });
+            }
+            groups.get(palletId).rows.push({ values: null, cells, line });
+            return null;
+        }
+
+        return values;
+    }
+
+    /**
+     * Build one pallet from its grouped rows
+     */
+    buildPallet(palletId, group, columns, report) {
+        const context = { palletIndex: group.index };
+        const validRows = group.rows.filter(row => row.values);
+        const first = validRows[0] ? validRows[0].values : {};
+
+        const dimensions = {
+            x: first.pallet_x ?? this.defaults.dimensions.x,
+            y: first.pallet_y ?? this.defaults.dimensions.y,
+            z: first.pallet_z ?? this.defaults.dimensions.z
+        };
+
+        ['x', 'y', 'z'].forEach(axis => {
+            if (dimensions[axis] <= 0) {
+                report.addError(`pallet_${axis} must be positive, got ${dimensions[axis]}`,
+                    { ...context, line: group.firstLine, field: `pallet_${axis}` });
+            }
+        });
+
+        const pallet = {
+            id: group.index,
+            metadata: {
+                palletId: palletId,
+                dimensions: dimensions,
+                weight: first.pallet_weight ?? this.defaults.palletWeight,
+                sourceLine: group.firstLine
+            },
+            boxes: []
+        };
+
+        const sequences = new Set();
+        group.rows.forEach((row, boxIndex) => {
+            if (!row.values) {
+                return;
+            }
+
+            const v = row.values;
+
+            ['pallet_x', 'pallet_y', 'pallet_z'].forEach(name => {
+                if (v[name] !== undefined && v[name] !== first[name]) {
+                    report.addWarning(`${name} differs from the first row of pallet ${palletId} (${first[name]}) and is ignored`,
+                        { ...context, boxIndex, line: row.line, column: this.getColumn(row.cells, columns, name), field: name });
+                }
+            });
+
+            const rawBox = {
+                coordinates: { xmin: v.xmin, ymin: v.ymin, zmin: v.zmin, xmax: v.xmax, ymax: v.ymax, zmax: v.zmax },
+                sequence: v.sequence,
+                itemType: v.item_type,
+                weight: v.weight,
+                k: v.k ?? 0,
+                irregular: v.irregular ?? 0,
+                sourceLine: row.line
+            };
+
+            const locate = field => ({ line: row.line, column: this.getColumn(row.cells, columns, field), field });
+
+            if (report.checkBox(rawBox, sequences, locate, { ...context, boxIndex }, dimensions)) {
+                pallet.boxes.push(rawBox);
+            }
+        });
+
+        if (report.countPalletErrors(group.index) === 0) {
+            report.completeMetadata(pallet.metadata, pallet.boxes);
+        }
+
+        return pallet;
+    }
+
+    /**
+     * Serialize the internal model as a flat CSV (one row per box)
+     * @param {Object} orderInfo - Order info ({ orderId })
+     * @param {Array} pallets - Pallets as stored by PalletDataLoader
+     * @returns {string} CSV text
+     */
+    write(orderInfo, pallets) {
+        const lines = [this.exportColumns.join(this.separator)];
+
+        pallets.forEach(pallet => {
+            const metadata = pallet.metadata;
+            const issues = pallet.validation || [];
+
+            pallet.boxes.forEach(box => {
+                const c = box.coordinates;
+                // Check names separated by semicolons, e.g. "overlap;support"
+                const checks = [...new Set(issues
+                    .filter(issue => issue.sequences.includes(box.sequence))
+                    .map(issue => issue.field))];
+
+                lines.push([
+                    orderInfo.orderId, metadata.palletId,
+                    metadata.dimensions.x, metadata.dimensions.y, metadata.dimensions.z, metadata.weight,
+                    c.xmin, c.ymin, c.zmin, c.xmax, c.ymax, c.zmax,
+                    box.sequence, box.itemType, box.weight, box.k, box.irregular,
+                    checks.join(';')
+                ].join(this.separator));
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Pick the separator that splits the header row into the most columns
+     */
+    detectSeparator(headerText) {
+        return [',', ';', '\t'].reduce((best, candidate) =>
+            headerText.split(candidate).length > headerText.split(best).length ? candidate : best, ',');
+    }
+
+    /**
+     * Split a row keeping each cell's 1-based column
+     * Quoted cells are unwrapped; plans contain numbers only, so quotes never hold separators
+     */
+    splitRow(text, separator) {
+        const cells = [];
+        let offset = 0;
+
+        text.split(separator).forEach(part => {
+            const leading = part.length - part.trimStart().length;
+            cells.push({ text: part.trim().replace(/^"(.*)"$/, '$1'), column: offset + leading + 1 });
+            offset += part.length + separator.length;
+        });
+
+        return cells;
+    }
+
+    /**
+     * Get the column of a named field in a split row
+     */
+    getColumn(cells, columns, name) {
+        const cell = cells[columns.get(name)];
+        return cell ? cell.column : null;
+    }
+}
+
+// Export for global access
+window.CsvPlanFormat = CsvPlanFormat;
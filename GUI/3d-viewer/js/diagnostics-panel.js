@@ -0,0 +1,227 @@
+/**
+ * Diagnostics Panel - Parser problems next to the 3D viewer
+ * Lists every error and warning found while loading a Crosslog file,
+ * with links that jump to the affected pallet and box
+ */
+
+class DiagnosticsPanel {
+    /**
+     * @param {string} containerId - ID of the 3D viewer container
+     * @param {Function} onNavigate - Called with a diagnostic entry when its link is clicked
+     */
+    constructor(containerId, onNavigate) {
+        this.container = document.getElementById(containerId);
+        this.onNavigate = onNavigate;
+
+        this.diagnostics = [];
+        this.isExpanded = false;
+
+        // Interface elements
+        this.panelElement = null;
+        this.headerElement = null;
+        this.listElement = null;
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel structure (hidden until there is something to show)
+     */
+    createPanel() {
+        if (!this.container) {
+            console.warn('Diagnostics panel container not found');
+            return;
+        }
+
+        this.panelElement = document.createElement('div');
+        this.panelElement.className = 'diagnostics-panel';
+        this.panelElement.style.display = 'none';
+
+        this.headerElement = document.createElement('button');
+        this.headerElement.className = 'diagnostics-header';
+        this.headerElement.title = 'Show or hide file diagnostics';
+        this.headerElement.addEventListener('click', () => this.toggle());
+
+        this.listElement = document.createElement('ul');
+        this.listElement.className = 'diagnostics-list';
+        this.listElement.style.display = 'none';
+
+        this.panelElement.appendChild(this.headerElement);
+        this.panelElement.appendChild(this.listElement);
+        this.container.appendChild(this.panelElement);
+    }
+
+    /**
+     * Show diagnostics for the file that was just loaded
+     * @param {Array} diagnostics - Entries from CrosslogStreamParser
+     * @param {Object} summary - Parser summary (counts and skipped pallets)
+     * @param {Function} resolvePalletIndex - Maps a file pallet index to its loaded index (-1 if skipped)
+     */
+    show(diagnostics, summary, resolvePalletIndex) {
+        if (!this.panelElement) return;
+
+        this.diagnostics = diagnostics || [];
+
+        if (this.diagnostics.length === 0) {
+            this.clear();
+            return;
+        }
+
+        this.renderHeader(summary);
+        this.renderList(resolvePalletIndex);
+
+        // Errors open the panel straight away, warnings only show the badge
+        this.setExpanded(summary.errorCount > 0);
+        this.panelElement.style.display = 'block';
+    }
+
+    /**
+     * Render the collapsible header with error and warning counts
+     */
+    renderHeader(summary) {
+        const parts = [];
+
+        if (summary.errorCount > 0) {
+            parts.push(`${summary.errorCount} error${summary.errorCount === 1 ? '' : 's'}`);
+        }
+        if (summary.warningCount > 0) {
+            parts.push(`${summary.warningCount} warning${summary.warningCount === 1 ? '' : 's'}`);
+        }
+
+        let text = `⚠ ${parts.join(', ')}`;
+        if (summary.skippedPallets.length > 0) {
+            text += ` · ${summary.palletsLoaded} of ${summary.palletsFound} pallets loaded`;
+        }
+
+        this.headerElement.textContent = text;
+        this.headerElement.classList.toggle('has-errors', summary.errorCount > 0);
+    }
+
+    /**
+     * Render one list item per diagnostic
+     */
+    renderList(resolvePalletIndex) {
+        this.listElement.innerHTML = '';
+
+        this.diagnostics.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `diagnostics-item diagnostics-${entry.severity}`;
+
+            const location = document.createElement('div');
+            location.className = 'diagnostics-location';
+            location.textContent = this.formatLocation(entry);
+
+            const message = document.createElement('div');
+            message.className = 'diagnostics-message';
+            message.textContent = entry.message;
+
+            item.appendChild(location);
+            item.appendChild(message);
+
+            const link = this.createTargetLink(entry, resolvePalletIndex);
+            if (link) {
+                item.appendChild(link);
+            }
+
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Format "Line 12, col 5 · weight" (plan checks without a line: "Plan check · overlap")
+     */
+    formatLocation(entry) {
+        let text = entry.line !== null ? `Line ${entry.line}` : entry.source === 'validation' ? 'Plan check' : 'File';
+
+        if (entry.column !== null) {
+            text += `, col ${entry.column}`;
+        }
+        if (entry.field) {
+            text += ` · ${entry.field}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Create the link to the affected pallet and box
+     * Pallets that were skipped are shown without a link
+     */
+    createTargetLink(entry, resolvePalletIndex) {
+        if (entry.palletIndex === null) {
+            return null;
+        }
+
+        let label = `Pallet ${entry.palletIndex + 1}`;
+        if (entry.sequence !== null) {
+            label += ` › Box seq. ${entry.sequence}`;
+        } else if (entry.boxIndex !== null) {
+            label += ` › Box line ${entry.boxIndex + 1}`;
+        }
+
+        const loadedIndex = resolvePalletIndex ? resolvePalletIndex(entry.palletIndex) : -1;
+
+        if (loadedIndex === -1) {
+            const note = document.createElement('span');
+            note.className = 'diagnostics-target is-skipped';
+            note.textContent = `${label} (not loaded)`;
+            return note;
+        }
+
+        const link = document.createElement('a');
+        link.className = 'diagnostics-target';
+        link.href = '#';
+        link.textContent = label;
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (this.onNavigate) {
+                this.onNavigate({ ...entry, loadedPalletIndex: loadedIndex });
+            }
+        });
+
+        return link;
+    }
+
+    /**
+     * Toggle the diagnostics list
+     */
+    toggle() {
+        this.setExpanded(!this.isExpanded);
+    }
+
+    /**
+     * Expand or collapse the diagnostics list
+     * @param {boolean} expanded - Target state
+     */
+    setExpanded(expanded) {
+        this.isExpanded = expanded;
+        if (this.listElement) {
+            this.listElement.style.display = expanded ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Hide the panel and forget the current diagnostics
+     */
+    clear() {
+        this.diagnostics = [];
+
+        if (this.panelElement) {
+            this.panelElement.style.display = 'none';
+            this.listElement.innerHTML = '';
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.panelElement) {
+            this.panelElement.remove();
+            this.panelElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.DiagnosticsPanel = DiagnosticsPanel;
@@ -1,15 +1,24 @@
 /**
  * File Manager - Crosslog Files Management
  * Handles loading, renaming and storing data files
+ * In Electron, imported files are kept in the main process file library (see preload.js),
+ * so they survive page navigation and app restarts
  */
 
 class FileManager {
     constructor(palletApp) {
         this.palletApp = palletApp;
         
-        // In-memory file storage
+        // In-memory file storage, keyed by display name
+        // Files from the persistent library keep their libraryId and are read on first use
         this.loadedFiles = new Map();
         
+        // Persistent library exposed by the preload script (null in a plain browser)
+        this.library = (window.electronAPI && window.electronAPI.fileLibrary) || null;
+        
+        // Native open/save dialogs and File menu, also from the preload script
+        this.nativeDialogs = window.electronAPI && window.electronAPI.openPlanFile ? window.electronAPI : null;
+        
         // Default file (simulation.txt)
         this.defaultFileName = 'simulation.txt';
         this.currentFileName = this.defaultFileName;
@@ -29,6 +38,8 @@ class FileManager {
         this.createFileInput();
         this.setupDropZone();
         this.loadDefaultFile();
+        this.loadLibrary();
+        this.setupFileMenu();
         
         // Setup load button with delay to ensure it exists
         this.setupLoadButtonWithRetry();
@@ -66,7 +77,7 @@ class FileManager {
     createFileInput() {
         this.fileInput = document.createElement('input');
         this.fileInput.type = 'file';
-        this.fileInput.accept = '.txt,.dat,.crosslog';
+        this.fileInput.accept = window.planFormats.getSupportedExtensions().map(ext => `.${ext}`).join(',');
         this.fileInput.style.display = 'none';
         this.fileInput.addEventListener('change', (event) => {
             this.handleFileSelection(event.target.files);
@@ -111,9 +122,13 @@ class FileManager {
             // Remove existing listeners to avoid duplicates
             this.loadButton.removeEventListener('click', this.handleLoadButtonClick);
             
-            // Add new listener
+            // Add new listener - native dialog in Electron, file input in a browser
             this.handleLoadButtonClick = () => {
-                this.fileInput.click();
+                if (this.nativeDialogs) {
+                    this.openWithDialog();
+                } else {
+                    this.fileInput.click();
+                }
             };
             this.loadButton.addEventListener('click', this.handleLoadButtonClick);
             
@@ -192,7 +207,7 @@ class FileManager {
             indicator.innerHTML = `
                 <div class="drop-content">
                     <div class="drop-icon">📁</div>
-                    <div class="drop-text">Drag Crosslog files here</div>
+                    <div class="drop-text">Drag Crosslog, JSON or CSV files here</div>
                     <div class="drop-subtext">or click "Load New File"</div>
                 </div>
             `;
@@ -256,7 +271,8 @@ class FileManager {
         
         // Validate file type
         if (!this.isValidFileType(file)) {
-            this.showMessage('Invalid file type. Use .txt, .dat or .crosslog files', 'error');
+            const extensions = window.planFormats.getSupportedExtensions().map(ext => `.${ext}`);
+            this.showMessage(`Invalid file type. Use ${extensions.join(', ')} files`, 'error');
             return;
         }
         
@@ -264,42 +280,192 @@ class FileManager {
             // Read file content
             const content = await this.readFileContent(file);
             
-            // Generate timestamped name
-            const newFileName = this.generateTimestampedName(file.name);
-            
-            // Store file
-            this.loadedFiles.set(newFileName, {
-                content: content,
-                originalName: file.name,
-                loadedAt: new Date(),
-                size: file.size
-            });
-            
-            // Set as current file
-            this.currentFileName = newFileName;
+            await this.importFile(content, file.name, file.size);
             
-            // Show success message
-            this.showMessage(`File loaded: ${newFileName}`, 'success');
-            
-            // Reload simulation
-            await this.reloadSimulation(content);
+        } catch (error) {
+            console.error('Error loading file:', error);
+            this.showMessage('Error loading file: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Store a plan under a timestamped name and load it
+     * Shared by the file input, drag & drop and the native dialogs
+     * @param {string} content - File content
+     * @param {string} originalName - Name of the file on disk
+     * @param {number} size - Size in bytes
+     */
+    async importFile(content, originalName, size) {
+        const newFileName = this.storeFile(content, originalName, size);
+        
+        // Set as current file
+        this.currentFileName = newFileName;
+        
+        // Show success message
+        this.showMessage(`File loaded: ${newFileName}`, 'success');
+        
+        // Reload simulation
+        await this.reloadSimulation(content, newFileName);
+        this.recordPlanInfo(newFileName);
+        await this.saveToLibrary(newFileName);
+        
+        // Update interface
+        this.updateFileSelector();
+    }
+    
+    /**
+     * Keep a file in memory under a new timestamped name
+     * @param {string} content - File content
+     * @param {string} originalName - Name of the file on disk
+     * @param {number} size - Size in bytes
+     * @returns {string} Name the file is stored under
+     */
+    storeFile(content, originalName, size) {
+        // Generate timestamped name, numbered when several files arrive in the same second
+        const timestampedName = this.generateTimestampedName(originalName);
+        let newFileName = timestampedName;
+        
+        for (let copy = 2; this.loadedFiles.has(newFileName); copy++) {
+            newFileName = timestampedName.replace(/(\.[^/.]+)?$/, `_${copy}$1`);
+        }
+        
+        this.loadedFiles.set(newFileName, {
+            content: content,
+            originalName: originalName,
+            loadedAt: new Date(),
+            size: size
+        });
+        
+        return newFileName;
+    }
+    
+    /**
+     * Keep a plan that is already shown (e.g. built by a live stream) without reloading it
+     * @param {string} content - Plan file content
+     * @param {string} originalName - Name the plan is stored under in the library
+     */
+    async addLoadedPlan(content, originalName) {
+        const fileName = this.storeFile(content, originalName, content.length);
+        
+        this.currentFileName = fileName;
+        this.recordPlanInfo(fileName);
+        await this.saveToLibrary(fileName);
+        this.updateFileSelector();
+    }
+    
+    /**
+     * Handle a plan written to the watched folder
+     * With auto-open the plan is loaded and its animation started,
+     * otherwise it is only added to the library
+     * @param {Object} update - { file: { fileName, content, size, complete }, autoOpen }
+     */
+    async handleWatchedFile(update) {
+        const file = update.file;
+        
+        try {
+            if (update.autoOpen) {
+                await this.importFile(file.content, file.fileName, file.size);
+                
+                if (this.palletApp.startAnimation && this.palletApp.dataLoader.allPallets.length > 0) {
+                    this.palletApp.startAnimation();
+                }
+            } else {
+                const fileName = this.storeFile(file.content, file.fileName, file.size);
+                const result = window.planFormats.read(file.content, file.fileName);
+                
+                Object.assign(this.loadedFiles.get(fileName), {
+                    orderId: result.orderInfo.orderId,
+                    palletCount: result.pallets.length,
+                    format: result.format
+                });
+                
+                await this.saveToLibrary(fileName);
+                this.updateFileSelector();
+                this.showMessage(`New plan in watched folder: ${file.fileName}`, 'info');
+            }
             
-            // Update interface
-            this.updateFileSelector();
+            if (!file.complete) {
+                console.warn(`${file.fileName} stopped changing before all pallets were written`);
+            }
+        } catch (error) {
+            console.error('Error loading watched file:', error);
+            this.showMessage(`Error loading ${file.fileName}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Pick a plan with the native open dialog
+     */
+    async openWithDialog() {
+        try {
+            const file = await this.nativeDialogs.openPlanFile();
             
+            if (file) {
+                await this.importNativeFile(file);
+            }
+        } catch (error) {
+            console.error('Error opening file:', error);
+            this.showMessage('Error opening file: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Load a file read by the main process (open dialog, File menu or Recent Files)
+     * @param {Object} file - { filePath, fileName, content, size }
+     */
+    async importNativeFile(file) {
+        if (!this.isValidFileType({ name: file.fileName })) {
+            const extensions = window.planFormats.getSupportedExtensions().map(ext => `.${ext}`);
+            this.showMessage(`Invalid file type. Use ${extensions.join(', ')} files`, 'error');
+            return;
+        }
+        
+        try {
+            await this.importFile(file.content, file.fileName, file.size);
         } catch (error) {
             console.error('Error loading file:', error);
             this.showMessage('Error loading file: ' + error.message, 'error');
         }
     }
     
+    /**
+     * Listen to File > Open, Recent Files, Save As and the watched folder
+     */
+    setupFileMenu() {
+        if (!this.nativeDialogs) {
+            return;
+        }
+        
+        this.nativeDialogs.onPlanFileOpened(file => this.importNativeFile(file));
+        this.nativeDialogs.onWatchedPlanFile(update => this.handleWatchedFile(update));
+        this.nativeDialogs.onSavePlanRequested(() => {
+            const dataLoader = this.palletApp.dataLoader;
+            this.exportCurrentPlan((dataLoader && dataLoader.sourceFormat) || 'crosslog');
+        });
+    }
+    
+    /**
+     * Tell the main process the viewer can load files
+     * A file picked from the menu on another page is loaded now
+     */
+    async loadPendingMenuFile() {
+        if (!this.nativeDialogs) {
+            return;
+        }
+        
+        const file = await this.nativeDialogs.planFileViewerReady();
+        if (file) {
+            await this.importNativeFile(file);
+        }
+    }
+    
     /**
      * Validate if file type is accepted
      * @param {File} file - File to validate
      * @returns {boolean} True if valid
      */
     isValidFileType(file) {
-        const validExtensions = ['.txt', '.dat', '.crosslog'];
+        const validExtensions = window.planFormats.getSupportedExtensions().map(ext => `.${ext}`);
         const fileName = file.name.toLowerCase();
         
         return validExtensions.some(ext => fileName.endsWith(ext));
@@ -354,8 +520,9 @@ class FileManager {
     /**
      * Reload simulation with new file
      * @param {string} content - File content
+     * @param {string} fileName - File name, used to detect the plan format
      */
-    async reloadSimulation(content) {
+    async reloadSimulation(content, fileName) {
         if (!this.palletApp) {
             throw new Error('PalletApp is not available');
         }
@@ -372,7 +539,7 @@ class FileManager {
         
         // Load new data
         if (this.palletApp.loadDataFromString) {
-            await this.palletApp.loadDataFromString(content);
+            await this.palletApp.loadDataFromString(content, fileName);
         } else {
             // Fallback - reload page with new data
             this.palletApp.dataLoader.parseDataFile(content);
@@ -413,6 +580,83 @@ class FileManager {
         }
     }
     
+    /**
+     * Add the files stored in previous sessions to the selector
+     */
+    async loadLibrary() {
+        if (!this.library) {
+            return;
+        }
+        
+        try {
+            const entries = await this.library.list();
+            
+            entries.forEach(entry => {
+                this.loadedFiles.set(entry.name, {
+                    content: null,
+                    originalName: entry.originalName,
+                    loadedAt: new Date(entry.loadedAt),
+                    size: entry.size,
+                    libraryId: entry.id,
+                    orderId: entry.orderId,
+                    palletCount: entry.palletCount,
+                    format: entry.format
+                });
+            });
+            
+            this.updateFileSelector();
+        } catch (error) {
+            console.warn('File library not available:', error.message);
+        }
+    }
+    
+    /**
+     * Persist a loaded file in the library
+     * A failed save keeps the file usable for this session only
+     * @param {string} fileName - Name of a file in loadedFiles
+     */
+    async saveToLibrary(fileName) {
+        const fileData = this.loadedFiles.get(fileName);
+        
+        if (!this.library || !fileData || fileData.isDefault || fileData.libraryId) {
+            return;
+        }
+        
+        try {
+            const entry = await this.library.save({
+                name: fileName,
+                originalName: fileData.originalName,
+                content: fileData.content,
+                orderId: fileData.orderId,
+                palletCount: fileData.palletCount,
+                format: fileData.format
+            });
+            
+            fileData.libraryId = entry.id;
+            fileData.size = entry.size;
+        } catch (error) {
+            console.error('Error saving file to library:', error);
+            this.showMessage(`File not saved to library: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Copy order ID, pallet count and format of the loaded plan into the file entry
+     * @param {string} fileName - Name of a file in loadedFiles
+     */
+    recordPlanInfo(fileName) {
+        const fileData = this.loadedFiles.get(fileName);
+        const dataLoader = this.palletApp.dataLoader;
+        
+        if (!fileData || !dataLoader) {
+            return;
+        }
+        
+        fileData.orderId = dataLoader.orderInfo ? dataLoader.orderInfo.orderId : null;
+        fileData.palletCount = dataLoader.allPallets.length;
+        fileData.format = dataLoader.sourceFormat || null;
+    }
+    
     /**
      * Update file selector in interface
      */
@@ -447,6 +691,9 @@ class FileManager {
             <select id="file-selector">
                 <!-- Populated dynamically -->
             </select>
+            <input type="text" class="file-rename-input" style="display: none;">
+            <button type="button" class="file-action-button file-rename-button" title="Rename file">✏️</button>
+            <button type="button" class="file-action-button file-delete-button" title="Delete file">🗑️</button>
         `;
         
         const selector = selectorGroup.querySelector('#file-selector');
@@ -454,6 +701,17 @@ class FileManager {
             this.switchToFile(event.target.value);
         });
         
+        selectorGroup.querySelector('.file-rename-button').addEventListener('click', () => {
+            this.startRename(selectorGroup);
+        });
+        
+        selectorGroup.querySelector('.file-delete-button').addEventListener('click', () => {
+            const fileName = selector.value;
+            if (fileName && confirm(`Delete "${fileName}" from the file library?`)) {
+                this.removeFile(fileName);
+            }
+        });
+        
         container.appendChild(selectorGroup);
         return selector;
     }
@@ -468,15 +726,142 @@ class FileManager {
         this.loadedFiles.forEach((fileData, fileName) => {
             const option = document.createElement('option');
             option.value = fileName;
-            option.textContent = fileData.isDefault ? 
-                `${fileName} (default)` : 
-                fileName;
+            option.textContent = this.describeFile(fileName, fileData);
             option.selected = fileName === this.currentFileName;
             
             selector.appendChild(option);
         });
     }
     
+    /**
+     * Build the selector label: name, order, pallet count, size and load date
+     * @param {string} fileName - File name
+     * @param {Object} fileData - Stored file data
+     * @returns {string} Option text
+     */
+    describeFile(fileName, fileData) {
+        if (fileData.isDefault) {
+            return `${fileName} (default)`;
+        }
+        
+        const details = [];
+        
+        if (fileData.orderId !== undefined && fileData.orderId !== null) {
+            details.push(`order ${fileData.orderId}`);
+        }
+        if (fileData.palletCount !== undefined && fileData.palletCount !== null) {
+            details.push(`${fileData.palletCount} pallet${fileData.palletCount === 1 ? '' : 's'}`);
+        }
+        details.push(this.formatFileSize(fileData.size));
+        details.push(fileData.loadedAt.toLocaleString());
+        
+        return `${fileName} — ${details.join(' · ')}`;
+    }
+    
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size such as "12.4 KB"
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    /**
+     * Replace the selector with a name field to rename the selected file
+     * Enter confirms, Escape or leaving the field cancels
+     * @param {HTMLElement} selectorGroup - Selector container
+     */
+    startRename(selectorGroup) {
+        const selector = selectorGroup.querySelector('#file-selector');
+        const input = selectorGroup.querySelector('.file-rename-input');
+        const fileName = selector.value;
+        
+        if (!fileName) {
+            return;
+        }
+        
+        if (this.loadedFiles.get(fileName).isDefault) {
+            this.showMessage('Cannot rename default file', 'error');
+            return;
+        }
+        
+        const finish = async (confirmed) => {
+            input.onkeydown = null;
+            input.onblur = null;
+            input.style.display = 'none';
+            selector.style.display = '';
+            
+            if (confirmed && input.value.trim() !== fileName) {
+                await this.renameFile(fileName, input.value);
+            }
+        };
+        
+        input.value = fileName;
+        selector.style.display = 'none';
+        input.style.display = '';
+        input.focus();
+        input.select();
+        
+        input.onkeydown = (event) => {
+            if (event.key === 'Enter') {
+                finish(true);
+            } else if (event.key === 'Escape') {
+                finish(false);
+            }
+        };
+        input.onblur = () => finish(false);
+    }
+    
+    /**
+     * Rename a loaded file, in the library too when it is stored there
+     * @param {string} fileName - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<boolean>} True if renamed
+     */
+    async renameFile(fileName, newName) {
+        const fileData = this.loadedFiles.get(fileName);
+        const trimmed = newName.trim();
+        
+        if (!fileData || fileData.isDefault) {
+            this.showMessage('Cannot rename this file', 'error');
+            return false;
+        }
+        
+        if (!trimmed || this.loadedFiles.has(trimmed)) {
+            this.showMessage(trimmed ? `A file named "${trimmed}" already exists` : 'File name cannot be empty', 'error');
+            return false;
+        }
+        
+        try {
+            if (this.library && fileData.libraryId) {
+                await this.library.rename(fileData.libraryId, trimmed);
+            }
+        } catch (error) {
+            console.error('Error renaming file:', error);
+            this.showMessage('Error renaming file: ' + error.message, 'error');
+            return false;
+        }
+        
+        // Rebuild the map so the renamed file keeps its position in the selector
+        this.loadedFiles = new Map(Array.from(this.loadedFiles, ([name, data]) =>
+            [name === fileName ? trimmed : name, data]));
+        
+        if (this.currentFileName === fileName) {
+            this.currentFileName = trimmed;
+        }
+        
+        this.updateFileSelector();
+        this.showMessage(`File renamed: ${trimmed}`, 'info');
+        return true;
+    }
+    
     /**
      * Switch to specific file
      * @param {string} fileName - File name
@@ -488,10 +873,12 @@ class FileManager {
         }
         
         try {
-            this.currentFileName = fileName;
-            const fileData = this.loadedFiles.get(fileName);
+            const fileData = await this.readFile(fileName);
             
-            await this.reloadSimulation(fileData.content);
+            this.currentFileName = fileName;
+            await this.reloadSimulation(fileData.content, fileData.originalName);
+            this.recordPlanInfo(fileName);
+            this.updateFileSelector();
             this.showMessage(`Switched to: ${fileName}`, 'info');
             
         } catch (error) {
@@ -500,6 +887,25 @@ class FileManager {
         }
     }
     
+    /**
+     * Loaded file with its content; library files are only read from disk when first used
+     * @param {string} fileName - File name
+     * @returns {Promise<Object>} File data (content, originalName...)
+     */
+    async readFile(fileName) {
+        const fileData = this.loadedFiles.get(fileName);
+        if (!fileData) {
+            throw new Error(`File not found: ${fileName}`);
+        }
+        
+        if (fileData.content === null) {
+            const stored = await this.library.read(fileData.libraryId);
+            fileData.content = stored.content;
+        }
+        
+        return fileData;
+    }
+    
     /**
      * Show message to user
      * @param {string} message - Message to show
@@ -535,6 +941,7 @@ class FileManager {
         const colors = {
             success: '#22c55e',
             error: '#ef4444',
+            warning: '#f59e0b',
             info: '#3b82f6'
         };
         
@@ -555,6 +962,74 @@ class FileManager {
         }, 4000);
     }
     
+    /**
+     * Export the loaded order as a plan file
+     * Pallet totals are recomputed from the boxes, so edited or filtered plans stay consistent
+     * In Electron the native save dialog is used, otherwise the file is downloaded
+     * @param {string} formatId - 'crosslog', 'json' or 'csv'
+     * @returns {Promise<boolean>} True if a file was exported
+     */
+    async exportCurrentPlan(formatId = 'crosslog') {
+        const dataLoader = this.palletApp.dataLoader;
+        
+        if (!dataLoader || dataLoader.allPallets.length === 0) {
+            this.showMessage('No pallet plan loaded to export', 'error');
+            return false;
+        }
+        
+        try {
+            const format = window.planFormats.getFormat(formatId);
+            const content = window.planFormats.write(formatId, dataLoader.orderInfo, dataLoader.allPallets);
+            const baseName = this.currentFileName.replace(/\.[^/.]+$/, '');
+            const fileName = `${baseName}_export.${format.extensions[0]}`;
+            
+            let savedName = fileName;
+            
+            if (this.nativeDialogs) {
+                const filePath = await this.nativeDialogs.savePlanFile({
+                    defaultName: fileName,
+                    content: content,
+                    filter: { name: format.label, extensions: format.extensions }
+                });
+                
+                if (!filePath) {
+                    return false;
+                }
+                savedName = filePath;
+            } else {
+                this.downloadTextFile(content, fileName, format.mimeType);
+            }
+            
+            this.showMessage(`Exported ${dataLoader.allPallets.length} pallets to ${savedName}`, 'success');
+            return true;
+            
+        } catch (error) {
+            console.error('Error exporting Crosslog file:', error);
+            this.showMessage(`Export failed: ${error.message}`, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Save text content through a temporary download link
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - Content type of the file
+     */
+    downloadTextFile(content, fileName, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+    }
+    
     /**
      * Get current file
      * @returns {Object|null} Current file data
@@ -572,16 +1047,28 @@ class FileManager {
     }
     
     /**
-     * Remove file from memory
+     * Remove file from memory and from the persistent library
      * @param {string} fileName - File name to remove
      */
-    removeFile(fileName) {
+    async removeFile(fileName) {
         if (fileName === this.defaultFileName) {
             this.showMessage('Cannot remove default file', 'error');
             return;
         }
         
         if (this.loadedFiles.has(fileName)) {
+            const fileData = this.loadedFiles.get(fileName);
+            
+            try {
+                if (this.library && fileData.libraryId) {
+                    await this.library.remove(fileData.libraryId);
+                }
+            } catch (error) {
+                console.error('Error removing file:', error);
+                this.showMessage('Error removing file: ' + error.message, 'error');
+                return;
+            }
+            
             this.loadedFiles.delete(fileName);
             
             // If it was current file, switch to default
@@ -599,9 +1086,9 @@ class FileManager {
     }
     
     /**
-     * Clear all files except default
+     * Clear all files except default, including the persistent library
      */
-    clearAllFiles() {
+    async clearAllFiles() {
         const filesToRemove = [];
         
         this.loadedFiles.forEach((fileData, fileName) => {
@@ -610,9 +1097,14 @@ class FileManager {
             }
         });
         
-        filesToRemove.forEach(fileName => {
+        for (const fileName of filesToRemove) {
+            const fileData = this.loadedFiles.get(fileName);
+            
+            if (this.library && fileData.libraryId) {
+                await this.library.remove(fileData.libraryId);
+            }
             this.loadedFiles.delete(fileName);
-        });
+        }
         
         this.currentFileName = this.defaultFileName;
         this.updateFileSelector();
@@ -0,0 +1,278 @@
+/**
+ * Item Catalogue Manager - Dialog for editing the item catalogue
+ * Edits a copy of the entries; nothing changes until Save. Import reads a catalogue file
+ * into the dialog and Export writes the entries being edited.
+ */
+
+class ItemCatalogueManager {
+    /**
+     * @param {Object} options - catalogue (ItemCatalogue), getItemTypes() (types in the loaded order),
+     *                           getDefaultColor(itemType) (hex, for new rows),
+     *                           onSave(items) (async, applies and stores the entries),
+     *                           onImport() (async, file text or null), onExport(text) (async)
+     */
+    constructor(options = {}) {
+        this.catalogue = options.catalogue;
+        this.getItemTypes = options.getItemTypes || (() => []);
+        this.getDefaultColor = options.getDefaultColor || (() => 0x3498db);
+        this.onSave = options.onSave || (async () => {});
+        this.onImport = options.onImport || null;
+        this.onExport = options.onExport || null;
+
+        // Interface elements
+        this.overlayElement = null;
+        this.bodyElement = null;
+        this.messageElement = null;
+    }
+
+    /**
+     * Show the dialog with the current catalogue (a new catalogue starts with the loaded item types)
+     */
+    open() {
+        if (this.overlayElement) {
+            return;
+        }
+
+        this.createDialog();
+        this.renderRows(this.catalogue.list());
+        if (this.catalogue.size === 0) {
+            this.addMissingTypes();
+        }
+    }
+
+    close() {
+        if (this.overlayElement) {
+            document.removeEventListener('keydown', this.keyHandler);
+            this.overlayElement.remove();
+            this.overlayElement = null;
+        }
+    }
+
+    isOpen() {
+        return this.overlayElement !== null;
+    }
+
+    createDialog() {
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.className = 'item-catalogue-overlay';
+        this.overlayElement.addEventListener('click', (event) => {
+            if (event.target === this.overlayElement) {
+                this.close();
+            }
+        });
+
+        const dialog = document.createElement('div');
+        dialog.className = 'item-catalogue-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Item catalogue');
+        dialog.innerHTML = `
+            <div class="item-catalogue-title">Item catalogue</div>
+            <div class="item-catalogue-scroll">
+                <table class="item-catalogue-table">
+                    <thead>
+                        <tr>
+                            <th>Type</th>
+                            <th>Name</th>
+                            <th>SKU</th>
+                            <th>Color</th>
+                            <th title="Most weight allowed on the box top">Max load (kg)</th>
+                            <th>Fragile</th>
+                            <th>This side up</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="item-catalogue-message"></div>
+            <div class="item-catalogue-actions">
+                <button type="button" class="file-action-button" data-action="add">＋ Add item</button>
+                <button type="button" class="file-action-button" data-action="missing">Add loaded types</button>
+                <button type="button" class="file-action-button" data-action="import">Import…</button>
+                <button type="button" class="file-action-button" data-action="export">Export…</button>
+                <span class="item-catalogue-spacer"></span>
+                <button type="button" class="file-action-button" data-action="cancel">Cancel</button>
+                <button type="button" class="file-action-button item-catalogue-save" data-action="save">Save</button>
+            </div>
+        `;
+
+        this.bodyElement = dialog.querySelector('tbody');
+        this.messageElement = dialog.querySelector('.item-catalogue-message');
+
+        const actions = {
+            add: () => this.addRow({ itemType: '', color: '#95a5a6' }),
+            missing: () => this.addMissingTypes(true),
+            import: () => this.importFile(),
+            export: () => this.exportFile(),
+            cancel: () => this.close(),
+            save: () => this.save()
+        };
+        dialog.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+
+        // Import and export need the file dialogs of the desktop app
+        dialog.querySelector('[data-action="import"]').disabled = !this.onImport;
+        dialog.querySelector('[data-action="export"]').disabled = !this.onExport;
+
+        this.keyHandler = (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.keyHandler);
+
+        this.overlayElement.appendChild(dialog);
+        document.body.appendChild(this.overlayElement);
+    }
+
+    renderRows(items) {
+        this.bodyElement.innerHTML = '';
+        items.forEach(item => this.addRow(item));
+    }
+
+    /**
+     * @param {Object} item - Entry to edit (maxStackLoad in g)
+     */
+    addRow(item) {
+        const row = document.createElement('tr');
+        const color = item.color || ItemCatalogue.formatColor(this.getDefaultColor(item.itemType));
+        const maxLoadKg = item.maxStackLoad !== null && item.maxStackLoad !== undefined ? item.maxStackLoad / 1000 : '';
+
+        row.innerHTML = `
+            <td><input type="number" step="1" data-field="itemType"></td>
+            <td><input type="text" data-field="name"></td>
+            <td><input type="text" data-field="sku"></td>
+            <td><input type="color" data-field="color"></td>
+            <td><input type="number" min="0" step="0.1" data-field="maxStackLoad"></td>
+            <td><input type="checkbox" data-field="fragile"></td>
+            <td><input type="checkbox" data-field="thisSideUp"></td>
+            <td><button type="button" class="item-catalogue-remove" title="Remove item">✕</button></td>
+        `;
+
+        // Values are set as properties so names with quotes cannot break the markup
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        field('itemType').value = item.itemType;
+        field('name').value = item.name || '';
+        field('sku').value = item.sku || '';
+        field('color').value = color;
+        field('maxStackLoad').value = maxLoadKg;
+        field('fragile').checked = item.fragile === true;
+        field('thisSideUp').checked = item.thisSideUp === true;
+
+        row.querySelector('.item-catalogue-remove').addEventListener('click', () => row.remove());
+        this.bodyElement.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Add rows for item types of the loaded order that have no row yet
+     * @param {boolean} report - Say how many were added
+     */
+    addMissingTypes(report = false) {
+        const listed = new Set(this.readRows().items.map(item => item.itemType));
+        const missing = this.getItemTypes().filter(itemType => !listed.has(itemType)).sort((a, b) => a - b);
+
+        missing.forEach(itemType => this.addRow({ itemType }));
+        if (report) {
+            this.showMessage(missing.length > 0 ? `Added ${missing.length} item types from the loaded plan` :
+                'Every loaded item type is already listed');
+        }
+    }
+
+    /**
+     * @returns {Object} { items, problems } from the rows, checked like a catalogue file
+     */
+    readRows() {
+        const problems = [];
+        const seen = new Set();
+        const items = [];
+
+        [...this.bodyElement.querySelectorAll('tr')].forEach((row, index) => {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            const maxLoadKg = field('maxStackLoad').value;
+            const item = ItemCatalogue.normalizeItem({
+                itemType: field('itemType').value,
+                name: field('name').value,
+                sku: field('sku').value,
+                color: field('color').value,
+                maxStackLoad: maxLoadKg === '' ? null : Math.round(Number(maxLoadKg) * 1000),
+                fragile: field('fragile').checked,
+                thisSideUp: field('thisSideUp').checked
+            }, index, problems);
+
+            if (!item) {
+                return;
+            }
+            if (seen.has(item.itemType)) {
+                problems.push(`Item type ${item.itemType} is listed more than once`);
+                return;
+            }
+            seen.add(item.itemType);
+            items.push(item);
+        });
+
+        // Row numbers read better than array indexes in the dialog
+        return { items, problems: problems.map(problem => problem.replace(/^items\[(\d+)\]/, (match, index) => `Row ${Number(index) + 1}`)) };
+    }
+
+    async save() {
+        const { items, problems } = this.readRows();
+        if (problems.length > 0) {
+            this.showMessage(problems.join('\n'), true);
+            return;
+        }
+
+        try {
+            await this.onSave(items);
+            this.close();
+        } catch (error) {
+            this.showMessage(`Catalogue not saved: ${error.message}`, true);
+        }
+    }
+
+    async importFile() {
+        try {
+            const text = await this.onImport();
+            if (text === null) {
+                return;
+            }
+
+            const { catalogue, problems } = ItemCatalogue.parse(text);
+            this.renderRows(catalogue.list());
+            this.showMessage([`Imported ${catalogue.size} items - Save to use them`, ...problems].join('\n'), problems.length > 0);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+    }
+
+    async exportFile() {
+        const { items, problems } = this.readRows();
+        if (problems.length > 0) {
+            this.showMessage(problems.join('\n'), true);
+            return;
+        }
+
+        try {
+            const text = JSON.stringify(new ItemCatalogue(items).toJSON(), null, 2) + '\n';
+            const savedPath = await this.onExport(text);
+            if (savedPath) {
+                this.showMessage(`Exported to ${savedPath}`);
+            }
+        } catch (error) {
+            this.showMessage(`Export failed: ${error.message}`, true);
+        }
+    }
+
+    showMessage(text, isProblem = false) {
+        this.messageElement.textContent = text;
+        this.messageElement.classList.toggle('has-problem', isProblem);
+    }
+
+    dispose() {
+        this.close();
+    }
+}
+
+// Export for global access
+window.ItemCatalogueManager = ItemCatalogueManager;
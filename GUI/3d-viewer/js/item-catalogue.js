@@ -0,0 +1,189 @@
+/**
+ * Item Catalogue - What each numeric item type stands for
+ * Entry: { itemType, name, sku, color ('#rrggbb'), maxStackLoad (g on the box top, null when unknown),
+ *          fragile, thisSideUp }
+ *
+ * File format (see data/item-catalogue.schema.json, data/item-catalogue.json is an example):
+ *   { "format": "item-catalogue", "version": 1, "items": [ { "itemType": 36, "name": "...", ... } ] }
+ */
+
+class ItemCatalogue {
+    /**
+     * @param {Array} items - Catalogue entries (normalised with ItemCatalogue.normalizeItem)
+     */
+    constructor(items = []) {
+        this.formatName = 'item-catalogue';
+        this.version = 1;
+        this.items = new Map();
+
+        this.replace(items);
+    }
+
+    /**
+     * Read a catalogue file; entries with problems are skipped and reported
+     * @param {string} text - JSON content
+     * @returns {Object} { catalogue, problems (messages) }
+     * @throws {Error} When the file is not JSON or has no items list
+     */
+    static parse(text) {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Item catalogue is not valid JSON: ${error.message}`);
+        }
+
+        const items = Array.isArray(document) ? document : document && document.items;
+        if (!Array.isArray(items)) {
+            throw new Error('Item catalogue must have an "items" list');
+        }
+
+        const problems = [];
+        const seen = new Set();
+        const entries = [];
+        items.forEach((raw, index) => {
+            const item = ItemCatalogue.normalizeItem(raw, index, problems);
+            if (!item) {
+                return;
+            }
+            if (seen.has(item.itemType)) {
+                problems.push(`items[${index}]: item type ${item.itemType} is listed more than once, the first entry is kept`);
+                return;
+            }
+            seen.add(item.itemType);
+            entries.push(item);
+        });
+
+        return { catalogue: new ItemCatalogue(entries), problems };
+    }
+
+    /**
+     * Check one entry and fill in defaults
+     * @param {Object} raw - Entry as written in the file or the manager
+     * @param {number} index - Position, for messages
+     * @param {Array} problems - Messages are added here
+     * @returns {Object|null} Entry, or null when it cannot be used
+     */
+    static normalizeItem(raw, index, problems = []) {
+        if (!raw || typeof raw !== 'object') {
+            problems.push(`items[${index}]: entry must be an object`);
+            return null;
+        }
+
+        const itemType = Number(raw.itemType);
+        if (raw.itemType === undefined || raw.itemType === null || raw.itemType === '' || !Number.isInteger(itemType)) {
+            problems.push(`items[${index}]: itemType must be a whole number`);
+            return null;
+        }
+
+        let color = null;
+        if (raw.color) {
+            if (ItemCatalogue.parseColor(raw.color) === null) {
+                problems.push(`items[${index}]: color "${raw.color}" is not #rrggbb, the palette color is used`);
+            } else {
+                color = String(raw.color).toLowerCase();
+            }
+        }
+
+        let maxStackLoad = null;
+        if (raw.maxStackLoad !== undefined && raw.maxStackLoad !== null && raw.maxStackLoad !== '') {
+            maxStackLoad = Number(raw.maxStackLoad);
+            if (!Number.isFinite(maxStackLoad) || maxStackLoad < 0) {
+                problems.push(`items[${index}]: maxStackLoad must be a weight in grams, ignored`);
+                maxStackLoad = null;
+            }
+        }
+
+        return {
+            itemType,
+            name: raw.name ? String(raw.name).trim() : '',
+            sku: raw.sku ? String(raw.sku).trim() : '',
+            color,
+            maxStackLoad,
+            fragile: raw.fragile === true,
+            thisSideUp: raw.thisSideUp === true
+        };
+    }
+
+    /**
+     * Swap every entry, e.g. after an import or an edit in the manager
+     * Objects holding this catalogue see the new entries
+     */
+    replace(items) {
+        this.items.clear();
+        items.forEach(item => this.items.set(item.itemType, { ...item }));
+    }
+
+    get(itemType) {
+        return this.items.get(itemType) || null;
+    }
+
+    /**
+     * @returns {Array} Entries sorted by item type
+     */
+    list() {
+        return [...this.items.values()].sort((a, b) => a.itemType - b.itemType);
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * @returns {number|null} Hex color, null when the catalogue has none for the type
+     */
+    getColor(itemType) {
+        const item = this.get(itemType);
+        return item && item.color ? ItemCatalogue.parseColor(item.color) : null;
+    }
+
+    /**
+     * Display name, falling back to the item type number
+     */
+    getLabel(itemType) {
+        const item = this.get(itemType);
+        return item && item.name ? item.name : `Item ${itemType}`;
+    }
+
+    /**
+     * Stack load limits for StackingLoadAnalyzer
+     * @returns {Object} { itemType: g } for entries with a limit
+     */
+    getCrushLimits() {
+        const limits = {};
+        this.items.forEach(item => {
+            if (item.maxStackLoad !== null) {
+                limits[item.itemType] = item.maxStackLoad;
+            }
+        });
+        return limits;
+    }
+
+    toJSON() {
+        return {
+            format: this.formatName,
+            version: this.version,
+            items: this.list().map(item => ({ ...item }))
+        };
+    }
+
+    /**
+     * @param {string} value - '#rrggbb'
+     * @returns {number|null} Hex color
+     */
+    static parseColor(value) {
+        const match = /^#([0-9a-f]{6})$/i.exec(String(value).trim());
+        return match ? parseInt(match[1], 16) : null;
+    }
+
+    /**
+     * @param {number} color - Hex color
+     * @returns {string} '#rrggbb'
+     */
+    static formatColor(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+}
+
+// Export for global access
+window.ItemCatalogue = ItemCatalogue;
@@ -0,0 +1,122 @@
+/**
+ * Job Progress Panel - Progress of an optimisation job over the 3D viewer
+ * Shown while the viewer waits for the plan requested on the box selection page
+ */
+
+class JobProgressPanel {
+    /**
+     * @param {string} containerId - ID of the 3D viewer container
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Interface elements
+        this.panelElement = null;
+        this.titleElement = null;
+        this.barElement = null;
+        this.messageElement = null;
+        this.closeButton = null;
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel structure (hidden until a job is followed)
+     */
+    createPanel() {
+        if (!this.container) {
+            console.warn('Job progress panel container not found');
+            return;
+        }
+
+        this.panelElement = document.createElement('div');
+        this.panelElement.className = 'job-progress-panel';
+        this.panelElement.style.display = 'none';
+
+        this.titleElement = document.createElement('div');
+        this.titleElement.className = 'job-progress-title';
+
+        const track = document.createElement('div');
+        track.className = 'job-progress-track';
+        this.barElement = document.createElement('div');
+        this.barElement.className = 'job-progress-bar';
+        track.appendChild(this.barElement);
+
+        this.messageElement = document.createElement('div');
+        this.messageElement.className = 'job-progress-message';
+
+        this.closeButton = document.createElement('button');
+        this.closeButton.className = 'job-progress-close';
+        this.closeButton.textContent = '✕';
+        this.closeButton.title = 'Close';
+        this.closeButton.style.display = 'none';
+        this.closeButton.addEventListener('click', () => this.hide());
+
+        this.panelElement.appendChild(this.closeButton);
+        this.panelElement.appendChild(this.titleElement);
+        this.panelElement.appendChild(track);
+        this.panelElement.appendChild(this.messageElement);
+        this.container.appendChild(this.panelElement);
+    }
+
+    /**
+     * Start showing a job
+     * @param {string} jobId - Job ID
+     */
+    show(jobId) {
+        if (!this.panelElement) {
+            return;
+        }
+
+        this.panelElement.classList.remove('is-failed');
+        this.panelElement.style.display = 'block';
+        this.closeButton.style.display = 'none';
+        this.titleElement.textContent = `Optimisation job ${jobId.slice(0, 8)}`;
+        this.update({ status: 'queued', progress: 0, message: 'Waiting for the backend...' });
+    }
+
+    /**
+     * Show the latest job state
+     * @param {Object} job - { status, progress (0-1), message }
+     */
+    update(job) {
+        if (!this.panelElement) {
+            return;
+        }
+
+        const percent = Math.round((job.progress || 0) * 100);
+        this.barElement.style.width = `${percent}%`;
+        this.messageElement.textContent = `${job.status} · ${percent}%${job.message ? ` · ${job.message}` : ''}`;
+    }
+
+    /**
+     * Keep the panel open with an error until the user closes it
+     * @param {string} message - Error description
+     */
+    showError(message) {
+        if (!this.panelElement) {
+            return;
+        }
+
+        this.panelElement.classList.add('is-failed');
+        this.panelElement.style.display = 'block';
+        this.closeButton.style.display = 'block';
+        this.messageElement.textContent = message;
+    }
+
+    hide() {
+        if (this.panelElement) {
+            this.panelElement.style.display = 'none';
+        }
+    }
+
+    dispose() {
+        if (this.panelElement) {
+            this.panelElement.remove();
+            this.panelElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.JobProgressPanel = JobProgressPanel;
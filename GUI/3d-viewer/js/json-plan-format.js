@@ -0,0 +1,258 @@
+/**
+ * JSON Plan Format - Load plans exchanged with the WMS
+ *
+ * Schema (see data/pallet-plan.schema.json), units as in Crosslog (mm, grams):
+ * {
+ *   "format": "pallet-plan", "version": 1,
+ *   "order": { "orderId": 1 },
+ *   "pallets": [{
+ *     "palletId": 0,
+ *     "dimensions": { "x": 1200, "y": 800, "z": 1500 },
+ *     "weight": 25000,                        // pallet tare
+ *     "totalLoad": 635190,                    // optional, sum of box weights
+ *     "volumeMetrics": { ... },               // optional, recomputed when absent
+ *     "boxes": [{
+ *       "sequence": 0, "itemType": 98, "weight": 500,
+ *       "coordinates": { "xmin": 0, "ymin": 0, "zmin": 0, "xmax": 368, "ymax": 124, "zmax": 126 },
+ *       "k": 0, "irregular": 0                // optional, default 0
+ *     }]
+ *   }]
+ * }
+ */
+
+class JsonPlanFormat {
+    constructor() {
+        this.formatName = 'pallet-plan';
+        this.version = 1;
+        this.coordinateFields = ['xmin', 'ymin', 'zmin', 'xmax', 'ymax', 'zmax'];
+    }
+
+    /**
+     * Parse a JSON plan into the internal pallet model (raw boxes in mm)
+     * @param {string} content - JSON text
+     * @returns {Object} Result shaped like CrosslogStreamParser.getResult()
+     */
+    parse(content) {
+        const report = new PlanImportReport();
+        let document;
+
+        try {
+            document = JSON.parse(content);
+        } catch (error) {
+            report.addError(`Invalid JSON: ${error.message}`, this.locateSyntaxError(content, error));
+            return report.getResult({ orderId: undefined, palletQuantity: undefined }, []);
+        }
+
+        if (!document || typeof document !== 'object' || !Array.isArray(document.pallets)) {
+            report.addError('Expected an object with a "pallets" array', { field: 'pallets' });
+            return report.getResult({ orderId: undefined, palletQuantity: undefined }, []);
+        }
+
+        if (document.format !== undefined && document.format !== this.formatName) {
+            report.addWarning(`Unknown format "${document.format}", reading it as ${this.formatName}`, { field: 'format' });
+        }
+
+        const order = document.order || {};
+        if (typeof order.orderId !== 'number') {
+            report.addError('Missing numeric order.orderId', { field: 'order.orderId' });
+        }
+
+        report.palletsFound = document.pallets.length;
+
+        const pallets = [];
+        document.pallets.forEach((source, index) => {
+            const pallet = this.parsePallet(source, index, report);
+
+            if (report.countPalletErrors(index) > 0) {
+                report.skippedPallets.push(index);
+            } else {
+                pallets.push(pallet);
+            }
+        });
+
+        if (document.pallets.length === 0) {
+            report.addError('No pallets found', { field: 'pallets' });
+        }
+
+        return report.getResult({ orderId: order.orderId, palletQuantity: document.pallets.length }, pallets);
+    }
+
+    /**
+     * Parse one pallet object
+     */
+    parsePallet(source, index, report) {
+        const path = `pallets[${index}]`;
+        const context = { palletIndex: index };
+        const pallet = { id: index, metadata: {}, boxes: [] };
+
+        if (!source || typeof source !== 'object') {
+            report.addError('Pallet must be an object', { ...context, field: path });
+            return pallet;
+        }
+
+        const dimensions = source.dimensions || {};
+        ['x', 'y', 'z'].forEach(axis => {
+            if (!this.isPositiveNumber(dimensions[axis])) {
+                report.addError(`Pallet dimension ${axis} must be a positive number`, { ...context, field: `${path}.dimensions.${axis}` });
+            }
+        });
+
+        if (typeof source.weight !== 'number') {
+            report.addError('Pallet weight must be a number', { ...context, field: `${path}.weight` });
+        }
+
+        pallet.metadata = {
+            palletId: typeof source.palletId === 'number' ? source.palletId : index,
+            dimensions: { x: dimensions.x, y: dimensions.y, z: dimensions.z },
+            weight: source.weight,
+            totalLoad: source.totalLoad,
+            volumeMetrics: source.volumeMetrics
+        };
+
+        if (!Array.isArray(source.boxes)) {
+            report.addError('Pallet must have a "boxes" array', { ...context, field: `${path}.boxes` });
+            return pallet;
+        }
+
+        const sequences = new Set();
+        source.boxes.forEach((box, boxIndex) => {
+            const rawBox = this.parseBox(box, `${path}.boxes[${boxIndex}]`, { ...context, boxIndex }, report);
+            const locate = field => ({ field: `${path}.boxes[${boxIndex}].${this.getFieldPath(field)}` });
+
+            if (rawBox && report.checkBox(rawBox, sequences, locate, { ...context, boxIndex }, pallet.metadata.dimensions)) {
+                pallet.boxes.push(rawBox);
+            }
+        });
+
+        if (report.countPalletErrors(index) === 0) {
+            report.completeMetadata(pallet.metadata, pallet.boxes);
+        }
+
+        return pallet;
+    }
+
+    /**
+     * Parse one box object, reporting every missing or non-numeric field
+     * @returns {Object|null} Raw box or null if unusable
+     */
+    parseBox(box, path, context, report) {
+        if (!box || typeof box !== 'object') {
+            report.addError('Box must be an object', { ...context, field: path });
+            return null;
+        }
+
+        const coordinates = box.coordinates || {};
+        let isValid = true;
+
+        const requireNumber = (value, field) => {
+            if (typeof value !== 'number' || !isFinite(value)) {
+                report.addError(`Field ${field} is missing or not a number`, { ...context, field: `${path}.${field}` });
+                isValid = false;
+            }
+        };
+
+        this.coordinateFields.forEach(field => requireNumber(coordinates[field], `coordinates.${field}`));
+        requireNumber(box.sequence, 'sequence');
+        requireNumber(box.itemType, 'itemType');
+        requireNumber(box.weight, 'weight');
+
+        if (!isValid) {
+            return null;
+        }
+
+        return {
+            coordinates: {
+                xmin: coordinates.xmin, ymin: coordinates.ymin, zmin: coordinates.zmin,
+                xmax: coordinates.xmax, ymax: coordinates.ymax, zmax: coordinates.zmax
+            },
+            sequence: box.sequence,
+            itemType: box.itemType,
+            weight: box.weight,
+            k: typeof box.k === 'number' ? box.k : 0,
+            irregular: typeof box.irregular === 'number' ? box.irregular : 0
+        };
+    }
+
+    /**
+     * Serialize the internal model as a JSON plan
+     * Totals are recomputed from the boxes, like the Crosslog writer does
+     * @param {Object} orderInfo - Order info ({ orderId })
+     * @param {Array} pallets - Pallets as stored by PalletDataLoader
+     * @returns {string} JSON text
+     */
+    write(orderInfo, pallets) {
+        const totals = new CrosslogWriter();
+
+        const document = {
+            format: this.formatName,
+            version: this.version,
+            order: { orderId: orderInfo.orderId },
+            pallets: pallets.map(pallet => ({
+                palletId: pallet.metadata.palletId,
+                dimensions: { ...pallet.metadata.dimensions },
+                weight: pallet.metadata.weight,
+                totalLoad: totals.calculateTotalLoad(pallet.boxes),
+                volumeMetrics: {
+                    totalVolume: totals.calculateTotalVolume(pallet.metadata.dimensions),
+                    occupiedVolume: totals.calculateOccupiedVolume(pallet.boxes),
+                    efficiency1: pallet.metadata.volumeMetrics ? pallet.metadata.volumeMetrics.efficiency1 : 0,
+                    efficiency2: pallet.metadata.volumeMetrics ? pallet.metadata.volumeMetrics.efficiency2 : 0
+                },
+                boxes: pallet.boxes.map(box => ({
+                    sequence: box.sequence,
+                    itemType: box.itemType,
+                    weight: box.weight,
+                    coordinates: { ...box.coordinates },
+                    k: box.k,
+                    irregular: box.irregular
+                })),
+                // Plan checks found by PlanValidator (not read back on import)
+                ...(pallet.validation ? {
+                    issues: pallet.validation.map(issue => ({
+                        check: issue.field,
+                        severity: issue.severity,
+                        message: issue.message,
+                        sequences: [...issue.sequences]
+                    }))
+                } : {})
+            }))
+        };
+
+        return JSON.stringify(document, null, 2) + '\n';
+    }
+
+    /**
+     * Turn the character offset of a JSON.parse error into line and column
+     */
+    locateSyntaxError(content, error) {
+        const match = /position (\d+)/.exec(error.message);
+        if (!match) {
+            return {};
+        }
+
+        const before = content.slice(0, parseInt(match[1]));
+        const lines = before.split('\n');
+
+        return {
+            line: lines.length,
+            column: lines[lines.length - 1].length + 1
+        };
+    }
+
+    /**
+     * Map a Crosslog field name to its path inside a JSON box
+     */
+    getFieldPath(field) {
+        if (this.coordinateFields.includes(field)) {
+            return `coordinates.${field}`;
+        }
+        return field === 'item_type' ? 'itemType' : field;
+    }
+
+    isPositiveNumber(value) {
+        return typeof value === 'number' && isFinite(value) && value > 0;
+    }
+}
+
+// Export for global access
+window.JsonPlanFormat = JsonPlanFormat;
@@ -0,0 +1,337 @@
+/**
+ * Layer Analysis - Layers of a pallet and what each one adds
+ * LayerSegmenter groups boxes into layers from their Crosslog zmin/zmax (mm) and reports each
+ * layer's footprint coverage, height, weight (g) and how far it moves the pallet's centre of mass;
+ * LayerChart draws those figures as bars in the metrics area and picks the layer to isolate
+ *
+ * Mixed heights: a layer is as high as the boxes covering most of its base (by footprint,
+ * the lower height on a tie), so a box resting on a taller neighbour still belongs
+ * to the layer above, and short boxes stacked to make up the layer height stay in it
+ */
+
+class LayerSegmenter {
+    /**
+     * @param {Object} options - tolerance (mm, bases this close count as the same level)
+     */
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 10;
+    }
+
+    /**
+     * @param {Array} boxes - Box models of one pallet (any order)
+     * @returns {Array} Layers from the bottom up, each an array of boxes in sequence order
+     */
+    segment(boxes) {
+        const bottomUp = [...boxes].sort((a, b) =>
+            a.coordinates.zmin - b.coordinates.zmin || a.sequence - b.sequence);
+        const layers = [];
+        let current = null;
+
+        bottomUp.forEach(box => {
+            const c = box.coordinates;
+
+            if (current && c.zmin < current.base + current.height - this.tolerance) {
+                current.boxes.push(box);
+                // Boxes standing on the layer base decide where the layer ends
+                if (c.zmin <= current.base + this.tolerance) {
+                    this.addFoundation(current, box);
+                }
+                return;
+            }
+
+            current = { base: c.zmin, height: 0, areaByHeight: new Map(), boxes: [box] };
+            this.addFoundation(current, box);
+            layers.push(current);
+        });
+
+        return layers.map(layer => layer.boxes.sort((a, b) => a.sequence - b.sequence));
+    }
+
+    /**
+     * Count a box standing on the layer base towards the layer height
+     */
+    addFoundation(layer, box) {
+        const c = box.coordinates;
+        const height = c.zmax - c.zmin;
+        const area = (c.xmax - c.xmin) * (c.ymax - c.ymin);
+        layer.areaByHeight.set(height, (layer.areaByHeight.get(height) || 0) + area);
+
+        layer.height = [...layer.areaByHeight.entries()]
+            .reduce((best, entry) => entry[1] > best[1] || (entry[1] === best[1] && entry[0] < best[0]) ? entry : best)[0];
+    }
+
+    /**
+     * @param {Array} boxes - Box models of one pallet
+     * @returns {Map} box model → 1-based layer number
+     */
+    getLayerNumbers(boxes) {
+        const numbers = new Map();
+        this.segment(boxes).forEach((layer, index) => layer.forEach(box => numbers.set(box, index + 1)));
+        return numbers;
+    }
+
+    /**
+     * Figures for each layer; the centre of mass shift is how far the layer moves the combined
+     * centre of mass of everything up to it (the first layer is measured from the pallet centre)
+     * @param {Array} boxes - Box models of one pallet
+     * @param {Object} palletDimensions - Pallet header dimensions in mm ({ x, y, z }), or null
+     * @returns {Object} { layers: [{ number, boxes, sequences, base, top, height, footprint (mm²),
+     *                     coverage (0-1, null without pallet dimensions), weight, centerOfMass { x, y },
+     *                     cumulativeCenterOfMass { x, y }, comShift { x, y, distance }, offset }],
+     *                     layerOf (Map box → number), palletCenter { x, y } }
+     */
+    analyse(boxes, palletDimensions = null) {
+        const palletArea = palletDimensions ? palletDimensions.x * palletDimensions.y : 0;
+        const palletCenter = palletDimensions ?
+            { x: palletDimensions.x / 2, y: palletDimensions.y / 2 } : LayerSegmenter.getFootprintCenter(boxes);
+
+        const segments = this.segment(boxes);
+        const layerOf = new Map();
+        const totals = { weight: 0, x: 0, y: 0 };
+        let previous = palletCenter;
+
+        const layers = segments.map((layerBoxes, index) => {
+            layerBoxes.forEach(box => layerOf.set(box, index + 1));
+
+            const base = Math.min(...layerBoxes.map(box => box.coordinates.zmin));
+            const top = Math.max(...layerBoxes.map(box => box.coordinates.zmax));
+            const weight = layerBoxes.reduce((sum, box) => sum + (box.weight || 0), 0);
+            const footprint = LayerSegmenter.getFootprintArea(layerBoxes);
+            const centerOfMass = LayerSegmenter.getCenterOfMass(layerBoxes);
+
+            totals.weight += weight;
+            totals.x += centerOfMass.x * weight;
+            totals.y += centerOfMass.y * weight;
+            // Weightless boxes: the stack's centre stays where the layers below put it
+            const cumulative = totals.weight > 0 ?
+                { x: totals.x / totals.weight, y: totals.y / totals.weight } : previous;
+            const shift = { x: cumulative.x - previous.x, y: cumulative.y - previous.y };
+            previous = cumulative;
+
+            return {
+                number: index + 1,
+                boxes: layerBoxes,
+                sequences: layerBoxes.map(box => box.sequence),
+                base,
+                top,
+                height: top - base,
+                footprint,
+                coverage: palletArea > 0 ? footprint / palletArea : null,
+                weight,
+                centerOfMass,
+                cumulativeCenterOfMass: cumulative,
+                comShift: { ...shift, distance: Math.hypot(shift.x, shift.y) },
+                offset: Math.hypot(cumulative.x - palletCenter.x, cumulative.y - palletCenter.y)
+            };
+        });
+
+        return { layers, layerOf, palletCenter };
+    }
+
+    /**
+     * Weighted centre of the boxes' footprints (unweighted when they weigh nothing)
+     * @returns {Object} { x, y } in mm
+     */
+    static getCenterOfMass(boxes) {
+        const weight = boxes.reduce((sum, box) => sum + (box.weight || 0), 0);
+        const weightOf = box => weight > 0 ? (box.weight || 0) : 1;
+        const total = weight > 0 ? weight : boxes.length;
+
+        return boxes.reduce((center, box) => {
+            const c = box.coordinates;
+            return {
+                x: center.x + (c.xmin + c.xmax) / 2 * weightOf(box) / total,
+                y: center.y + (c.ymin + c.ymax) / 2 * weightOf(box) / total
+            };
+        }, { x: 0, y: 0 });
+    }
+
+    static getFootprintCenter(boxes) {
+        if (boxes.length === 0) {
+            return { x: 0, y: 0 };
+        }
+        const xs = boxes.flatMap(box => [box.coordinates.xmin, box.coordinates.xmax]);
+        const ys = boxes.flatMap(box => [box.coordinates.ymin, box.coordinates.ymax]);
+        return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+    }
+
+    /**
+     * Area covered by the boxes seen from above (mm²); boxes stacked inside a layer count once
+     */
+    static getFootprintArea(boxes) {
+        const xs = [...new Set(boxes.flatMap(box => [box.coordinates.xmin, box.coordinates.xmax]))].sort((a, b) => a - b);
+        const ys = [...new Set(boxes.flatMap(box => [box.coordinates.ymin, box.coordinates.ymax]))].sort((a, b) => a - b);
+        let area = 0;
+
+        // Split the footprint into a grid at every box edge and add up the covered cells
+        for (let i = 0; i < xs.length - 1; i++) {
+            for (let j = 0; j < ys.length - 1; j++) {
+                const x = (xs[i] + xs[i + 1]) / 2;
+                const y = (ys[j] + ys[j + 1]) / 2;
+                const covered = boxes.some(box => {
+                    const c = box.coordinates;
+                    return x > c.xmin && x < c.xmax && y > c.ymin && y < c.ymax;
+                });
+                if (covered) {
+                    area += (xs[i + 1] - xs[i]) * (ys[j + 1] - ys[j]);
+                }
+            }
+        }
+
+        return area;
+    }
+}
+
+class LayerChart {
+    /**
+     * @param {string} containerId - ID of the element the chart is drawn in
+     * @param {Object} options - onIsolate(layerNumber) when a bar is clicked (null shows every layer),
+     *                           metric (figure shown first)
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.onIsolate = options.onIsolate || (() => {});
+
+        this.metrics = {
+            coverage: { label: 'Coverage', getValue: layer => layer.coverage ?? 0, format: value => `${Math.round(value * 100)}%` },
+            height: { label: 'Height', getValue: layer => layer.height, format: value => `${Math.round(value)} mm` },
+            weight: { label: 'Weight', getValue: layer => layer.weight, format: value => `${(value / 1000).toFixed(1)} kg` },
+            comShift: { label: 'CoM shift', getValue: layer => layer.comShift.distance, format: value => `${Math.round(value)} mm` }
+        };
+        this.metric = options.metric in this.metrics ? options.metric : 'coverage';
+        this.layers = [];
+        this.isolatedLayer = null;
+
+        // Interface elements
+        this.selectElement = null;
+        this.showAllButton = null;
+        this.barsElement = null;
+
+        this.createChart();
+    }
+
+    createChart() {
+        if (!this.container) {
+            console.warn('Layer chart container not found');
+            return;
+        }
+
+        const header = document.createElement('div');
+        header.className = 'layer-chart-header';
+
+        this.selectElement = document.createElement('select');
+        this.selectElement.className = 'layer-chart-metric';
+        this.selectElement.title = 'Figure shown for each layer';
+        Object.entries(this.metrics).forEach(([value, metric]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = metric.label;
+            this.selectElement.appendChild(option);
+        });
+        this.selectElement.value = this.metric;
+        this.selectElement.addEventListener('change', () => this.setMetric(this.selectElement.value));
+
+        this.showAllButton = document.createElement('button');
+        this.showAllButton.type = 'button';
+        this.showAllButton.className = 'file-action-button layer-chart-show-all';
+        this.showAllButton.textContent = 'All layers';
+        this.showAllButton.title = 'Show every layer in the 3D view';
+        this.showAllButton.addEventListener('click', () => this.onIsolate(null));
+
+        this.barsElement = document.createElement('div');
+        this.barsElement.className = 'layer-chart-bars';
+
+        header.appendChild(this.selectElement);
+        header.appendChild(this.showAllButton);
+        this.container.appendChild(header);
+        this.container.appendChild(this.barsElement);
+
+        this.render();
+    }
+
+    /**
+     * @param {Array} layers - LayerSegmenter.analyse() layers
+     */
+    show(layers) {
+        this.layers = layers;
+        this.render();
+    }
+
+    setMetric(metric) {
+        this.metric = metric;
+        localStorage.setItem('layerChartMetric', metric);
+        this.render();
+    }
+
+    /**
+     * @param {number|null} layerNumber - Layer shown on its own, or null
+     */
+    setIsolatedLayer(layerNumber) {
+        this.isolatedLayer = layerNumber;
+        this.render();
+    }
+
+    render() {
+        if (!this.barsElement) {
+            return;
+        }
+
+        this.showAllButton.disabled = this.isolatedLayer === null;
+        this.barsElement.innerHTML = '';
+
+        if (this.layers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'layer-chart-empty';
+            empty.textContent = 'No layers yet';
+            this.barsElement.appendChild(empty);
+            return;
+        }
+
+        const metric = this.metrics[this.metric];
+        // Coverage is a share of the pallet, the other figures are compared with the largest layer
+        const scale = this.metric === 'coverage' ? 1 :
+            Math.max(...this.layers.map(layer => metric.getValue(layer)), 0) || 1;
+
+        // Top layer first, like the stack itself
+        [...this.layers].reverse().forEach(layer => {
+            const value = metric.getValue(layer);
+            const row = document.createElement('div');
+            row.className = 'layer-chart-row';
+            row.classList.toggle('is-isolated', layer.number === this.isolatedLayer);
+            row.title = `Layer ${layer.number}: ${layer.boxes.length} boxes, ${Math.round(layer.base)}–${Math.round(layer.top)} mm - ` +
+                (layer.number === this.isolatedLayer ? 'click to show every layer' : 'click to show this layer on its own');
+            row.addEventListener('click', () => this.onIsolate(layer.number === this.isolatedLayer ? null : layer.number));
+
+            const label = document.createElement('span');
+            label.className = 'layer-chart-label';
+            label.textContent = `L${layer.number}`;
+
+            const track = document.createElement('span');
+            track.className = 'layer-chart-track';
+            const bar = document.createElement('span');
+            bar.className = 'layer-chart-bar';
+            bar.style.width = `${Math.min(100, value / scale * 100)}%`;
+            track.appendChild(bar);
+
+            const text = document.createElement('span');
+            text.className = 'layer-chart-value';
+            text.textContent = metric.format(value);
+
+            row.appendChild(label);
+            row.appendChild(track);
+            row.appendChild(text);
+            this.barsElement.appendChild(row);
+        });
+    }
+
+    dispose() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.barsElement = null;
+    }
+}
+
+// Export for global access
+window.LayerSegmenter = LayerSegmenter;
+window.LayerChart = LayerChart;
@@ -0,0 +1,251 @@
+/**
+ * Load Report - Printable sheet for each pallet, for the warehouse floor
+ * LoadReport gathers a pallet's figures (PalletMetrics) and its layers (LayerSegmenter) and lays
+ * them out as a self-contained HTML page: order details, isometric and top-down renders
+ * (PalletThumbnailRenderer), the weight heatmap, the metrics and the build list layer by layer
+ *
+ * In Electron the main process prints the page to PDF (webContents.printToPDF);
+ * in a browser the page goes to the print dialog, which can save it as PDF too
+ */
+
+class LoadReport {
+    /**
+     * @param {Object} options - palletMetrics (PalletMetrics), layerSegmenter (LayerSegmenter),
+     *                           itemCatalogue (ItemCatalogue, for item names), heatmapColors
+     *                           (colorConfig of WeightDistributionCalculator, so the heatmap matches the panel)
+     */
+    constructor(options = {}) {
+        this.palletMetrics = options.palletMetrics || new PalletMetrics();
+        this.layerSegmenter = options.layerSegmenter || new LayerSegmenter();
+        this.itemCatalogue = options.itemCatalogue || null;
+        this.heatmapColors = options.heatmapColors || {
+            colors: { veryLow: '#2E7D32', low: '#66BB6A', medium: '#FDD835', high: '#FF8F00', veryHigh: '#D32F2F', empty: '#F5F5F5' },
+            thresholds: { veryLow: 0.20, low: 0.40, medium: 0.60, high: 0.80, veryHigh: 1.00 }
+        };
+    }
+
+    /**
+     * Figures and build list of one pallet
+     * @param {Object} pallet - Pallet as stored by PalletDataLoader
+     * @param {number} index - Pallet index in the loader (used when the pallet has no file position)
+     * @returns {Object} { number (position in the file, from 1), palletId, dimensions,
+     *                     metrics (PalletMetrics.calculate), layers: [{ number, base, top, weight, boxes }],
+     *                     errorCount, warningCount (plan checks) }
+     */
+    describePallet(pallet, index) {
+        const dimensions = pallet.metadata.dimensions;
+        const boxes = [...pallet.boxes].sort((a, b) => a.sequence - b.sequence);
+        const issues = pallet.validation || [];
+
+        return {
+            number: (pallet.id ?? index) + 1,
+            palletId: pallet.metadata.palletId ?? null,
+            dimensions,
+            metrics: this.palletMetrics.calculate(boxes, dimensions),
+            layers: this.layerSegmenter.analyse(boxes, dimensions).layers.map(layer => ({
+                number: layer.number,
+                base: layer.base,
+                top: layer.top,
+                weight: layer.weight,
+                boxes: layer.boxes
+            })),
+            errorCount: issues.filter(issue => issue.severity === 'error').length,
+            warningCount: issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+
+    /**
+     * The printable page, one sheet per pallet
+     * @param {Object} report - orderInfo, fileName, palletCount (pallets in the order), generatedAt (Date),
+     *                          sheets: [{ pallet (describePallet result), images { isometric, top } (data URLs) }]
+     * @returns {string} HTML document with its own styles
+     */
+    buildDocument(report) {
+        const title = `Load report · ${report.fileName || 'pallet plan'}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${LoadReport.escapeHtml(title)}</title>
+<style>${LoadReport.getStyles()}</style>
+</head>
+<body>
+${report.sheets.map(sheet => this.renderSheet(sheet, report)).join('\n')}
+</body>
+</html>
+`;
+    }
+
+    renderSheet(sheet, report) {
+        const pallet = sheet.pallet;
+        const images = sheet.images || {};
+        const escape = LoadReport.escapeHtml;
+        const details = [
+            ['Order', report.orderInfo && report.orderInfo.orderId !== undefined ? report.orderInfo.orderId : '–'],
+            ['Plan file', report.fileName || '–'],
+            ['Pallet', `${pallet.number} of ${report.palletCount}`],
+            ['Pallet ID', pallet.palletId ?? '–'],
+            ['Pallet size', `${pallet.dimensions.x} × ${pallet.dimensions.y} mm, up to ${pallet.dimensions.z} mm high`],
+            ['Printed', (report.generatedAt || new Date()).toLocaleString()]
+        ];
+
+        return `<section class="sheet">
+<header>
+<h1>Pallet ${escape(pallet.number)}</h1>
+<dl class="details">${details.map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('')}</dl>
+</header>
+<div class="views">
+${['isometric', 'top'].map(view => `<figure>${images[view] ? `<img src="${escape(images[view])}" alt="">` : '<div class="missing">No image</div>'}
+<figcaption>${view === 'top' ? 'Top-down' : 'Isometric'}</figcaption></figure>`).join('\n')}
+</div>
+<div class="summary">
+${this.renderFigures(pallet)}
+${this.renderHeatmap(pallet)}
+</div>
+${this.renderBuildList(pallet)}
+</section>`;
+    }
+
+    renderFigures(pallet) {
+        const metrics = pallet.metrics;
+        const format = LoadReport.formatNumber;
+        const centerOfMass = metrics.centerOfMass;
+        const hasBoxes = metrics.boxCount > 0;
+        const figures = [
+            ['Boxes', `${metrics.boxCount} in ${pallet.layers.length} layers`],
+            ['Total weight', `${format(metrics.totalWeightKg, 1)} kg`],
+            ['Stack height', `${format(metrics.heightMm, 0)} mm`],
+            ['Volume efficiency', `${format(metrics.volume.efficiency, 1)}%`],
+            ['Load stability index', hasBoxes ? `${format(metrics.lsi.value, 0)} (${metrics.lsi.stabilityRating})` : '–'],
+            ['Centre of mass deviation', hasBoxes ? `${format(centerOfMass.deviationCm, 1)} cm (${centerOfMass.stabilityRating})` : '–'],
+            ['Centre of mass', hasBoxes ? `${format(centerOfMass.x / 10, 1)} cm along, ${format(centerOfMass.z / 10, 1)} cm across, ` +
+                `${format(centerOfMass.y / 10, 1)} cm high` : '–'],
+            ['Plan checks', `${pallet.errorCount} errors, ${pallet.warningCount} warnings`]
+        ];
+
+        return `<table class="figures"><tbody>${figures.map(([label, value]) =>
+            `<tr><th>${LoadReport.escapeHtml(label)}</th><td>${LoadReport.escapeHtml(value)}</td></tr>`).join('')}</tbody></table>`;
+    }
+
+    /**
+     * Weight on each cell of the pallet base, back of the pallet at the top (as in the top-down view),
+     * with the centre of mass marked
+     */
+    renderHeatmap(pallet) {
+        const distribution = pallet.metrics.weightDistribution;
+        const centerOfMass = pallet.metrics.centerOfMass;
+        const cells = Array.from(distribution.cells, weight =>
+            `<i style="background:${this.getHeatmapColor(weight, distribution.maxCellWeight)}"></i>`).join('');
+        const marker = centerOfMass.boxCount > 0 ?
+            `<b class="marker" style="left:${LoadReport.formatNumber(50 + centerOfMass.x / pallet.dimensions.x * 100, 2)}%;` +
+            `top:${LoadReport.formatNumber(50 + centerOfMass.z / pallet.dimensions.y * 100, 2)}%"></b>` : '';
+
+        return `<figure class="heatmap">
+<div class="heatmap-grid" style="grid-template-columns:repeat(${distribution.cols}, 1fr);grid-template-rows:repeat(${distribution.rows}, 1fr);aspect-ratio:${pallet.dimensions.x} / ${pallet.dimensions.y}">${cells}${marker}</div>
+<figcaption>Weight on the pallet base · heaviest cell ${LoadReport.formatNumber(distribution.maxCellWeight, 1)} kg · ● centre of mass</figcaption>
+</figure>`;
+    }
+
+    renderBuildList(pallet) {
+        const escape = LoadReport.escapeHtml;
+        const format = LoadReport.formatNumber;
+
+        const rows = pallet.layers.map(layer => {
+            const header = `<tr class="layer"><th colspan="6">Layer ${layer.number} · ${format(layer.base, 0)}–${format(layer.top, 0)} mm · ` +
+                `${layer.boxes.length} boxes · ${format(layer.weight / 1000, 1)} kg</th></tr>`;
+            const boxes = layer.boxes.map(box => {
+                const c = box.coordinates;
+                const label = this.itemCatalogue ? this.itemCatalogue.getLabel(box.itemType) : `Item ${box.itemType}`;
+                return `<tr${box.validation ? ` class="is-${escape(box.validation)}"` : ''}>` +
+                    `<td>${escape(box.sequence)}</td><td>${escape(label)}</td>` +
+                    `<td>${format(c.xmax - c.xmin, 0)} × ${format(c.ymax - c.ymin, 0)} × ${format(c.zmax - c.zmin, 0)}</td>` +
+                    `<td>${format((box.weight || 0) / 1000, 2)}</td>` +
+                    `<td>${format(c.xmin, 0)}, ${format(c.ymin, 0)}, ${format(c.zmin, 0)}</td>` +
+                    `<td>${box.validation ? escape(box.validation) : ''}</td></tr>`;
+            }).join('');
+            return header + boxes;
+        }).join('\n');
+
+        return `<table class="build-list">
+<thead><tr><th>Seq.</th><th>Item</th><th>Size (mm)</th><th>Weight (kg)</th><th>Corner x, y, z (mm)</th><th>Check</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+    }
+
+    /**
+     * Same bands as the metrics panel heatmap, by share of the heaviest cell
+     */
+    getHeatmapColor(weight, maxWeight) {
+        const { colors, thresholds } = this.heatmapColors;
+        if (!(weight > 0) || !(maxWeight > 0)) {
+            return colors.empty;
+        }
+
+        const intensity = weight / maxWeight;
+        const band = ['veryLow', 'low', 'medium', 'high'].find(key => intensity <= thresholds[key]) || 'veryHigh';
+        return colors[band];
+    }
+
+    /**
+     * @param {string} fileName - Plan file name
+     * @param {Array} palletNumbers - Pallets in the report (from 1); one pallet is named in the file name
+     * @returns {string} e.g. 'simulation_pallet-2_load-report.pdf'
+     */
+    static getFileName(fileName, palletNumbers) {
+        const baseName = (fileName || 'pallet-plan').replace(/\.[^/.]+$/, '');
+        const palletPart = palletNumbers.length === 1 ? `_pallet-${palletNumbers[0]}` : '';
+        return `${baseName}${palletPart}_load-report.pdf`;
+    }
+
+    static formatNumber(value, digits) {
+        return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '–';
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static getStyles() {
+        return `
+@page { size: A4; margin: 12mm; }
+* { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+body { margin: 0; font: 10pt/1.35 Arial, Helvetica, sans-serif; color: #2c3e50; }
+.sheet { break-after: page; }
+.sheet:last-child { break-after: auto; }
+header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #1a365d; margin-bottom: 4mm; }
+h1 { margin: 0 0 2mm; font-size: 18pt; color: #1a365d; }
+.details { display: grid; grid-template-columns: auto auto; gap: 0 4mm; margin: 0 0 2mm; font-size: 9pt; }
+.details dt { color: #7f8c8d; }
+.details dd { margin: 0; }
+.views { display: flex; gap: 4mm; }
+.views figure, .heatmap { flex: 1; margin: 0; text-align: center; }
+.views img { width: 100%; border: 1px solid #dcdde1; }
+.missing { padding: 30mm 0; border: 1px dashed #dcdde1; color: #7f8c8d; }
+figcaption { font-size: 8pt; color: #7f8c8d; }
+.summary { display: flex; gap: 6mm; align-items: flex-start; margin: 4mm 0; }
+.figures { flex: 1; border-collapse: collapse; }
+.figures th { text-align: left; font-weight: normal; color: #7f8c8d; padding: 1mm 3mm 1mm 0; }
+.figures td { font-weight: bold; }
+.heatmap-grid { position: relative; display: grid; border: 1px solid #1a365d; }
+.heatmap-grid i { display: block; }
+.heatmap-grid .marker { position: absolute; width: 3mm; height: 3mm; margin: -1.5mm 0 0 -1.5mm; border-radius: 50%; background: #1a365d; border: 0.5mm solid #fff; }
+.build-list { width: 100%; border-collapse: collapse; font-size: 8.5pt; }
+.build-list th, .build-list td { padding: 0.8mm 2mm; border-bottom: 1px solid #ecf0f1; text-align: left; }
+.build-list thead { display: table-header-group; }
+.build-list tr { break-inside: avoid; }
+.build-list .layer th { background: #ecf0f1; color: #1a365d; }
+.build-list .is-error td { color: #c0392b; }
+.build-list .is-warning td { color: #d35400; }
+`;
+    }
+}
+
+// Export for global access
+window.LoadReport = LoadReport;
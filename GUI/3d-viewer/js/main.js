@@ -9,6 +9,10 @@ class PalletizationApp {
         this.simulator = null;
         this.dataLoader = null;
         this.fileManager = null; // NOVO: Adicionar FileManager
+        this.diagnosticsPanel = null;
+        this.exportMenu = null;
+        this.timeline = null;
+        this.timelineSlider = null;
         this.isInitialized = false;
         this.currentDataFile = null;
         
@@ -43,8 +47,11 @@ class PalletizationApp {
             }
         };
         
+        // Metric formulas shared by the calculators below, which show their results
+        this.palletMetrics = new PalletMetrics();
+        
         // Center of Mass calculation system
-        this.centerOfMassCalculator = new CenterOfMassCalculator();
+        this.centerOfMassCalculator = new CenterOfMassCalculator({ palletMetrics: this.palletMetrics });
         this.centerOfMassState = {
             isEnabled: true,
             updateFrequency: 300,
@@ -53,13 +60,13 @@ class PalletizationApp {
         };
 
         // Volume efficiency calculation system
-        this.volumeEfficiencyCalculator = new VolumeEfficiencyCalculator();
+        this.volumeEfficiencyCalculator = new VolumeEfficiencyCalculator({ palletMetrics: this.palletMetrics });
 
         // Bottom metrics calculation system  
-        this.bottomMetricsCalculator = new BottomMetricsCalculator();
+        this.bottomMetricsCalculator = new BottomMetricsCalculator({ palletMetrics: this.palletMetrics });
 
         // Weight distribution calculation system
-        this.weightDistributionCalculator = new WeightDistributionCalculator();
+        this.weightDistributionCalculator = new WeightDistributionCalculator({ palletMetrics: this.palletMetrics });
         this.weightDistributionState = {
             isEnabled: true,
             updateFrequency: 200,
@@ -84,81 +91,922 @@ class PalletizationApp {
             
             this.initializeSimulator();
             this.initializeDataLoader();
+            this.initializeTimeline();
             this.initializeFileManager(); 
+            this.initializeDiagnosticsPanel();
+            this.initializeTimelineSlider();
+            this.initializeBoxInspector();
+            this.initializeLayerAnalysis();
+            this.initializeRobotCell();
+            this.initializeStackingLoad();
+            this.initializeItemCatalogue();
+            this.initializePlanCompare();
+            this.initializeOrderDashboard();
+            this.initializeLoadReport();
+            this.initializeBackendConnection();
             this.setupUI();
 
             this.initializeStandbyMode();
             
-            this.isInitialized = true;
+            this.isInitialized = true;
+            
+            // Load a file opened from the File menu before the viewer was shown
+            await this.fileManager.loadPendingMenuFile();
+            
+            // Development: index.html?stream=ws://localhost:8765 follows a placement stream (npm run mock-stream)
+            const streamUrl = new URLSearchParams(window.location.search).get('stream');
+            if (streamUrl) {
+                this.startLiveStream(streamUrl);
+            }
+            
+        } catch (error) {
+            console.error('Failed to initialize application:', error);
+            this.showError('Failed to initialize the 3D visualization. Please refresh the page and try again.');
+        }
+    }
+    
+    /**
+     * Wait for Three.js libraries to be available
+     */
+    async waitForThreeJS() {
+        let attempts = 0;
+        const maxAttempts = 50;
+        
+        while (attempts < maxAttempts) {
+            if (typeof THREE !== 'undefined' && typeof THREE.OrbitControls !== 'undefined') {
+                return;
+            }
+            
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+        
+        throw new Error('Three.js libraries failed to load within the expected time');
+    }
+    
+    /**
+     * Initialize 3D simulator
+     */
+    initializeSimulator() {
+        this.simulator = new PalletSimulator('threejs-container');
+
+        // Initialize volume efficiency pie chart
+        setTimeout(() => {
+            this.volumeEfficiencyCalculator.initializePieChart();
+        }, 500);
+        
+        // Initialize center of mass beam visualization
+        this.simulator.createCenterOfMassBeam();
+        
+        // Remove loading message
+        const loadingMessage = document.querySelector('.threejs-loading');
+        if (loadingMessage) {
+            loadingMessage.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Initialize data loading system
+     */
+    initializeDataLoader() {
+        this.dataLoader = new PalletDataLoader(this.simulator);
+        
+        // Shared by the loader, the inspector, the plan checks and the load view; filled by initializeItemCatalogue()
+        this.itemCatalogue = new ItemCatalogue();
+        this.dataLoader.itemCatalogue = this.itemCatalogue;
+        
+        // Plan checks; limits can be changed with debugPallet.configureValidation()
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem('validationConfig')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid validation configuration:', error);
+        }
+        this.planValidator = this.createPlanValidator(config);
+    }
+    
+    /**
+     * @param {Object} config - PlanValidator limits
+     * @returns {PlanValidator} Validator that also checks the catalogue's handling rules
+     */
+    createPlanValidator(config) {
+        return new PlanValidator({
+            ...config,
+            catalogue: this.itemCatalogue,
+            loadAnalyzer: new StackingLoadAnalyzer()
+        });
+    }
+    
+    /**
+     * Run the plan checks on every loaded pallet
+     * Each pallet keeps its issues (written by the JSON and CSV exports) and each box its worst severity
+     * @returns {Object} PlanValidator.validateOrder result
+     */
+    validatePlan() {
+        const pallets = this.dataLoader.allPallets;
+        const result = this.planValidator.validateOrder(pallets);
+        
+        pallets.forEach((pallet, index) => {
+            const palletIndex = pallet.id ?? index;
+            pallet.validation = result.issues.filter(issue => issue.palletIndex === palletIndex);
+            
+            const severities = this.planValidator.getSeverityBySequence(pallet.validation);
+            pallet.boxes.forEach(box => {
+                box.validation = severities.get(box.sequence) || null;
+            });
+        });
+        
+        if (result.errorCount > 0 || result.warningCount > 0) {
+            console.warn(`Plan checks: ${result.errorCount} errors, ${result.warningCount} warnings`);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Check the loaded plan again (limits or catalogue changed) and refresh the list and the tints
+     */
+    revalidatePlan() {
+        if (this.dataLoader.allPallets.length === 0) {
+            return;
+        }
+        
+        const parsed = this.currentDataFile;
+        this.showDiagnostics(parsed ? parsed.diagnostics : [], parsed ? parsed.summary : null, this.validatePlan());
+        this.dataLoader.refreshValidationStyles();
+    }
+    
+    /**
+     * List parser diagnostics and plan check issues together
+     * @param {Array} diagnostics - Parser diagnostics (empty for streamed plans)
+     * @param {Object} summary - Parser summary, or null
+     * @param {Object} validation - validatePlan result
+     */
+    showDiagnostics(diagnostics, summary, validation) {
+        if (!this.diagnosticsPanel) {
+            return;
+        }
+        
+        const base = summary || {
+            errorCount: 0,
+            warningCount: 0,
+            skippedPallets: [],
+            palletsLoaded: this.dataLoader.allPallets.length,
+            palletsFound: this.dataLoader.allPallets.length
+        };
+        
+        this.diagnosticsPanel.show([...diagnostics, ...validation.issues], {
+            ...base,
+            errorCount: base.errorCount + validation.errorCount,
+            warningCount: base.warningCount + validation.warningCount
+        }, (fileIndex) => this.dataLoader.getLoadedPalletIndex(fileIndex));
+    }
+
+    /**
+     * Create the playback timeline; every way of moving through a pallet goes through it
+     */
+    initializeTimeline() {
+        this.timeline = new TimelineController({
+            boxInterval: 500,
+            onSeek: (count, previousCount) => this.showPlacedBoxes(count, previousCount),
+            onStateChange: (state) => this.handleTimelineState(state)
+        });
+        
+        this.placementAnimator = new PlacementAnimator(this.simulator, {
+            style: localStorage.getItem('placementStyle') || 'instant',
+            // The robot's gripper holds each box on the robot path
+            onCarry: (mesh, point) => {
+                if (this.simulator.robotCell) {
+                    this.simulator.robotCell.carry(point);
+                }
+            },
+            onLand: () => {
+                if (this.simulator.robotCell) {
+                    this.simulator.robotCell.release();
+                }
+            }
+        });
+    }
+
+    /**
+     * Create the scrubbable timeline bar under the 3D view
+     */
+    initializeTimelineSlider() {
+        this.timelineMarkers = new TimelineMarkers({ bottomMetricsCalculator: this.bottomMetricsCalculator });
+        this.timelineSlider = new TimelineSlider('threejs-container', this.timeline, {
+            onScrub: () => this.refreshMetrics()
+        });
+    }
+
+    /**
+     * Per-layer figures in the metrics area; a layer can be shown on its own in the 3D view
+     */
+    initializeLayerAnalysis() {
+        this.layerAnalysis = null;
+        this.isolatedLayer = null;
+        this.layerChart = new LayerChart('layer-chart', {
+            metric: localStorage.getItem('layerChartMetric'),
+            onIsolate: (layerNumber) => this.isolateLayer(layerNumber)
+        });
+    }
+
+    /**
+     * Split the current pallet into layers (the same layers as the timeline markers) and chart them
+     * @param {Array} sortedBoxes - Current pallet's boxes in sequence order
+     */
+    updateLayerAnalysis(sortedBoxes = this.dataLoader.getSortedBoxes()) {
+        const pallet = this.dataLoader.allPallets[this.dataLoader.currentPalletIndex];
+        this.layerAnalysis = this.timelineMarkers.layerSegmenter.analyse(sortedBoxes,
+            pallet ? pallet.metadata.dimensions : null);
+        
+        this.isolateLayer(null);
+        this.layerChart.show(this.layerAnalysis.layers);
+    }
+
+    /**
+     * Show one layer on its own in the 3D view
+     * @param {number|null} layerNumber - 1-based layer, or null to show every layer
+     */
+    isolateLayer(layerNumber) {
+        const layerOf = this.layerAnalysis ? this.layerAnalysis.layerOf : new Map();
+        this.isolatedLayer = layerOf.size > 0 ? layerNumber : null;
+        
+        this.dataLoader.setBoxFilter(this.isolatedLayer === null ? null :
+            (box) => layerOf.get(box) === this.isolatedLayer);
+        this.layerChart.setIsolatedLayer(this.isolatedLayer);
+    }
+
+    /**
+     * Click a box in the 3D view to inspect it; arrow keys move to neighbouring boxes
+     */
+    initializeBoxInspector() {
+        this.inspectedSequence = null;
+        this.boxRelations = new BoxRelations({ timelineMarkers: this.timelineMarkers });
+        this.boxInspector = new BoxInspectorPanel('threejs-container', {
+            onNavigate: (sequence) => this.inspectSequence(sequence),
+            onClose: () => this.closeBoxInspector(),
+            catalogue: this.itemCatalogue
+        });
+        
+        this.simulator.onBoxPick((mesh) => {
+            if (mesh) {
+                this.inspectSequence(mesh.userData.sequence);
+            } else {
+                this.closeBoxInspector();
+            }
+        });
+        
+        this.inspectorKeyHandler = (event) => this.handleInspectorKey(event);
+        document.addEventListener('keydown', this.inspectorKeyHandler);
+    }
+
+    /**
+     * Set up the robot cell layout; the cell is shown again if it was on in the last session
+     * The layout can be changed with debugPallet.configureRobotCell()
+     */
+    initializeRobotCell() {
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem('robotCellConfig')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid robot cell configuration:', error);
+        }
+        
+        this.robotReach = new RobotReach(config);
+        
+        if (localStorage.getItem('robotCellVisible') === 'true') {
+            this.showRobotCell();
+        }
+    }
+
+    /**
+     * Side-by-side comparison of two plans, or two pallets of one plan
+     */
+    initializePlanCompare() {
+        this.planComparator = new PlanComparator({ palletMetrics: this.palletMetrics });
+        this.planCompareView = null;
+    }
+
+    /**
+     * Open the comparison with the current pallet on the left and the next one (or the same) on the right
+     * Other plans of the file library can be picked on either side
+     */
+    openPlanCompare() {
+        if (this.dataLoader.allPallets.length === 0) {
+            this.showMessage('Load a plan to compare its pallets');
+            return;
+        }
+        if (this.planCompareView) {
+            return;
+        }
+        
+        this.timeline.pause();
+        
+        const fileManager = this.fileManager;
+        const otherFiles = fileManager ?
+            fileManager.getLoadedFiles().filter(fileName => fileName !== fileManager.currentFileName) : [];
+        const sources = [
+            {
+                id: 'current',
+                label: fileManager ? `Current plan (${fileManager.currentFileName})` : 'Current plan',
+                load: async () => this.dataLoader.allPallets
+            },
+            ...otherFiles.map(fileName => ({
+                id: fileName,
+                label: fileName,
+                load: async () => {
+                    const file = await fileManager.readFile(fileName);
+                    // Parsed apart from the main loader, so the plan in the main view stays as it is
+                    return new PalletDataLoader(null).parseDataFileWithDiagnostics(file.content, file.originalName).pallets;
+                }
+            }))
+        ];
+        
+        const currentIndex = this.dataLoader.currentPalletIndex;
+        this.planCompareView = new PlanCompareView({
+            comparator: this.planComparator,
+            sources,
+            sideA: { sourceId: 'current', palletIndex: currentIndex },
+            sideB: { sourceId: 'current', palletIndex: Math.min(currentIndex + 1, this.dataLoader.allPallets.length - 1) },
+            itemCatalogue: this.itemCatalogue,
+            itemTypeColors: this.dataLoader.itemTypeColors,
+            onClose: () => {
+                this.planCompareView = null;
+            }
+        });
+        this.planCompareView.open().catch(error => {
+            console.error('Plan comparison failed:', error);
+            this.showMessage(`Comparison failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Overview of every pallet in the loaded plan, using the figures of the compare view
+     */
+    initializeOrderDashboard() {
+        this.orderOverview = new OrderOverview({ comparator: this.planComparator });
+        this.orderDashboard = null;
+    }
+
+    /**
+     * Open the order overview; clicking a pallet shows it in the 3D view
+     */
+    openOrderDashboard() {
+        if (this.dataLoader.allPallets.length === 0) {
+            this.showMessage('Load a plan to see its order overview');
+            return;
+        }
+        if (this.orderDashboard) {
+            return;
+        }
+        
+        this.orderDashboard = new OrderDashboard({
+            overview: this.orderOverview,
+            loader: this.dataLoader,
+            title: this.fileManager ? this.fileManager.currentFileName : '',
+            thumbnailRenderer: new PalletThumbnailRenderer({
+                itemCatalogue: this.itemCatalogue,
+                itemTypeColors: this.dataLoader.itemTypeColors
+            }),
+            onSelect: (palletIndex) => this.showPallet(palletIndex),
+            onExportReport: () => this.exportLoadReport('all'),
+            onClose: () => {
+                this.orderDashboard = null;
+            }
+        });
+        this.orderDashboard.open().catch(error => {
+            console.error('Pallet thumbnails failed:', error);
+            this.showMessage(`Pallet thumbnails failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Load a pallet of the plan into the 3D view
+     * @param {number} palletIndex - Pallet index
+     */
+    showPallet(palletIndex) {
+        this.dataLoader.loadPallet(palletIndex);
+        this.updatePalletCounter();
+        this.updateBoxCounter();
+    }
+
+    /**
+     * Printable load report; File > Export Report in Electron asks for the current pallet or all of them
+     */
+    initializeLoadReport() {
+        this.loadReport = new LoadReport({
+            palletMetrics: this.palletMetrics,
+            layerSegmenter: this.timelineMarkers.layerSegmenter,
+            itemCatalogue: this.itemCatalogue,
+            heatmapColors: this.weightDistributionCalculator.colorConfig
+        });
+        this.loadReportRenderer = null;
+
+        const electronAPI = window.electronAPI;
+        if (electronAPI && electronAPI.onLoadReportRequested) {
+            electronAPI.onLoadReportRequested(scope => this.exportLoadReport(scope));
+        }
+    }
+
+    /**
+     * Render the pallets, build the report page and save it as PDF (print dialog outside Electron)
+     * @param {string} scope - 'current' or 'all'
+     * @returns {Promise<boolean>} True if the report was saved or sent to the print dialog
+     */
+    async exportLoadReport(scope = 'current') {
+        const allPallets = this.dataLoader.allPallets;
+        if (allPallets.length === 0) {
+            this.showMessage('Load a plan to export its load report');
+            return false;
+        }
+        if (this.loadReportRenderer) {
+            return false;
+        }
+
+        const indices = scope === 'all' ? allPallets.map((pallet, index) => index) : [this.dataLoader.currentPalletIndex];
+        const pallets = indices.map(index => allPallets[index]);
+        const images = pallets.map(() => ({}));
+        const fileName = this.fileManager ? this.fileManager.currentFileName : '';
+
+        this.loadReportRenderer = new PalletThumbnailRenderer({
+            width: 800,
+            height: 600,
+            itemCatalogue: this.itemCatalogue,
+            itemTypeColors: this.dataLoader.itemTypeColors
+        });
+
+        try {
+            await this.loadReportRenderer.renderAll(pallets, (index, dataUrl, view) => {
+                images[index][view] = dataUrl;
+            }, ['isometric', 'top']);
+            if (this.loadReportRenderer.cancelled) {
+                return false;
+            }
+
+            const sheets = pallets.map((pallet, index) => ({
+                pallet: this.loadReport.describePallet(pallet, indices[index]),
+                images: images[index]
+            }));
+            const html = this.loadReport.buildDocument({
+                orderInfo: this.dataLoader.orderInfo,
+                fileName,
+                palletCount: allPallets.length,
+                generatedAt: new Date(),
+                sheets
+            });
+
+            const electronAPI = window.electronAPI;
+            if (electronAPI && electronAPI.exportLoadReport) {
+                const filePath = await electronAPI.exportLoadReport({
+                    html,
+                    defaultName: LoadReport.getFileName(fileName, sheets.map(sheet => sheet.pallet.number))
+                });
+                if (filePath) {
+                    console.log(`Load report saved to ${filePath}`);
+                }
+                return Boolean(filePath);
+            }
+
+            // Browser: the print dialog can save the page as PDF
+            const reportWindow = window.open('', '_blank');
+            if (!reportWindow) {
+                this.showError('Allow pop-ups to print the load report');
+                return false;
+            }
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+            reportWindow.focus();
+            reportWindow.print();
+            return true;
+
+        } catch (error) {
+            console.error('Load report failed:', error);
+            this.showError(`Load report failed: ${error.message}`);
+            return false;
+        } finally {
+            this.loadReportRenderer = null;
+        }
+    }
+
+    /**
+     * Set up the stacking load view; it is shown again if it was on in the last session
+     * Crush limits can be changed with debugPallet.configureCrushLimits()
+     */
+    initializeStackingLoad() {
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem('crushLimits')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid crush limits:', error);
+        }
+        
+        this.crushLimitConfig = config;
+        this.stackingLoadAnalyzer = this.createStackingLoadAnalyzer();
+        this.stackingLoadPanel = new StackingLoadPanel('threejs-container', {
+            onSelect: (sequence) => this.inspectSequence(sequence),
+            onClose: () => this.hideStackingLoad()
+        });
+        this.isStackingLoadVisible = false;
+        
+        if (localStorage.getItem('stackingLoadVisible') === 'true') {
+            this.showStackingLoad();
+        }
+    }
+
+    /**
+     * Crush limits come from the item catalogue; debugPallet.configureCrushLimits() overrides them
+     */
+    createStackingLoadAnalyzer() {
+        const config = this.crushLimitConfig || {};
+        return new StackingLoadAnalyzer({
+            ...config,
+            crushLimits: { ...this.itemCatalogue.getCrushLimits(), ...(config.crushLimits || {}) }
+        });
+    }
+
+    /**
+     * Item names, colors and handling rules; kept by the main process in the desktop app,
+     * in localStorage otherwise
+     */
+    initializeItemCatalogue() {
+        const storage = window.electronAPI && window.electronAPI.itemCatalogue;
+        this.itemCatalogueStorage = storage || {
+            load: async () => localStorage.getItem('itemCatalogue'),
+            save: async (text) => localStorage.setItem('itemCatalogue', text)
+        };
+        
+        this.boxColorModes = new BoxColorModes({ timelineMarkers: this.timelineMarkers });
+        const savedMode = localStorage.getItem('colorMode');
+        this.colorMode = savedMode in this.boxColorModes.modes ? savedMode : 'itemType';
+        this.colorLegend = new ColorLegend('threejs-container', {
+            modes: this.boxColorModes.modes,
+            mode: this.colorMode,
+            onModeChange: (mode) => this.setColorMode(mode),
+            onEditCatalogue: () => this.itemCatalogueManager.open()
+        });
+        this.itemCatalogueManager = new ItemCatalogueManager({
+            catalogue: this.itemCatalogue,
+            getItemTypes: () => [...new Set(this.dataLoader.allPallets.flatMap(pallet => pallet.boxes.map(box => box.itemType)))],
+            getDefaultColor: (itemType) => this.dataLoader.getPaletteColor(itemType),
+            onSave: (items) => this.saveItemCatalogue(items),
+            onImport: storage ? () => storage.importFile() : null,
+            onExport: storage ? (text) => storage.exportFile(text) : null
+        });
+        
+        this.loadItemCatalogue().catch(error => {
+            console.warn('Item catalogue not loaded:', error);
+        });
+    }
+
+    async loadItemCatalogue() {
+        const text = await this.itemCatalogueStorage.load();
+        if (!text) {
+            return;
+        }
+        
+        const { catalogue, problems } = ItemCatalogue.parse(text);
+        problems.forEach(problem => console.warn(`Item catalogue: ${problem}`));
+        this.itemCatalogue.replace(catalogue.list());
+        this.applyItemCatalogue();
+    }
+
+    /**
+     * Store edited entries and use them straight away
+     * @param {Array} items - Entries from the catalogue manager
+     */
+    async saveItemCatalogue(items) {
+        const catalogue = new ItemCatalogue(items);
+        await this.itemCatalogueStorage.save(JSON.stringify(catalogue.toJSON(), null, 2) + '\n');
+        
+        this.itemCatalogue.replace(catalogue.list());
+        this.applyItemCatalogue();
+        this.showMessage(`Item catalogue saved (${catalogue.size} items)`);
+    }
+
+    /**
+     * Bring colors, the legend, the plan checks, the load view and the inspector in line with the catalogue
+     */
+    applyItemCatalogue() {
+        this.stackingLoadAnalyzer = this.createStackingLoadAnalyzer();
+        this.revalidatePlan();
+        this.applyColorMode();
+        this.updateStackingLoad();
+        
+        if (this.inspectedSequence !== null) {
+            this.inspectSequence(this.inspectedSequence);
+        }
+    }
+
+    /**
+     * Color the boxes as the selected mode says and explain it in the legend
+     * (the stacking load view keeps its own colors while it is on)
+     */
+    applyColorMode() {
+        if (!this.colorLegend) {
+            return;
+        }
+        
+        if (this.isStackingLoadVisible) {
+            this.colorLegend.show({
+                type: 'gradient',
+                stops: [[0, StackingLoadAnalyzer.getLoadColor(0)], [0.5, StackingLoadAnalyzer.getLoadColor(0.5)],
+                    [1, StackingLoadAnalyzer.getLoadColor(1)]],
+                min: 'No load',
+                max: 'Crush limit'
+            });
+            return;
+        }
+        
+        const coloring = this.boxColorModes.getColoring(this.colorMode, this.dataLoader.getSortedBoxes(), {
+            getItemTypeColor: (itemType) => this.dataLoader.getItemTypeColor(itemType),
+            catalogue: this.itemCatalogue
+        });
+        this.dataLoader.setColorOverlay(coloring.colorOf);
+        this.colorLegend.show(coloring.legend);
+    }
+    
+    /**
+     * @param {string} mode - BoxColorModes mode (itemType, weight, sequence, layer...)
+     */
+    setColorMode(mode) {
+        this.colorMode = mode;
+        localStorage.setItem('colorMode', mode);
+        this.colorLegend.setMode(mode);
+        
+        if (this.isStackingLoadVisible) {
+            this.hideStackingLoad();
+        } else {
+            this.applyColorMode();
+        }
+    }
+
+    /**
+     * Load the current pallet's boxes into the timeline and mark its layers and warnings
+     */
+    loadPalletTimeline() {
+        const sortedBoxes = this.dataLoader.getSortedBoxes();
+        this.timeline.load(sortedBoxes.map(box => box.sequence));
+        this.updateTimelineMarkers(sortedBoxes);
+        this.updateLayerAnalysis(sortedBoxes);
+    }
+
+    /**
+     * Mark layers, metric warnings and unreachable placements on the timeline
+     * @param {Array} sortedBoxes - Current pallet's boxes in sequence order
+     */
+    updateTimelineMarkers(sortedBoxes = this.dataLoader.getSortedBoxes()) {
+        const pallet = this.dataLoader.allPallets[this.dataLoader.currentPalletIndex];
+        const reachWarnings = pallet ? this.checkRobotReach(sortedBoxes, pallet.metadata.dimensions) : [];
+        
+        if (!this.timelineSlider) {
+            return;
+        }
+        
+        if (!pallet) {
+            this.timelineSlider.setMarkers([]);
+            return;
+        }
+        
+        const reachMarkers = reachWarnings.map(warning => ({
+            index: warning.index + 1,
+            type: 'warning',
+            metric: 'reach',
+            label: `Sequence ${warning.sequence} out of robot reach: ${warning.reasons.join(', ')} (box ${warning.index + 1})`
+        }));
+        
+        this.timelineSlider.setMarkers([
+            ...this.timelineMarkers.compute(sortedBoxes, pallet.metadata.dimensions),
+            ...reachMarkers
+        ].sort((a, b) => a.index - b.index));
+    }
+
+    /**
+     * Check the pallet's placements against the robot cell, when it is shown
+     * @returns {Array} RobotReach.checkPlacements warnings
+     */
+    checkRobotReach(sortedBoxes, palletDimensions) {
+        const robotCell = this.simulator.robotCell;
+        if (!robotCell) {
+            return [];
+        }
+        
+        const warnings = this.robotReach.checkPlacements(sortedBoxes, palletDimensions);
+        robotCell.setWarning(warnings.length > 0);
+        
+        if (warnings.length > 0 && this.fileManager) {
+            const sequences = warnings.slice(0, 5).map(warning => warning.sequence).join(', ');
+            this.fileManager.showMessage(`${warnings.length} of ${sortedBoxes.length} placements are out of robot reach ` +
+                `(sequence ${sequences}${warnings.length > 5 ? ', …' : ''})`, 'warning');
+        }
+        
+        return warnings;
+    }
+
+    /**
+     * Initialize file management system
+     * NOVO: Função para inicializar o FileManager
+     */
+    initializeFileManager() {
+        this.fileManager = new FileManager({
+            simulator: this.simulator,
+            dataLoader: this.dataLoader,
+            stopAnimation: () => this.stopAnimation(),
+            clearSimulation: () => this.clearSimulation(),
+            loadDataFromString: (content, fileName) => this.loadDataFromString(content, fileName),
+            resetControls: () => this.resetControls(),
+            exitStandbyMode: () => this.exitStandbyMode(),
+            startAnimation: () => {
+                if (!this.animationState.isPlaying) {
+                    this.togglePlayPause();
+                }
+            }
+        });
+        
+        console.log('FileManager initialized successfully');
+    }
+
+    /**
+     * Initialize the file diagnostics panel shown over the 3D view
+     */
+    initializeDiagnosticsPanel() {
+        this.diagnosticsPanel = new DiagnosticsPanel('threejs-container', (entry) => {
+            this.navigateToDiagnostic(entry);
+        });
+    }
+
+    /**
+     * Show the backend status badge and keep checking the backend
+     * The viewer works from files alone, so a missing backend is not an error
+     */
+    async initializeBackendConnection() {
+        this.apiClient = window.apiClient;
+        this.connectionBadge = new ConnectionStatusBadge(this.apiClient);
+        
+        await this.apiClient.loadConfig();
+        this.connectionBadge.update();
+        this.apiClient.startHealthChecks();
+        
+        await this.followOptimisationJob();
+    }
+
+    /**
+     * Follow the job submitted on the box selection page and load its plan when it finishes
+     * The job stays remembered if the backend cannot be reached, so the next visit resumes it
+     */
+    async followOptimisationJob() {
+        this.optimisationJobs = new OptimisationJobs(this.apiClient);
+        const remembered = this.optimisationJobs.getRememberedJob();
+        
+        if (!remembered) {
+            return;
+        }
+        
+        this.jobProgressPanel = new JobProgressPanel('threejs-container');
+        this.jobProgressPanel.show(remembered.jobId);
+        
+        // Watch the boxes being placed live; poll for the finished plan if the stream is not available
+        if (window.WebSocket) {
+            const streamUrl = this.apiClient.getWebSocketUrl(`/jobs/${encodeURIComponent(remembered.jobId)}/stream`);
+            const streamed = await this.startLiveStream(streamUrl, `optimisation_${remembered.jobId.slice(0, 8)}.json`);
+            
+            if (streamed) {
+                this.optimisationJobs.forget();
+                this.jobProgressPanel.hide();
+                return;
+            }
+            console.warn('Live stream not available, polling the optimisation job instead');
+        }
+        
+        try {
+            const job = await this.optimisationJobs.watch(remembered.jobId, (update) => {
+                this.jobProgressPanel.update(update);
+            });
+            this.optimisationJobs.forget();
+            
+            if (job.status === 'failed') {
+                this.jobProgressPanel.showError(`Optimisation failed: ${job.error || job.message}`);
+                return;
+            }
+            
+            const content = this.optimisationJobs.getPlanContent(job);
+            await this.fileManager.importFile(content, `optimisation_${job.jobId.slice(0, 8)}.json`, content.length);
+            this.jobProgressPanel.hide();
             
         } catch (error) {
-            console.error('Failed to initialize application:', error);
-            this.showError('Failed to initialize the 3D visualization. Please refresh the page and try again.');
+            if (error.status === 404) {
+                this.optimisationJobs.forget();
+            }
+            console.error('Error following optimisation job:', error);
+            this.jobProgressPanel.showError(`Optimisation job not available: ${error.message}`);
         }
     }
-    
+
     /**
-     * Wait for Three.js libraries to be available
+     * Show placements pushed by the backend as the algorithm decides them
+     * Metrics follow automatically, as for a replayed file; the finished plan is added to the file library
+     * @param {string} url - WebSocket URL of the placement stream
+     * @param {string} fileName - Name for the finished plan in the file library
+     * @returns {Promise<boolean>} True when the stream completed, false if it failed
      */
-    async waitForThreeJS() {
-        let attempts = 0;
-        const maxAttempts = 50;
+    startLiveStream(url, fileName = 'live_stream.json') {
+        this.stopLiveStream();
+        this.stopAnimation();
+        this.clearSimulation();
+        this.dataLoader.startLiveOrder();
         
-        while (attempts < maxAttempts) {
-            if (typeof THREE !== 'undefined' && typeof THREE.OrbitControls !== 'undefined') {
-                return;
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 100));
-            attempts++;
+        if (this.diagnosticsPanel) {
+            this.diagnosticsPanel.clear();
         }
         
-        throw new Error('Three.js libraries failed to load within the expected time');
+        return new Promise(resolve => {
+            this.liveStream = new PlacementStream(url, {
+                onOrder: (message) => {
+                    this.dataLoader.orderInfo = { orderId: message.orderId, palletQuantity: message.palletQuantity };
+                },
+                onPallet: (message) => {
+                    this.dataLoader.addLivePallet(message);
+                    this.resetAnimationState();
+                    this.exitStandbyMode();
+                    this.startSimulationTimer();
+                },
+                onPlacement: (placement) => {
+                    const box = this.dataLoader.addLivePlacement(placement);
+                    
+                    if (box && placement.palletIndex === this.dataLoader.currentPalletIndex) {
+                        this.animationState.currentBoxIndex = this.simulator.boxes.length;
+                        this.updateBoxCounter();
+                    }
+                },
+                onComplete: () => {
+                    this.finishLiveStream(fileName);
+                    resolve(true);
+                },
+                onStatus: (status, detail) => this.showLiveStreamStatus(status, detail),
+                onError: (error) => {
+                    console.error('Live stream failed:', error);
+                    this.animationState.isPlaying = false;
+                    this.stopSimulationTimer();
+                    resolve(false);
+                }
+            });
+            
+            this.liveStream.connect();
+        });
     }
-    
+
     /**
-     * Initialize 3D simulator
+     * Close the live stream, e.g. when another file is loaded
      */
-    initializeSimulator() {
-        this.simulator = new PalletSimulator('threejs-container');
-
-        // Initialize volume efficiency pie chart
-        setTimeout(() => {
-            this.volumeEfficiencyCalculator.initializePieChart();
-        }, 500);
-        
-        // Initialize center of mass beam visualization
-        this.simulator.createCenterOfMassBeam();
-        
-        // Remove loading message
-        const loadingMessage = document.querySelector('.threejs-loading');
-        if (loadingMessage) {
-            loadingMessage.style.display = 'none';
+    stopLiveStream() {
+        if (this.liveStream) {
+            this.liveStream.close();
+            this.liveStream = null;
         }
     }
-    
+
     /**
-     * Initialize data loading system
+     * Complete the pallet totals of a streamed order and keep it as a file
+     * @param {string} fileName - Name for the plan in the file library
      */
-    initializeDataLoader() {
-        this.dataLoader = new PalletDataLoader(this.simulator);
+    finishLiveStream(fileName) {
+        const report = new PlanImportReport();
+        this.dataLoader.allPallets.forEach(pallet => {
+            report.completeMetadata(pallet.metadata, pallet.boxes);
+        });
+        
+        this.liveStream = null;
+        
+        // The streamed pallet can now be replayed and stepped like a loaded file
+        this.showDiagnostics([], null, this.validatePlan());
+        this.dataLoader.refreshValidationStyles();
+        this.loadPalletTimeline();
+        this.timeline.seek(this.simulator.boxes.length);
+        this.updatePalletCounter();
+        this.applyColorMode();
+        
+        if (this.dataLoader.orderInfo.orderId === undefined) {
+            this.dataLoader.orderInfo.orderId = 1;
+        }
+        
+        const content = window.planFormats.write('json', this.dataLoader.orderInfo, this.dataLoader.allPallets);
+        this.fileManager.addLoadedPlan(content, fileName);
     }
 
     /**
-     * Initialize file management system
-     * NOVO: Função para inicializar o FileManager
+     * Report stream connection changes to the user
      */
-    initializeFileManager() {
-        this.fileManager = new FileManager({
-            simulator: this.simulator,
-            dataLoader: this.dataLoader,
-            stopAnimation: () => this.stopAnimation(),
-            clearSimulation: () => this.clearSimulation(),
-            loadDataFromString: (content) => this.loadDataFromString(content),
-            resetControls: () => this.resetControls()
-        });
+    showLiveStreamStatus(status, detail) {
+        const messages = {
+            live: ['Live stream connected', 'success'],
+            reconnecting: [detail ? `Live stream lost - reconnecting (attempt ${detail.attempt})` : null, 'info'],
+            completed: [`Live stream complete: ${this.dataLoader.allPallets.length} pallets`, 'success'],
+            failed: [detail ? `Live stream failed: ${detail.message}` : 'Live stream failed', 'error']
+        };
         
-        console.log('FileManager initialized successfully');
+        const [message, type] = messages[status] || [];
+        if (message && this.fileManager) {
+            this.fileManager.showMessage(message, type);
+        }
     }
 
     /**
@@ -500,8 +1348,6 @@ animationButtons.style.cssText = `
         const prevPalletButton = this.createControlButton('Prev.', () => {
             if (this.dataLoader) {
                 this.dataLoader.previousPallet();
-                this.resetAnimationState();
-                this.resetSimulationTimer();
             }
         }, 'square', 'arrowLeft');
         prevPalletButton.id = 'prev-pallet-btn';
@@ -511,8 +1357,6 @@ animationButtons.style.cssText = `
         const nextPalletButton = this.createControlButton('Next', () => {
             if (this.dataLoader) {
                 this.dataLoader.nextPallet();
-                this.resetAnimationState();
-                this.resetSimulationTimer();
             }
         }, 'square', 'arrowRight');
         nextPalletButton.id = 'next-pallet-btn';
@@ -568,7 +1412,7 @@ animationButtons.style.cssText = `
         font-size: 0.85rem; /* Fonte ligeiramente menor */
         font-weight: bold;
         cursor: pointer;
-        width: 47%; /* Cerca de metade da largura total */
+        width: 31%; /* Um terço da largura total */
         transition: all 0.3s ease;
         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
         text-align: center;
@@ -587,7 +1431,7 @@ animationButtons.style.cssText = `
         font-size: 0.85rem; /* Mesma fonte */
         font-weight: bold;
         cursor: pointer;
-        width: 47%; /* Mesma largura que o Load File */
+        width: 31%; /* Mesma largura que o Load File */
         transition: all 0.3s ease;
         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
         text-align: center;
@@ -595,6 +1439,29 @@ animationButtons.style.cssText = `
     loadExampleButton.textContent = '📄 Load Example';
     loadExampleButton.title = 'Load the default simulation.txt example file';
 
+    // === 3.1. BOTÃO EXPORT ===
+    const exportButton = document.createElement('button');
+    exportButton.style.cssText = `
+        background: linear-gradient(145deg, #F5B041, #E67E22);
+        color: white;
+        border: none;
+        border-radius: 8px;
+        padding: 12px 16px;
+        font-size: 0.85rem;
+        font-weight: bold;
+        cursor: pointer;
+        width: 31%;
+        transition: all 0.3s ease;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        text-align: center;
+    `;
+    exportButton.textContent = '💾 Export';
+    exportButton.title = 'Export the loaded pallet plan (Crosslog, JSON or CSV)';
+    exportButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.toggleExportMenu(exportButton);
+    });
+
     // === 4. EFEITOS HOVER PARA AMBOS OS BOTÕES ===
     // Hover para Load File
     loadFileButton.addEventListener('mouseenter', () => {
@@ -616,6 +1483,16 @@ animationButtons.style.cssText = `
         loadExampleButton.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
     });
 
+    // Hover para Export
+    exportButton.addEventListener('mouseenter', () => {
+        exportButton.style.transform = 'translateY(-2px)';
+        exportButton.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+    });
+    exportButton.addEventListener('mouseleave', () => {
+        exportButton.style.transform = 'translateY(0)';
+        exportButton.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+    });
+
     // === 5. FUNCIONALIDADE DO BOTÃO LOAD EXAMPLE ===
     loadExampleButton.addEventListener('click', async () => {
         try {
@@ -714,6 +1591,7 @@ animationButtons.style.cssText = `
 
         loadButtonsContainer.appendChild(loadFileButton);
         loadButtonsContainer.appendChild(loadExampleButton);
+        loadButtonsContainer.appendChild(exportButton);
 
         // Adicionar elementos à área esquerda
         leftArea.appendChild(palletCounter);
@@ -753,6 +1631,69 @@ animationButtons.style.cssText = `
         stepForwardButton.id = 'step-forward-btn';
         stepForwardButton.disabled = true;
         stepForwardButton.title = 'Add one box';
+
+        const reverseButton = this.createControlButton('⇄', () => {
+            this.togglePlaybackDirection();
+        }, 'square');
+        reverseButton.id = 'reverse-playback-btn';
+        reverseButton.classList.add('reverse-playback-btn');
+        reverseButton.title = 'Play in reverse';
+
+        const speedSelect = document.createElement('select');
+        speedSelect.id = 'playback-speed-select';
+        speedSelect.className = 'playback-speed-select';
+        speedSelect.title = 'Playback speed';
+        this.timeline.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}x`;
+            speedSelect.appendChild(option);
+        });
+        speedSelect.value = String(this.timeline.speed);
+        speedSelect.addEventListener('change', () => this.setPlaybackSpeed(Number(speedSelect.value)));
+
+        const placementSelect = document.createElement('select');
+        placementSelect.id = 'placement-style-select';
+        placementSelect.className = 'placement-style-select';
+        placementSelect.title = 'How boxes are placed';
+        Object.entries(this.placementAnimator.styles).forEach(([style, label]) => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = label;
+            placementSelect.appendChild(option);
+        });
+        placementSelect.value = this.placementAnimator.style;
+        placementSelect.addEventListener('change', () => this.setPlacementStyle(placementSelect.value));
+
+        const robotCellButton = this.createControlButton('🤖', () => {
+            this.toggleRobotCell();
+        }, 'square');
+        robotCellButton.id = 'robot-cell-btn';
+        robotCellButton.classList.add('robot-cell-btn');
+
+        const stackingLoadButton = this.createControlButton('⚖', () => {
+            this.toggleStackingLoad();
+        }, 'square');
+        stackingLoadButton.id = 'stacking-load-btn';
+        stackingLoadButton.classList.add('stacking-load-btn');
+
+        const compareButton = this.createControlButton('⧉', () => {
+            this.openPlanCompare();
+        }, 'square');
+        compareButton.id = 'plan-compare-btn';
+        compareButton.title = 'Compare two plans or two pallets side by side';
+
+        const orderButton = this.createControlButton('▦', () => {
+            this.openOrderDashboard();
+        }, 'square');
+        orderButton.id = 'order-dashboard-btn';
+        orderButton.title = 'Order overview of all pallets';
+
+        const reportButton = this.createControlButton('⎙', () => {
+            this.exportLoadReport('current');
+        }, 'square');
+        reportButton.id = 'load-report-btn';
+        reportButton.title = 'Export a printable load report of this pallet';
         
         rightButtons.appendChild(stepBackButton);
         rightButtons.appendChild(playPauseButton);
@@ -763,10 +1704,20 @@ animationButtons.style.cssText = `
         palletButtons.appendChild(prevPalletButton);
         palletButtons.appendChild(nextPalletButton);
         palletButtons.appendChild(finishedButton);
+        palletButtons.appendChild(compareButton);
+        palletButtons.appendChild(orderButton);
+        palletButtons.appendChild(reportButton);
 
         animationButtons.appendChild(stepBackButton);
         animationButtons.appendChild(playPauseButton);
         animationButtons.appendChild(stepForwardButton);
+        animationButtons.appendChild(reverseButton);
+        animationButtons.appendChild(speedSelect);
+        animationButtons.appendChild(placementSelect);
+        animationButtons.appendChild(robotCellButton);
+        animationButtons.appendChild(stackingLoadButton);
+        this.updateRobotCellButton();
+        this.updateStackingLoadButton();
 
         // Montar os grupos de controlos
         palletControlsGroup.appendChild(palletTitle);
@@ -799,6 +1750,59 @@ animationButtons.style.cssText = `
 
     }
     
+    /**
+     * Show or hide the export format menu above the export button
+     * @param {HTMLElement} anchorButton - Export button
+     */
+    toggleExportMenu(anchorButton) {
+        if (this.exportMenu) {
+            this.closeExportMenu();
+            return;
+        }
+        
+        const menu = document.createElement('div');
+        menu.className = 'export-menu';
+        
+        window.planFormats.formats.forEach(format => {
+            const option = document.createElement('button');
+            option.className = 'export-menu-option';
+            option.textContent = `${format.label} (.${format.extensions[0]})`;
+            option.addEventListener('click', () => {
+                this.closeExportMenu();
+                if (this.fileManager) {
+                    this.fileManager.exportCurrentPlan(format.id);
+                }
+            });
+            menu.appendChild(option);
+        });
+        
+        anchorButton.parentElement.style.position = 'relative';
+        anchorButton.parentElement.appendChild(menu);
+        this.exportMenu = menu;
+        
+        this.handleExportMenuOutsideClick = (event) => {
+            if (!menu.contains(event.target)) {
+                this.closeExportMenu();
+            }
+        };
+        document.addEventListener('click', this.handleExportMenuOutsideClick);
+    }
+    
+    /**
+     * Close the export format menu
+     */
+    closeExportMenu() {
+        if (this.exportMenu) {
+            this.exportMenu.remove();
+            this.exportMenu = null;
+        }
+        
+        if (this.handleExportMenuOutsideClick) {
+            document.removeEventListener('click', this.handleExportMenuOutsideClick);
+            this.handleExportMenuOutsideClick = null;
+        }
+    }
+    
     /**
      * Create styled control button
      */
@@ -888,11 +1892,12 @@ animationButtons.style.cssText = `
      * NOVO: Para integração com FileManager
      */
     stopAnimation() {
-        if (this.dataLoader && this.dataLoader.animationTimeouts) {
-            this.dataLoader.animationTimeouts.forEach(timeoutId => {
-                clearTimeout(timeoutId);
-            });
-            this.dataLoader.animationTimeouts = [];
+        if (this.timeline) {
+            this.timeline.stop();
+        }
+        
+        if (this.placementAnimator) {
+            this.placementAnimator.finishAll();
         }
         
         this.animationState.isPlaying = false;
@@ -912,10 +1917,36 @@ animationButtons.style.cssText = `
      * NOVO: Para integração com FileManager
      */
     clearSimulation() {
+        if (this.placementAnimator) {
+            this.placementAnimator.finishAll();
+        }
+        
+        if (this.boxInspector) {
+            this.closeBoxInspector();
+        }
+        
         if (this.dataLoader) {
             this.dataLoader.clearCurrentBoxes();
         }
         
+        if (this.timeline) {
+            this.timeline.load([]);
+        }
+        
+        if (this.timelineSlider) {
+            this.timelineSlider.setMarkers([]);
+        }
+        
+        if (this.stackingLoadPanel) {
+            this.updateStackingLoad();
+        }
+        
+        if (this.layerChart) {
+            this.layerAnalysis = null;
+            this.isolateLayer(null);
+            this.layerChart.show([]);
+        }
+        
         if (this.simulator && this.simulator.centerOfMassGroup) {
             this.simulator.hideCenterOfMassBeam();
         }
@@ -939,9 +1970,13 @@ animationButtons.style.cssText = `
      * Load data from string content
      * NOVO: Para integração com FileManager
      * @param {string} content - File content
+     * @param {string} fileName - Original file name, used to detect the plan format
      */
-    async loadDataFromString(content) {
+    async loadDataFromString(content, fileName = 'New File') {
         try {
+            // A loaded file replaces a live stream
+            this.stopLiveStream();
+            
             // Stop any current animation
             this.stopAnimation();
             
@@ -949,7 +1984,7 @@ animationButtons.style.cssText = `
             this.clearSimulation();
             
             // Parse new data using existing method
-            const success = this.loadCrosslogData(content, 'New File');
+            const success = this.loadCrosslogData(content, fileName);
             
             if (success) {
                 // Update UI
@@ -978,9 +2013,7 @@ animationButtons.style.cssText = `
             this.dataLoader.currentPalletIndex = 0;
         }
         
-        // Reset animation state
-        this.resetAnimationState();
-        this.resetSimulationTimer();
+        // Animation state and timer were reset when the timeline started the first pallet
         
         // Update UI
         this.updateButtonStates();
@@ -1199,155 +2232,378 @@ animationButtons.style.cssText = `
             displayText = `${minutes}:${remainingSeconds.toFixed(1).padStart(4, '0')}`;
         }
         
-        timeElement.textContent = displayText;
+        timeElement.textContent = displayText;
+        
+        if (this.animationState.isCompleted) {
+            timeElement.style.color = '#27ae60';
+        } else {
+            timeElement.style.color = '#3498db';
+        }
+    }
+    
+    /**
+     * Update the height display in the UI
+     */
+    updateHeightDisplay() {
+        const heightElement = document.getElementById('current-height');
+        if (!heightElement) return;
+        
+        const currentHeightCm = this.calculateCurrentHeight();
+        
+        let displayText;
+        if (currentHeightCm >= 100) {
+            const heightInMeters = currentHeightCm / 100;
+            displayText = `${heightInMeters.toFixed(2)}m`;
+        } else {
+            displayText = `${currentHeightCm.toFixed(1)}cm`;
+        }
+        
+        heightElement.textContent = displayText;
+        
+        if (this.animationState.isCompleted) {
+            heightElement.style.color = '#27ae60';
+        } else {
+            heightElement.style.color = '#3498db';
+        }
+    }
+    
+    /**
+     * Toggle between play and pause states
+     * A completed pallet restarts from the first box
+     */
+    togglePlayPause() {
+        if (!this.dataLoader || !this.timeline) return;
+        
+        if (this.animationState.isCompleted && this.timeline.direction > 0) {
+            this.restartCurrentPallet();
+            return;
+        }
+        
+        this.timeline.toggle();
+    }
+    
+    /**
+     * Step backward by removing one box
+     */
+    stepBackwardOneBox() {
+        if (this.timeline) {
+            this.timeline.step(-1);
+        }
+    }
+    
+    /**
+     * Step forward by adding one box
+     */
+    stepForwardOneBox() {
+        if (this.timeline) {
+            this.timeline.step(1);
+        }
+    }
+    
+    /**
+     * Change the playback rate
+     * @param {number} speed - 0.25x to 16x
+     */
+    setPlaybackSpeed(speed) {
+        this.timeline.setSpeed(speed);
+        
+        const select = document.getElementById('playback-speed-select');
+        if (select) {
+            select.value = String(this.timeline.speed);
+        }
+    }
+    
+    /**
+     * Select a box of the current pallet and show it in the inspector
+     * Only boxes shown in the scene can be inspected
+     * @param {number} sequence - Sequence number from the plan
+     */
+    inspectSequence(sequence) {
+        const placedBoxes = this.dataLoader.getSortedBoxes().slice(0, this.simulator.boxes.length);
+        this.boxRelations.setBoxes(placedBoxes);
+        
+        const box = this.boxRelations.findBySequence(sequence);
+        const mesh = this.simulator.boxes.find(entry => entry.userData.sequence === sequence);
+        if (!box || !mesh) {
+            this.closeBoxInspector();
+            return;
+        }
+        
+        this.inspectedSequence = sequence;
+        this.simulator.selectBox(mesh);
+        this.boxInspector.show(box, this.boxRelations);
+    }
+    
+    closeBoxInspector() {
+        this.inspectedSequence = null;
+        this.simulator.selectBox(null);
+        this.boxInspector.hide();
+    }
+    
+    /**
+     * Keyboard navigation while a box is inspected
+     * Arrows move along the pallet (up is away from the default camera), PgUp/PgDn through the stack
+     */
+    handleInspectorKey(event) {
+        if (this.inspectedSequence === null || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+            return;
+        }
+        
+        if (event.key === 'Escape') {
+            this.closeBoxInspector();
+            return;
+        }
+        
+        const directions = {
+            ArrowLeft: 'left',
+            ArrowRight: 'right',
+            ArrowUp: 'back',
+            ArrowDown: 'front',
+            PageUp: 'up',
+            PageDown: 'down'
+        };
+        const direction = directions[event.key];
+        if (!direction) {
+            return;
+        }
+        
+        event.preventDefault();
+        const box = this.boxRelations.findBySequence(this.inspectedSequence);
+        const neighbour = box ? this.boxRelations.findNeighbour(box, direction) : null;
+        if (neighbour) {
+            this.inspectSequence(neighbour.sequence);
+        }
+    }
+    
+    /**
+     * Change how new boxes reach their position during playback (remembered between sessions)
+     * @param {string} style - instant, drop or robot
+     */
+    setPlacementStyle(style) {
+        this.placementAnimator.setStyle(style);
+        localStorage.setItem('placementStyle', style);
+        
+        const select = document.getElementById('placement-style-select');
+        if (select) {
+            select.value = style;
+        }
+    }
+    
+    toggleRobotCell() {
+        if (this.simulator.isRobotCellVisible()) {
+            this.hideRobotCell();
+        } else {
+            this.showRobotCell();
+        }
+    }
+    
+    /**
+     * Show the robot and its pick station; boxes are then placed along the robot path
+     */
+    showRobotCell() {
+        const robotCell = this.simulator.showRobotCell(this.robotReach);
+        this.placementAnimator.finishAll();
+        this.placementAnimator.pickupStation = robotCell.getPickPoint();
+        
+        if (this.placementAnimator.style !== 'robot') {
+            this.setPlacementStyle('robot');
+        }
+        
+        localStorage.setItem('robotCellVisible', 'true');
+        this.updateRobotCellButton();
+        this.updateTimelineMarkers();
+    }
+    
+    hideRobotCell() {
+        this.placementAnimator.finishAll();
+        this.simulator.hideRobotCell();
+        this.placementAnimator.pickupStation = null;
+        
+        localStorage.setItem('robotCellVisible', 'false');
+        this.updateRobotCellButton();
+        this.updateTimelineMarkers();
+    }
+    
+    updateRobotCellButton() {
+        const button = document.getElementById('robot-cell-btn');
+        if (button) {
+            const visible = this.simulator.isRobotCellVisible();
+            button.classList.toggle('is-active', visible);
+            button.title = visible ? 'Hide the robot cell' : 'Show the robot cell and its reach';
+        }
+    }
+    
+    toggleStackingLoad() {
+        if (this.isStackingLoadVisible) {
+            this.hideStackingLoad();
+        } else {
+            this.showStackingLoad();
+        }
+    }
+    
+    /**
+     * Color the boxes by the load resting on them and list the most loaded ones
+     */
+    showStackingLoad() {
+        this.isStackingLoadVisible = true;
+        localStorage.setItem('stackingLoadVisible', 'true');
+        this.updateStackingLoadButton();
+        this.updateStackingLoad();
+        this.applyColorMode();
+    }
+    
+    hideStackingLoad() {
+        this.isStackingLoadVisible = false;
+        localStorage.setItem('stackingLoadVisible', 'false');
+        this.stackingLoadPanel.hide();
+        this.updateStackingLoadButton();
+        this.applyColorMode();
+    }
+    
+    /**
+     * Work out the load on each box shown in the scene and refresh the overlay and the table
+     */
+    updateStackingLoad() {
+        if (!this.isStackingLoadVisible) {
+            return;
+        }
+        
+        const placedBoxes = this.dataLoader.getSortedBoxes().slice(0, this.simulator.boxes.length);
+        const result = this.stackingLoadAnalyzer.analyse(placedBoxes);
+        const ratios = new Map(result.entries.map(entry => [entry.sequence, entry.ratio]));
         
-        if (this.animationState.isCompleted) {
-            timeElement.style.color = '#27ae60';
-        } else {
-            timeElement.style.color = '#3498db';
+        this.dataLoader.setColorOverlay(box => ratios.has(box.sequence) ?
+            StackingLoadAnalyzer.getLoadColor(ratios.get(box.sequence)) : null);
+        this.stackingLoadPanel.show(result);
+    }
+    
+    updateStackingLoadButton() {
+        const button = document.getElementById('stacking-load-btn');
+        if (button) {
+            button.classList.toggle('is-active', this.isStackingLoadVisible);
+            button.title = this.isStackingLoadVisible ? 'Hide the stacking load view' :
+                'Color boxes by the load resting on them';
         }
     }
     
     /**
-     * Update the height display in the UI
+     * Switch between adding boxes and taking them off in reverse order
      */
-    updateHeightDisplay() {
-        const heightElement = document.getElementById('current-height');
-        if (!heightElement) return;
+    togglePlaybackDirection() {
+        this.timeline.reverse();
         
-        const currentHeightCm = this.calculateCurrentHeight();
-        
-        let displayText;
-        if (currentHeightCm >= 100) {
-            const heightInMeters = currentHeightCm / 100;
-            displayText = `${heightInMeters.toFixed(2)}m`;
-        } else {
-            displayText = `${currentHeightCm.toFixed(1)}cm`;
+        const button = document.getElementById('reverse-playback-btn');
+        if (button) {
+            const reversed = this.timeline.direction < 0;
+            button.classList.toggle('is-active', reversed);
+            button.title = reversed ? 'Playing in reverse - click to play forward' : 'Play in reverse';
         }
-        
-        heightElement.textContent = displayText;
-        
-        if (this.animationState.isCompleted) {
-            heightElement.style.color = '#27ae60';
-        } else {
-            heightElement.style.color = '#3498db';
+    }
+    
+    /**
+     * Show the current pallet up to a sequence number
+     * @param {number} sequence - Sequence number from the plan
+     */
+    seekToSequence(sequence) {
+        if (this.timeline) {
+            this.timeline.seekToSequence(sequence);
         }
     }
     
     /**
-     * Toggle between play and pause states
+     * Load the current pallet into the timeline and play it from the first box
+     * Called by the data loader whenever a pallet is loaded
      */
-    togglePlayPause() {
-        const button = document.getElementById('play-pause-btn');
-        if (!button || !this.dataLoader) return;
+    playPallet() {
+        this.resetAnimationState();
+        this.resetSimulationTimer();
         
-        if (this.animationState.isPlaying) {
-            this.dataLoader.animationTimeouts.forEach(timeoutId => {
-                clearTimeout(timeoutId);
-            });
-            this.dataLoader.animationTimeouts = [];
-            
-            this.animationState.isPlaying = false;
-            this.animationState.isPaused = true;
-            button.textContent = '▶ Play';
-            button.title = 'Resume animation';
-            
-            this.stopSimulationTimer();
-        } else {
-            if (this.animationState.isPaused) {
-                this.resumeAnimation();
-            } else {
-                this.restartCurrentPallet();
-            }
-            
-            this.animationState.isPlaying = true;
-            this.animationState.isPaused = false;
-            button.textContent = '⏸ Pause';
-            button.title = 'Pause animation';
-            
-            this.startSimulationTimer();
-        }
+        this.loadPalletTimeline();
+        this.timeline.play();
         
-        this.updateButtonStates();
+        this.updatePalletCounter();
+        this.applyColorMode();
     }
     
     /**
-     * Step backward by removing one box
+     * Sync the scene and the metrics with the timeline playhead
+     * @param {number} count - Number of boxes shown, in sequence order
+     * @param {number} previousCount - Number of boxes shown before
      */
-    stepBackwardOneBox() {
-        if (!this.simulator || this.simulator.boxes.length === 0) {
-            return;
+    showPlacedBoxes(count, previousCount) {
+        // Only the next box during forward playback is animated; seeks, steps and scrubs snap
+        const animate = this.timeline.isPlaying() && count === previousCount + 1;
+        if (!animate) {
+            this.placementAnimator.finishAll();
         }
         
-        let lastBox = null;
-        let maxSequence = -1;
-        let maxSequenceIndex = -1;
+        const added = this.dataLoader.showPlacedBoxes(count);
+        if (animate) {
+            // Land before the next box starts at the current speed
+            const maxDuration = this.timeline.boxInterval / this.timeline.speed * 0.9;
+            added.forEach(mesh => this.placementAnimator.animate(mesh, maxDuration));
+        }
         
-        this.simulator.boxes.forEach((box, index) => {
-            if (box.userData.sequence > maxSequence) {
-                maxSequence = box.userData.sequence;
-                lastBox = box;
-                maxSequenceIndex = index;
-            }
-        });
+        const sortedBoxes = this.dataLoader.getSortedBoxes();
+        this.sequenceState.lastPlacedSequence = count > 0 ? sortedBoxes[count - 1].sequence : -1;
+        this.sequenceState.nextExpectedSequence = count < sortedBoxes.length ? sortedBoxes[count].sequence : -1;
         
-        if (lastBox) {
-            this.simulator.scene.remove(lastBox);
-            this.simulator.boxes.splice(maxSequenceIndex, 1);
-            
-            if (lastBox.geometry) lastBox.geometry.dispose();
-            if (lastBox.material) lastBox.material.dispose();
-            
-            this.sequenceState.lastPlacedSequence = this.findCurrentMaxSequence();
-            this.sequenceState.nextExpectedSequence = maxSequence;
-            
-            // Immediately recalculate total weight after box removal
-            const centerOfMassResult = this.centerOfMassState.lastCalculation;
-            this.bottomMetricsCalculator.calculateBottomMetrics(this.simulator.boxes, centerOfMassResult);
-        }
+        // Immediately recalculate total weight after boxes are added or removed
+        const centerOfMassResult = this.centerOfMassState.lastCalculation;
+        this.bottomMetricsCalculator.calculateBottomMetrics(this.simulator.boxes, centerOfMassResult);
         
-        this.animationState.isCompleted = false;
         this.updateHeightDisplay();
-        this.animationState.currentBoxIndex = this.simulator.boxes.length;
         this.updateBoxCounter();
         this.updateButtonStates();
+        
+        if (this.timelineSlider) {
+            this.timelineSlider.update();
+        }
+        
+        this.updateStackingLoad();
+        
+        // Keep the inspector in step with the boxes shown (closes if its box was removed)
+        if (this.inspectedSequence !== null) {
+            this.inspectSequence(this.inspectedSequence);
+        }
     }
     
     /**
-     * Step forward by adding one box
+     * Reflect the timeline state in the animation state, the play button and the timer
+     * @param {string} state - idle, playing, paused or completed
      */
-    stepForwardOneBox() {
-        if (!this.dataLoader || this.dataLoader.allPallets.length === 0) {
+    handleTimelineState(state) {
+        if (state === 'completed') {
+            this.setAnimationCompleted();
             return;
         }
         
-        const currentPallet = this.dataLoader.allPallets[this.dataLoader.currentPalletIndex];
-        const sortedBoxes = [...currentPallet.boxes].sort((a, b) => a.sequence - b.sequence);
-        
-        const nextBoxIndex = this.findNextBoxToPlace(sortedBoxes);
+        this.animationState.isPlaying = state === 'playing';
+        this.animationState.isPaused = state === 'paused';
+        this.animationState.isCompleted = false;
         
-        if (nextBoxIndex === -1) {
-            return;
+        const button = document.getElementById('play-pause-btn');
+        if (button) {
+            button.textContent = state === 'playing' ? '⏸ Pause' : '▶ Play';
+            button.title = state === 'playing' ? 'Pause animation' :
+                state === 'paused' ? 'Resume animation' : 'Start animation';
         }
         
-        const nextBox = sortedBoxes[nextBoxIndex];
-        
-        this.dataLoader.createAndAddBox(nextBox);
-        
-        this.sequenceState.lastPlacedSequence = nextBox.sequence;
-        this.sequenceState.nextExpectedSequence = this.findNextExpectedSequence(sortedBoxes, nextBox.sequence);
-        
-        // Immediately recalculate total weight after box addition
-        const centerOfMassResult = this.centerOfMassState.lastCalculation;
-        this.bottomMetricsCalculator.calculateBottomMetrics(this.simulator.boxes, centerOfMassResult);
+        if (state === 'playing') {
+            this.startSimulationTimer();
+        } else {
+            this.stopSimulationTimer();
+        }
         
-        if (this.simulator.boxes.length === sortedBoxes.length) {
-            this.setAnimationCompleted();
+        // Boxes in flight freeze with playback
+        if (state === 'playing') {
+            this.placementAnimator.resume();
+        } else if (state === 'paused') {
+            this.placementAnimator.pause();
+        } else {
+            this.placementAnimator.finishAll();
         }
         
-        this.updateHeightDisplay();
-        this.animationState.currentBoxIndex = this.simulator.boxes.length;
-        this.updateBoxCounter();
         this.updateButtonStates();
     }
 
@@ -1395,75 +2651,14 @@ animationButtons.style.cssText = `
         }
     }
     
-    /**
-     * Find the next box that should be placed
-     */
-    findNextBoxToPlace(sortedBoxes) {
-        const placedSequences = new Set(
-            this.simulator.boxes.map(box => box.userData.sequence)
-        );
-        
-        for (let i = 0; i < sortedBoxes.length; i++) {
-            const sequence = sortedBoxes[i].sequence;
-            if (!placedSequences.has(sequence)) {
-                return i;
-            }
-        }
-        
-        return -1;
-    }
-    
-    /**
-     * Calculate next expected sequence
-     */
-    findNextExpectedSequence(sortedBoxes, currentSequence) {
-        const currentIndex = sortedBoxes.findIndex(box => box.sequence === currentSequence);
-        if (currentIndex === -1 || currentIndex === sortedBoxes.length - 1) {
-            return -1;
-        }
-        return sortedBoxes[currentIndex + 1].sequence;
-    }
-    
-    /**
-     * Find current maximum sequence in scene
-     */
-    findCurrentMaxSequence() {
-        if (this.simulator.boxes.length === 0) return -1;
-        
-        return Math.max(...this.simulator.boxes.map(box => box.userData.sequence));
-    }
-    
-    /**
-     * Resume animation from current position
-     */
-    resumeAnimation() {
-        if (!this.dataLoader || this.dataLoader.allPallets.length === 0) return;
-        
-        const currentPallet = this.dataLoader.allPallets[this.dataLoader.currentPalletIndex];
-        const currentBoxCount = this.simulator.boxes.length;
-        const sortedBoxes = [...currentPallet.boxes].sort((a, b) => a.sequence - b.sequence);
-        
-        for (let i = currentBoxCount; i < sortedBoxes.length; i++) {
-            const delay = (i - currentBoxCount) * this.dataLoader.animationSpeed;
-            
-            const timeoutId = setTimeout(() => {
-                this.dataLoader.createAndAddBox(sortedBoxes[i]);
-                this.animationState.currentBoxIndex = i + 1;
-                this.updateBoxCounter();
-                
-                if (i === sortedBoxes.length - 1) {
-                    this.setAnimationCompleted();
-                }
-            }, delay);
-            
-            this.dataLoader.animationTimeouts.push(timeoutId);
-        }
-    }
-    
     /**
      * Reset animation state
      */
     resetAnimationState() {
+        if (this.timeline) {
+            this.timeline.stop();
+        }
+        
         this.animationState.isPlaying = false;
         this.animationState.isPaused = false;
         this.animationState.currentBoxIndex = 0;
@@ -1578,26 +2773,34 @@ animationButtons.style.cssText = `
     setupInfoDisplays() {
         setInterval(() => {
             if (this.dataLoader && this.dataLoader.allPallets.length > 0) {
-                this.updateButtonStates();
-                this.updatePalletCounter();
-                this.updateBoxCounter();
-                this.updateHeightDisplay();
-                this.updateBoxesPlacedDisplay();
-                this.updateCenterOfMassDisplay();
+                this.refreshMetrics();
+            }
+        }, 200); // Update every 200ms for smooth real-time updates
+    }
+    
+    /**
+     * Recompute every metric for the boxes in the scene
+     * Runs on the update interval, and right away when the timeline is scrubbed
+     */
+    refreshMetrics() {
+        this.updateButtonStates();
+        this.updatePalletCounter();
+        this.updateBoxCounter();
+        this.updateHeightDisplay();
+        this.updateBoxesPlacedDisplay();
+        this.updateCenterOfMassDisplay();
 
-                // Update volume efficiency in real-time
-                const currentHeightCm = this.calculateCurrentHeight();
-                this.volumeEfficiencyCalculator.updateEfficiency(this.simulator.boxes, currentHeightCm);
+        // Update volume efficiency in real-time
+        const currentHeightCm = this.calculateCurrentHeight();
+        this.volumeEfficiencyCalculator.updateEfficiency(this.simulator.boxes, currentHeightCm);
 
-                // Update bottom metrics (LSI + Total Weight) in real-time
-                const centerOfMassResult = this.centerOfMassState.lastCalculation;
-                this.bottomMetricsCalculator.calculateBottomMetrics(this.simulator.boxes, centerOfMassResult);
-                this.updateBottomMetricsDisplay();
+        // Update bottom metrics (LSI + Total Weight) in real-time
+        const centerOfMassResult = this.centerOfMassState.lastCalculation;
+        this.bottomMetricsCalculator.calculateBottomMetrics(this.simulator.boxes, centerOfMassResult);
+        this.updateBottomMetricsDisplay();
 
-                // Update weight distribution
-                this.updateWeightDistribution();
-            }
-        }, 200); // Update every 200ms for smooth real-time updates
+        // Update weight distribution
+        this.updateWeightDistribution();
     }
     
     /**
@@ -1607,56 +2810,32 @@ animationButtons.style.cssText = `
         if (!this.dataLoader || this.dataLoader.allPallets.length === 0) {
             return;
         }
-        
-        this.dataLoader.clearCurrentBoxes();
-        this.resetAnimationState();
-        this.resetSimulationTimer();
 
         this.volumeEfficiencyCalculator.reset();
         this.bottomMetricsCalculator.reset();
         
         this.showMessage('Restarting pallet animation...');
         
-        const currentIndex = this.dataLoader.currentPalletIndex;
-        this.dataLoader.loadPallet(currentIndex);
-        
-        this.startSimulationTimer();
+        this.dataLoader.loadPallet(this.dataLoader.currentPalletIndex);
     }
     
     /**
-     * Finish current pallet animation quickly
+     * Show the rest of the current pallet at once
      */
     finishCurrentPallet() {
         if (!this.dataLoader || this.dataLoader.allPallets.length === 0) {
             return;
         }
         
-        const currentPallet = this.dataLoader.allPallets[this.dataLoader.currentPalletIndex];
-        const currentBoxCount = this.simulator.boxes.length;
-        const totalBoxCount = currentPallet.boxes.length;
+        const totalBoxCount = this.timeline.getLength();
         
-        if (currentBoxCount >= totalBoxCount) {
+        if (this.timeline.placedCount >= totalBoxCount) {
             this.showMessage('Pallet already complete');
             return;
         }
         
-        this.showMessage('Completing pallet instantly...');
-        
-        const originalSpeed = this.dataLoader.animationSpeed;
-        this.dataLoader.animationSpeed = 10;
-        
-        this.dataLoader.clearCurrentBoxes();
-        this.resetAnimationState();
-        this.dataLoader.loadPallet(this.dataLoader.currentPalletIndex);
-        
-        const remainingBoxes = totalBoxCount;
-        const completionTime = remainingBoxes * 10 + 500;
-        
-        setTimeout(() => {
-            this.dataLoader.animationSpeed = originalSpeed;
-            this.showMessage(`Pallet completed with ${totalBoxCount} boxes`);
-            this.setAnimationCompleted();
-        }, completionTime);
+        this.timeline.finish();
+        this.showMessage(`Pallet completed with ${totalBoxCount} boxes`);
     }
 
     /**
@@ -1696,32 +2875,110 @@ animationButtons.style.cssText = `
     }
 
     /**
-     * Load Crosslog formatted data
+     * Load plan data (Crosslog, JSON or CSV - detected from the name and content)
      */
     loadCrosslogData(crosslogContent, fileName = 'Crosslog Data') {
         try {
-            const parsedData = this.dataLoader.parseDataFile(crosslogContent);
+            const parsedData = this.dataLoader.parseDataFileWithDiagnostics(crosslogContent, fileName);
             this.currentDataFile = parsedData;
             
+            // Boxes are checked before the first pallet is shown, so failing boxes are tinted as they appear
+            this.showDiagnostics(parsedData.diagnostics, parsedData.summary, this.validatePlan());
+            
             if (parsedData.pallets.length > 0) {
                 this.dataLoader.loadPallet(0);
-                this.startSimulationTimer();
                 this.updateButtonStates();
-                this.showMessage(`Loaded ${parsedData.pallets.length} pallets from Crosslog data`);
+                this.showMessage(`Loaded ${parsedData.pallets.length} pallets from ${parsedData.format.toUpperCase()} data`);
+                
+                if (parsedData.summary.errorCount > 0) {
+                    console.warn(`${fileName}: loaded ${parsedData.summary.palletsLoaded} of ${parsedData.summary.palletsFound} pallets (${parsedData.summary.errorCount} errors)`);
+                }
                 
                 return true;
             } else {
-                this.showError('No valid pallet data found in the Crosslog file');
+                const firstError = parsedData.diagnostics.find(entry => entry.severity === 'error');
+                let detail = '';
+                if (firstError) {
+                    const location = firstError.line !== null ? `Line ${firstError.line}` : firstError.field;
+                    detail = location ? ` ${location}: ${firstError.message}` : ` ${firstError.message}`;
+                }
+                this.showError('No valid pallet data found in the file.' + detail);
                 return false;
             }
             
         } catch (error) {
-            console.error('Error loading Crosslog data:', error);
-            this.showError('Failed to parse the Crosslog data. Please check the file format.');
+            console.error('Error loading plan data:', error);
+            this.showError('Failed to parse the file. Please check the file format.');
             return false;
         }
     }
     
+    /**
+     * Pass the current pallet footprint to every metrics calculator
+     * Called by the data loader whenever a pallet is loaded
+     */
+    updatePalletDimensions() {
+        const pallet = window.unitsSystem.getPalletDimensionsUnits();
+        
+        if (this.centerOfMassCalculator) {
+            this.centerOfMassCalculator.setPalletDimensions(pallet.lengthUnits, pallet.widthUnits);
+        }
+        
+        if (this.volumeEfficiencyCalculator) {
+            this.volumeEfficiencyCalculator.setPalletDimensions(pallet.lengthUnits, pallet.widthUnits, pallet.heightUnits);
+        }
+        
+        if (this.bottomMetricsCalculator) {
+            this.bottomMetricsCalculator.setPalletDimensions(pallet.lengthUnits, pallet.widthUnits);
+        }
+        
+        if (this.weightDistributionCalculator) {
+            this.weightDistributionCalculator.setPalletDimensions(pallet.lengthUnits, pallet.widthUnits);
+        }
+    }
+    
+    /**
+     * Jump to the pallet and box referenced by a diagnostic
+     * Places every box up to the affected one and highlights it
+     * @param {Object} entry - Diagnostic entry with loadedPalletIndex
+     */
+    navigateToDiagnostic(entry) {
+        const palletIndex = entry.loadedPalletIndex;
+        
+        if (!this.dataLoader || palletIndex < 0 || palletIndex >= this.dataLoader.allPallets.length) {
+            return;
+        }
+        
+        this.stopAnimation();
+        this.dataLoader.clearCurrentBoxes();
+        this.dataLoader.currentPalletIndex = palletIndex;
+        this.dataLoader.applyPalletDimensions(this.dataLoader.allPallets[palletIndex]);
+        this.resetAnimationState();
+        this.resetSimulationTimer();
+        
+        const sortedBoxes = this.dataLoader.getSortedBoxes(palletIndex);
+        
+        // Box-level entries point at their source line (or sequence for plan checks on streamed boxes),
+        // pallet-level entries show the whole pallet
+        const targetIndex = entry.boxIndex !== null ?
+            sortedBoxes.findIndex(box => entry.line !== null ?
+                box.sourceLine === entry.line : box.sequence === entry.sequence) : -1;
+        const lastIndex = targetIndex === -1 ? sortedBoxes.length - 1 : targetIndex;
+        
+        // Play resumes from the highlighted box
+        this.loadPalletTimeline();
+        this.timeline.seek(lastIndex + 1);
+        
+        if (targetIndex !== -1) {
+            this.simulator.highlightBox(this.simulator.boxes[this.simulator.boxes.length - 1]);
+        }
+        
+        this.updatePalletCounter();
+        this.updateBoxCounter();
+        this.updateHeightDisplay();
+        this.updateButtonStates();
+    }
+    
     /**
      * Show message to user
      */
@@ -1749,6 +3006,40 @@ animationButtons.style.cssText = `
      */
     dispose() {
         this.stopSimulationTimer();
+        
+        if (this.placementAnimator) {
+            this.placementAnimator.dispose();
+        }
+        
+        if (this.boxInspector) {
+            document.removeEventListener('keydown', this.inspectorKeyHandler);
+            this.boxInspector.dispose();
+        }
+        
+        if (this.stackingLoadPanel) {
+            this.stackingLoadPanel.dispose();
+        }
+        
+        if (this.layerChart) {
+            this.layerChart.dispose();
+        }
+        
+        if (this.planCompareView) {
+            this.planCompareView.dispose();
+        }
+        
+        if (this.orderDashboard) {
+            this.orderDashboard.dispose();
+        }
+        
+        if (this.loadReportRenderer) {
+            this.loadReportRenderer.cancel();
+        }
+        
+        if (this.colorLegend) {
+            this.colorLegend.dispose();
+            this.itemCatalogueManager.dispose();
+        }
         if (this.metricsState.simulationTimer.displayInterval) {
             clearInterval(this.metricsState.simulationTimer.displayInterval);
         }
@@ -1772,6 +3063,36 @@ animationButtons.style.cssText = `
         if (this.weightDistributionCalculator) {
             this.weightDistributionCalculator.dispose();
         }
+
+        if (this.diagnosticsPanel) {
+            this.diagnosticsPanel.dispose();
+        }
+
+        if (this.apiClient) {
+            this.apiClient.stopHealthChecks();
+        }
+
+        if (this.optimisationJobs) {
+            this.optimisationJobs.stop();
+        }
+
+        this.stopLiveStream();
+
+        if (this.timeline) {
+            this.timeline.stop();
+        }
+
+        if (this.timelineSlider) {
+            this.timelineSlider.dispose();
+        }
+
+        if (this.jobProgressPanel) {
+            this.jobProgressPanel.dispose();
+        }
+
+        if (this.connectionBadge) {
+            this.connectionBadge.dispose();
+        }
     }
 
     /**
@@ -2135,8 +3456,6 @@ window.palletAppUtils = {
                 window.palletApp.dataLoader.loadPallet(index);
                 window.palletApp.updatePalletCounter();
                 window.palletApp.updateBoxCounter();
-                window.palletApp.resetAnimationState();
-                window.palletApp.resetSimulationTimer();
                 return true;
             }
         }
@@ -2164,6 +3483,54 @@ window.palletAppUtils = {
                 window.palletApp.updateCenterOfMassDisplay();
             }
         }
+    },
+    
+    /**
+     * Change the plan check limits, keep them for later sessions and check the plan again
+     * @param {Object} config - PlanValidator options, e.g. { minSupportRatio: 0.8 }
+     */
+    configureValidation: (config) => {
+        const app = window.palletApp;
+        if (app && app.dataLoader) {
+            localStorage.setItem('validationConfig', JSON.stringify(config));
+            app.planValidator = app.createPlanValidator(config);
+            app.revalidatePlan();
+            app.applyColorMode();
+            return true;
+        }
+        return false;
+    },
+    
+    /**
+     * Override the catalogue's crush limits, keep them for later sessions and recompute the load view
+     * @param {Object} config - StackingLoadAnalyzer options (g), e.g. { defaultCrushLimit: 40000, crushLimits: { 36: 80000 } }
+     */
+    configureCrushLimits: (config) => {
+        const app = window.palletApp;
+        if (app && app.stackingLoadAnalyzer) {
+            localStorage.setItem('crushLimits', JSON.stringify(config));
+            app.crushLimitConfig = config;
+            app.stackingLoadAnalyzer = app.createStackingLoadAnalyzer();
+            app.updateStackingLoad();
+            return true;
+        }
+        return false;
+    },
+    
+    /**
+     * Change the robot cell layout and keep it for later sessions
+     * @param {Object} config - RobotReach options (mm), e.g. { reach: 1500, base: { x: 0, y: -1000 } }
+     */
+    configureRobotCell: (config) => {
+        if (window.palletApp && window.palletApp.robotReach) {
+            localStorage.setItem('robotCellConfig', JSON.stringify(config));
+            window.palletApp.robotReach = new RobotReach(config);
+            if (window.palletApp.simulator.isRobotCellVisible()) {
+                window.palletApp.showRobotCell();
+            }
+            return window.palletApp.robotReach.config;
+        }
+        return null;
     }
 
     
@@ -0,0 +1,188 @@
+/**
+ * Optimisation Jobs - Palletization runs requested from the box selection page
+ * The selection page submits the job and remembers it in localStorage;
+ * the viewer picks it up, polls its progress and loads the returned plan
+ *
+ * Backend contract (python/backend.py):
+ *   POST /jobs       { orderId, palletType, pallet, boxes[] } → { jobId, status, progress }
+ *   GET  /jobs/{id}  → { jobId, status, progress (0-1), message, plan, error }
+ *   status: queued → running → completed | failed
+ */
+
+class OptimisationJobs {
+    /**
+     * @param {ApiClient} apiClient - Backend client
+     * @param {Object} options - pollInterval (ms), maxPollFailures, storage (defaults to localStorage)
+     */
+    constructor(apiClient, options = {}) {
+        this.apiClient = apiClient;
+        this.pollInterval = options.pollInterval ?? 1000;
+        this.maxPollFailures = options.maxPollFailures ?? 5;
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = 'optimisationJob';
+
+        // Box types offered on the selection page (mm, grams)
+        // Heights are not on the specification cards; 200mm is assumed for all types
+        this.boxTypes = {
+            1: { dimensions: { x: 200, y: 200, z: 200 }, weight: 1500 },
+            2: { dimensions: { x: 300, y: 200, z: 200 }, weight: 1500 },
+            3: { dimensions: { x: 250, y: 200, z: 200 }, weight: 1200 },
+            4: { dimensions: { x: 350, y: 250, z: 200 }, weight: 1800 }
+        };
+
+        // Pallet types, same load height and tare as the default Crosslog header
+        this.palletTypes = {
+            EUR: { label: 'EUR 1200 × 800', x: 1200, y: 800, z: 1500, weight: 25000 },
+            INDUSTRIAL: { label: 'Industrial 1200 × 1000', x: 1200, y: 1000, z: 1500, weight: 25000 }
+        };
+
+        this.pollTimer = null;
+        this.activeWatch = null;
+    }
+
+    /**
+     * Build the POST /jobs body from the selection counters
+     * @param {Object} selections - Box type → quantity, as stored by box_selection.js
+     * @param {string} palletTypeId - Key of palletTypes
+     * @returns {Object} Request body
+     */
+    buildRequest(selections, palletTypeId) {
+        const palletType = this.palletTypes[palletTypeId];
+        if (!palletType) {
+            throw new Error(`Unknown pallet type: ${palletTypeId}`);
+        }
+
+        const boxes = Object.entries(selections)
+            .filter(([type, quantity]) => quantity > 0 && this.boxTypes[type])
+            .map(([type, quantity]) => ({
+                type: Number(type),
+                quantity: quantity,
+                dimensions: { ...this.boxTypes[type].dimensions },
+                weight: this.boxTypes[type].weight
+            }));
+
+        if (boxes.length === 0) {
+            throw new Error('Select at least one box');
+        }
+
+        return {
+            orderId: 1,
+            palletType: palletTypeId,
+            pallet: { x: palletType.x, y: palletType.y, z: palletType.z, weight: palletType.weight },
+            boxes: boxes
+        };
+    }
+
+    /**
+     * Submit a job and remember it for the viewer
+     * @returns {Promise<Object>} Job as returned by the backend
+     */
+    async submit(selections, palletTypeId) {
+        const request = this.buildRequest(selections, palletTypeId);
+        // Not retried: a timed-out POST may still have created the job
+        const job = await this.apiClient.post('/jobs', request, { retries: 0 });
+
+        this.remember({ jobId: job.jobId, palletType: palletTypeId, submittedAt: new Date().toISOString() });
+        return job;
+    }
+
+    /**
+     * Get the current state of a job
+     */
+    fetchJob(jobId) {
+        return this.apiClient.get(`/jobs/${encodeURIComponent(jobId)}`);
+    }
+
+    /**
+     * Poll a job until it completes or fails
+     * Short backend outages are tolerated; after maxPollFailures failed polls in a row the watch stops
+     * @param {string} jobId - Job ID
+     * @param {Function} onUpdate - Called with every job state
+     * @returns {Promise<Object>} Final job state (completed or failed)
+     */
+    watch(jobId, onUpdate = () => {}) {
+        this.stop();
+        const watchToken = {};
+        this.activeWatch = watchToken;
+
+        return new Promise((resolve, reject) => {
+            let failures = 0;
+
+            const poll = async () => {
+                try {
+                    const job = await this.fetchJob(jobId);
+                    if (this.activeWatch !== watchToken) {
+                        return;
+                    }
+                    failures = 0;
+                    onUpdate(job);
+
+                    if (job.status === 'completed' || job.status === 'failed') {
+                        this.pollTimer = null;
+                        resolve(job);
+                        return;
+                    }
+                } catch (error) {
+                    if (this.activeWatch !== watchToken) {
+                        return;
+                    }
+                    // Unknown job (e.g. backend restarted): no point in asking again
+                    failures = error.status === 404 ? this.maxPollFailures : failures + 1;
+
+                    if (failures >= this.maxPollFailures) {
+                        this.pollTimer = null;
+                        reject(error);
+                        return;
+                    }
+                }
+
+                this.pollTimer = setTimeout(poll, this.pollInterval);
+            };
+
+            this.pollTimer = setTimeout(poll, 0);
+        });
+    }
+
+    /**
+     * Stop polling (the promise of an interrupted watch never settles)
+     */
+    stop() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.activeWatch = null;
+    }
+
+    /**
+     * Serialize the plan of a completed job for PlanFormats
+     * @returns {string} JSON plan text
+     */
+    getPlanContent(job) {
+        if (!job.plan) {
+            throw new Error(`Job ${job.jobId} finished without a plan`);
+        }
+        return JSON.stringify(job.plan, null, 2) + '\n';
+    }
+
+    remember(entry) {
+        this.storage.setItem(this.storageKey, JSON.stringify(entry));
+    }
+
+    /**
+     * The job submitted by the selection page, if the viewer has not handled it yet
+     * @returns {Object|null} { jobId, palletType, submittedAt }
+     */
+    getRememberedJob() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    forget() {
+        this.storage.removeItem(this.storageKey);
+    }
+}
+
+// Export for global access
+window.OptimisationJobs = OptimisationJobs;
@@ -0,0 +1,428 @@
+/**
+ * Order Dashboard - Every pallet of the loaded plan at a glance
+ * OrderOverview works out the figures of each pallet with the formulas of the metrics panel,
+ * and the order totals; PalletThumbnailRenderer draws each pallet off-screen into an image;
+ * OrderDashboard shows the thumbnails and a table, and opens a pallet in the 3D view when clicked
+ */
+
+class OrderOverview {
+    /**
+     * @param {Object} options - comparator (PlanComparator, so the figures match the compare view)
+     */
+    constructor(options = {}) {
+        this.comparator = options.comparator || new PlanComparator();
+    }
+
+    /**
+     * @param {PalletDataLoader} loader - Loader holding the order's pallets
+     * @returns {Object} { pallets: [{ index, boxCount, heightMm, volumeEfficiency, centerOfMassCm, lsi,
+     *                     totalWeightKg, fileEfficiency (efficiency1 from the plan, or 'N/A') }], totals }
+     */
+    analyse(loader) {
+        const statistics = loader.getStatistics();
+        const pallets = statistics ? loader.allPallets.map((pallet, index) => ({
+            index,
+            ...this.comparator.summarize(loader.getSortedBoxes(index), pallet.metadata.dimensions),
+            fileEfficiency: statistics.palletDetails[index].efficiency
+        })) : [];
+
+        return { pallets, totals: OrderOverview.getTotals(pallets) };
+    }
+
+    /**
+     * @param {Array} pallets - analyse() pallet figures
+     * @returns {Object} { palletCount, boxCount, totalWeightKg, averageEfficiency (%), tallestMm,
+     *                     worstCenterOfMassCm, lowestLsi (null when no pallet has one) }
+     */
+    static getTotals(pallets) {
+        const lsiValues = pallets.map(pallet => pallet.lsi).filter(value => value !== null);
+
+        return {
+            palletCount: pallets.length,
+            boxCount: pallets.reduce((sum, pallet) => sum + pallet.boxCount, 0),
+            totalWeightKg: pallets.reduce((sum, pallet) => sum + pallet.totalWeightKg, 0),
+            averageEfficiency: pallets.length > 0 ?
+                pallets.reduce((sum, pallet) => sum + pallet.volumeEfficiency, 0) / pallets.length : 0,
+            tallestMm: pallets.reduce((max, pallet) => Math.max(max, pallet.heightMm), 0),
+            worstCenterOfMassCm: pallets.reduce((max, pallet) => Math.max(max, pallet.centerOfMassCm), 0),
+            lowestLsi: lsiValues.length > 0 ? Math.min(...lsiValues) : null
+        };
+    }
+
+    /**
+     * @param {Array} pallets - analyse() pallet figures
+     * @param {string} key - Figure to sort by ('index' for plan order)
+     * @param {boolean} descending
+     * @returns {Array} Sorted copy; pallets without the figure (no LSI) go last
+     */
+    static sortPallets(pallets, key, descending = false) {
+        const direction = descending ? -1 : 1;
+        return [...pallets].sort((a, b) => {
+            if (a[key] === null || b[key] === null) {
+                return (a[key] === null) - (b[key] === null) || a.index - b.index;
+            }
+            return (a[key] - b[key]) * direction || a.index - b.index;
+        });
+    }
+}
+
+class PalletThumbnailRenderer {
+    /**
+     * @param {Object} options - width and height (px), itemCatalogue and itemTypeColors (Map)
+     *                           so boxes keep the colors of the main view
+     */
+    constructor(options = {}) {
+        this.width = options.width ?? 240;
+        this.height = options.height ?? 180;
+        this.itemCatalogue = options.itemCatalogue || null;
+        this.itemTypeColors = new Map(options.itemTypeColors || []);
+        this.cancelled = false;
+    }
+
+    /**
+     * Draw the pallets one after another in a scene of their own, handing each image over when it is ready
+     * @param {Array} pallets - Parsed pallets
+     * @param {Function} onThumbnail - Called with (index, data URL, view)
+     * @param {Array} views - 'isometric' and/or 'top', drawn in this order for each pallet
+     * @returns {Promise} Resolves once every pallet is drawn, or after cancel()
+     */
+    async renderAll(pallets, onThumbnail, views = ['isometric']) {
+        this.cancelled = false;
+
+        const stage = document.createElement('div');
+        stage.id = 'pallet-thumbnail-stage';
+        stage.className = 'pallet-thumbnail-stage';
+        stage.style.width = `${this.width}px`;
+        stage.style.height = `${this.height}px`;
+        document.body.appendChild(stage);
+
+        const simulator = new PalletSimulator(stage.id);
+        // Frames are drawn on demand below, not on every animation frame
+        cancelAnimationFrame(simulator.animationId);
+        const loader = new PalletDataLoader(simulator);
+        loader.itemCatalogue = this.itemCatalogue;
+        loader.itemTypeColors = this.itemTypeColors;
+
+        try {
+            for (let index = 0; index < pallets.length && !this.cancelled; index++) {
+                this.showPallet(simulator, loader, pallets[index]);
+                views.forEach(view => onThumbnail(index, this.capture(simulator, pallets[index], view), view));
+                // Let the page respond between pallets
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            loader.clearCurrentBoxes();
+            simulator.renderer.forceContextLoss();
+            simulator.dispose();
+            stage.remove();
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Put every box of the pallet in the scene
+     */
+    showPallet(simulator, loader, pallet) {
+        const dimensions = pallet.metadata.dimensions;
+
+        loader.clearCurrentBoxes();
+        loader.allPallets = [pallet];
+        loader.currentPalletIndex = 0;
+        simulator.setPalletDimensions(dimensions.x * 0.01, dimensions.y * 0.01);
+        loader.showPlacedBoxes(pallet.boxes.length);
+    }
+
+    /**
+     * @param {string} view - 'isometric' or 'top'
+     * @returns {string} PNG data URL of the pallet shown by showPallet
+     */
+    capture(simulator, pallet, view = 'isometric') {
+        const heightMm = pallet.boxes.reduce((max, box) => Math.max(max, box.coordinates.zmax), 0);
+        const placement = PalletThumbnailRenderer.getCameraPlacement(pallet.metadata.dimensions, heightMm,
+            simulator.camera.fov, view);
+        simulator.camera.position.set(placement.position.x, placement.position.y, placement.position.z);
+        simulator.camera.lookAt(placement.target.x, placement.target.y, placement.target.z);
+
+        simulator.renderer.render(simulator.scene, simulator.camera);
+        return simulator.renderer.domElement.toDataURL('image/png');
+    }
+
+    /**
+     * Camera far enough back to fit the whole stack: looking down from a front corner, or
+     * straight down on the pallet top ('top', with the back of the pallet at the top of the image)
+     * @param {Object} dimensions - Pallet header dimensions in mm ({ x, y })
+     * @param {number} heightMm - Stack height above the pallet top
+     * @param {number} fov - Vertical field of view in degrees
+     * @param {string} view - 'isometric' or 'top'
+     * @returns {Object} { position, target } in scene units
+     */
+    static getCameraPlacement(dimensions, heightMm, fov = 75, view = 'isometric') {
+        // Scene units are 100mm; the pallet top sits at y = -7.28
+        const length = dimensions.x * 0.01;
+        const width = dimensions.y * 0.01;
+        const height = heightMm * 0.01;
+
+        if (view === 'top') {
+            const target = { x: 0, y: -7.28, z: 0 };
+            const distance = Math.hypot(length, width) / 2 / Math.sin((fov / 2) * Math.PI / 180);
+            // Slightly in front, so "up" in the image is the back of the pallet
+            return { position: { x: 0, y: target.y + height + distance, z: 0.001 }, target };
+        }
+
+        const target = { x: 0, y: -7.28 + height / 2, z: 0 };
+
+        const radius = Math.sqrt(length ** 2 + width ** 2 + height ** 2) / 2;
+        const distance = radius / Math.sin((fov / 2) * Math.PI / 180);
+        const direction = { x: 0.55, y: 0.5, z: 0.67 };
+        const norm = Math.hypot(direction.x, direction.y, direction.z);
+
+        return {
+            position: {
+                x: target.x + direction.x / norm * distance,
+                y: target.y + direction.y / norm * distance,
+                z: target.z + direction.z / norm * distance
+            },
+            target
+        };
+    }
+}
+
+class OrderDashboard {
+    /**
+     * @param {Object} options - overview (OrderOverview), loader (the main PalletDataLoader),
+     *                           title (e.g. the plan's file name), thumbnailRenderer,
+     *                           onSelect(palletIndex) when a pallet is clicked, onClose(),
+     *                           onExportReport() to offer a load report of every pallet
+     */
+    constructor(options = {}) {
+        this.overview = options.overview;
+        this.loader = options.loader;
+        this.title = options.title || '';
+        this.thumbnailRenderer = options.thumbnailRenderer || null;
+        this.onSelect = options.onSelect || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.onExportReport = options.onExportReport || null;
+
+        this.columns = [
+            { key: 'index', label: 'Pallet', format: value => String(value + 1) },
+            ...this.overview.comparator.metrics
+        ];
+        this.sortKey = 'index';
+        this.descending = false;
+        this.result = null;
+        this.thumbnails = new Map();
+
+        // Interface elements
+        this.overlayElement = null;
+        this.totalsElement = null;
+        this.gridElement = null;
+        this.tableElement = null;
+    }
+
+    /**
+     * Show the dashboard; thumbnails fill in as they are drawn
+     * @returns {Promise} Resolves once every thumbnail is drawn
+     */
+    async open() {
+        if (this.overlayElement) {
+            return;
+        }
+
+        this.result = this.overview.analyse(this.loader);
+        this.createView();
+        this.render();
+
+        if (this.thumbnailRenderer) {
+            await this.thumbnailRenderer.renderAll(this.loader.allPallets, (index, dataUrl) => {
+                this.thumbnails.set(index, dataUrl);
+                const image = this.gridElement && this.gridElement.querySelector(`[data-pallet="${index}"] img`);
+                if (image) {
+                    image.src = dataUrl;
+                }
+            });
+        }
+    }
+
+    close() {
+        if (!this.overlayElement) {
+            return;
+        }
+
+        if (this.thumbnailRenderer) {
+            this.thumbnailRenderer.cancel();
+        }
+        document.removeEventListener('keydown', this.keyHandler);
+        this.overlayElement.remove();
+        this.overlayElement = null;
+        this.onClose();
+    }
+
+    isOpen() {
+        return this.overlayElement !== null;
+    }
+
+    createView() {
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.className = 'order-dashboard-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'order-dashboard-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Order overview');
+        dialog.innerHTML = `
+            <div class="order-dashboard-header">
+                <span class="order-dashboard-title"></span>
+                <button type="button" class="order-dashboard-export" title="Printable load report of every pallet">Export report</button>
+                <button type="button" class="order-dashboard-close" title="Close the overview">✕</button>
+            </div>
+            <div class="order-dashboard-totals"></div>
+            <div class="order-dashboard-grid"></div>
+            <table class="order-dashboard-table"></table>
+        `;
+
+        dialog.querySelector('.order-dashboard-title').textContent =
+            this.title ? `Order overview · ${this.title}` : 'Order overview';
+        dialog.querySelector('.order-dashboard-close').addEventListener('click', () => this.close());
+        const exportButton = dialog.querySelector('.order-dashboard-export');
+        if (this.onExportReport) {
+            exportButton.addEventListener('click', () => this.onExportReport());
+        } else {
+            exportButton.remove();
+        }
+        this.totalsElement = dialog.querySelector('.order-dashboard-totals');
+        this.gridElement = dialog.querySelector('.order-dashboard-grid');
+        this.tableElement = dialog.querySelector('.order-dashboard-table');
+
+        this.keyHandler = (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.keyHandler);
+
+        this.overlayElement.appendChild(dialog);
+        document.body.appendChild(this.overlayElement);
+    }
+
+    /**
+     * Sort by a column; clicking the sorted column again flips the order
+     */
+    sortBy(key) {
+        this.descending = key === this.sortKey ? !this.descending : key !== 'index';
+        this.sortKey = key;
+        this.render();
+    }
+
+    render() {
+        const pallets = OrderOverview.sortPallets(this.result.pallets, this.sortKey, this.descending);
+
+        this.renderTotals();
+        this.gridElement.innerHTML = '';
+        pallets.forEach(pallet => this.gridElement.appendChild(this.createCard(pallet)));
+
+        this.tableElement.innerHTML = '';
+        this.tableElement.appendChild(this.createHeader());
+        const body = document.createElement('tbody');
+        pallets.forEach(pallet => body.appendChild(this.createRow(pallet)));
+        this.tableElement.appendChild(body);
+    }
+
+    renderTotals() {
+        const totals = this.result.totals;
+        const format = key => this.columns.find(column => column.key === key).format;
+
+        this.totalsElement.innerHTML = '';
+        [
+            ['Pallets', String(totals.palletCount)],
+            ['Boxes', format('boxCount')(totals.boxCount)],
+            ['Total weight', format('totalWeightKg')(totals.totalWeightKg)],
+            ['Average efficiency', format('volumeEfficiency')(totals.averageEfficiency)],
+            ['Tallest', format('heightMm')(totals.tallestMm)],
+            ['Largest deviation', format('centerOfMassCm')(totals.worstCenterOfMassCm)],
+            ['Lowest LSI', format('lsi')(totals.lowestLsi)]
+        ].forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'order-dashboard-total';
+            item.innerHTML = '<span class="order-dashboard-total-value"></span><span class="order-dashboard-total-label"></span>';
+            item.querySelector('.order-dashboard-total-value').textContent = value;
+            item.querySelector('.order-dashboard-total-label').textContent = label;
+            this.totalsElement.appendChild(item);
+        });
+    }
+
+    createCard(pallet) {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'order-dashboard-card';
+        card.dataset.pallet = String(pallet.index);
+        card.classList.toggle('is-current', pallet.index === this.loader.currentPalletIndex);
+        card.title = `Open pallet ${pallet.index + 1} in the 3D view`;
+        card.addEventListener('click', () => this.select(pallet.index));
+
+        const image = document.createElement('img');
+        image.className = 'order-dashboard-thumbnail';
+        image.alt = `Pallet ${pallet.index + 1}`;
+        if (this.thumbnails.has(pallet.index)) {
+            image.src = this.thumbnails.get(pallet.index);
+        }
+
+        const caption = document.createElement('span');
+        caption.className = 'order-dashboard-caption';
+        caption.textContent = `Pallet ${pallet.index + 1} · ${pallet.boxCount} boxes`;
+
+        card.appendChild(image);
+        card.appendChild(caption);
+        return card;
+    }
+
+    createHeader() {
+        const head = document.createElement('thead');
+        const row = document.createElement('tr');
+
+        this.columns.forEach(column => {
+            const cell = document.createElement('th');
+            cell.textContent = column.label + (column.key === this.sortKey ? (this.descending ? ' ▼' : ' ▲') : '');
+            cell.title = `Sort by ${column.label.toLowerCase()}`;
+            cell.addEventListener('click', () => this.sortBy(column.key));
+            row.appendChild(cell);
+        });
+
+        head.appendChild(row);
+        return head;
+    }
+
+    createRow(pallet) {
+        const row = document.createElement('tr');
+        row.classList.toggle('is-current', pallet.index === this.loader.currentPalletIndex);
+        row.title = `Open pallet ${pallet.index + 1} in the 3D view`;
+        row.addEventListener('click', () => this.select(pallet.index));
+
+        this.columns.forEach(column => {
+            const cell = document.createElement('td');
+            cell.textContent = column.format(pallet[column.key]);
+            if (column.key === 'volumeEfficiency') {
+                cell.title = `Efficiency in the plan file: ${pallet.fileEfficiency}`;
+            }
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    select(palletIndex) {
+        this.close();
+        this.onSelect(palletIndex);
+    }
+
+    dispose() {
+        this.close();
+    }
+}
+
+// Export for global access
+window.OrderOverview = OrderOverview;
+window.PalletThumbnailRenderer = PalletThumbnailRenderer;
+window.OrderDashboard = OrderDashboard;
@@ -11,10 +11,8 @@ class PalletDataLoader {
         this.allPallets = [];
         this.currentPalletIndex = 0;
         this.orderInfo = {};
-        
-        // Animation control
-        this.animationSpeed = 500;
-        this.animationTimeouts = [];
+        this.diagnostics = [];
+        this.sourceFormat = null;
         
         // Color system for different item types
         this.itemTypeColors = new Map();
@@ -36,6 +34,15 @@ class PalletDataLoader {
             0x74b9ff,  // Bright Blue
             0xa29bfe   // Light Purple
         ];
+        
+        // Catalogue colors win over the palette (ItemCatalogue, set by the app)
+        this.itemCatalogue = null;
+        
+        // Optional function box model → hex color that replaces the item type colors
+        this.colorOverlay = null;
+        
+        // Optional function box model → boolean; boxes it rejects are hidden (e.g. an isolated layer)
+        this.boxFilter = null;
     }
     
     /**
@@ -76,11 +83,48 @@ class PalletDataLoader {
         // Store parsed data and assign colors
         this.allPallets = parsedData.pallets;
         this.orderInfo = parsedData.orderInfo;
+        this.diagnostics = [];
+        this.sourceFormat = 'crosslog';
         this.assignItemTypeColors();
         
         return parsedData;
     }
     
+    /**
+     * Parse a plan file without stopping at the first problem
+     * Crosslog, JSON and CSV are detected from the file name and content.
+     * Every error and warning is collected with its line, column and field,
+     * and only pallets that parsed cleanly are kept
+     * @param {string} fileContent - Raw file content
+     * @param {string} fileName - Original file name (optional)
+     * @returns {Object} Parsed data structure with diagnostics, summary and format
+     */
+    parseDataFileWithDiagnostics(fileContent, fileName = '') {
+        const result = window.planFormats.read(fileContent, fileName);
+        
+        result.pallets.forEach(pallet => {
+            pallet.boxes = pallet.boxes.map(rawBox => this.createBoxModel(rawBox, pallet.metadata.dimensions));
+        });
+        
+        // Store parsed data and assign colors
+        this.allPallets = result.pallets;
+        this.orderInfo = result.orderInfo;
+        this.diagnostics = result.diagnostics;
+        this.sourceFormat = result.format;
+        this.assignItemTypeColors();
+        
+        return result;
+    }
+    
+    /**
+     * Find the loaded index of a pallet by its position in the file
+     * @param {number} fileIndex - Pallet position in the source file
+     * @returns {number} Index in allPallets, or -1 if the pallet was not loaded
+     */
+    getLoadedPalletIndex(fileIndex) {
+        return this.allPallets.findIndex(pallet => pallet.id === fileIndex);
+    }
+    
     /**
      * Parse the order header section
      * @param {Array} lines - File lines
@@ -154,7 +198,7 @@ class PalletDataLoader {
         // Parse all boxes for this pallet
         for (let boxIndex = 0; boxIndex < expectedBoxCount; boxIndex++) {
             try {
-                const boxParseResult = this.parseBoxData(lines, currentIndex, boxIndex);
+                const boxParseResult = this.parseBoxData(lines, currentIndex, boxIndex, palletData.metadata.dimensions);
                 palletData.boxes.push(boxParseResult.boxData);
                 currentIndex = boxParseResult.nextLineIndex;
             } catch (error) {
@@ -271,8 +315,9 @@ class PalletDataLoader {
     /**
      * Parse individual box data line
      * Format: [xmin ymin zmin xmax ymax zmax sequence item_type weight k irregular]
+     * @param {Object} palletDimensions - Pallet dimensions from the header (mm)
      */
-    parseBoxData(lines, startIndex, boxIndex) {
+    parseBoxData(lines, startIndex, boxIndex, palletDimensions) {
         let currentIndex = startIndex;
         
         if (currentIndex >= lines.length) {
@@ -301,8 +346,7 @@ class PalletDataLoader {
             }
         }
         
-        // Parse coordinates and convert from mm to 3D units
-        const box = {
+        const box = this.createBoxModel({
             coordinates: {
                 xmin: parseFloat(boxData[0]),
                 ymin: parseFloat(boxData[1]), 
@@ -311,27 +355,12 @@ class PalletDataLoader {
                 ymax: parseFloat(boxData[4]),
                 zmax: parseFloat(boxData[5])
             },
-            position: {
-                x: (parseFloat(boxData[0]) + parseFloat(boxData[3])) / 2 * 0.01,
-                y: (parseFloat(boxData[2]) + parseFloat(boxData[5])) / 2 * 0.01,
-                z: (parseFloat(boxData[1]) + parseFloat(boxData[4])) / 2 * 0.01
-            },
-            dimensions: {
-                width: (parseFloat(boxData[3]) - parseFloat(boxData[0])) * 0.01,
-                height: (parseFloat(boxData[5]) - parseFloat(boxData[2])) * 0.01,
-                depth: (parseFloat(boxData[4]) - parseFloat(boxData[1])) * 0.01
-            },
             sequence: parseInt(boxData[6]),
             itemType: parseInt(boxData[7]),
             weight: parseFloat(boxData[8]),
             k: parseFloat(boxData[9]),
             irregular: parseInt(boxData[10])
-        };
-        
-        // Adjust position relative to pallet center
-        box.position.x -= 6.0;  
-        box.position.z -= 4.0;  
-        box.position.y += 0.72 -8; 
+        }, palletDimensions);
         
         currentIndex++;
         return {
@@ -340,6 +369,51 @@ class PalletDataLoader {
         };
     }
     
+    /**
+     * Build the box model used by the scene from raw Crosslog values
+     * Converts coordinates from mm to 3D units relative to the pallet center
+     * @param {Object} rawBox - Crosslog coordinates (mm), sequence, itemType, weight, k, irregular
+     * @param {Object} palletDimensions - Pallet dimensions from the header (mm): x, y, z
+     * @returns {Object} Box model with position and dimensions in 3D units
+     */
+    createBoxModel(rawBox, palletDimensions) {
+        const c = rawBox.coordinates;
+        
+        const box = {
+            coordinates: { ...c },
+            position: {
+                x: (c.xmin + c.xmax) / 2 * 0.01,
+                y: (c.zmin + c.zmax) / 2 * 0.01,
+                z: (c.ymin + c.ymax) / 2 * 0.01
+            },
+            dimensions: {
+                width: (c.xmax - c.xmin) * 0.01,
+                height: (c.zmax - c.zmin) * 0.01,
+                depth: (c.ymax - c.ymin) * 0.01
+            },
+            sequence: rawBox.sequence,
+            itemType: rawBox.itemType,
+            weight: rawBox.weight,
+            k: rawBox.k,
+            irregular: rawBox.irregular
+        };
+        
+        if (rawBox.sourceLine !== undefined) {
+            box.sourceLine = rawBox.sourceLine;
+        }
+        
+        // Adjust position relative to pallet center
+        box.position.x -= palletDimensions.x * 0.01 / 2;
+        box.position.z -= palletDimensions.y * 0.01 / 2;
+
+        // Heights start on the pallet deck, which does not move with the header: z is the
+        // maximum load height, while the wooden pallet model is always 1.44 units tall and
+        // centred at y = -8 (see createPallet in three-setup.js), so its top is at 0.72 - 8
+        box.position.y += 0.72 - 8;
+        
+        return box;
+    }
+    
     /**
      * Assign consistent colors to item types across all pallets
      */
@@ -358,8 +432,133 @@ class PalletDataLoader {
         });
     }
     
+    /**
+     * Color of an item type: its catalogue color, or its palette color
+     * @param {number} itemType - Item type
+     * @returns {number} Hex color
+     */
+    getItemTypeColor(itemType) {
+        const catalogueColor = this.itemCatalogue ? this.itemCatalogue.getColor(itemType) : null;
+        return catalogueColor ?? this.getPaletteColor(itemType);
+    }
+    
+    /**
+     * Palette color of an item type; types first seen in a live stream get the next palette color
+     * @param {number} itemType - Item type
+     * @returns {number} Hex color
+     */
+    getPaletteColor(itemType) {
+        if (!this.itemTypeColors.has(itemType)) {
+            const colorIndex = this.itemTypeColors.size % this.colorPalette.length;
+            this.itemTypeColors.set(itemType, this.colorPalette[colorIndex]);
+        }
+        return this.itemTypeColors.get(itemType);
+    }
+    
+    /**
+     * Color a box is drawn with: the overlay's color when one is set, otherwise its item type color
+     * @param {Object} boxData - Box model
+     * @returns {number} Hex color
+     */
+    getBoxColor(boxData) {
+        const overlayColor = this.colorOverlay ? this.colorOverlay(boxData) : null;
+        return overlayColor ?? this.getItemTypeColor(boxData.itemType);
+    }
+    
+    /**
+     * Color the boxes by something other than item type, and recolor the boxes in the scene
+     * @param {Function|null} overlay - box model → hex color (null keeps the item type color), or null to remove it
+     */
+    setColorOverlay(overlay) {
+        this.colorOverlay = overlay;
+        this.refreshBoxColors();
+    }
+    
+    /**
+     * Recolor the boxes in the scene, e.g. after the catalogue colors changed
+     */
+    refreshBoxColors() {
+        const sortedBoxes = this.getSortedBoxes();
+        this.simulator.boxes.forEach((mesh, index) => {
+            if (sortedBoxes[index]) {
+                mesh.material.color.setHex(this.getBoxColor(sortedBoxes[index]));
+            }
+        });
+    }
+    
+    /**
+     * Start an order that arrives box by box from a placement stream
+     * @param {Object} orderInfo - { orderId, palletQuantity }
+     */
+    startLiveOrder(orderInfo = {}) {
+        this.clearCurrentBoxes();
+        this.allPallets = [];
+        this.currentPalletIndex = 0;
+        this.orderInfo = { orderId: orderInfo.orderId, palletQuantity: orderInfo.palletQuantity };
+        this.diagnostics = [];
+        this.sourceFormat = 'stream';
+        this.itemTypeColors.clear();
+    }
+    
+    /**
+     * Add a pallet announced by the stream and show it (the viewer follows the newest pallet)
+     * @param {Object} message - Stream 'pallet' message
+     * @returns {Object} The new pallet
+     */
+    addLivePallet(message) {
+        const pallet = {
+            id: message.palletIndex,
+            metadata: {
+                palletId: message.palletId ?? message.palletIndex,
+                dimensions: { ...message.dimensions },
+                weight: message.weight
+            },
+            boxes: []
+        };
+        
+        this.allPallets[message.palletIndex] = pallet;
+        
+        this.clearCurrentBoxes();
+        this.currentPalletIndex = message.palletIndex;
+        this.applyPalletDimensions(pallet);
+        
+        return pallet;
+    }
+    
+    /**
+     * Add a streamed placement to its pallet, and to the scene if that pallet is shown
+     * @param {Object} placement - Stream 'placement' message
+     * @returns {Object|null} Box model, or null if the pallet was never announced
+     */
+    addLivePlacement(placement) {
+        const pallet = this.allPallets[placement.palletIndex];
+        
+        if (!pallet) {
+            console.warn(`Placement for unknown pallet ${placement.palletIndex} ignored`);
+            return null;
+        }
+        
+        const box = this.createBoxModel({
+            coordinates: placement.coordinates,
+            sequence: placement.sequence,
+            itemType: placement.itemType,
+            weight: placement.weight,
+            k: placement.k ?? 0,
+            irregular: placement.irregular ?? 0
+        }, pallet.metadata.dimensions);
+        
+        pallet.boxes.push(box);
+        
+        if (placement.palletIndex === this.currentPalletIndex) {
+            this.createAndAddBox(box);
+        }
+        
+        return box;
+    }
+    
     /**
      * Load a specific pallet for 3D visualization
+     * The boxes are placed by the main app's timeline, which starts playing the pallet
      * @param {number} palletIndex - Index of pallet to load
      */
     loadPallet(palletIndex) {
@@ -371,32 +570,131 @@ class PalletDataLoader {
         this.clearCurrentBoxes();
         this.currentPalletIndex = palletIndex;
         const currentPallet = this.allPallets[palletIndex];
+        this.applyPalletDimensions(currentPallet);
+        
+        if (window.palletApp && window.palletApp.playPallet) {
+            window.palletApp.playPallet();
+        }
+    }
+    
+    /**
+     * Boxes of a pallet in placement order
+     * @param {number} palletIndex - Pallet index (defaults to the current pallet)
+     * @returns {Array} Box models sorted by sequence
+     */
+    getSortedBoxes(palletIndex = this.currentPalletIndex) {
+        const pallet = this.allPallets[palletIndex];
+        return pallet ? [...pallet.boxes].sort((a, b) => a.sequence - b.sequence) : [];
+    }
+    
+    /**
+     * Make the scene show exactly the first `count` boxes of the current pallet
+     * Only the difference with what is already shown is added or removed
+     * @param {number} count - Number of boxes, in sequence order
+     * @returns {Array} Meshes that were added
+     */
+    showPlacedBoxes(count) {
+        const sortedBoxes = this.getSortedBoxes();
+        const target = Math.min(count, sortedBoxes.length);
+        
+        while (this.simulator.boxes.length > target) {
+            this.removeLastBox();
+        }
+        
+        const added = [];
+        for (let i = this.simulator.boxes.length; i < target; i++) {
+            added.push(this.createAndAddBox(sortedBoxes[i]));
+        }
+        return added;
+    }
+    
+    /**
+     * Remove the most recently placed box from the scene
+     */
+    removeLastBox() {
+        const box = this.simulator.boxes.pop();
+        if (!box) {
+            return;
+        }
+        
+        if (this.simulator.highlightedBox === box) {
+            this.simulator.clearBoxHighlight();
+        }
+        if (this.simulator.selectedBox === box) {
+            this.simulator.selectBox(null);
+        }
+        if (this.simulator.hoveredBox === box) {
+            this.simulator.setHoveredBox(null);
+        }
+        
+        this.simulator.scene.remove(box);
+        if (box.geometry) box.geometry.dispose();
+        if (box.material) box.material.dispose();
+    }
+    
+    /**
+     * Share the pallet header dimensions with the scene and the metrics
+     * @param {Object} pallet - Parsed pallet
+     */
+    applyPalletDimensions(pallet) {
+        const dimensions = pallet.metadata.dimensions;
+        
+        if (window.unitsSystem) {
+            window.unitsSystem.setPalletDimensions(dimensions.x, dimensions.y, dimensions.z);
+        }
+        
+        this.simulator.setPalletDimensions(dimensions.x * 0.01, dimensions.y * 0.01);
+        
+        if (window.palletApp && window.palletApp.updatePalletDimensions) {
+            window.palletApp.updatePalletDimensions();
+        }
+    }
+    
+    /**
+     * Show only some of the boxes in the scene
+     * @param {Function|null} filter - box model → true to show it, or null to show every box
+     */
+    setBoxFilter(filter) {
+        this.boxFilter = filter;
         
-        const sortedBoxes = [...currentPallet.boxes].sort((a, b) => a.sequence - b.sequence);
-        
-        sortedBoxes.forEach((boxData, index) => {
-            const delay = index * this.animationSpeed;
-            
-            const timeoutId = setTimeout(() => {
-                this.createAndAddBox(boxData);
-                
-                // Check if this was the last box and notify main app
-                if (index === sortedBoxes.length - 1) {
-                    setTimeout(() => {
-                        if (window.palletApp && window.palletApp.setAnimationCompleted) {
-                            window.palletApp.setAnimationCompleted();
-                        }
-                    }, 100);
-                }
-            }, delay);
-            
-            this.animationTimeouts.push(timeoutId);
+        const sortedBoxes = this.getSortedBoxes();
+        this.simulator.boxes.forEach((mesh, index) => {
+            if (sortedBoxes[index]) {
+                mesh.visible = this.isBoxShown(sortedBoxes[index]);
+            }
+        });
+    }
+    
+    isBoxShown(boxData) {
+        return this.boxFilter ? this.boxFilter(boxData) : true;
+    }
+    
+    /**
+     * Tint a box that fails a plan check: red for errors, amber for warnings
+     * @param {THREE.Mesh} mesh - Box mesh
+     * @param {string|null} severity - 'error', 'warning' or null (no issue)
+     */
+    applyValidationStyle(mesh, severity) {
+        mesh.userData.validation = severity || null;
+        mesh.material.emissive.setHex(severity === 'error' ? 0x7a0000 : severity === 'warning' ? 0x5c3d00 : 0x000000);
+    }
+    
+    /**
+     * Re-apply plan check tints to the boxes in the scene (after the plan was validated again)
+     */
+    refreshValidationStyles() {
+        const sortedBoxes = this.getSortedBoxes();
+        this.simulator.boxes.forEach((mesh, index) => {
+            if (sortedBoxes[index] && mesh !== this.simulator.highlightedBox && mesh !== this.simulator.hoveredBox) {
+                this.applyValidationStyle(mesh, sortedBoxes[index].validation);
+            }
         });
     }
     
     /**
      * Create a 3D box mesh and add it to the scene
      * @param {Object} boxData - Box data from parsed file
+     * @returns {THREE.Mesh} The box mesh
      */
     createAndAddBox(boxData) {
         const geometry = new THREE.BoxGeometry(
@@ -405,7 +703,7 @@ class PalletDataLoader {
             boxData.dimensions.depth
         );
         
-        const color = this.itemTypeColors.get(boxData.itemType) || 0x808080;
+        const color = this.getBoxColor(boxData);
         
         const material = new THREE.MeshLambertMaterial({ 
             color: color,
@@ -423,16 +721,20 @@ class PalletDataLoader {
         
         box.castShadow = true;
         box.receiveShadow = true;
+        box.visible = this.isBoxShown(boxData);
         
         box.userData = {
             sequence: boxData.sequence,
             itemType: boxData.itemType,
             weight: boxData.weight,
-            originalCoordinates: boxData.coordinates
+            originalCoordinates: boxData.coordinates,
+            validation: null
         };
+        this.applyValidationStyle(box, boxData.validation);
         
         this.simulator.scene.add(box);
         this.simulator.boxes.push(box);
+        return box;
     }
     
     /**
@@ -457,10 +759,13 @@ class PalletDataLoader {
      * Clear all current boxes from the scene
      */
     clearCurrentBoxes() {
-        this.animationTimeouts.forEach(timeoutId => {
-            clearTimeout(timeoutId);
-        });
-        this.animationTimeouts = [];
+        if (this.simulator.clearBoxHighlight) {
+            this.simulator.clearBoxHighlight();
+        }
+        if (this.simulator.selectBox) {
+            this.simulator.selectBox(null);
+            this.simulator.setHoveredBox(null);
+        }
         
         this.simulator.boxes.forEach(box => {
             this.simulator.scene.remove(box);
@@ -0,0 +1,329 @@
+/**
+ * Pallet Metrics - The figures of the metrics panel, worked out from the parsed box model
+ * No DOM, Three.js or Chart.js: the calculators behind the panel show what this returns, and
+ * Node scripts load it in a vm context with the plan readers (as scripts/mock-placement-stream.js does)
+ *
+ * Boxes are box models, or any { coordinates (Crosslog mm), weight (g) }; pallet dimensions are
+ * the header's { x, y } in mm. Horizontal positions are measured from the pallet centre, x along
+ * the pallet length and z along its width (the axes of the 3D view); y is the height above the pallet
+ */
+
+class PalletMetrics {
+    /**
+     * @param {Object} options - safetyLimitCm (centre of mass deviation where its LSI score reaches 0),
+     *                           cellSizeMm (target weight distribution cell, stretched to fit the pallet)
+     */
+    constructor(options = {}) {
+        this.safetyLimitCm = options.safetyLimitCm ?? 30;
+        this.cellSizeMm = options.cellSizeMm ?? 50;
+    }
+
+    /**
+     * Every metric of one pallet
+     * @param {Array} boxes - Boxes on the pallet
+     * @param {Object} palletDimensions - Pallet header dimensions in mm ({ x, y })
+     * @returns {Object} { boxCount, heightMm, totalWeightKg, centerOfMass, volume, lsi, weightDistribution }
+     */
+    calculate(boxes, palletDimensions) {
+        const heightMm = PalletMetrics.getHeight(boxes);
+        const centerOfMass = this.calculateCenterOfMass(boxes, palletDimensions);
+
+        return {
+            boxCount: boxes.length,
+            heightMm,
+            totalWeightKg: PalletMetrics.getTotalWeight(boxes) / 1000,
+            centerOfMass,
+            volume: this.calculateVolumeEfficiency(boxes, palletDimensions, heightMm),
+            lsi: this.calculateLoadStabilityIndex(boxes, palletDimensions, centerOfMass.deviationCm),
+            weightDistribution: this.calculateWeightDistribution(boxes, palletDimensions)
+        };
+    }
+
+    /**
+     * Weighted centre of the boxes; boxes without a weight are left out
+     * @returns {Object} { x, y, z (mm), totalWeight (g), boxCount, deviationMm, deviationCm
+     *                     (horizontal distance from the pallet centre), stabilityRating }
+     */
+    calculateCenterOfMass(boxes, palletDimensions) {
+        let weightedX = 0;
+        let weightedY = 0;
+        let weightedZ = 0;
+        let totalWeight = 0;
+        let boxCount = 0;
+
+        boxes.forEach(box => {
+            const weight = box.weight || 0;
+            if (weight <= 0) {
+                return;
+            }
+
+            const center = PalletMetrics.getCenter(box, palletDimensions);
+            weightedX += weight * center.x;
+            weightedY += weight * center.y;
+            weightedZ += weight * center.z;
+            totalWeight += weight;
+            boxCount++;
+        });
+
+        const x = totalWeight > 0 ? weightedX / totalWeight : 0;
+        const y = totalWeight > 0 ? weightedY / totalWeight : 0;
+        const z = totalWeight > 0 ? weightedZ / totalWeight : 0;
+        const deviationMm = Math.hypot(x, z);
+
+        return {
+            x,
+            y,
+            z,
+            totalWeight,
+            boxCount,
+            deviationMm,
+            deviationCm: deviationMm / 10,
+            stabilityRating: PalletMetrics.getStabilityRating(deviationMm)
+        };
+    }
+
+    /**
+     * Box volume over the pallet footprint times the load height
+     * @param {number} heightMm - Load height (defaults to the top of the highest box)
+     * @returns {Object} { occupiedVolumeCm3, availableVolumeCm3, efficiency (%, at most 100), boxCount, currentHeightCm }
+     */
+    calculateVolumeEfficiency(boxes, palletDimensions, heightMm = PalletMetrics.getHeight(boxes)) {
+        let occupiedVolumeMm3 = 0;
+        let boxCount = 0;
+
+        boxes.forEach(box => {
+            const c = box.coordinates;
+            const volume = (c.xmax - c.xmin) * (c.ymax - c.ymin) * (c.zmax - c.zmin);
+            if (volume > 0) {
+                occupiedVolumeMm3 += volume;
+                boxCount++;
+            }
+        });
+
+        const availableVolumeMm3 = palletDimensions.x * palletDimensions.y * heightMm;
+
+        return {
+            occupiedVolumeCm3: occupiedVolumeMm3 / 1000,
+            availableVolumeCm3: availableVolumeMm3 / 1000,
+            efficiency: availableVolumeMm3 > 0 ? Math.min(100, occupiedVolumeMm3 / availableVolumeMm3 * 100) : 0,
+            boxCount,
+            currentHeightCm: heightMm / 10
+        };
+    }
+
+    /**
+     * @param {number} deviationCm - Centre of mass deviation (calculateCenterOfMass)
+     * @returns {Object} LSI result (see getLoadStabilityIndex)
+     */
+    calculateLoadStabilityIndex(boxes, palletDimensions, deviationCm) {
+        const points = boxes.map(box => ({ ...PalletMetrics.getCenter(box, palletDimensions), weight: box.weight || 0 }));
+        return this.getLoadStabilityIndex(points, deviationCm);
+    }
+
+    /**
+     * LSI = centre of mass score × 0.6 + weight distribution score × 0.4
+     * @param {Array} points - { x, z, weight } around the pallet centre, in any unit
+     * @param {number} deviationCm - Centre of mass deviation; the score is 100 when it is not a number
+     * @returns {Object} { value, centerOfMassScore, weightDistributionScore, stabilityRating, safetyLimit }
+     */
+    getLoadStabilityIndex(points, deviationCm) {
+        const centerOfMassScore = typeof deviationCm === 'number' ? this.getCenterOfMassScore(deviationCm) : 100;
+        const weightDistributionScore = PalletMetrics.getQuadrantScore(points);
+        const value = centerOfMassScore * 0.6 + weightDistributionScore * 0.4;
+
+        return {
+            value,
+            centerOfMassScore,
+            weightDistributionScore,
+            stabilityRating: PalletMetrics.getLSIRating(value),
+            safetyLimit: this.safetyLimitCm
+        };
+    }
+
+    /**
+     * 100 with no deviation, falling linearly to 0 at the safety limit
+     */
+    getCenterOfMassScore(deviationCm) {
+        return deviationCm <= this.safetyLimitCm ? Math.max(0, (1 - deviationCm / this.safetyLimitCm) * 100) : 0;
+    }
+
+    /**
+     * Weight spread over a grid of cells about cellSizeMm wide; a box's weight is shared by
+     * the cells under it by area, and the part of a box past the pallet edge carries none
+     * @param {Object} grid - { rows, cols }, defaults to getGridSize
+     * @returns {Object} { rows, cols, cells (kg, row by row: rows run along the width, columns
+     *                     along the length), totalWeightKg, maxCellWeight, occupiedCells, isBalanced }
+     */
+    calculateWeightDistribution(boxes, palletDimensions, grid = this.getGridSize(palletDimensions)) {
+        const { rows, cols } = grid;
+        const cellLength = palletDimensions.x / cols;
+        const cellWidth = palletDimensions.y / rows;
+        const cells = new Array(rows * cols).fill(0);
+        let totalWeightKg = 0;
+
+        boxes.forEach(box => {
+            const weight = (box.weight || 0) / 1000;
+            if (weight <= 0) {
+                return;
+            }
+            totalWeightKg += weight;
+
+            const c = box.coordinates;
+            const overlaps = [];
+            const firstCol = Math.max(0, Math.floor(c.xmin / cellLength));
+            const lastCol = Math.min(cols - 1, Math.ceil(c.xmax / cellLength) - 1);
+            const firstRow = Math.max(0, Math.floor(c.ymin / cellWidth));
+            const lastRow = Math.min(rows - 1, Math.ceil(c.ymax / cellWidth) - 1);
+
+            for (let row = firstRow; row <= lastRow; row++) {
+                for (let col = firstCol; col <= lastCol; col++) {
+                    const x = Math.min(c.xmax, (col + 1) * cellLength) - Math.max(c.xmin, col * cellLength);
+                    const y = Math.min(c.ymax, (row + 1) * cellWidth) - Math.max(c.ymin, row * cellWidth);
+                    if (x > 0 && y > 0) {
+                        overlaps.push({ index: row * cols + col, area: x * y });
+                    }
+                }
+            }
+
+            const area = overlaps.reduce((sum, overlap) => sum + overlap.area, 0);
+            overlaps.forEach(overlap => {
+                cells[overlap.index] += weight * overlap.area / area;
+            });
+        });
+
+        const occupied = cells.filter(weight => weight > 0);
+
+        return {
+            rows,
+            cols,
+            cells,
+            totalWeightKg,
+            maxCellWeight: Math.max(...cells),
+            occupiedCells: occupied.length,
+            isBalanced: PalletMetrics.isBalanced(occupied)
+        };
+    }
+
+    /**
+     * Keeps cells close to cellSizeMm, so a 1200x800 pallet is 24×16 and a 1200x1000 pallet 24×20
+     * @returns {Object} { rows, cols }
+     */
+    getGridSize(palletDimensions) {
+        return {
+            rows: Math.max(1, Math.round(palletDimensions.y / this.cellSizeMm)),
+            cols: Math.max(1, Math.round(palletDimensions.x / this.cellSizeMm))
+        };
+    }
+
+    /**
+     * @returns {Object} Centre of a box { x, y, z } in mm (see the header for the axes)
+     */
+    static getCenter(box, palletDimensions) {
+        const c = box.coordinates;
+        return {
+            x: (c.xmin + c.xmax) / 2 - palletDimensions.x / 2,
+            y: (c.zmin + c.zmax) / 2,
+            z: (c.ymin + c.ymax) / 2 - palletDimensions.y / 2
+        };
+    }
+
+    /**
+     * @returns {number} Top of the highest box in mm, 0 without boxes
+     */
+    static getHeight(boxes) {
+        return boxes.reduce((max, box) => Math.max(max, box.coordinates.zmax), 0);
+    }
+
+    /**
+     * @returns {number} Weight of the boxes in g
+     */
+    static getTotalWeight(boxes) {
+        return boxes.reduce((sum, box) => sum + Math.max(0, box.weight || 0), 0);
+    }
+
+    /**
+     * How evenly the weight sits over the four quadrants around the pallet centre:
+     * 100 with 25% in each, 0 when the spread of the shares reaches 25 points
+     * @param {Array} points - { x, z, weight }
+     */
+    static getQuadrantScore(points) {
+        if (points.length <= 1) {
+            return 100;
+        }
+
+        const quadrants = [0, 0, 0, 0];
+        let totalWeight = 0;
+
+        points.forEach(point => {
+            const weight = point.weight || 0;
+            let quadrant;
+            if (point.x >= 0 && point.z >= 0) quadrant = 0;
+            else if (point.x < 0 && point.z >= 0) quadrant = 1;
+            else if (point.x < 0 && point.z < 0) quadrant = 2;
+            else quadrant = 3;
+
+            quadrants[quadrant] += weight;
+            totalWeight += weight;
+        });
+
+        if (totalWeight === 0) {
+            return 100;
+        }
+
+        const variance = quadrants.reduce((sum, weight) => sum + (weight / totalWeight * 100 - 25) ** 2, 0) / 4;
+        return Math.max(0, (1 - Math.sqrt(variance) / 25) * 100);
+    }
+
+    /**
+     * @param {number} value - LSI (%)
+     * @returns {string} Excellent, Good, Fair, Poor or Critical
+     */
+    static getLSIRating(value) {
+        if (value >= 85) return 'Excellent';
+        if (value >= 70) return 'Good';
+        if (value >= 55) return 'Fair';
+        if (value >= 40) return 'Poor';
+        return 'Critical';
+    }
+
+    /**
+     * @param {number} deviationMm - Horizontal centre of mass deviation
+     * @returns {string} Excellent (≤ 5cm), Good (≤ 15cm), Fair (≤ 30cm) or Poor
+     */
+    static getStabilityRating(deviationMm) {
+        if (deviationMm <= 50) return 'Excellent';
+        if (deviationMm <= 150) return 'Good';
+        if (deviationMm <= 300) return 'Fair';
+        return 'Poor';
+    }
+
+    /**
+     * Balanced when the loaded cells differ from their mean by less than half of it (coefficient of variation)
+     * @param {Array} weights - Weights of the loaded cells
+     */
+    static isBalanced(weights) {
+        if (weights.length === 0) {
+            return true;
+        }
+
+        const mean = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+        const variance = weights.reduce((sum, weight) => sum + (weight - mean) ** 2, 0) / weights.length;
+        return Math.sqrt(variance) / mean < 0.5;
+    }
+
+    /**
+     * Box models of the meshes in the 3D view, for the calculators that are handed scene boxes
+     * @param {Array} meshes - Meshes made by PalletDataLoader.createAndAddBox
+     */
+    static fromMeshes(meshes) {
+        return meshes.map(mesh => ({
+            coordinates: mesh.userData.originalCoordinates,
+            weight: mesh.userData.weight,
+            sequence: mesh.userData.sequence,
+            itemType: mesh.userData.itemType
+        }));
+    }
+}
+
+// Export for global access
+window.PalletMetrics = PalletMetrics;
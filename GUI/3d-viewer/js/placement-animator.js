@@ -0,0 +1,252 @@
+/**
+ * Placement Animator - Moves newly placed boxes to their final position
+ * Styles:
+ *   instant - the box appears in place (previous behaviour)
+ *   drop    - the box descends from above its position
+ *   robot   - pick-and-place path: lift at the pickup station, travel above the load, descend
+ *
+ * Only boxes placed by timeline playback are animated; seeking, stepping and
+ * scrubbing snap every box in flight to its final position.
+ * The mesh position stays at the final position the whole time (metrics read it);
+ * only the rendered matrix follows the path.
+ */
+
+class PlacementAnimator {
+    /**
+     * @param {PalletSimulator} simulator - Scene whose frames drive the animation
+     * @param {Object} options - style, duration (ms), dropHeight and clearance (scene units),
+     *                           pickupStation ({ x, y, z } of the surface boxes are picked from),
+     *                           onCarry(mesh, point) and onLand(mesh) for whatever carries boxes
+     *                           on the robot path (point is the centre of the box top), now (for tests)
+     */
+    constructor(simulator, options = {}) {
+        this.simulator = simulator;
+        this.styles = {
+            instant: 'Instant',
+            drop: 'Drop from above',
+            robot: 'Robot arm path'
+        };
+        this.style = this.styles[options.style] ? options.style : 'instant';
+        this.duration = options.duration ?? 450;
+        this.dropHeight = options.dropHeight ?? 4;     // 400mm above the final position
+        this.clearance = options.clearance ?? 1.5;     // 150mm above the highest box on the robot path
+        this.pickupStation = options.pickupStation || null;
+        this.onCarry = options.onCarry || (() => {});
+        this.onLand = options.onLand || (() => {});
+        this.now = options.now || (() => window.performance.now());
+
+        this.tweens = [];
+        this.pausedAt = null;
+        this.unsubscribe = simulator && simulator.onFrame ? simulator.onFrame(() => this.update()) : null;
+    }
+
+    /**
+     * @param {string} style - instant, drop or robot
+     */
+    setStyle(style) {
+        if (!this.styles[style]) {
+            throw new Error(`Unknown placement style: ${style}`);
+        }
+        this.finishAll();
+        this.style = style;
+    }
+
+    /**
+     * Start moving a box that was just added at its final position
+     * @param {THREE.Mesh} mesh - Box mesh
+     * @param {number} maxDuration - Upper limit so the box lands before the next one starts (ms)
+     */
+    animate(mesh, maxDuration = Infinity) {
+        if (this.style === 'instant') {
+            return;
+        }
+
+        const target = { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z };
+        const path = this.style === 'robot' ? this.getRobotPath(mesh, target) : this.getDropPath(target);
+
+        this.tweens.push({
+            mesh,
+            path,
+            start: this.now(),
+            duration: Math.max(1, Math.min(this.duration, maxDuration)),
+            easing: this.style === 'robot' ? PlacementAnimator.easeInOutCubic : PlacementAnimator.easeOutCubic,
+            carried: this.style === 'robot'
+        });
+        this.moveTween(this.tweens[this.tweens.length - 1], path[0]);
+    }
+
+    getDropPath(target) {
+        return [{ x: target.x, y: target.y + this.dropHeight, z: target.z }, target];
+    }
+
+    getRobotPath(mesh, target) {
+        const station = this.getPickupStation();
+        const halfHeight = PlacementAnimator.getHalfHeight(mesh);
+        const pickup = { ...station, y: station.y + halfHeight };
+
+        // Travel height lifts the box bottom clear of every box already on the pallet
+        let stackTop = target.y - halfHeight;
+        this.simulator.boxes.forEach(box => {
+            if (box !== mesh) {
+                stackTop = Math.max(stackTop, box.position.y + PlacementAnimator.getHalfHeight(box));
+            }
+        });
+        const travelY = Math.max(stackTop, station.y) + this.clearance + halfHeight;
+
+        return [
+            pickup,
+            { x: pickup.x, y: travelY, z: pickup.z },
+            { x: target.x, y: travelY, z: target.z },
+            target
+        ];
+    }
+
+    /**
+     * Surface boxes are picked from: the configured station, or beside the pallet's left edge at pallet-top height
+     */
+    getPickupStation() {
+        if (this.pickupStation) {
+            return { ...this.pickupStation };
+        }
+
+        const length = this.simulator.palletDimensions ? this.simulator.palletDimensions.length : 12;
+        return { x: -(length / 2 + 3), y: -8 + 0.72, z: 0 };
+    }
+
+    /**
+     * Advance every box in flight (called on each rendered frame)
+     */
+    update() {
+        if (this.pausedAt !== null || this.tweens.length === 0) {
+            return;
+        }
+
+        const now = this.now();
+        this.tweens = this.tweens.filter(tween => {
+            const progress = Math.min(1, (now - tween.start) / tween.duration);
+            if (progress >= 1) {
+                this.land(tween);
+                return false;
+            }
+            this.moveTween(tween, PlacementAnimator.pointAlong(tween.path, tween.easing(progress)));
+            return true;
+        });
+    }
+
+    /**
+     * Freeze boxes in flight, e.g. while playback is paused
+     */
+    pause() {
+        if (this.pausedAt === null) {
+            this.pausedAt = this.now();
+        }
+    }
+
+    resume() {
+        if (this.pausedAt === null) {
+            return;
+        }
+
+        const pausedFor = this.now() - this.pausedAt;
+        this.tweens.forEach(tween => { tween.start += pausedFor; });
+        this.pausedAt = null;
+    }
+
+    /**
+     * Put every box in flight at its final position
+     */
+    finishAll() {
+        this.tweens.forEach(tween => this.land(tween));
+        this.tweens = [];
+        this.pausedAt = null;
+    }
+
+    isAnimating() {
+        return this.tweens.length > 0;
+    }
+
+    moveTween(tween, point) {
+        this.showAt(tween.mesh, point);
+        if (tween.carried) {
+            this.onCarry(tween.mesh, { ...point, y: point.y + PlacementAnimator.getHalfHeight(tween.mesh) });
+        }
+    }
+
+    land(tween) {
+        this.release(tween.mesh);
+        if (tween.carried) {
+            this.onLand(tween.mesh);
+        }
+    }
+
+    // Draw the box at a point without moving its position
+    showAt(mesh, point) {
+        mesh.matrixAutoUpdate = false;
+        mesh.matrix.makeTranslation(point.x, point.y, point.z);
+    }
+
+    // Draw the box at its position again
+    release(mesh) {
+        mesh.matrixAutoUpdate = true;
+        mesh.updateMatrix();
+    }
+
+    dispose() {
+        this.finishAll();
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Point at a fraction of a polyline's length
+     * @param {Array} path - Waypoints { x, y, z }
+     * @param {number} fraction - 0 (first waypoint) to 1 (last waypoint)
+     */
+    static pointAlong(path, fraction) {
+        const lengths = [];
+        let total = 0;
+        for (let i = 1; i < path.length; i++) {
+            const length = Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y, path[i].z - path[i - 1].z);
+            lengths.push(length);
+            total += length;
+        }
+
+        if (total === 0 || fraction >= 1) {
+            return { ...path[path.length - 1] };
+        }
+
+        let remaining = Math.max(0, fraction) * total;
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i] || i === lengths.length - 1) {
+                const t = lengths[i] === 0 ? 1 : Math.min(1, remaining / lengths[i]);
+                const from = path[i];
+                const to = path[i + 1];
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t,
+                    z: from.z + (to.z - from.z) * t
+                };
+            }
+            remaining -= lengths[i];
+        }
+
+        return { ...path[path.length - 1] };
+    }
+
+    static getHalfHeight(mesh) {
+        return mesh.geometry && mesh.geometry.parameters ? mesh.geometry.parameters.height / 2 : 0;
+    }
+
+    static easeOutCubic(t) {
+        return 1 - Math.pow(1 - t, 3);
+    }
+
+    static easeInOutCubic(t) {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+}
+
+// Export for global access
+window.PlacementAnimator = PlacementAnimator;
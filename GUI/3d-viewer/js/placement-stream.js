@@ -0,0 +1,255 @@
+/**
+ * Placement Stream - Live box placements pushed by the backend over WebSocket
+ *
+ * Every message is JSON with an increasing event "id":
+ *   { id, type: 'order', orderId, palletQuantity }
+ *   { id, type: 'pallet', palletIndex, palletId, dimensions: { x, y, z }, weight, firstSequence }
+ *   { id, type: 'placement', palletIndex, sequence, itemType, weight, coordinates: { xmin ... zmax }, k, irregular }
+ *   { id, type: 'complete' }
+ *   { type: 'error', message }
+ *
+ * After a dropped connection the stream reconnects with ?after=<last event id>,
+ * so the server replays only what was missed. A stream that never connected gives
+ * up after a single retry, so callers can fall back to polling without waiting.
+ * Placements are released per pallet in sequence order, whatever order they arrive in.
+ */
+
+class PlacementSequencer {
+    constructor() {
+        this.pallets = new Map();
+    }
+
+    /**
+     * Start ordering placements for a pallet
+     * @param {number} palletIndex - Pallet index in the order
+     * @param {number} firstSequence - Sequence number of the first box
+     */
+    addPallet(palletIndex, firstSequence = 0) {
+        if (!this.pallets.has(palletIndex)) {
+            this.pallets.set(palletIndex, { nextSequence: firstSequence, pending: new Map() });
+        }
+    }
+
+    /**
+     * Accept a placement and return every placement that is now in order
+     * Duplicates (already released or already waiting) are dropped
+     * @param {Object} placement - Placement message
+     * @returns {Array} Placements ready to show, in sequence order
+     */
+    push(placement) {
+        this.addPallet(placement.palletIndex);
+        const pallet = this.pallets.get(placement.palletIndex);
+
+        if (placement.sequence < pallet.nextSequence || pallet.pending.has(placement.sequence)) {
+            return [];
+        }
+
+        pallet.pending.set(placement.sequence, placement);
+
+        const ready = [];
+        while (pallet.pending.has(pallet.nextSequence)) {
+            ready.push(pallet.pending.get(pallet.nextSequence));
+            pallet.pending.delete(pallet.nextSequence);
+            pallet.nextSequence++;
+        }
+        return ready;
+    }
+
+    /**
+     * Release everything still waiting behind a gap (used when the stream completes)
+     * @returns {Array} Remaining placements, by pallet then sequence
+     */
+    flush() {
+        const remaining = [];
+
+        this.pallets.forEach(pallet => {
+            const sequences = Array.from(pallet.pending.keys()).sort((a, b) => a - b);
+            sequences.forEach(sequence => remaining.push(pallet.pending.get(sequence)));
+            pallet.pending.clear();
+            if (sequences.length > 0) {
+                pallet.nextSequence = sequences[sequences.length - 1] + 1;
+            }
+        });
+
+        return remaining;
+    }
+
+    /**
+     * Number of placements waiting for an earlier sequence
+     */
+    getPendingCount() {
+        let count = 0;
+        this.pallets.forEach(pallet => { count += pallet.pending.size; });
+        return count;
+    }
+}
+
+class PlacementStream {
+    /**
+     * @param {string} url - WebSocket URL of the stream
+     * @param {Object} handlers - onOrder, onPallet, onPlacement, onComplete, onStatus(status, detail), onError
+     * @param {Object} options - maxReconnectAttempts, maxInitialReconnectAttempts (before the first connection),
+     *                           reconnectDelay (ms), WebSocket (constructor, for tests)
+     */
+    constructor(url, handlers = {}, options = {}) {
+        this.url = url;
+        this.handlers = handlers;
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? 10;
+        this.maxInitialReconnectAttempts = options.maxInitialReconnectAttempts ?? 1;
+        this.reconnectDelay = options.reconnectDelay ?? 500;
+        this.WebSocketImpl = options.WebSocket || window.WebSocket;
+
+        this.socket = null;
+        this.sequencer = new PlacementSequencer();
+        this.lastEventId = 0;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.hasConnected = false;
+
+        // connecting → live → reconnecting → ... → completed | failed | closed
+        this.status = 'idle';
+    }
+
+    /**
+     * Open the connection (also used for every reconnect)
+     */
+    connect() {
+        const separator = this.url.includes('?') ? '&' : '?';
+        const url = this.lastEventId > 0 ? `${this.url}${separator}after=${this.lastEventId}` : this.url;
+
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        const socket = new this.WebSocketImpl(url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.hasConnected = true;
+            this.reconnectAttempts = 0;
+            this.setStatus('live');
+        };
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onclose = () => {
+            if (this.socket === socket) {
+                this.socket = null;
+                this.handleClose();
+            }
+        };
+        socket.onerror = () => {
+            // A close event always follows; reconnecting is handled there
+        };
+    }
+
+    /**
+     * Stop listening; no reconnect is attempted
+     */
+    close() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+
+        if (this.status !== 'completed' && this.status !== 'failed') {
+            this.setStatus('closed');
+        }
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed stream message:', data);
+            return;
+        }
+
+        // Replayed events after a reconnect
+        if (typeof message.id === 'number') {
+            if (message.id <= this.lastEventId) {
+                return;
+            }
+            this.lastEventId = message.id;
+        }
+
+        switch (message.type) {
+            case 'order':
+                this.call('onOrder', message);
+                break;
+            case 'pallet':
+                this.sequencer.addPallet(message.palletIndex, message.firstSequence ?? 0);
+                this.call('onPallet', message);
+                break;
+            case 'placement':
+                this.sequencer.push(message).forEach(placement => this.call('onPlacement', placement));
+                break;
+            case 'complete':
+                this.complete();
+                break;
+            case 'error':
+                this.fail(new Error(message.message || 'Stream error'));
+                break;
+            default:
+                console.warn('Ignoring unknown stream message type:', message.type);
+        }
+    }
+
+    complete() {
+        const remaining = this.sequencer.flush();
+        if (remaining.length > 0) {
+            console.warn(`Stream completed with ${remaining.length} placements after a sequence gap`);
+            remaining.forEach(placement => this.call('onPlacement', placement));
+        }
+
+        this.setStatus('completed');
+        this.close();
+        this.call('onComplete');
+    }
+
+    fail(error) {
+        this.setStatus('failed', error);
+        this.close();
+        this.call('onError', error);
+    }
+
+    // Unexpected close: try again with backoff until the limit is reached
+    // (a server that never answered gets far fewer attempts than a dropped live stream)
+    handleClose() {
+        if (this.status === 'completed' || this.status === 'failed' || this.status === 'closed') {
+            return;
+        }
+
+        const maxAttempts = this.hasConnected ? this.maxReconnectAttempts : this.maxInitialReconnectAttempts;
+        if (this.reconnectAttempts >= maxAttempts) {
+            this.fail(new Error(this.hasConnected
+                ? `Stream lost after ${maxAttempts} reconnect attempts`
+                : `Stream not reachable at ${this.url}`));
+            return;
+        }
+
+        const delay = this.reconnectDelay * Math.pow(2, Math.min(this.reconnectAttempts, 4));
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting', { attempt: this.reconnectAttempts, delay });
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    setStatus(status, detail = null) {
+        if (status === this.status && !detail) {
+            return;
+        }
+        this.status = status;
+        this.call('onStatus', status, detail);
+    }
+
+    call(handlerName, ...args) {
+        if (this.handlers[handlerName]) {
+            this.handlers[handlerName](...args);
+        }
+    }
+}
+
+// Export for global access
+window.PlacementSequencer = PlacementSequencer;
+window.PlacementStream = PlacementStream;
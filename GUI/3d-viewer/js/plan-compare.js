@@ -0,0 +1,474 @@
+/**
+ * Plan Compare - Two plans or two pallets side by side
+ * PlanComparator works out the figures of each side and which boxes differ; PlanCompareView
+ * shows both in their own PalletSimulator viewport with one camera and one playhead, and a
+ * table of the differences under them
+ *
+ * Boxes are paired by item type: first boxes in the same place (whatever their sequence),
+ * then the rest in placement order; a pair in different places has moved, and boxes left
+ * over exist in one plan only
+ */
+
+class PlanComparator {
+    /**
+     * @param {Object} options - palletMetrics (PalletMetrics shared with the metrics panel),
+     *                           positionTolerance (mm, boxes this close are in the same place)
+     */
+    constructor(options = {}) {
+        this.palletMetrics = options.palletMetrics || new PalletMetrics();
+        this.positionTolerance = options.positionTolerance ?? 1;
+
+        // higherIsBetter: true / false, or null when neither side is better
+        this.metrics = [
+            { key: 'boxCount', label: 'Boxes', higherIsBetter: null, format: value => String(value) },
+            { key: 'heightMm', label: 'Height', higherIsBetter: null, format: value => `${Math.round(value)} mm` },
+            { key: 'volumeEfficiency', label: 'Volume efficiency', higherIsBetter: true, format: value => `${value.toFixed(1)}%` },
+            { key: 'centerOfMassCm', label: 'Centre of mass deviation', higherIsBetter: false, format: value => `${value.toFixed(1)} cm` },
+            { key: 'lsi', label: 'LSI', higherIsBetter: true, format: value => value === null ? '–' : `${value.toFixed(0)}%` },
+            { key: 'totalWeightKg', label: 'Total weight', higherIsBetter: null, format: value => `${value.toFixed(1)} kg` }
+        ];
+    }
+
+    /**
+     * Figures of the boxes shown on one side, with the formulas of the metrics panel
+     * @param {Array} boxes - Box models (mm, g)
+     * @param {Object} palletDimensions - Pallet header dimensions in mm ({ x, y, z })
+     * @returns {Object} { boxCount, heightMm, volumeEfficiency (%), centerOfMassCm, lsi (%, null
+     *                     without boxes), totalWeightKg }
+     */
+    summarize(boxes, palletDimensions) {
+        const heightMm = PalletMetrics.getHeight(boxes);
+        const centerOfMass = this.palletMetrics.calculateCenterOfMass(boxes, palletDimensions);
+
+        return {
+            boxCount: boxes.length,
+            heightMm,
+            volumeEfficiency: this.palletMetrics.calculateVolumeEfficiency(boxes, palletDimensions, heightMm).efficiency,
+            centerOfMassCm: centerOfMass.deviationCm,
+            lsi: boxes.length > 0 ?
+                this.palletMetrics.calculateLoadStabilityIndex(boxes, palletDimensions, centerOfMass.deviationCm).value : null,
+            totalWeightKg: PalletMetrics.getTotalWeight(boxes) / 1000
+        };
+    }
+
+    /**
+     * @returns {Array} { key, label, a, b, delta (b - a), better ('a', 'b' or null), format }
+     */
+    getMetricRows(summaryA, summaryB) {
+        return this.metrics.map(metric => {
+            const a = summaryA[metric.key];
+            const b = summaryB[metric.key];
+            const delta = a !== null && b !== null ? b - a : null;
+            const better = metric.higherIsBetter === null || !delta ? null :
+                (delta > 0) === metric.higherIsBetter ? 'b' : 'a';
+
+            return { key: metric.key, label: metric.label, a, b, delta, better, format: metric.format };
+        });
+    }
+
+    /**
+     * Pair the boxes of two plans
+     * @param {Array} boxesA - Box models of side A
+     * @param {Array} boxesB - Box models of side B
+     * @returns {Object} { pairs: [{ a, b, moved, distance (mm between centres) }], onlyA, onlyB,
+     *                     statusA, statusB (Map box → 'moved' | 'only', boxes in the same place are left out) }
+     */
+    matchBoxes(boxesA, boxesB) {
+        const pairs = [];
+        const onlyA = [];
+        const onlyB = [];
+        const typesA = PlanComparator.groupByItemType(boxesA);
+        const typesB = PlanComparator.groupByItemType(boxesB);
+        const itemTypes = [...new Set([...typesA.keys(), ...typesB.keys()])].sort((a, b) => a - b);
+
+        itemTypes.forEach(itemType => {
+            const leftB = [...(typesB.get(itemType) || [])];
+            const leftA = [];
+
+            (typesA.get(itemType) || []).forEach(boxA => {
+                const index = leftB.findIndex(boxB => this.isSamePlace(boxA, boxB));
+                if (index < 0) {
+                    leftA.push(boxA);
+                    return;
+                }
+                pairs.push({ a: boxA, b: leftB[index], moved: false, distance: 0 });
+                leftB.splice(index, 1);
+            });
+
+            leftA.forEach((boxA, index) => {
+                if (index < leftB.length) {
+                    pairs.push({ a: boxA, b: leftB[index], moved: true, distance: PlanComparator.getDistance(boxA, leftB[index]) });
+                } else {
+                    onlyA.push(boxA);
+                }
+            });
+            onlyB.push(...leftB.slice(leftA.length));
+        });
+
+        const statusA = new Map();
+        const statusB = new Map();
+        pairs.filter(pair => pair.moved).forEach(pair => {
+            statusA.set(pair.a, 'moved');
+            statusB.set(pair.b, 'moved');
+        });
+        onlyA.forEach(box => statusA.set(box, 'only'));
+        onlyB.forEach(box => statusB.set(box, 'only'));
+
+        return { pairs, onlyA, onlyB, statusA, statusB };
+    }
+
+    isSamePlace(a, b) {
+        return ['xmin', 'ymin', 'zmin', 'xmax', 'ymax', 'zmax'].every(key =>
+            Math.abs(a.coordinates[key] - b.coordinates[key]) <= this.positionTolerance);
+    }
+
+    /**
+     * @returns {Map} item type → boxes in sequence order
+     */
+    static groupByItemType(boxes) {
+        const groups = new Map();
+        [...boxes].sort((a, b) => a.sequence - b.sequence).forEach(box => {
+            groups.set(box.itemType, [...(groups.get(box.itemType) || []), box]);
+        });
+        return groups;
+    }
+
+    static getDistance(a, b) {
+        const center = box => ['x', 'y', 'z'].map(axis =>
+            (box.coordinates[`${axis}min`] + box.coordinates[`${axis}max`]) / 2);
+        const [ax, ay, az] = center(a);
+        const [bx, by, bz] = center(b);
+        return Math.hypot(bx - ax, by - ay, bz - az);
+    }
+}
+
+class PlanCompareView {
+    /**
+     * @param {Object} options - comparator (PlanComparator),
+     *                           sources ([{ id, label, load() → Promise of parsed pallets }]),
+     *                           sideA / sideB ({ sourceId, palletIndex } shown first),
+     *                           itemCatalogue and itemTypeColors (Map) so items keep the colors of the main view,
+     *                           onClose()
+     */
+    constructor(options = {}) {
+        this.comparator = options.comparator;
+        this.sources = options.sources || [];
+        this.initialSides = { a: options.sideA, b: options.sideB };
+        this.itemCatalogue = options.itemCatalogue || null;
+        this.itemTypeColors = new Map(options.itemTypeColors || []);
+        this.onClose = options.onClose || (() => {});
+
+        this.highlightColors = { moved: 0xf39c12, only: 0xe74c3c };
+        this.sides = {};
+        this.palletsBySource = new Map();
+        this.match = null;
+        this.timeline = null;
+        this.timelineSlider = null;
+
+        // Interface elements
+        this.overlayElement = null;
+        this.playButton = null;
+        this.summaryElement = null;
+        this.tableElement = null;
+    }
+
+    /**
+     * Show the view and load both sides
+     */
+    async open() {
+        if (this.overlayElement) {
+            return;
+        }
+
+        this.createView();
+        this.createSide('a');
+        this.createSide('b');
+        this.shareCamera();
+
+        this.timeline = new TimelineController({
+            onSeek: (count) => this.showPlacedBoxes(count),
+            onStateChange: (state) => this.updatePlayButton(state)
+        });
+        this.timelineSlider = new TimelineSlider('plan-compare-viewports', this.timeline);
+
+        await Promise.all(['a', 'b'].map(key =>
+            this.selectSource(key, this.initialSides[key].sourceId, this.initialSides[key].palletIndex)));
+    }
+
+    close() {
+        if (!this.overlayElement) {
+            return;
+        }
+
+        document.removeEventListener('keydown', this.keyHandler);
+        this.timeline.load([]);
+        this.timelineSlider.dispose();
+        Object.values(this.sides).forEach(side => {
+            side.loader.clearCurrentBoxes();
+            // Give the WebGL context back now: once too many are open the browser drops the oldest, the main view's
+            side.simulator.renderer.forceContextLoss();
+            side.simulator.dispose();
+        });
+        this.sides = {};
+        this.overlayElement.remove();
+        this.overlayElement = null;
+        this.onClose();
+    }
+
+    isOpen() {
+        return this.overlayElement !== null;
+    }
+
+    createView() {
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.className = 'plan-compare-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'plan-compare-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Compare plans');
+        dialog.innerHTML = `
+            <div class="plan-compare-header">
+                <span class="plan-compare-title">Compare plans</span>
+                <button type="button" class="plan-compare-close" title="Close the comparison">✕</button>
+            </div>
+            <div id="plan-compare-viewports" class="plan-compare-viewports"></div>
+            <div class="plan-compare-controls">
+                <button type="button" class="file-action-button plan-compare-play">▶ Play</button>
+                <span class="plan-compare-key">
+                    <span class="plan-compare-swatch is-moved"></span>Placed elsewhere
+                    <span class="plan-compare-swatch is-only"></span>In one plan only
+                </span>
+            </div>
+            <div class="plan-compare-summary"></div>
+            <table class="plan-compare-table"></table>
+        `;
+
+        dialog.querySelector('.plan-compare-close').addEventListener('click', () => this.close());
+        this.playButton = dialog.querySelector('.plan-compare-play');
+        this.playButton.addEventListener('click', () => {
+            if (this.timeline.isPlaying()) {
+                this.timeline.pause();
+            } else {
+                this.timeline.play();
+            }
+        });
+        this.summaryElement = dialog.querySelector('.plan-compare-summary');
+        this.tableElement = dialog.querySelector('.plan-compare-table');
+
+        this.keyHandler = (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.keyHandler);
+
+        this.overlayElement.appendChild(dialog);
+        document.body.appendChild(this.overlayElement);
+    }
+
+    /**
+     * One side: source and pallet selectors above a viewport
+     * @param {string} key - 'a' or 'b'
+     */
+    createSide(key) {
+        const column = document.createElement('div');
+        column.className = 'plan-compare-side';
+
+        const header = document.createElement('div');
+        header.className = 'plan-compare-side-header';
+
+        const name = document.createElement('span');
+        name.className = 'plan-compare-side-name';
+        name.textContent = key.toUpperCase();
+
+        const sourceSelect = document.createElement('select');
+        sourceSelect.className = 'plan-compare-source';
+        sourceSelect.title = 'Plan';
+        this.sources.forEach(source => {
+            const option = document.createElement('option');
+            option.value = source.id;
+            option.textContent = source.label;
+            sourceSelect.appendChild(option);
+        });
+        sourceSelect.addEventListener('change', () => this.selectSource(key, sourceSelect.value, 0));
+
+        const palletSelect = document.createElement('select');
+        palletSelect.className = 'plan-compare-pallet';
+        palletSelect.title = 'Pallet';
+        palletSelect.addEventListener('change', () => this.selectPallet(key, Number(palletSelect.value)));
+
+        const viewport = document.createElement('div');
+        viewport.id = `plan-compare-viewport-${key}`;
+        viewport.className = 'plan-compare-viewport';
+
+        header.appendChild(name);
+        header.appendChild(sourceSelect);
+        header.appendChild(palletSelect);
+        column.appendChild(header);
+        column.appendChild(viewport);
+        this.overlayElement.querySelector('.plan-compare-viewports').appendChild(column);
+
+        const simulator = new PalletSimulator(viewport.id);
+        // Off the main app: the loader is only used to place boxes, never to load pallets
+        const loader = new PalletDataLoader(simulator);
+        loader.itemCatalogue = this.itemCatalogue;
+        loader.itemTypeColors = this.itemTypeColors;
+
+        this.sides[key] = { simulator, loader, sourceSelect, palletSelect, pallets: [], pallet: null };
+    }
+
+    /**
+     * B looks through A's camera, so orbiting either viewport turns both
+     */
+    shareCamera() {
+        const a = this.sides.a.simulator;
+        const b = this.sides.b.simulator;
+
+        b.camera = a.camera;
+        if (a.controls && b.controls) {
+            b.controls.object = a.camera;
+            b.controls.target = a.controls.target;
+        }
+    }
+
+    /**
+     * @param {string} key - 'a' or 'b'
+     * @param {string} sourceId - One of the sources
+     * @param {number} palletIndex - Pallet of the source to show
+     */
+    async selectSource(key, sourceId, palletIndex) {
+        const side = this.sides[key];
+        const source = this.sources.find(entry => entry.id === sourceId) || this.sources[0];
+        if (!side || !source) {
+            return;
+        }
+
+        side.sourceSelect.value = source.id;
+        try {
+            if (!this.palletsBySource.has(source.id)) {
+                this.palletsBySource.set(source.id, await source.load());
+            }
+        } catch (error) {
+            this.summaryElement.textContent = `${source.label} could not be read: ${error.message}`;
+            return;
+        }
+
+        // The view may have been closed while the plan was read
+        if (!this.overlayElement) {
+            return;
+        }
+
+        const pallets = this.palletsBySource.get(source.id);
+        side.palletSelect.innerHTML = '';
+        pallets.forEach((pallet, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `Pallet ${index + 1} (${pallet.boxes.length} boxes)`;
+            side.palletSelect.appendChild(option);
+        });
+        side.pallets = pallets;
+
+        this.selectPallet(key, Math.min(Math.max(palletIndex, 0), pallets.length - 1));
+    }
+
+    selectPallet(key, palletIndex) {
+        const side = this.sides[key];
+        const pallet = side.pallets[palletIndex];
+
+        side.loader.clearCurrentBoxes();
+        side.pallet = pallet || null;
+        side.palletSelect.value = String(palletIndex);
+        side.loader.allPallets = pallet ? [pallet] : [];
+        side.loader.currentPalletIndex = 0;
+        if (pallet) {
+            const dimensions = pallet.metadata.dimensions;
+            side.simulator.setPalletDimensions(dimensions.x * 0.01, dimensions.y * 0.01);
+        }
+
+        this.updateMatch();
+    }
+
+    /**
+     * Pair the boxes of both sides, color the differences and restart the shared playhead
+     */
+    updateMatch() {
+        const { a, b } = this.sides;
+        if (!a.pallet || !b.pallet) {
+            return;
+        }
+
+        const boxesA = a.loader.getSortedBoxes();
+        const boxesB = b.loader.getSortedBoxes();
+        this.match = this.comparator.matchBoxes(boxesA, boxesB);
+
+        a.loader.setColorOverlay(box => this.highlightColors[this.match.statusA.get(box)] ?? null);
+        b.loader.setColorOverlay(box => this.highlightColors[this.match.statusB.get(box)] ?? null);
+
+        // Both pallets start complete
+        const longer = boxesA.length >= boxesB.length ? boxesA : boxesB;
+        this.timeline.load(longer.map(box => box.sequence));
+        if (longer.length > 0) {
+            this.timeline.seek(longer.length);
+        } else {
+            this.showPlacedBoxes(0);
+        }
+    }
+
+    /**
+     * Shared playhead: each side shows as many boxes as it has, up to the count
+     */
+    showPlacedBoxes(count) {
+        Object.values(this.sides).forEach(side => side.loader.showPlacedBoxes(count));
+        this.timelineSlider.update();
+        this.renderTable(count);
+    }
+
+    updatePlayButton(state) {
+        this.playButton.textContent = state === 'playing' ? '⏸ Pause' : '▶ Play';
+        this.timelineSlider.update();
+    }
+
+    /**
+     * @param {number} count - Boxes shown on each side
+     */
+    renderTable(count) {
+        const { a, b } = this.sides;
+        const summaryA = this.comparator.summarize(a.loader.getSortedBoxes().slice(0, count), a.pallet.metadata.dimensions);
+        const summaryB = this.comparator.summarize(b.loader.getSortedBoxes().slice(0, count), b.pallet.metadata.dimensions);
+
+        const moved = this.match.pairs.filter(pair => pair.moved).length;
+        this.summaryElement.textContent = moved === 0 && this.match.onlyA.length === 0 && this.match.onlyB.length === 0 ?
+            'Both pallets place the same boxes in the same places' :
+            `${moved} boxes placed elsewhere · ${this.match.onlyA.length} only in A · ${this.match.onlyB.length} only in B`;
+
+        this.tableElement.innerHTML = `
+            <thead><tr><th></th><th>A</th><th>B</th><th>B − A</th></tr></thead>
+            <tbody></tbody>
+        `;
+        const body = this.tableElement.querySelector('tbody');
+
+        this.comparator.getMetricRows(summaryA, summaryB).forEach(row => {
+            const tableRow = document.createElement('tr');
+            const delta = row.delta === null ? '–' : `${row.delta > 0 ? '+' : row.delta < 0 ? '−' : ''}${row.format(Math.abs(row.delta))}`;
+
+            [row.label, row.format(row.a), row.format(row.b), delta].forEach((text, index) => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                if (index === 1 || index === 2) {
+                    cell.classList.toggle('is-better', row.better === (index === 1 ? 'a' : 'b'));
+                }
+                tableRow.appendChild(cell);
+            });
+            body.appendChild(tableRow);
+        });
+    }
+
+    dispose() {
+        this.close();
+    }
+}
+
+// Export for global access
+window.PlanComparator = PlanComparator;
+window.PlanCompareView = PlanCompareView;
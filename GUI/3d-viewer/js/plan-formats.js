@@ -0,0 +1,122 @@
+/**
+ * Plan Formats - Detection, import and export of pallet plan files
+ * Crosslog, JSON and CSV all map to the same pallet/box model used by loadPallet
+ */
+
+class PlanFormats {
+    constructor() {
+        this.formats = [
+            {
+                id: 'crosslog',
+                label: 'Crosslog',
+                extensions: ['txt', 'dat', 'crosslog'],
+                mimeType: 'text/plain',
+                createReader: () => new CrosslogStreamParser(),
+                createWriter: () => new CrosslogWriter()
+            },
+            {
+                id: 'json',
+                label: 'JSON',
+                extensions: ['json'],
+                mimeType: 'application/json',
+                createReader: () => new JsonPlanFormat(),
+                createWriter: () => new JsonPlanFormat()
+            },
+            {
+                id: 'csv',
+                label: 'CSV',
+                extensions: ['csv'],
+                mimeType: 'text/csv',
+                createReader: () => new CsvPlanFormat(),
+                createWriter: () => new CsvPlanFormat()
+            }
+        ];
+
+        this.defaultFormatId = 'crosslog';
+    }
+
+    /**
+     * Get a format definition by ID
+     * @param {string} formatId - 'crosslog', 'json' or 'csv'
+     * @returns {Object} Format definition
+     */
+    getFormat(formatId) {
+        const format = this.formats.find(f => f.id === formatId);
+
+        if (!format) {
+            throw new Error(`Unknown plan format: ${formatId}`);
+        }
+
+        return format;
+    }
+
+    /**
+     * All file extensions that can be imported
+     * @returns {Array} Extensions without the dot
+     */
+    getSupportedExtensions() {
+        return this.formats.flatMap(format => format.extensions);
+    }
+
+    /**
+     * Detect the format of a file from its extension, then from its content
+     * @param {string} content - File content
+     * @param {string} fileName - Original file name (optional)
+     * @returns {Object} Format definition
+     */
+    detectFormat(content, fileName = '') {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        const byExtension = this.formats.find(format => format.extensions.includes(extension));
+
+        // .txt is a generic extension, so only trust it when the content agrees
+        if (byExtension && byExtension.id !== 'crosslog') {
+            return byExtension;
+        }
+
+        const start = content.trimStart();
+
+        if (start.startsWith('{')) {
+            return this.getFormat('json');
+        }
+
+        if (start.startsWith('[')) {
+            return this.getFormat('crosslog');
+        }
+
+        const firstLine = start.split('\n')[0].toLowerCase();
+        if (firstLine.includes('pallet_id') && /[,;\t]/.test(firstLine)) {
+            return this.getFormat('csv');
+        }
+
+        return byExtension || this.getFormat(this.defaultFormatId);
+    }
+
+    /**
+     * Read a plan in any supported format
+     * @param {string} content - File content
+     * @param {string} fileName - Original file name (optional)
+     * @returns {Object} Parsed order, raw pallets, diagnostics, summary and format ID
+     */
+    read(content, fileName = '') {
+        const format = this.detectFormat(content, fileName);
+        const result = format.createReader().parse(content);
+
+        result.format = format.id;
+        return result;
+    }
+
+    /**
+     * Write a plan in the requested format
+     * @param {string} formatId - Target format
+     * @param {Object} orderInfo - Order info ({ orderId })
+     * @param {Array} pallets - Pallets as stored by PalletDataLoader
+     * @returns {string} File content
+     */
+    write(formatId, orderInfo, pallets) {
+        return this.getFormat(formatId).createWriter().write(orderInfo, pallets);
+    }
+}
+
+// Export for global access
+window.PlanFormats = PlanFormats;
+window.planFormats = new PlanFormats();
@@ -0,0 +1,159 @@
+/**
+ * Plan Import Report - Shared diagnostics for JSON and CSV pallet plans
+ * Collects errors and warnings in the same shape as CrosslogStreamParser,
+ * so every format can be shown in the diagnostics panel
+ */
+
+class PlanImportReport {
+    constructor() {
+        this.diagnostics = [];
+        this.skippedPallets = [];
+        this.palletsFound = 0;
+    }
+
+    /**
+     * Store an error entry
+     * @param {string} message - Human readable description
+     * @param {Object} details - line, column, field, palletIndex, boxIndex, sequence
+     */
+    addError(message, details = {}) {
+        this.addDiagnostic('error', message, details);
+    }
+
+    /**
+     * Store a warning entry
+     */
+    addWarning(message, details = {}) {
+        this.addDiagnostic('warning', message, details);
+    }
+
+    /**
+     * Store a diagnostic entry
+     */
+    addDiagnostic(severity, message, details = {}) {
+        this.diagnostics.push({
+            severity: severity,
+            message: message,
+            line: details.line ?? null,
+            column: details.column ?? null,
+            field: details.field ?? null,
+            palletIndex: details.palletIndex ?? null,
+            boxIndex: details.boxIndex ?? null,
+            sequence: details.sequence ?? null
+        });
+    }
+
+    /**
+     * Count errors reported against one pallet
+     */
+    countPalletErrors(palletIndex) {
+        return this.diagnostics.filter(d => d.severity === 'error' && d.palletIndex === palletIndex).length;
+    }
+
+    /**
+     * Check a raw box the same way the Crosslog parser does
+     * @param {Object} rawBox - Box with coordinates (mm), sequence, itemType, weight, irregular
+     * @param {Set} sequences - Sequence numbers already seen on this pallet
+     * @param {Function} locate - Maps a field name to { line, column, field }
+     * @param {Object} context - palletIndex and boxIndex
+     * @param {Object} dimensions - Pallet dimensions (mm), used for the overhang warning
+     * @returns {boolean} False if the box cannot be placed
+     */
+    checkBox(rawBox, sequences, locate, context, dimensions) {
+        const c = rawBox.coordinates;
+        const boxContext = { ...context, sequence: rawBox.sequence };
+        let isValid = true;
+
+        [[c.xmin, c.xmax, 'xmax'], [c.ymin, c.ymax, 'ymax'], [c.zmin, c.zmax, 'zmax']].forEach(([min, max, field]) => {
+            if (max <= min) {
+                this.addError(`${field} (${max}) must be greater than its minimum (${min})`, { ...boxContext, ...locate(field) });
+                isValid = false;
+            }
+        });
+
+        if (!isValid) {
+            return false;
+        }
+
+        [['sequence', rawBox.sequence], ['item_type', rawBox.itemType]].forEach(([field, value]) => {
+            if (!Number.isInteger(value)) {
+                this.addWarning(`${field} should be an integer, got ${value}`, { ...boxContext, ...locate(field) });
+            }
+        });
+
+        if (sequences.has(rawBox.sequence)) {
+            this.addWarning(`Duplicate sequence number ${rawBox.sequence}`, { ...boxContext, ...locate('sequence') });
+        }
+        sequences.add(rawBox.sequence);
+
+        if (rawBox.weight <= 0) {
+            this.addWarning(`Box weight is ${rawBox.weight} - it will be ignored by the weight metrics`, { ...boxContext, ...locate('weight') });
+        }
+
+        if (rawBox.irregular !== 0 && rawBox.irregular !== 1) {
+            this.addWarning(`irregular flag should be 0 or 1, got ${rawBox.irregular}`, { ...boxContext, ...locate('irregular') });
+        }
+
+        if (dimensions) {
+            [['xmax', c.xmax, dimensions.x], ['ymax', c.ymax, dimensions.y], ['zmax', c.zmax, dimensions.z]].forEach(([field, value, limit]) => {
+                if (value > limit) {
+                    this.addWarning(`${field} (${value}) exceeds the pallet dimension (${limit})`, { ...boxContext, ...locate(field) });
+                }
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Fill pallet totals that the source format did not provide
+     * Crosslog m1/m2 have no equivalent outside the optimiser and default to 0
+     * @param {Object} metadata - Pallet metadata with dimensions
+     * @param {Array} boxes - Raw boxes of the pallet
+     */
+    completeMetadata(metadata, boxes) {
+        const occupiedVolume = boxes.reduce((sum, box) => {
+            const c = box.coordinates;
+            return sum + (c.xmax - c.xmin) * (c.ymax - c.ymin) * (c.zmax - c.zmin);
+        }, 0);
+
+        if (metadata.totalLoad === undefined) {
+            metadata.totalLoad = boxes.reduce((sum, box) => sum + box.weight, 0);
+        }
+
+        const volumeMetrics = metadata.volumeMetrics || {};
+        const d = metadata.dimensions;
+
+        metadata.volumeMetrics = {
+            totalVolume: volumeMetrics.totalVolume ?? d.x * d.y * d.z,
+            occupiedVolume: volumeMetrics.occupiedVolume ?? occupiedVolume,
+            efficiency1: volumeMetrics.efficiency1 ?? 0,
+            efficiency2: volumeMetrics.efficiency2 ?? 0
+        };
+    }
+
+    /**
+     * Build a result object shaped like CrosslogStreamParser.getResult()
+     * @param {Object} orderInfo - { orderId, palletQuantity }
+     * @param {Array} pallets - Pallets that loaded cleanly
+     */
+    getResult(orderInfo, pallets) {
+        const errorCount = this.diagnostics.filter(d => d.severity === 'error').length;
+
+        return {
+            orderInfo: orderInfo,
+            pallets: pallets,
+            diagnostics: this.diagnostics,
+            summary: {
+                errorCount: errorCount,
+                warningCount: this.diagnostics.length - errorCount,
+                palletsFound: this.palletsFound,
+                palletsLoaded: pallets.length,
+                skippedPallets: [...this.skippedPallets]
+            }
+        };
+    }
+}
+
+// Export for global access
+window.PlanImportReport = PlanImportReport;
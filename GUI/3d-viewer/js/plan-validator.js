@@ -0,0 +1,330 @@
+/**
+ * Plan Validator - Geometric checks on loaded pallets
+ * Finds boxes that intersect, stick out of the pallet footprint or above the height limit,
+ * rest on too little (or nothing), and duplicate sequence numbers
+ *
+ * With an item catalogue, handling rules are checked too: nothing on fragile items, "this side up"
+ * items standing like the others of their type, and the catalogue's maximum load on each box top
+ *
+ * Issues use the same shape as parser diagnostics (severity, message, line, field,
+ * palletIndex as the pallet's position in the file...), so they can be listed in the
+ * diagnostics panel; field holds the check name
+ */
+
+class PlanValidator {
+    /**
+     * @param {Object} options - minSupportRatio (share of a box's base that must rest on something, 0-1),
+     *                           overlapTolerance and contactTolerance (mm),
+     *                           catalogue (ItemCatalogue) and loadAnalyzer (StackingLoadAnalyzer) for the handling rules
+     */
+    constructor(options = {}) {
+        this.minSupportRatio = options.minSupportRatio ?? 0.7;
+        this.overlapTolerance = options.overlapTolerance ?? 1;    // Rounding in the optimiser output
+        this.contactTolerance = options.contactTolerance ?? 10;   // A box this close above another rests on it
+        this.catalogue = options.catalogue || null;
+        this.loadAnalyzer = options.loadAnalyzer || null;
+
+        this.checks = {
+            overlap: 'Boxes intersect',
+            bounds: 'Outside the pallet',
+            height: 'Above the height limit',
+            support: 'Not enough support',
+            sequence: 'Duplicate sequence',
+            fragile: 'Load on a fragile item',
+            orientation: 'Not this side up',
+            stackLoad: 'Above the maximum stack load'
+        };
+    }
+
+    /**
+     * Check every pallet of an order
+     * @param {Array} pallets - Pallets as stored by PalletDataLoader
+     * @returns {Object} { issues, errorCount, warningCount }
+     */
+    validateOrder(pallets) {
+        const issues = pallets.flatMap((pallet, index) => this.validatePallet(pallet, pallet.id ?? index));
+
+        return {
+            issues,
+            errorCount: issues.filter(issue => issue.severity === 'error').length,
+            warningCount: issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+
+    /**
+     * @param {Object} pallet - Pallet with metadata.dimensions (mm) and boxes with Crosslog coordinates
+     * @param {number} palletIndex - Pallet position in the source file
+     * @returns {Array} Issues, in box order
+     */
+    validatePallet(pallet, palletIndex) {
+        const context = { pallet, palletIndex, issues: [] };
+
+        this.checkSequences(context);
+        this.checkBounds(context);
+        this.checkOverlaps(context);
+        this.checkSupport(context);
+        if (this.catalogue) {
+            this.checkHandling(context);
+        }
+
+        return context.issues;
+    }
+
+    checkSequences(context) {
+        const seen = new Map();
+
+        context.pallet.boxes.forEach(box => {
+            if (seen.has(box.sequence)) {
+                this.addIssue(context, 'error', 'sequence',
+                    `Sequence ${box.sequence} is used by more than one box`, [box, seen.get(box.sequence)]);
+            } else {
+                seen.set(box.sequence, box);
+            }
+        });
+    }
+
+    /**
+     * Footprint overhang and height limit from the pallet header
+     */
+    checkBounds(context) {
+        const dimensions = context.pallet.metadata && context.pallet.metadata.dimensions;
+        if (!dimensions) {
+            return;
+        }
+
+        context.pallet.boxes.forEach(box => {
+            const c = box.coordinates;
+            const overhang = Math.max(-c.xmin, -c.ymin, c.xmax - dimensions.x, c.ymax - dimensions.y);
+
+            if (c.zmin < -this.overlapTolerance) {
+                this.addIssue(context, 'error', 'bounds',
+                    `Box ${box.sequence} starts ${PlanValidator.formatMm(-c.zmin)}mm below the pallet top`, [box]);
+            }
+            if (overhang > this.overlapTolerance) {
+                this.addIssue(context, 'warning', 'bounds',
+                    `Box ${box.sequence} extends ${PlanValidator.formatMm(overhang)}mm beyond the pallet footprint`, [box]);
+            }
+            if (dimensions.z && c.zmax > dimensions.z + this.overlapTolerance) {
+                this.addIssue(context, 'warning', 'height',
+                    `Box ${box.sequence} reaches ${c.zmax}mm, above the ${dimensions.z}mm height limit`, [box]);
+            }
+        });
+    }
+
+    /**
+     * Pairs of boxes sharing volume; boxes are swept along x so distant pairs are skipped
+     */
+    checkOverlaps(context) {
+        const boxes = [...context.pallet.boxes].sort((a, b) => a.coordinates.xmin - b.coordinates.xmin);
+
+        boxes.forEach((box, index) => {
+            for (let i = index + 1; i < boxes.length; i++) {
+                const other = boxes[i];
+                if (other.coordinates.xmin >= box.coordinates.xmax - this.overlapTolerance) {
+                    break;
+                }
+
+                const overlap = PlanValidator.getOverlap(box, other);
+                if (overlap.x > this.overlapTolerance && overlap.y > this.overlapTolerance && overlap.z > this.overlapTolerance) {
+                    const [first, second] = box.sequence <= other.sequence ? [box, other] : [other, box];
+                    const size = [overlap.x, overlap.y, overlap.z].map(PlanValidator.formatMm).join(' × ');
+                    this.addIssue(context, 'error', 'overlap',
+                        `Boxes ${first.sequence} and ${second.sequence} intersect (${size} mm)`, [second, first]);
+                }
+            }
+        });
+    }
+
+    /**
+     * Share of each box's base resting on the pallet or on box tops
+     */
+    checkSupport(context) {
+        const boxes = context.pallet.boxes;
+
+        boxes.forEach(box => {
+            const ratio = this.getSupportRatio(box, boxes);
+            if (ratio === null) {
+                return;
+            }
+
+            if (ratio === 0) {
+                this.addIssue(context, 'error', 'support', `Box ${box.sequence} is floating: nothing under its base`, [box]);
+            } else if (ratio < this.minSupportRatio) {
+                this.addIssue(context, 'warning', 'support',
+                    `Only ${Math.round(ratio * 100)}% of box ${box.sequence}'s base is supported ` +
+                    `(minimum ${Math.round(this.minSupportRatio * 100)}%)`, [box]);
+            }
+        });
+    }
+
+    /**
+     * Catalogue handling rules
+     */
+    checkHandling(context) {
+        const boxes = context.pallet.boxes;
+        const catalogue = this.catalogue;
+
+        boxes.forEach(box => {
+            const item = catalogue.get(box.itemType);
+            if (!item || !item.fragile) {
+                return;
+            }
+
+            const onTop = boxes.filter(other => {
+                if (other === box || Math.abs(other.coordinates.zmin - box.coordinates.zmax) > this.contactTolerance) {
+                    return false;
+                }
+                const overlap = PlanValidator.getOverlap(box, other);
+                return overlap.x > 0 && overlap.y > 0;
+            });
+            if (onTop.length > 0) {
+                this.addIssue(context, 'warning', 'fragile',
+                    `Box ${box.sequence} (${catalogue.getLabel(box.itemType)}) is fragile but carries ` +
+                    `box ${onTop.map(other => other.sequence).join(', ')}`, [box, ...onTop]);
+            }
+        });
+
+        this.checkOrientation(context);
+
+        if (this.loadAnalyzer) {
+            this.loadAnalyzer.analyse(boxes).entries.forEach(entry => {
+                const item = catalogue.get(entry.itemType);
+                if (item && item.maxStackLoad !== null && entry.load > item.maxStackLoad + 0.5) {
+                    this.addIssue(context, 'error', 'stackLoad',
+                        `Box ${entry.sequence} (${catalogue.getLabel(entry.itemType)}) carries ` +
+                        `${PlanValidator.formatMm(entry.load / 1000)} kg, above its ` +
+                        `${PlanValidator.formatMm(item.maxStackLoad / 1000)} kg maximum`, [entry.box]);
+                }
+            });
+        }
+    }
+
+    /**
+     * Crosslog has no orientation, so a "this side up" box is flagged when the same item type
+     * mostly stands at another height with the same three dimensions (i.e. it was tipped over)
+     */
+    checkOrientation(context) {
+        const byType = new Map();
+        context.pallet.boxes.forEach(box => {
+            const item = this.catalogue.get(box.itemType);
+            if (item && item.thisSideUp) {
+                byType.set(box.itemType, [...(byType.get(box.itemType) || []), box]);
+            }
+        });
+
+        byType.forEach(boxes => {
+            const heights = new Map();
+            boxes.forEach(box => {
+                const height = box.coordinates.zmax - box.coordinates.zmin;
+                heights.set(height, (heights.get(height) || 0) + 1);
+            });
+            if (heights.size < 2) {
+                return;
+            }
+
+            // Ties go to the first height seen
+            const upright = [...heights.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+            const uprightBox = boxes.find(box => box.coordinates.zmax - box.coordinates.zmin === upright);
+            const size = PlanValidator.getSortedSize(uprightBox);
+
+            boxes.forEach(box => {
+                const height = box.coordinates.zmax - box.coordinates.zmin;
+                const sameBox = PlanValidator.getSortedSize(box).every((value, index) =>
+                    Math.abs(value - size[index]) <= this.overlapTolerance);
+                if (height !== upright && sameBox) {
+                    this.addIssue(context, 'warning', 'orientation',
+                        `Box ${box.sequence} (${this.catalogue.getLabel(box.itemType)}) must stay this side up ` +
+                        `but stands ${PlanValidator.formatMm(height)}mm high, other boxes of its type ${upright}mm`, [box]);
+                }
+            });
+        });
+    }
+
+    /**
+     * @returns {number|null} Supported share of the base (0-1), null for boxes on the pallet
+     */
+    getSupportRatio(box, boxes) {
+        const c = box.coordinates;
+        if (c.zmin <= this.contactTolerance) {
+            return null;
+        }
+
+        const footprint = (c.xmax - c.xmin) * (c.ymax - c.ymin);
+        const supported = boxes.reduce((sum, other) => {
+            if (other === box || Math.abs(other.coordinates.zmax - c.zmin) > this.contactTolerance) {
+                return sum;
+            }
+            const overlap = PlanValidator.getOverlap(box, other);
+            return sum + Math.max(0, overlap.x) * Math.max(0, overlap.y);
+        }, 0);
+
+        return footprint > 0 ? Math.min(1, supported / footprint) : 0;
+    }
+
+    /**
+     * @param {Array} boxes - Boxes involved; the first one is the box the issue points at
+     */
+    addIssue(context, severity, check, message, boxes) {
+        const box = boxes[0];
+
+        context.issues.push({
+            severity,
+            message,
+            line: box.sourceLine ?? null,
+            column: null,
+            field: check,
+            palletIndex: context.palletIndex,
+            boxIndex: context.pallet.boxes.indexOf(box),
+            sequence: box.sequence,
+            sequences: boxes.map(entry => entry.sequence),
+            source: 'validation'
+        });
+    }
+
+    /**
+     * Worst severity per sequence number, for highlighting boxes
+     * @param {Array} issues - Issues of one pallet
+     * @returns {Map} sequence → 'error' | 'warning'
+     */
+    getSeverityBySequence(issues) {
+        const severities = new Map();
+
+        issues.forEach(issue => {
+            issue.sequences.forEach(sequence => {
+                if (severities.get(sequence) !== 'error') {
+                    severities.set(sequence, issue.severity);
+                }
+            });
+        });
+
+        return severities;
+    }
+
+    static formatMm(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    /**
+     * Box dimensions from smallest to largest, to recognise the same box however it is turned
+     */
+    static getSortedSize(box) {
+        const c = box.coordinates;
+        return [c.xmax - c.xmin, c.ymax - c.ymin, c.zmax - c.zmin].sort((a, b) => a - b);
+    }
+
+    /**
+     * Length of the shared range on each axis (negative when apart)
+     */
+    static getOverlap(a, b) {
+        const ca = a.coordinates;
+        const cb = b.coordinates;
+        return {
+            x: Math.min(ca.xmax, cb.xmax) - Math.max(ca.xmin, cb.xmin),
+            y: Math.min(ca.ymax, cb.ymax) - Math.max(ca.ymin, cb.ymin),
+            z: Math.min(ca.zmax, cb.zmax) - Math.max(ca.zmin, cb.zmin)
+        };
+    }
+}
+
+// Export for global access
+window.PlanValidator = PlanValidator;
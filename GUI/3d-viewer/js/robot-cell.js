@@ -0,0 +1,387 @@
+/**
+ * Robot Cell - Parametric palletising robot and pick station in the 3D scene
+ * RobotReach holds the cell layout and checks placements against the robot's reach;
+ * RobotCell builds the Three.js model (cylindrical robot, gripper, conveyor, reach envelope)
+ * and moves the gripper with the box being placed
+ *
+ * The robot is a rotating column with a lifting, telescopic arm: a placement is reachable
+ * when its distance from the column axis lies between minReach and reach and its height
+ * above the pallet top is at most maxHeight
+ */
+
+class RobotReach {
+    /**
+     * @param {Object} config - Layout in mm and plan axes (x along the pallet length, y along its width,
+     *                          z up from the pallet top), relative to the pallet centre:
+     *                          base { x, y }, reach, minReach, maxHeight, pickStation { x, y, z }
+     */
+    constructor(config = {}) {
+        this.config = {
+            reach: 1800,
+            minReach: 350,       // Column and arm housing
+            maxHeight: 2000,
+            ...config,
+            base: { x: 0, y: -1100, ...config.base },                  // Behind the pallet
+            pickStation: { x: -1100, y: 0, z: 300, ...config.pickStation } // End of the infeed conveyor
+        };
+    }
+
+    /**
+     * Cylindrical robot coordinates of a point
+     * @param {Object} point - { x, y, z } in mm (plan axes)
+     * @returns {Object} { angle (rad), radius (mm), height (mm) }
+     */
+    getPose(point) {
+        const dx = point.x - this.config.base.x;
+        const dy = point.y - this.config.base.y;
+        return { angle: Math.atan2(dy, dx), radius: Math.hypot(dx, dy), height: point.z };
+    }
+
+    /**
+     * @param {Object} point - { x, y, z } in mm (plan axes)
+     * @returns {Array<string>} Why the gripper cannot get there (empty when reachable)
+     */
+    checkPoint(point) {
+        const { reach, minReach, maxHeight } = this.config;
+        const pose = this.getPose(point);
+        const reasons = [];
+
+        if (pose.radius > reach) {
+            reasons.push(`${Math.round(pose.radius)}mm from the robot axis (reach ${reach}mm)`);
+        } else if (pose.radius < minReach) {
+            reasons.push(`${Math.round(pose.radius)}mm from the robot axis (minimum ${minReach}mm)`);
+        }
+        if (pose.height > maxHeight) {
+            reasons.push(`${Math.round(pose.height)}mm above the pallet (lift ${maxHeight}mm)`);
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Where the gripper holds a box: centre of its top face
+     * @param {Object} box - Box model with Crosslog coordinates (mm from the pallet corner)
+     * @param {Object} palletDimensions - Pallet header dimensions in mm ({ x, y })
+     */
+    getGripPoint(box, palletDimensions) {
+        const c = box.coordinates;
+        return {
+            x: (c.xmin + c.xmax) / 2 - palletDimensions.x / 2,
+            y: (c.ymin + c.ymax) / 2 - palletDimensions.y / 2,
+            z: c.zmax
+        };
+    }
+
+    /**
+     * Placements the robot cannot make
+     * @param {Array} sortedBoxes - Box models in sequence order
+     * @param {Object} palletDimensions - Pallet header dimensions in mm
+     * @returns {Array} { index, sequence, reasons } - index is the position in sortedBoxes
+     */
+    checkPlacements(sortedBoxes, palletDimensions) {
+        const warnings = [];
+
+        sortedBoxes.forEach((box, index) => {
+            const reasons = this.checkPoint(this.getGripPoint(box, palletDimensions));
+            if (reasons.length > 0) {
+                warnings.push({ index, sequence: box.sequence, reasons });
+            }
+        });
+
+        return warnings;
+    }
+}
+
+class RobotCell {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the cell to
+     * @param {RobotReach} reach - Cell layout
+     */
+    constructor(scene, reach) {
+        this.scene = scene;
+        this.reach = reach;
+
+        // Scene heights (units) of the pallet top and the floor, as in PalletSimulator.createPallet
+        this.palletTopY = -8 + 0.72;
+        this.floorY = -8 - 0.72;
+        this.gripperDrop = 0.8;   // Arm to suction pad
+
+        this.colors = {
+            robot: 0xf39c12,
+            column: 0x34495e,
+            pad: 0x2c3e50,
+            alert: 0xe74c3c,
+            envelope: 0x27ae60,
+            conveyor: 0x7f8c8d,
+            belt: 0x2c3e50
+        };
+
+        this.group = new THREE.Group();
+        this.group.name = 'RobotCell';
+        this.carriage = null;
+        this.arm = null;
+        this.gripper = null;
+        this.envelopeMaterials = [];
+        this.padMaterial = null;
+
+        // Current and target pose in scene units; the arm eases to the target unless it holds a box
+        this.pose = null;
+        this.targetPose = null;
+        this.holding = false;
+        this.lastTime = null;
+
+        this.createRobot();
+        this.createEnvelope();
+        this.createConveyor();
+        this.scene.add(this.group);
+
+        this.park(true);
+    }
+
+    /**
+     * Plan point (mm) to scene point (units)
+     */
+    toScene(point) {
+        return {
+            x: point.x * 0.01,
+            y: this.palletTopY + (point.z || 0) * 0.01,
+            z: point.y * 0.01
+        };
+    }
+
+    /**
+     * Scene point (units) to plan point (mm)
+     */
+    toPlan(point) {
+        return {
+            x: point.x * 100,
+            y: point.z * 100,
+            z: (point.y - this.palletTopY) * 100
+        };
+    }
+
+    /**
+     * Plinth, column and the rotating carriage with arm and gripper
+     */
+    createRobot() {
+        const base = this.toScene(this.reach.config.base);
+        const columnTop = this.palletTopY + this.reach.config.maxHeight * 0.01 + this.gripperDrop + 0.5;
+        const robotMaterial = new THREE.MeshLambertMaterial({ color: this.colors.robot });
+        const columnMaterial = new THREE.MeshLambertMaterial({ color: this.colors.column });
+
+        const plinth = new THREE.Mesh(new THREE.CylinderGeometry(0.8, 0.9, 0.4, 24), columnMaterial);
+        plinth.position.set(base.x, this.floorY + 0.2, base.z);
+
+        const columnHeight = columnTop - this.floorY;
+        const column = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, columnHeight, 16), robotMaterial);
+        column.position.set(base.x, this.floorY + columnHeight / 2, base.z);
+        column.castShadow = true;
+
+        this.carriage = new THREE.Group();
+        this.carriage.position.set(base.x, 0, base.z);
+
+        const collar = new THREE.Mesh(new THREE.CylinderGeometry(0.45, 0.45, 0.6, 16), columnMaterial);
+
+        // Unit-length arm, scaled to the current radius
+        this.arm = new THREE.Mesh(new THREE.BoxGeometry(1, 0.3, 0.3), robotMaterial);
+        this.arm.castShadow = true;
+
+        this.gripper = new THREE.Group();
+        const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, this.gripperDrop, 8), columnMaterial);
+        rod.position.y = -this.gripperDrop / 2;
+        this.padMaterial = new THREE.MeshLambertMaterial({ color: this.colors.pad });
+        const pad = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.08, 0.6), this.padMaterial);
+        pad.position.y = -this.gripperDrop + 0.04;
+        this.gripper.add(rod);
+        this.gripper.add(pad);
+
+        this.carriage.add(collar);
+        this.carriage.add(this.arm);
+        this.carriage.add(this.gripper);
+
+        this.group.add(plinth);
+        this.group.add(column);
+        this.group.add(this.carriage);
+    }
+
+    /**
+     * Reach envelope: the reachable ring at pallet-top level and the outer limit up to the lift height
+     */
+    createEnvelope() {
+        const { reach, minReach, maxHeight } = this.reach.config;
+        const base = this.toScene(this.reach.config.base);
+
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: this.colors.envelope,
+            transparent: true,
+            opacity: 0.12,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const ring = new THREE.Mesh(new THREE.RingGeometry(minReach * 0.01, reach * 0.01, 64), ringMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(base.x, this.palletTopY + 0.01, base.z);
+
+        const wallHeight = maxHeight * 0.01;
+        const wallMaterial = new THREE.MeshBasicMaterial({
+            color: this.colors.envelope,
+            transparent: true,
+            opacity: 0.15,
+            wireframe: true,
+            depthWrite: false
+        });
+        const wall = new THREE.Mesh(
+            new THREE.CylinderGeometry(reach * 0.01, reach * 0.01, wallHeight, 48, 4, true),
+            wallMaterial
+        );
+        wall.position.set(base.x, this.palletTopY + wallHeight / 2, base.z);
+
+        this.envelopeMaterials = [ringMaterial, wallMaterial];
+        this.group.add(ring);
+        this.group.add(wall);
+    }
+
+    /**
+     * Infeed conveyor ending at the pick station
+     */
+    createConveyor() {
+        const station = this.getPickPoint();
+        const length = 8;
+        const width = 5;
+        const frameMaterial = new THREE.MeshLambertMaterial({ color: this.colors.conveyor });
+        const beltMaterial = new THREE.MeshLambertMaterial({ color: this.colors.belt });
+
+        // Boxes arrive along +X and stop at the station
+        const endX = station.x + 0.5;
+        const belt = new THREE.Mesh(new THREE.BoxGeometry(length, 0.2, width), beltMaterial);
+        belt.position.set(endX - length / 2, station.y - 0.1, station.z);
+        belt.receiveShadow = true;
+        this.group.add(belt);
+
+        const legHeight = station.y - 0.2 - this.floorY;
+        if (legHeight > 0) {
+            [[0.3, 0.3], [0.3, width - 0.3], [length - 0.3, 0.3], [length - 0.3, width - 0.3]].forEach(([dx, dz]) => {
+                const leg = new THREE.Mesh(new THREE.BoxGeometry(0.2, legHeight, 0.2), frameMaterial);
+                leg.position.set(endX - dx, this.floorY + legHeight / 2, station.z - width / 2 + dz);
+                this.group.add(leg);
+            });
+        }
+
+        const stop = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.4, width), frameMaterial);
+        stop.position.set(endX + 0.075, station.y + 0.1, station.z);
+        this.group.add(stop);
+    }
+
+    /**
+     * Where boxes wait to be picked: centre of the conveyor surface at the station (scene units)
+     */
+    getPickPoint() {
+        return this.toScene(this.reach.config.pickStation);
+    }
+
+    /**
+     * Robot pose for a gripper position
+     * @param {Object} point - Suction pad position { x, y, z } in scene units
+     */
+    getPose(point) {
+        const base = this.toScene(this.reach.config.base);
+        const dx = point.x - base.x;
+        const dz = point.z - base.z;
+
+        // rotation.y turns the carriage's +X towards (cos, 0, -sin)
+        return { angle: Math.atan2(-dz, dx), radius: Math.hypot(dx, dz), height: point.y };
+    }
+
+    applyPose(pose) {
+        const radius = Math.max(0.01, pose.radius);
+        this.carriage.position.y = pose.height + this.gripperDrop;
+        this.carriage.rotation.y = pose.angle;
+        this.arm.scale.x = radius;
+        this.arm.position.x = radius / 2;
+        this.gripper.position.x = radius;
+    }
+
+    /**
+     * Hold a box: the pad follows the top of the box being placed
+     * @param {Object} point - Centre of the box top in scene units
+     */
+    carry(point) {
+        this.holding = true;
+        this.pose = this.getPose(point);
+        this.targetPose = this.pose;
+        this.applyPose(this.pose);
+
+        // The pad turns red while the robot is asked to go where it cannot
+        const unreachable = this.reach.checkPoint(this.toPlan(point)).length > 0;
+        this.padMaterial.color.setHex(unreachable ? this.colors.alert : this.colors.pad);
+    }
+
+    /**
+     * Let go of the box and return above the pick station
+     */
+    release() {
+        this.holding = false;
+        this.padMaterial.color.setHex(this.colors.pad);
+        this.park();
+    }
+
+    /**
+     * @param {boolean} immediate - Jump to the rest pose instead of moving there
+     */
+    park(immediate = false) {
+        const station = this.getPickPoint();
+        this.targetPose = this.getPose({ ...station, y: station.y + 1 });
+
+        if (immediate || !this.pose) {
+            this.pose = { ...this.targetPose };
+            this.applyPose(this.pose);
+        }
+    }
+
+    /**
+     * Ease towards the target pose (called on each rendered frame)
+     * @param {number} time - Frame timestamp (ms)
+     */
+    update(time) {
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+
+        if (this.holding || !this.targetPose) {
+            return;
+        }
+
+        const blend = 1 - Math.exp(-elapsed / 150);
+        // Turn the short way round
+        const turn = Math.atan2(Math.sin(this.targetPose.angle - this.pose.angle),
+            Math.cos(this.targetPose.angle - this.pose.angle));
+
+        this.pose = {
+            angle: this.pose.angle + turn * blend,
+            radius: this.pose.radius + (this.targetPose.radius - this.pose.radius) * blend,
+            height: this.pose.height + (this.targetPose.height - this.pose.height) * blend
+        };
+        this.applyPose(this.pose);
+    }
+
+    /**
+     * Colour the reach envelope by whether the current pallet has unreachable placements
+     * @param {boolean} hasWarnings
+     */
+    setWarning(hasWarnings) {
+        this.envelopeMaterials.forEach(material => {
+            material.color.setHex(hasWarnings ? this.colors.alert : this.colors.envelope);
+        });
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+}
+
+// Export for global access
+window.RobotReach = RobotReach;
+window.RobotCell = RobotCell;
@@ -0,0 +1,300 @@
+/**
+ * Stacking Load - Weight each box carries from the boxes above it
+ * StackingLoadAnalyzer follows the load path from the top of the stack down: every box
+ * passes its own weight plus what rests on it to the boxes under it, split by contact area
+ * (Crosslog coordinates in mm, weights in g). StackingLoadPanel lists the most loaded boxes.
+ *
+ * Crush limits are the most weight (g) a box of an item type may carry on its top face;
+ * item types without a limit of their own use defaultCrushLimit
+ */
+
+class StackingLoadAnalyzer {
+    /**
+     * @param {Object} options - crushLimits ({ itemType: g }), defaultCrushLimit (g),
+     *                           contactTolerance (mm, boxes this close are resting on each other)
+     */
+    constructor(options = {}) {
+        this.crushLimits = { ...(options.crushLimits || {}) };
+        this.defaultCrushLimit = options.defaultCrushLimit ?? 50000;
+        this.contactTolerance = options.contactTolerance ?? 10;
+    }
+
+    getCrushLimit(itemType) {
+        return this.crushLimits[itemType] ?? this.defaultCrushLimit;
+    }
+
+    /**
+     * @param {Array} boxes - Box models of one pallet (any order)
+     * @returns {Object} { entries (same order as boxes), overloadedCount, maxRatio,
+     *                     palletLoad (g reaching the pallet), unsupportedWeight (g resting on nothing) }
+     */
+    analyse(boxes) {
+        const entries = boxes.map(box => {
+            const limit = this.getCrushLimit(box.itemType);
+            return {
+                box,
+                sequence: box.sequence,
+                itemType: box.itemType,
+                weight: box.weight || 0,
+                load: 0,
+                limit,
+                ratio: 0,
+                overloaded: false,
+                supports: []
+            };
+        });
+
+        let palletLoad = 0;
+        let unsupportedWeight = 0;
+
+        // Boxes higher up hand their load on first, so each box has its full load before passing it down
+        const topDown = [...entries].sort((a, b) => b.box.coordinates.zmin - a.box.coordinates.zmin);
+        topDown.forEach(entry => {
+            const total = entry.weight + entry.load;
+            const c = entry.box.coordinates;
+
+            if (c.zmin <= this.contactTolerance) {
+                palletLoad += total;
+                return;
+            }
+
+            const contacts = entries
+                .filter(other => other !== entry &&
+                    Math.abs(other.box.coordinates.zmax - c.zmin) <= this.contactTolerance)
+                .map(other => ({ entry: other, area: StackingLoadAnalyzer.getContactArea(entry.box, other.box) }))
+                .filter(contact => contact.area > 0);
+            const contactArea = contacts.reduce((sum, contact) => sum + contact.area, 0);
+
+            if (contactArea === 0) {
+                unsupportedWeight += total;
+                return;
+            }
+
+            contacts.forEach(contact => {
+                const share = contact.area / contactArea;
+                contact.entry.load += total * share;
+                entry.supports.push({ sequence: contact.entry.sequence, share, load: total * share });
+            });
+        });
+
+        entries.forEach(entry => {
+            entry.ratio = entry.limit > 0 ? entry.load / entry.limit : 0;
+            entry.overloaded = entry.load > entry.limit;
+        });
+
+        return {
+            entries,
+            overloadedCount: entries.filter(entry => entry.overloaded).length,
+            maxRatio: entries.reduce((max, entry) => Math.max(max, entry.ratio), 0),
+            palletLoad,
+            unsupportedWeight
+        };
+    }
+
+    /**
+     * @param {Array} entries - analyse() entries
+     * @param {string} key - Entry field to sort by (sequence, itemType, weight, load, limit or ratio)
+     * @param {boolean} descending
+     * @returns {Array} Sorted copy
+     */
+    static sortEntries(entries, key, descending = true) {
+        const direction = descending ? -1 : 1;
+        return [...entries].sort((a, b) => (a[key] - b[key]) * direction || a.sequence - b.sequence);
+    }
+
+    /**
+     * Overlay colour for a share of the crush limit: green when unloaded, red at the limit, dark red above it
+     * @param {number} ratio - load / limit
+     * @returns {number} Hex color
+     */
+    static getLoadColor(ratio) {
+        if (ratio > 1) {
+            return 0x7b0000;
+        }
+        return BoxColorModes.interpolate([[0, 0x2e7d32], [0.5, 0xfdd835], [1, 0xd32f2f]], ratio);
+    }
+
+    static getContactArea(a, b) {
+        const ca = a.coordinates;
+        const cb = b.coordinates;
+        const x = Math.min(ca.xmax, cb.xmax) - Math.max(ca.xmin, cb.xmin);
+        const y = Math.min(ca.ymax, cb.ymax) - Math.max(ca.ymin, cb.ymin);
+        return x > 0 && y > 0 ? x * y : 0;
+    }
+}
+
+class StackingLoadPanel {
+    /**
+     * @param {string} containerId - ID of the 3D viewer container
+     * @param {Object} options - onSelect(sequence) when a row is clicked, onClose(), rows (most shown)
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.onSelect = options.onSelect || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.rows = options.rows ?? 12;
+
+        this.columns = [
+            { key: 'sequence', label: 'Seq' },
+            { key: 'itemType', label: 'Type' },
+            { key: 'weight', label: 'Weight' },
+            { key: 'load', label: 'Load' },
+            { key: 'limit', label: 'Limit' },
+            { key: 'ratio', label: '% limit' }
+        ];
+        this.sortKey = 'ratio';
+        this.descending = true;
+        this.result = null;
+
+        // Interface elements
+        this.panelElement = null;
+        this.summaryElement = null;
+        this.tableElement = null;
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel structure (hidden until the load view is switched on)
+     */
+    createPanel() {
+        if (!this.container) {
+            console.warn('Stacking load panel container not found');
+            return;
+        }
+
+        this.panelElement = document.createElement('div');
+        this.panelElement.className = 'stacking-load-panel';
+        this.panelElement.style.display = 'none';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'stacking-load-close';
+        closeButton.textContent = '✕';
+        closeButton.title = 'Hide the load view';
+        closeButton.addEventListener('click', () => this.onClose());
+
+        const title = document.createElement('div');
+        title.className = 'stacking-load-title';
+        title.textContent = 'Stacking load';
+
+        this.summaryElement = document.createElement('div');
+        this.summaryElement.className = 'stacking-load-summary';
+
+        this.tableElement = document.createElement('table');
+        this.tableElement.className = 'stacking-load-table';
+
+        this.panelElement.appendChild(closeButton);
+        this.panelElement.appendChild(title);
+        this.panelElement.appendChild(this.summaryElement);
+        this.panelElement.appendChild(this.tableElement);
+        this.container.appendChild(this.panelElement);
+    }
+
+    /**
+     * @param {Object} result - StackingLoadAnalyzer.analyse() result
+     */
+    show(result) {
+        if (!this.panelElement) {
+            return;
+        }
+
+        this.result = result;
+        this.render();
+        this.panelElement.style.display = 'block';
+    }
+
+    hide() {
+        if (this.panelElement) {
+            this.panelElement.style.display = 'none';
+        }
+    }
+
+    isVisible() {
+        return !!this.panelElement && this.panelElement.style.display !== 'none';
+    }
+
+    /**
+     * Sort by a column; clicking the sorted column again flips the order
+     */
+    sortBy(key) {
+        this.descending = key === this.sortKey ? !this.descending : true;
+        this.sortKey = key;
+        this.render();
+    }
+
+    render() {
+        const entries = this.result ? this.result.entries : [];
+        const overloaded = this.result ? this.result.overloadedCount : 0;
+
+        this.summaryElement.textContent = entries.length === 0 ? 'No boxes on the pallet' :
+            overloaded > 0 ? `${overloaded} of ${entries.length} boxes carry more than their crush limit` :
+                `All ${entries.length} boxes are within their crush limit`;
+        this.summaryElement.classList.toggle('has-overload', overloaded > 0);
+
+        this.tableElement.innerHTML = '';
+        this.tableElement.appendChild(this.createHeader());
+
+        const body = document.createElement('tbody');
+        StackingLoadAnalyzer.sortEntries(entries, this.sortKey, this.descending)
+            .slice(0, this.rows)
+            .forEach(entry => body.appendChild(this.createRow(entry)));
+        this.tableElement.appendChild(body);
+    }
+
+    createHeader() {
+        const head = document.createElement('thead');
+        const row = document.createElement('tr');
+
+        this.columns.forEach(column => {
+            const cell = document.createElement('th');
+            cell.textContent = column.label + (column.key === this.sortKey ? (this.descending ? ' ▼' : ' ▲') : '');
+            cell.title = `Sort by ${column.label.toLowerCase()}`;
+            cell.addEventListener('click', () => this.sortBy(column.key));
+            row.appendChild(cell);
+        });
+
+        head.appendChild(row);
+        return head;
+    }
+
+    createRow(entry) {
+        const row = document.createElement('tr');
+        row.classList.toggle('is-overloaded', entry.overloaded);
+        row.title = `Inspect sequence ${entry.sequence}`;
+        row.addEventListener('click', () => this.onSelect(entry.sequence));
+
+        [
+            String(entry.sequence),
+            String(entry.itemType),
+            StackingLoadPanel.formatKg(entry.weight),
+            StackingLoadPanel.formatKg(entry.load),
+            StackingLoadPanel.formatKg(entry.limit),
+            `${Math.round(entry.ratio * 100)}%`
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    /**
+     * @param {number} grams
+     * @returns {string} e.g. "12.4 kg"
+     */
+    static formatKg(grams) {
+        return `${(grams / 1000).toFixed(1)} kg`;
+    }
+
+    dispose() {
+        if (this.panelElement) {
+            this.panelElement.remove();
+            this.panelElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.StackingLoadAnalyzer = StackingLoadAnalyzer;
+window.StackingLoadPanel = StackingLoadPanel;
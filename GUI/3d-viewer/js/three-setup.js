@@ -23,7 +23,17 @@ class PalletSimulator {
         
         // Scene objects
         this.pallet = null;
+        this.palletDimensions = null;
         this.boxes = [];
+        this.highlightedBox = null;
+        
+        // Box picking
+        this.raycaster = null;
+        this.hoveredBox = null;
+        this.selectedBox = null;
+        this.selectionOutline = null;
+        this.boxPickListeners = [];
+        this.pointerDownAt = null;
         
         // Center of mass visualization components
         this.centerOfMassGroup = null;
@@ -32,8 +42,13 @@ class PalletSimulator {
         this.centerOfMassGlow = null;
         this.palletCenterReference = null;  // Green reference point at geometric center
         
+        // Robot cell (hidden until switched on)
+        this.robotCell = null;
+        this.robotCellUnsubscribe = null;
+        
         // Animation
         this.animationId = null;
+        this.frameListeners = [];
         
         this.init();
     }
@@ -154,15 +169,20 @@ class PalletSimulator {
     
     /**
      * Create pallet with precise specifications
-     * Dimensions: 1200mm × 800mm × 144mm (12.0 × 8.0 × 1.44 units)
+     * Default dimensions: 1200mm × 800mm × 144mm (12.0 × 8.0 × 1.44 units)
+     * @param {number} palletLength - Pallet length in units (X axis)
+     * @param {number} palletWidth - Pallet width in units (Z axis)
      */
-    createPallet() {
-        // Pallet dimensions (1mm = 0.01 units)
-        const palletLength = 12.0;  // 1200mm
-        const palletWidth = 8.0;    // 800mm  
+    createPallet(palletLength = 12.0, palletWidth = 8.0) {
         const palletHeight = 1.44;  // 144mm total height
         const woodColor = 0xd6aa69; // Light wood color
         
+        this.palletDimensions = {
+            length: palletLength,
+            width: palletWidth,
+            height: palletHeight
+        };
+        
         this.pallet = new THREE.Group();
         
         this.createPalletTopSurface(palletLength, palletWidth, palletHeight, woodColor);
@@ -174,6 +194,29 @@ class PalletSimulator {
         this.scene.add(this.pallet);
     }
 
+    /**
+     * Rebuild the pallet mesh for new footprint dimensions
+     * @param {number} palletLength - Pallet length in units (X axis)
+     * @param {number} palletWidth - Pallet width in units (Z axis)
+     */
+    setPalletDimensions(palletLength, palletWidth) {
+        if (this.pallet &&
+            this.palletDimensions.length === palletLength &&
+            this.palletDimensions.width === palletWidth) {
+            return;
+        }
+        
+        if (this.pallet) {
+            this.scene.remove(this.pallet);
+            this.pallet.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        }
+        
+        this.createPallet(palletLength, palletWidth);
+    }
+
     /**
      * Create center of mass visualization beam
      */
@@ -560,14 +603,75 @@ debugCenterOfMassTexture() {
         this.updatePalletCenterReferenceHeight(boxes);
     }
     
+    /**
+     * Highlight a single box mesh (used to point at diagnostics)
+     * @param {THREE.Mesh} box - Box mesh to highlight
+     */
+    highlightBox(box) {
+        this.clearBoxHighlight();
+        
+        if (!box || !box.material || !box.material.emissive) {
+            return;
+        }
+        
+        box.userData.originalEmissive = box.material.emissive.getHex();
+        box.material.emissive.setHex(0xff3b30);
+        this.highlightedBox = box;
+    }
+    
+    /**
+     * Remove the current box highlight
+     */
+    clearBoxHighlight() {
+        const box = this.highlightedBox;
+        
+        if (box && box.material && box.material.emissive) {
+            box.material.emissive.setHex(box.userData.originalEmissive || 0x000000);
+        }
+        
+        this.highlightedBox = null;
+    }
+    
+    /**
+     * Add the robot and its pick station to the scene (replaces a cell already shown)
+     * @param {RobotReach} reach - Cell layout and reach limits
+     * @returns {RobotCell} The robot cell
+     */
+    showRobotCell(reach) {
+        this.hideRobotCell();
+        
+        this.robotCell = new RobotCell(this.scene, reach);
+        this.robotCellUnsubscribe = this.onFrame((time) => this.robotCell.update(time));
+        return this.robotCell;
+    }
+    
+    /**
+     * Remove the robot cell from the scene
+     */
+    hideRobotCell() {
+        if (this.robotCellUnsubscribe) {
+            this.robotCellUnsubscribe();
+            this.robotCellUnsubscribe = null;
+        }
+        
+        if (this.robotCell) {
+            this.robotCell.dispose();
+            this.robotCell = null;
+        }
+    }
+    
+    isRobotCellVisible() {
+        return this.robotCell !== null;
+    }
+    
     /**
      * Create solid top surface of the pallet
      */
     createPalletTopSurface(totalLength, totalWidth, totalHeight, woodColor) {
         const surfaceMaterial = new THREE.MeshLambertMaterial({ color: woodColor });
         
-        const surfaceLength = totalLength;  // 1200mm (full length)
-        const surfaceWidth = totalWidth;    // 800mm (full width)
+        const surfaceLength = totalLength;  // Full pallet length
+        const surfaceWidth = totalWidth;    // Full pallet width
         const surfaceThickness = 0.22;      // 22mm thick
         
         const surfaceGeometry = new THREE.BoxGeometry(surfaceLength, surfaceThickness, surfaceWidth);
@@ -632,7 +736,7 @@ debugCenterOfMassTexture() {
     createPalletBottomBoards(totalLength, totalWidth, totalHeight, woodColor) {
         const boardMaterial = new THREE.MeshLambertMaterial({ color: woodColor });
         
-        const boardLength = totalLength;   // 1200mm (full length)
+        const boardLength = totalLength;   // Full pallet length
         const boardWidth = 1.0;           // 100mm width
         const boardThickness = 0.22;      // 22mm thick
         
@@ -660,25 +764,157 @@ debugCenterOfMassTexture() {
      * Handle window resize events
      */
     setupEventListeners() {
-        window.addEventListener('resize', () => {
+        this.resizeHandler = () => {
             const containerRect = this.container.getBoundingClientRect();
             
             this.camera.aspect = containerRect.width / containerRect.height;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(containerRect.width, containerRect.height);
+        };
+        window.addEventListener('resize', this.resizeHandler);
+        
+        this.setupPicking();
+    }
+    
+    /**
+     * Hover and click picking of boxes; a drag (orbiting the camera) is not a click
+     */
+    setupPicking() {
+        this.raycaster = new THREE.Raycaster();
+        const canvas = this.renderer.domElement;
+        
+        canvas.addEventListener('pointerdown', (event) => {
+            this.pointerDownAt = { x: event.clientX, y: event.clientY };
         });
+        
+        canvas.addEventListener('pointerup', (event) => {
+            const start = this.pointerDownAt;
+            this.pointerDownAt = null;
+            if (!start || event.button !== 0 ||
+                Math.hypot(event.clientX - start.x, event.clientY - start.y) > 5) {
+                return;
+            }
+            
+            const box = this.pickBox(event.clientX, event.clientY);
+            this.selectBox(box);
+            this.boxPickListeners.forEach(listener => listener(box));
+        });
+        
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.pointerDownAt) {
+                this.setHoveredBox(this.pickBox(event.clientX, event.clientY));
+            }
+        });
+        
+        canvas.addEventListener('pointerleave', () => this.setHoveredBox(null));
+    }
+    
+    /**
+     * Box under a point of the screen
+     * @param {number} clientX - Pointer X in page pixels
+     * @param {number} clientY - Pointer Y in page pixels
+     * @returns {THREE.Mesh|null} Nearest box hit (hidden boxes are ignored)
+     */
+    pickBox(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (clientX - rect.left) / rect.width * 2 - 1,
+            -(clientY - rect.top) / rect.height * 2 + 1
+        );
+        
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hits = this.raycaster.intersectObjects(this.boxes.filter(box => box.visible), false);
+        return hits.length > 0 ? hits[0].object : null;
+    }
+    
+    /**
+     * Call a function when the user clicks a box or empty space
+     * @param {Function} listener - Called with the box mesh, or null
+     * @returns {Function} Call to stop listening
+     */
+    onBoxPick(listener) {
+        this.boxPickListeners.push(listener);
+        return () => {
+            this.boxPickListeners = this.boxPickListeners.filter(entry => entry !== listener);
+        };
+    }
+    
+    /**
+     * Lighten the box under the pointer
+     * @param {THREE.Mesh|null} box - Box to hover, or null
+     */
+    setHoveredBox(box) {
+        if (box === this.hoveredBox) {
+            return;
+        }
+        
+        const previous = this.hoveredBox;
+        if (previous && previous !== this.highlightedBox && previous.material.emissive) {
+            previous.material.emissive.setHex(previous.userData.emissiveBeforeHover || 0x000000);
+        }
+        
+        this.hoveredBox = box;
+        this.renderer.domElement.style.cursor = box ? 'pointer' : '';
+        
+        if (box && box !== this.highlightedBox && box.material.emissive) {
+            box.userData.emissiveBeforeHover = box.material.emissive.getHex();
+            box.material.emissive.setHex(0x333333);
+        }
+    }
+    
+    /**
+     * Outline one box (null clears the selection)
+     * @param {THREE.Mesh|null} box - Box to select
+     */
+    selectBox(box) {
+        if (this.selectionOutline) {
+            if (this.selectionOutline.parent) {
+                this.selectionOutline.parent.remove(this.selectionOutline);
+            }
+            this.selectionOutline.geometry.dispose();
+            this.selectionOutline.material.dispose();
+            this.selectionOutline = null;
+        }
+        
+        this.selectedBox = box;
+        if (!box) {
+            return;
+        }
+        
+        // Child of the box, so it follows the box while it is placed
+        this.selectionOutline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(box.geometry),
+            new THREE.LineBasicMaterial({ color: 0x111111, depthTest: false })
+        );
+        this.selectionOutline.scale.setScalar(1.02);
+        this.selectionOutline.renderOrder = 1;
+        box.add(this.selectionOutline);
+    }
+    
+    /**
+     * Call a function on every rendered frame (e.g. to move animated boxes)
+     * @param {Function} listener - Called with the frame timestamp
+     * @returns {Function} Call to stop listening
+     */
+    onFrame(listener) {
+        this.frameListeners.push(listener);
+        return () => {
+            this.frameListeners = this.frameListeners.filter(entry => entry !== listener);
+        };
     }
     
     /**
      * Animation loop
      */
-    animate() {
-        this.animationId = requestAnimationFrame(() => this.animate());
+    animate(timestamp = 0) {
+        this.animationId = requestAnimationFrame((time) => this.animate(time));
         
         if (this.controls) {
             this.controls.update();
         }
         
+        this.frameListeners.forEach(listener => listener(timestamp));
+        
         this.renderer.render(this.scene, this.camera);
     }
     
@@ -690,6 +926,9 @@ debugCenterOfMassTexture() {
             cancelAnimationFrame(this.animationId);
         }
         
+        window.removeEventListener('resize', this.resizeHandler);
+        this.hideRobotCell();
+        
         if (this.renderer) {
             this.renderer.dispose();
         }
@@ -698,6 +937,8 @@ debugCenterOfMassTexture() {
             this.controls.dispose();
         }
         
+        this.selectBox(null);
+        
         // Clear all boxes
         this.boxes.forEach(box => {
             if (box.geometry) box.geometry.dispose();
@@ -0,0 +1,255 @@
+/**
+ * Timeline Controller - Playback of one pallet's placement sequence
+ * A single playhead driven by requestAnimationFrame replaces the per-box timeouts:
+ * the number of boxes shown follows from elapsed time × speed, so pause, resume,
+ * step, seek and finish never drift from the timer and counters
+ *
+ * States: idle → playing ⇄ paused → completed (every box shown)
+ */
+
+class TimelineController {
+    /**
+     * @param {Object} options - boxInterval (ms per box at 1x), onSeek(count, previousCount),
+     *                           onStateChange(state), requestFrame, cancelFrame, now (for tests)
+     */
+    constructor(options = {}) {
+        this.boxInterval = options.boxInterval ?? 500;
+        this.onSeek = options.onSeek || (() => {});
+        this.onStateChange = options.onStateChange || (() => {});
+        this.requestFrame = options.requestFrame || (callback => window.requestAnimationFrame(callback));
+        this.cancelFrame = options.cancelFrame || (frameId => window.cancelAnimationFrame(frameId));
+        this.now = options.now || (() => window.performance.now());
+
+        this.speeds = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+        this.sequences = [];
+        this.placedCount = 0;
+        this.position = 0;
+        this.speed = 1;
+        this.direction = 1;
+        this.state = 'idle';
+
+        // Playhead position at a point in time; frames extrapolate from it
+        this.anchor = null;
+        this.frameId = null;
+    }
+
+    /**
+     * Start a new pallet; the playhead goes back to zero boxes without notifying onSeek
+     * @param {Array<number>} sequences - Sequence numbers of the pallet's boxes, in placement order
+     */
+    load(sequences) {
+        this.halt();
+        this.sequences = [...sequences];
+        this.placedCount = 0;
+        this.position = 0;
+        this.setState('idle');
+    }
+
+    getLength() {
+        return this.sequences.length;
+    }
+
+    isPlaying() {
+        return this.state === 'playing';
+    }
+
+    /**
+     * Play in the current direction; from the end of the timeline, playback starts over
+     * The next box is shown right away, later boxes follow every boxInterval / speed
+     */
+    play() {
+        const length = this.getLength();
+        if (length === 0 || this.isPlaying()) {
+            return;
+        }
+
+        if (this.isAtEnd()) {
+            this.setPlacedCount(this.direction > 0 ? 0 : length);
+        }
+
+        this.setState('playing');
+        this.setPlacedCount(this.placedCount + this.direction);
+        this.position = this.placedCount;
+        this.anchorNow();
+
+        if (!this.checkEnd()) {
+            this.scheduleFrame();
+        }
+    }
+
+    pause() {
+        if (!this.isPlaying()) {
+            return;
+        }
+
+        this.halt();
+        this.setState('paused');
+    }
+
+    toggle() {
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Stop playback without marking the pallet as paused (e.g. when the scene is cleared)
+     */
+    stop() {
+        this.halt();
+        this.setState('idle');
+    }
+
+    /**
+     * Show exactly the first `count` boxes; playback continues from there if it was running
+     * @param {number} count - Number of boxes to show
+     */
+    seek(count) {
+        this.halt();
+        this.setPlacedCount(count);
+        this.position = this.placedCount;
+
+        if (this.isPlaying()) {
+            this.anchorNow();
+            if (!this.checkEnd()) {
+                this.scheduleFrame();
+            }
+            return;
+        }
+
+        this.setState(this.placedCount === this.getLength() && this.placedCount > 0 ? 'completed' : 'paused');
+    }
+
+    /**
+     * Show every box up to and including a sequence number
+     * @param {number} sequence - Sequence number from the plan
+     */
+    seekToSequence(sequence) {
+        this.seek(this.sequences.filter(value => value <= sequence).length);
+    }
+
+    /**
+     * Pause and move by whole boxes
+     * @param {number} delta - Boxes to add (positive) or remove (negative)
+     */
+    step(delta) {
+        this.pause();
+        this.seek(this.placedCount + delta);
+    }
+
+    /**
+     * Show the whole pallet at once
+     */
+    finish() {
+        this.pause();
+        this.seek(this.getLength());
+    }
+
+    /**
+     * @param {number} speed - Playback rate, clamped to 0.25x–16x
+     */
+    setSpeed(speed) {
+        this.syncPosition();
+        this.speed = Math.min(16, Math.max(0.25, Number(speed) || 1));
+        this.anchorNow();
+    }
+
+    /**
+     * @param {number} direction - 1 to add boxes, -1 to remove them (reverse playback)
+     */
+    setDirection(direction) {
+        this.syncPosition();
+        this.direction = direction < 0 ? -1 : 1;
+        this.position = this.placedCount;
+        this.anchorNow();
+    }
+
+    reverse() {
+        this.setDirection(-this.direction);
+    }
+
+    // Every box shown going forward, or none left going backward
+    isAtEnd() {
+        return this.direction > 0 ? this.placedCount >= this.getLength() : this.placedCount <= 0;
+    }
+
+    checkEnd() {
+        if (!this.isPlaying() || !this.isAtEnd()) {
+            return false;
+        }
+
+        this.halt();
+        this.setState(this.placedCount === this.getLength() ? 'completed' : 'paused');
+        return true;
+    }
+
+    tick() {
+        this.frameId = null;
+        if (!this.isPlaying()) {
+            return;
+        }
+
+        this.syncPosition();
+        // Forward shows a box once the playhead reaches it, reverse removes it once the playhead leaves it
+        const count = this.direction > 0 ? Math.floor(this.position + 1e-9) : Math.ceil(this.position - 1e-9);
+        this.setPlacedCount(count);
+
+        if (!this.checkEnd()) {
+            this.scheduleFrame();
+        }
+    }
+
+    syncPosition() {
+        if (!this.isPlaying() || !this.anchor) {
+            return;
+        }
+
+        const elapsed = this.now() - this.anchor.time;
+        const position = this.anchor.position + this.direction * this.speed * elapsed / this.boxInterval;
+        this.position = Math.min(this.getLength(), Math.max(0, position));
+    }
+
+    anchorNow() {
+        this.anchor = { time: this.now(), position: this.position };
+    }
+
+    scheduleFrame() {
+        if (this.frameId === null) {
+            this.frameId = this.requestFrame(() => this.tick());
+        }
+    }
+
+    // Cancel the pending frame and snap the playhead to the boxes shown
+    halt() {
+        if (this.frameId !== null) {
+            this.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.position = this.placedCount;
+        this.anchor = null;
+    }
+
+    setPlacedCount(count) {
+        const clamped = Math.min(this.getLength(), Math.max(0, count));
+        if (clamped === this.placedCount) {
+            return;
+        }
+
+        const previousCount = this.placedCount;
+        this.placedCount = clamped;
+        this.onSeek(clamped, previousCount);
+    }
+
+    setState(state) {
+        if (state !== this.state) {
+            this.state = state;
+            this.onStateChange(state);
+        }
+    }
+}
+
+// Export for global access
+window.TimelineController = TimelineController;
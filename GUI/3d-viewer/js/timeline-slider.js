@@ -0,0 +1,273 @@
+/**
+ * Timeline Slider - Scrubbable placement timeline under the 3D view
+ * Dragging seeks the playback timeline to any box; markers show where layers start
+ * and where a metric crosses its warning threshold
+ */
+
+class TimelineMarkers {
+    /**
+     * @param {Object} options - thresholds { centerOfMassCm, lsi }, layerTolerance (mm),
+     *                           layerSegmenter (LayerSegmenter, one is made with layerTolerance otherwise),
+     *                           bottomMetricsCalculator (LSI formula shared with the metrics panel)
+     */
+    constructor(options = {}) {
+        this.thresholds = {
+            centerOfMassCm: 15,   // Same limit as the "CAUTION" stability recommendation
+            lsi: 55,              // Below "Fair"
+            ...options.thresholds
+        };
+        this.layerTolerance = options.layerTolerance ?? 10;
+        this.layerSegmenter = options.layerSegmenter || new LayerSegmenter({ tolerance: this.layerTolerance });
+        this.bottomMetricsCalculator = options.bottomMetricsCalculator || null;
+    }
+
+    /**
+     * Markers for a pallet
+     * @param {Array} sortedBoxes - Box models in sequence order (PalletDataLoader.getSortedBoxes)
+     * @param {Object} palletDimensions - Pallet header dimensions in mm ({ x, y, z })
+     * @returns {Array} { index, type: 'layer' | 'warning', label } - index is the box count where the marker sits
+     */
+    compute(sortedBoxes, palletDimensions) {
+        return [
+            ...this.findLayerStarts(sortedBoxes),
+            ...this.findWarnings(sortedBoxes, palletDimensions)
+        ].sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * A layer starts where the first of its boxes is placed (layers from LayerSegmenter)
+     * Boxes filling gaps lower down stay in their own layer
+     */
+    findLayerStarts(sortedBoxes) {
+        const numbers = this.getLayerNumbers(sortedBoxes);
+        const markers = [];
+        let highest = 0;
+
+        sortedBoxes.forEach((box, index) => {
+            const layer = numbers.get(box);
+            if (layer > highest) {
+                highest = layer;
+                markers.push({ index, type: 'layer', label: index === 0 ? `Layer ${layer}` : `Layer ${layer} (box ${index + 1})` });
+            }
+        });
+
+        return markers;
+    }
+
+    /**
+     * @returns {Map} box model → 1-based layer number
+     */
+    getLayerNumbers(sortedBoxes) {
+        return this.layerSegmenter.getLayerNumbers(sortedBoxes);
+    }
+
+    /**
+     * Walk the sequence once and mark every point where a metric goes from OK to warning
+     */
+    findWarnings(sortedBoxes, palletDimensions) {
+        const markers = [];
+        const state = { centerOfMass: false, lsi: false, height: false };
+        const placed = [];
+        let weightedX = 0;
+        let weightedZ = 0;
+        let totalWeight = 0;
+        let maxHeight = 0;
+
+        sortedBoxes.forEach((box, index) => {
+            const count = index + 1;
+            const weight = box.weight || 0;
+
+            // Same mesh-like shape the calculators read from the scene
+            placed.push({ position: box.position, userData: { weight } });
+            weightedX += weight * box.position.x;
+            weightedZ += weight * box.position.z;
+            totalWeight += weight;
+            maxHeight = Math.max(maxHeight, box.coordinates.zmax);
+
+            // 1 unit = 100mm, so deviation in units × 10 = cm
+            const deviationCm = totalWeight > 0 ?
+                Math.sqrt((weightedX / totalWeight) ** 2 + (weightedZ / totalWeight) ** 2) * 10 : 0;
+            const lsi = this.bottomMetricsCalculator ?
+                this.bottomMetricsCalculator.calculateLoadStabilityIndex(placed, { deviationCm }).value : null;
+
+            this.checkCrossing(markers, state, 'centerOfMass', count,
+                deviationCm > this.thresholds.centerOfMassCm,
+                `Centre of mass ${deviationCm.toFixed(1)}cm off centre (box ${count})`);
+
+            if (lsi !== null) {
+                this.checkCrossing(markers, state, 'lsi', count, lsi < this.thresholds.lsi,
+                    `LSI ${lsi.toFixed(0)}% (box ${count})`);
+            }
+
+            if (palletDimensions && palletDimensions.z) {
+                this.checkCrossing(markers, state, 'height', count, maxHeight > palletDimensions.z,
+                    `Load height ${maxHeight}mm over the ${palletDimensions.z}mm limit (box ${count})`);
+            }
+        });
+
+        return markers;
+    }
+
+    checkCrossing(markers, state, metric, index, isWarning, label) {
+        if (isWarning && !state[metric]) {
+            markers.push({ index, type: 'warning', metric, label });
+        }
+        state[metric] = isWarning;
+    }
+}
+
+class TimelineSlider {
+    /**
+     * @param {string} containerId - ID of the 3D viewer container; the bar is placed under it
+     * @param {TimelineController} timeline - Playback timeline
+     * @param {Object} options - onScrub(count) called after the user moves the playhead
+     */
+    constructor(containerId, timeline, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.timeline = timeline;
+        this.onScrub = options.onScrub || (() => {});
+
+        // Interface elements
+        this.barElement = null;
+        this.inputElement = null;
+        this.markersElement = null;
+        this.labelElement = null;
+
+        this.markers = [];
+        this.wasPlaying = false;
+
+        this.createSlider();
+    }
+
+    /**
+     * Create the bar: position label, range input and marker track
+     */
+    createSlider() {
+        if (!this.container) {
+            console.warn('Timeline slider container not found');
+            return;
+        }
+
+        this.barElement = document.createElement('div');
+        this.barElement.className = 'timeline-slider';
+
+        const track = document.createElement('div');
+        track.className = 'timeline-slider-track';
+
+        this.inputElement = document.createElement('input');
+        this.inputElement.type = 'range';
+        this.inputElement.className = 'timeline-slider-input';
+        this.inputElement.min = '0';
+        this.inputElement.max = '0';
+        this.inputElement.step = '1';
+        this.inputElement.value = '0';
+        this.inputElement.disabled = true;
+        this.inputElement.setAttribute('aria-label', 'Placement timeline');
+
+        this.markersElement = document.createElement('div');
+        this.markersElement.className = 'timeline-slider-markers';
+
+        this.labelElement = document.createElement('div');
+        this.labelElement.className = 'timeline-slider-label';
+
+        track.appendChild(this.markersElement);
+        track.appendChild(this.inputElement);
+        this.barElement.appendChild(this.labelElement);
+        this.barElement.appendChild(track);
+        this.container.insertAdjacentElement('afterend', this.barElement);
+
+        // Playback pauses while dragging and resumes on release
+        this.inputElement.addEventListener('pointerdown', () => {
+            this.wasPlaying = this.timeline.isPlaying();
+            this.timeline.pause();
+        });
+        this.inputElement.addEventListener('input', () => this.scrubTo(Number(this.inputElement.value)));
+        this.inputElement.addEventListener('change', () => {
+            if (this.wasPlaying) {
+                this.wasPlaying = false;
+                this.timeline.play();
+            }
+        });
+
+        this.update();
+    }
+
+    /**
+     * Move the playhead for the user (slider drag or marker click)
+     * @param {number} count - Number of boxes to show
+     */
+    scrubTo(count) {
+        if (this.timeline.isPlaying()) {
+            this.timeline.pause();
+        }
+        this.timeline.seek(count);
+        this.onScrub(this.timeline.placedCount);
+    }
+
+    /**
+     * Show new markers (the timeline length defines their positions)
+     * @param {Array} markers - TimelineMarkers.compute result
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+        this.renderMarkers();
+        this.update();
+    }
+
+    renderMarkers() {
+        if (!this.markersElement) {
+            return;
+        }
+
+        this.markersElement.innerHTML = '';
+        const length = this.timeline.getLength();
+        if (length === 0) {
+            return;
+        }
+
+        this.markers.forEach(marker => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = `timeline-marker is-${marker.type}`;
+            element.style.left = `${marker.index / length * 100}%`;
+            element.title = marker.label;
+
+            // A layer marker shows the first box of the layer, a warning the box that caused it
+            const target = marker.type === 'layer' ? marker.index + 1 : marker.index;
+            element.addEventListener('click', () => this.scrubTo(target));
+
+            this.markersElement.appendChild(element);
+        });
+    }
+
+    /**
+     * Follow the timeline playhead
+     */
+    update() {
+        if (!this.inputElement) {
+            return;
+        }
+
+        const length = this.timeline.getLength();
+        const count = this.timeline.placedCount;
+        const sequence = count > 0 ? this.timeline.sequences[count - 1] : null;
+
+        this.inputElement.max = String(length);
+        this.inputElement.value = String(count);
+        this.inputElement.disabled = length === 0;
+        this.labelElement.textContent = length === 0 ? 'No pallet loaded' :
+            `Box ${count} / ${length}${sequence !== null ? ` · sequence ${sequence}` : ''}`;
+    }
+
+    dispose() {
+        if (this.barElement) {
+            this.barElement.remove();
+            this.barElement = null;
+            this.inputElement = null;
+        }
+    }
+}
+
+// Export for global access
+window.TimelineMarkers = TimelineMarkers;
+window.TimelineSlider = TimelineSlider;
@@ -151,6 +151,47 @@ class UnifiedUnitsSystem {
         }
     }
     
+    /**
+     * Set the pallet dimensions of the pallet being displayed
+     * Crosslog headers give x (length), y (width) and z (maximum load height) in mm
+     * @param {number} lengthMm - Pallet length (X axis)
+     * @param {number} widthMm - Pallet width (Z axis in Three.js)
+     * @param {number} heightMm - Maximum load height
+     * @returns {boolean} True if the dimensions were valid and applied
+     */
+    setPalletDimensions(lengthMm, widthMm, heightMm) {
+        const values = [lengthMm, widthMm, heightMm];
+        if (values.some(value => typeof value !== 'number' || !isFinite(value) || value <= 0)) {
+            console.warn('UnitsSystem: Invalid pallet dimensions, keeping current ones:', values);
+            return false;
+        }
+        
+        this.referenceData.crosslogPallet = {
+            lengthMm: lengthMm,
+            widthMm: widthMm,
+            heightMm: heightMm
+        };
+        this.referenceData.threeJsPallet = {
+            lengthUnits: this.crosslogToThreeJS(lengthMm),
+            widthUnits: this.crosslogToThreeJS(widthMm),
+            heightUnits: this.crosslogToThreeJS(heightMm)
+        };
+        this.referenceData.displayPallet = {
+            lengthCm: this.crosslogToDisplayCm(lengthMm),
+            widthCm: this.crosslogToDisplayCm(widthMm),
+            heightCm: this.crosslogToDisplayCm(heightMm)
+        };
+        
+        return true;
+    }
+    
+    /**
+     * Pallet dimensions in Three.js units
+     */
+    getPalletDimensionsUnits() {
+        return { ...this.referenceData.threeJsPallet };
+    }
+    
     /**
      * Pallet area in cm²
      */
@@ -6,10 +6,17 @@
  * 2. Center of mass positioning was potentially incorrect
  * 3. Added comprehensive debugging to verify calculations
  * 4. Clarified the physical meaning of each metric
+ * 
+ * The grid itself is worked out by PalletMetrics; this class draws it as the heatmap
  */
 
 class WeightDistributionCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - palletMetrics (PalletMetrics, which spreads the weight over the grid)
+     */
+    constructor(options = {}) {
+        this.palletMetrics = options.palletMetrics || new PalletMetrics();
+        
         this.gridConfig = {
             rows: 16,        
             cols: 24,        
@@ -25,8 +32,7 @@ class WeightDistributionCalculator {
         
         this.cellDimensions = {
             width: this.palletDimensions.length / this.gridConfig.cols,   // 0.5 units per cell
-            height: this.palletDimensions.width / this.gridConfig.rows,   // 0.5 units per cell
-            cellSizeMm: 50   
+            height: this.palletDimensions.width / this.gridConfig.rows    // 0.5 units per cell
         };
         
         // FIXED: Weight distribution is 2D only (horizontal projection)
@@ -34,13 +40,11 @@ class WeightDistributionCalculator {
         this.totalWeight = 0;
         this.maxCellWeight = 0;
         
-        // DEBUG: Track individual box contributions for verification
-        this.boxContributions = [];
+        // DEBUG: Center of mass of the last calculation, to check the heatmap point against
         this.centerOfMassDebug = {
             rawCalculation: { x: 0, y: 0, z: 0 },
             totalWeight: 0,
-            boxCount: 0,
-            individualBoxes: []
+            boxCount: 0
         };
         
         this.colorConfig = {
@@ -110,35 +114,31 @@ class WeightDistributionCalculator {
             return this.getDistributionSummary();
         }
         
-        // Process each box and track for debugging
-        let processedBoxes = 0;
-        let totalWeightProcessed = 0;
+        // PalletMetrics works in mm; the grid keeps the shape set by setPalletDimensions
+        const boxModels = PalletMetrics.fromMeshes(boxes);
+        const palletDimensionsMm = {
+            x: this.palletDimensions.length * 100,
+            y: this.palletDimensions.width * 100
+        };
+        const distribution = this.palletMetrics.calculateWeightDistribution(boxModels, palletDimensionsMm,
+            { rows: this.gridConfig.rows, cols: this.gridConfig.cols });
+        const centerOfMass = this.palletMetrics.calculateCenterOfMass(boxModels, palletDimensionsMm);
         
-        boxes.forEach((box, index) => {
-            try {
-                const result = this.processBoxWeight2D(box, index);
-                if (result.success) {
-                    processedBoxes++;
-                    totalWeightProcessed += result.weight;
-                    
-                    // DEBUG: Store individual box data
-                    this.centerOfMassDebug.individualBoxes.push({
-                        index: index,
-                        position: { x: box.position.x, y: box.position.y, z: box.position.z },
-                        weight: result.weight,
-                        weightContributionX: result.weight * box.position.x,
-                        weightContributionZ: result.weight * box.position.z
-                    });
-                }
-            } catch (error) {
-                console.warn(`Error processing box ${index}:`, error.message);
-            }
-        });
+        this.weightGrid = distribution.cells;
+        this.totalWeight = distribution.totalWeightKg;
+        this.maxCellWeight = distribution.maxCellWeight;
         
-        // FIXED: Calculate center of mass manually to verify
-        this.calculateAndVerifyCenterOfMass();
+        // Scene units around the pallet center (1 unit = 100mm), height from the pallet base
+        this.centerOfMassDebug = {
+            rawCalculation: {
+                x: centerOfMass.x / 100,
+                y: centerOfMass.y / 100 + 1.44,
+                z: centerOfMass.z / 100
+            },
+            totalWeight: centerOfMass.totalWeight / 1000,
+            boxCount: centerOfMass.boxCount
+        };
         
-        this.calculateFinalStatistics();
         this.updateHeatmapDisplay();
         
         if (this.isDebugMode) {
@@ -148,172 +148,6 @@ class WeightDistributionCalculator {
         return this.getDistributionSummary();
     }
     
-    /**
-     * FIXED: Process individual box for 2D weight distribution only
-     */
-    processBoxWeight2D(box, index) {
-        const weightData = this.extractAndValidateBoxWeight(box, index);
-        
-        if (!weightData.isValid) {
-            return { success: false, reason: weightData.reason };
-        }
-        
-        const weight = weightData.weightKg;
-        const bounds = this.calculateBoxBounds2D(box); // Only horizontal bounds
-        
-        const affectedCells = this.findAffectedCells(bounds);
-        this.distributeWeightToCells2D(weight, bounds, affectedCells, index);
-        
-        this.totalWeight += weight;
-        
-        return { 
-            success: true, 
-            weight: weight,
-            cellsAffected: affectedCells.length,
-            horizontalPosition: { x: box.position.x, z: box.position.z }
-        };
-    }
-    
-    /**
-     * Extract and validate box weight - always assumes input is in grams
-     */
-    extractAndValidateBoxWeight(box, index) {
-        if (!box.userData || typeof box.userData.weight !== 'number') {
-            return {
-                isValid: false,
-                reason: `Box ${index} missing weight data`,
-                weightKg: 0
-            };
-        }
-        
-        const rawWeightGrams = box.userData.weight;
-        
-        if (rawWeightGrams <= 0) {
-            return {
-                isValid: false,
-                reason: `Box ${index} has invalid weight: ${rawWeightGrams}`,
-                weightKg: 0
-            };
-        }
-        
-        const weightKg = rawWeightGrams / 1000;
-        
-        return {
-            isValid: true,
-            weightKg: weightKg,
-            originalWeightGrams: rawWeightGrams
-        };
-    }
-    
-    /**
-     * FIXED: Calculate 2D bounds only (ignore height Y)
-     */
-    calculateBoxBounds2D(box) {
-        const pos = box.position;
-        const geom = box.geometry.parameters;
-        
-        return {
-            minX: pos.x - (geom.width / 2),
-            maxX: pos.x + (geom.width / 2),
-            minZ: pos.z - (geom.depth / 2),
-            maxZ: pos.z + (geom.depth / 2),
-            area: geom.width * geom.depth, // Horizontal area only
-            centerX: pos.x,
-            centerZ: pos.z
-            // Note: No Y coordinate - this is 2D projection
-        };
-    }
-    
-    /**
-     * FIXED: Distribute weight in 2D only
-     */
-    distributeWeightToCells2D(totalWeight, boxBounds, affectedCells, boxIndex) {
-        if (affectedCells.length === 0) return;
-        
-        const totalIntersectionArea = affectedCells.reduce((sum, cell) => sum + cell.intersectionArea, 0);
-        if (totalIntersectionArea === 0) return;
-        
-        affectedCells.forEach(cell => {
-            const weightProportion = cell.intersectionArea / totalIntersectionArea;
-            const cellWeight = totalWeight * weightProportion;
-            
-            // Only 2D weight distribution
-            this.weightGrid[cell.index] += cellWeight;
-            
-            // DEBUG: Track contributions
-            this.boxContributions.push({
-                boxIndex: boxIndex,
-                cellIndex: cell.index,
-                cellRow: cell.row,
-                cellCol: cell.col,
-                weight: cellWeight,
-                proportion: weightProportion
-            });
-        });
-    }
-    
-    /**
-     * CRITICAL FIX: Calculate center of mass using PALLET BASE as reference
-     * The pallet is positioned at Y = -8, so we need to account for this offset
-     */
-    calculateAndVerifyCenterOfMass() {
-        let totalWeightedX = 0;
-        let totalWeightedZ = 0;
-        let totalWeight = 0;
-        
-        // FIXED: Calculate center of mass relative to pallet base, not (0,0,0)
-        const PALLET_Y_OFFSET = -8; // Pallet position in scene
-        const PALLET_HEIGHT = 1.44;
-        const PALLET_BASE_Y = PALLET_Y_OFFSET - (PALLET_HEIGHT / 2); // True pallet base level
-        
-        this.centerOfMassDebug.individualBoxes.forEach(box => {
-            // Use horizontal coordinates as-is (they're correct)
-            totalWeightedX += box.weightContributionX;
-            totalWeightedZ += box.weightContributionZ;
-            totalWeight += box.weight;
-        });
-        
-        if (totalWeight > 0) {
-            // Calculate horizontal center of mass (relative to pallet center, which is correct)
-            this.centerOfMassDebug.rawCalculation.x = totalWeightedX / totalWeight;
-            this.centerOfMassDebug.rawCalculation.z = totalWeightedZ / totalWeight;
-            this.centerOfMassDebug.totalWeight = totalWeight;
-            this.centerOfMassDebug.boxCount = this.centerOfMassDebug.individualBoxes.length;
-            
-            // NEW: Calculate vertical center of mass relative to pallet base
-            let totalWeightedY = 0;
-            this.centerOfMassDebug.individualBoxes.forEach(box => {
-                // Adjust Y coordinate to be relative to pallet base
-                const relativeY = box.position.y - PALLET_BASE_Y;
-                totalWeightedY += box.weight * relativeY;
-            });
-            this.centerOfMassDebug.rawCalculation.y = totalWeightedY / totalWeight;
-        }
-        
-        // Compare with grid-based calculation
-        const gridBasedCenterOfMass = this.calculateCenterOfMassFromGrid();
-        
-        if (this.isDebugMode) {
-            console.log('=== CENTER OF MASS VERIFICATION (PALLET BASE REFERENCE) ===');
-            console.log('Pallet base Y level:', PALLET_BASE_Y.toFixed(3));
-            console.log('Direct calculation (X,Z):', {
-                x: this.centerOfMassDebug.rawCalculation.x.toFixed(3),
-                z: this.centerOfMassDebug.rawCalculation.z.toFixed(3)
-            });
-            console.log('Height above pallet base:', this.centerOfMassDebug.rawCalculation.y?.toFixed(3), 'units');
-            console.log('Grid-based calculation:', gridBasedCenterOfMass);
-            console.log('Total weight:', totalWeight.toFixed(3), 'kg');
-            
-            // NEW: Check if center of mass is actually off-center
-            const horizontalDeviation = Math.sqrt(
-                this.centerOfMassDebug.rawCalculation.x ** 2 + 
-                this.centerOfMassDebug.rawCalculation.z ** 2
-            );
-            console.log('Horizontal deviation from pallet center:', horizontalDeviation.toFixed(3), 'units');
-            console.log('=============================================================');
-        }
-    }
-    
     /**
      * NEW: Calculate center of mass from the weight grid
      */
@@ -353,64 +187,6 @@ class WeightDistributionCalculator {
         return { x: 0, z: 0, totalWeight: 0 };
     }
     
-    /**
-     * Find affected cells (unchanged but verified)
-     */
-    findAffectedCells(bounds) {
-        const affectedCells = [];
-        
-        const palletMinX = -this.palletDimensions.length / 2;  // -6.0
-        const palletMaxX = this.palletDimensions.length / 2;   // +6.0
-        const palletMinZ = -this.palletDimensions.width / 2;   // -4.0
-        const palletMaxZ = this.palletDimensions.width / 2;    // +4.0
-        
-        for (let row = 0; row < this.gridConfig.rows; row++) {
-            for (let col = 0; col < this.gridConfig.cols; col++) {
-                const cellMinX = palletMinX + (col * this.cellDimensions.width);
-                const cellMaxX = cellMinX + this.cellDimensions.width;
-                const cellMinZ = palletMinZ + (row * this.cellDimensions.height);
-                const cellMaxZ = cellMinZ + this.cellDimensions.height;
-                
-                const intersection = this.calculateIntersection(bounds, {
-                    minX: cellMinX, maxX: cellMaxX,
-                    minZ: cellMinZ, maxZ: cellMaxZ
-                });
-                
-                if (intersection.area > 0) {
-                    const cellIndex = row * this.gridConfig.cols + col;
-                    affectedCells.push({
-                        index: cellIndex,
-                        row: row,
-                        col: col,
-                        intersectionArea: intersection.area,
-                        bounds: { minX: cellMinX, maxX: cellMaxX, minZ: cellMinZ, maxZ: cellMaxZ },
-                        centerX: (cellMinX + cellMaxX) / 2,
-                        centerZ: (cellMinZ + cellMaxZ) / 2
-                    });
-                }
-            }
-        }
-        
-        return affectedCells;
-    }
-    
-    /**
-     * Calculate rectangle intersection
-     */
-    calculateIntersection(rect1, rect2) {
-        const minX = Math.max(rect1.minX, rect2.minX);
-        const maxX = Math.min(rect1.maxX, rect2.maxX);
-        const minZ = Math.max(rect1.minZ, rect2.minZ);
-        const maxZ = Math.min(rect1.maxZ, rect2.maxZ);
-        
-        if (minX < maxX && minZ < maxZ) {
-            const area = (maxX - minX) * (maxZ - minZ);
-            return { area: area, minX: minX, maxX: maxX, minZ: minZ, maxZ: maxZ };
-        } else {
-            return { area: 0 };
-        }
-    }
-    
     /**
      * FIXED: Corrected center of mass to heatmap position conversion
      */
@@ -539,6 +315,7 @@ class WeightDistributionCalculator {
         console.log('Center of Mass Results:');
         const cm = this.centerOfMassDebug.rawCalculation;
         console.log(`  Position: (${cm.x.toFixed(3)}, ${cm.z.toFixed(3)}) units from pallet center`);
+        console.log('  Grid-based calculation:', this.calculateCenterOfMassFromGrid());
         if (cm.y !== undefined) {
             console.log(`  Height above pallet base: ${cm.y.toFixed(3)} units`);
         }
@@ -719,12 +496,10 @@ class WeightDistributionCalculator {
      * Reset debug data
      */
     resetDebugData() {
-        this.boxContributions = [];
         this.centerOfMassDebug = {
             rawCalculation: { x: 0, y: 0, z: 0 },
             totalWeight: 0,
-            boxCount: 0,
-            individualBoxes: []
+            boxCount: 0
         };
     }
     
@@ -735,10 +510,6 @@ class WeightDistributionCalculator {
         this.maxCellWeight = 0;
     }
     
-    calculateFinalStatistics() {
-        this.maxCellWeight = Math.max(...this.weightGrid);
-    }
-    
     updateHeatmapDisplay() {
         if (!this.heatmapElement) return;
         
@@ -807,24 +578,14 @@ class WeightDistributionCalculator {
             weightGrid: [...this.weightGrid],
             isBalanced: this.assessBalance(),
             gridResolution: `${this.gridConfig.rows}×${this.gridConfig.cols}`,
-            cellSizeMm: `${this.cellDimensions.cellSizeMm}×${this.cellDimensions.cellSizeMm}mm`,
+            cellSizeMm: `${(this.cellDimensions.width * 100).toFixed(0)}×${(this.cellDimensions.height * 100).toFixed(0)}mm`,
             centerOfMass: this.centerOfMassDebug.rawCalculation,
             lastUpdate: Date.now()
         };
     }
 
     assessBalance() {
-        if (this.totalWeight === 0) return true;
-        
-        const occupiedWeights = this.weightGrid.filter(weight => weight > 0);
-        if (occupiedWeights.length === 0) return true;
-        
-        const mean = occupiedWeights.reduce((sum, w) => sum + w, 0) / occupiedWeights.length;
-        const variance = occupiedWeights.reduce((sum, w) => sum + Math.pow(w - mean, 2), 0) / occupiedWeights.length;
-        const standardDeviation = Math.sqrt(variance);
-        
-        const coefficientOfVariation = standardDeviation / mean;
-        return coefficientOfVariation < 0.5;
+        return PalletMetrics.isBalanced(this.weightGrid.filter(weight => weight > 0));
     }
     
     // Initialize methods (simplified)
@@ -862,8 +623,42 @@ class WeightDistributionCalculator {
             this.heatmapElement.appendChild(cell);
         }
         
-        this.heatmapElement.style.gridTemplateColumns = `repeat(${this.gridConfig.cols}, 1fr)`;
-        this.heatmapElement.style.gridTemplateRows = `repeat(${this.gridConfig.rows}, 1fr)`;
+        // Stylesheet rules are !important, so the grid shape has to be set the same way
+        const cellPitchPx = 10; // 9px cell + 1px gap
+        this.heatmapElement.style.setProperty('grid-template-columns', `repeat(${this.gridConfig.cols}, 1fr)`, 'important');
+        this.heatmapElement.style.setProperty('grid-template-rows', `repeat(${this.gridConfig.rows}, 1fr)`, 'important');
+        this.heatmapElement.style.setProperty('width', `${this.gridConfig.cols * cellPitchPx}px`, 'important');
+        this.heatmapElement.style.setProperty('max-width', `${this.gridConfig.cols * cellPitchPx}px`, 'important');
+        this.heatmapElement.style.setProperty('height', `${this.gridConfig.rows * cellPitchPx}px`, 'important');
+    }
+    
+    /**
+     * Resize the heatmap grid for a new pallet footprint
+     * Keeps cells close to 50mm, so a 1200x800 pallet stays 24×16
+     * and a 1200x1000 pallet becomes 24×20
+     * @param {number} lengthUnits - Pallet length (X axis)
+     * @param {number} widthUnits - Pallet width (Z axis)
+     */
+    setPalletDimensions(lengthUnits, widthUnits) {
+        if (this.palletDimensions.length === lengthUnits && this.palletDimensions.width === widthUnits) {
+            return;
+        }
+        
+        const grid = this.palletMetrics.getGridSize({ x: lengthUnits * 100, y: widthUnits * 100 });
+        
+        this.palletDimensions.length = lengthUnits;
+        this.palletDimensions.width = widthUnits;
+        
+        this.gridConfig.cols = grid.cols;
+        this.gridConfig.rows = grid.rows;
+        this.gridConfig.totalCells = this.gridConfig.rows * this.gridConfig.cols;
+        
+        this.cellDimensions.width = lengthUnits / this.gridConfig.cols;
+        this.cellDimensions.height = widthUnits / this.gridConfig.rows;
+        
+        this.resetGrid();
+        this.initializeHeatmapHTML();
+        this.updateHeatmapDisplay();
     }
     
     initializeDynamicLegend() {
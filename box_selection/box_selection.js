@@ -9,6 +9,19 @@ document.addEventListener('DOMContentLoaded', function() {
     const incrementButtons = document.querySelectorAll('.increment');
     const nextButton = document.getElementById('next-step-btn');
     const notification = document.getElementById('max-boxes-notification');
+    const palletTypeSelect = document.getElementById('pallet-type');
+    const jobStatus = document.getElementById('job-status');
+    
+    // Optimisation requests go to the local backend; without it the viewer stays in file mode
+    const optimisationJobs = new OptimisationJobs(window.apiClient);
+    const configReady = window.apiClient.loadConfig('../package.json');
+    
+    Object.entries(optimisationJobs.palletTypes).forEach(([id, palletType]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = palletType.label;
+        palletTypeSelect.appendChild(option);
+    });
     
     // Initialize counter state with default values
     const counters = {
@@ -36,10 +49,16 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Handle navigation to the next page
     if (nextButton) {
-        nextButton.addEventListener('click', function() {
+        nextButton.addEventListener('click', async function() {
             // Persist box selections in localStorage for next page
             localStorage.setItem('boxSelections', JSON.stringify(counters));
             
+            // Ask the backend for a plan; the viewer follows the job
+            if (Object.values(counters).some(count => count > 0)) {
+                nextButton.disabled = true;
+                await submitOptimisationJob();
+            }
+            
             // Navigate to main GUI interface
             console.log('Advancing to GUI with selected boxes:', counters);
             window.location.href = '../GUI/index.html';
@@ -72,6 +91,28 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    // Submits the selection as an optimisation job (failures fall back to file mode)
+    async function submitOptimisationJob() {
+        optimisationJobs.forget();
+        showJobStatus('Submitting optimisation request...');
+        
+        try {
+            await configReady;
+            const job = await optimisationJobs.submit(counters, palletTypeSelect.value);
+            console.log('Optimisation job submitted:', job.jobId);
+        } catch (error) {
+            console.warn('Optimisation request not sent, continuing in file mode:', error.message);
+            showJobStatus('Backend not available - opening the viewer in file mode');
+            await new Promise(resolve => setTimeout(resolve, 1500));
+        }
+    }
+    
+    // Shows the state of the optimisation request below the boxes
+    function showJobStatus(message) {
+        jobStatus.textContent = message;
+        jobStatus.classList.add('show');
+    }
+    
     // Displays notification when maximum box limit is reached
     function showMaxBoxesNotification() {
         notification.classList.add('show');
@@ -0,0 +1,163 @@
+// file-library.js - Persistent store for imported pallet plans (main process)
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Stores imported plan files in a directory (the app's user data folder in production)
+ * Layout: index.json with one entry per file, plus files/<id> with the raw content
+ * Entry: { id, name, originalName, loadedAt, size, orderId, palletCount, format }
+ */
+class FileLibrary {
+  constructor(rootDirectory) {
+    this.rootDirectory = rootDirectory;
+    this.filesDirectory = path.join(rootDirectory, 'files');
+    this.indexPath = path.join(rootDirectory, 'index.json');
+
+    // Index writes are queued so concurrent IPC calls cannot overwrite each other
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * List stored files, newest first
+   * @returns {Promise<Array>} Index entries
+   */
+  list() {
+    return this.enqueue(async () => {
+      const entries = await this.readIndex();
+      return entries.sort((a, b) => b.loadedAt.localeCompare(a.loadedAt));
+    });
+  }
+
+  /**
+   * Store a new file
+   * @param {Object} file - { name, originalName, content, orderId, palletCount, format }
+   * @returns {Promise<Object>} The new index entry
+   */
+  save(file) {
+    return this.enqueue(async () => {
+      if (!file || typeof file.content !== 'string') {
+        throw new Error('File content must be a string');
+      }
+
+      const entries = await this.readIndex();
+      const entry = {
+        id: crypto.randomUUID(),
+        name: this.validateName(file.name, entries),
+        originalName: file.originalName || file.name,
+        loadedAt: new Date().toISOString(),
+        size: Buffer.byteLength(file.content, 'utf8'),
+        orderId: file.orderId ?? null,
+        palletCount: file.palletCount ?? null,
+        format: file.format || null
+      };
+
+      await fs.mkdir(this.filesDirectory, { recursive: true });
+      await fs.writeFile(this.getContentPath(entry.id), file.content, 'utf8');
+
+      entries.push(entry);
+      await this.writeIndex(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object>} { entry, content }
+   */
+  read(id) {
+    return this.enqueue(async () => {
+      const entry = this.findEntry(await this.readIndex(), id);
+      const content = await fs.readFile(this.getContentPath(entry.id), 'utf8');
+      return { entry, content };
+    });
+  }
+
+  /**
+   * Rename a stored file (display name only, the content file keeps its ID)
+   * @param {string} id - Entry ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} The updated entry
+   */
+  rename(id, name) {
+    return this.enqueue(async () => {
+      const entries = await this.readIndex();
+      const entry = this.findEntry(entries, id);
+
+      entry.name = this.validateName(name, entries.filter(other => other.id !== id));
+      await this.writeIndex(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True when removed
+   */
+  remove(id) {
+    return this.enqueue(async () => {
+      const entries = await this.readIndex();
+      const entry = this.findEntry(entries, id);
+
+      await this.writeIndex(entries.filter(other => other !== entry));
+      await fs.rm(this.getContentPath(entry.id), { force: true });
+      return true;
+    });
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async readIndex() {
+    try {
+      const entries = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`File library index is unreadable: ${error.message}`);
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated index
+  async writeIndex(entries) {
+    await fs.mkdir(this.rootDirectory, { recursive: true });
+    const temporaryPath = `${this.indexPath}.tmp`;
+    await fs.writeFile(temporaryPath, JSON.stringify(entries, null, 2), 'utf8');
+    await fs.rename(temporaryPath, this.indexPath);
+  }
+
+  findEntry(entries, id) {
+    const entry = entries.find(candidate => candidate.id === id);
+
+    if (!entry) {
+      throw new Error(`File not found in library: ${id}`);
+    }
+    return entry;
+  }
+
+  validateName(name, entries) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmed) {
+      throw new Error('File name cannot be empty');
+    }
+    if (entries.some(entry => entry.name === trimmed)) {
+      throw new Error(`A file named "${trimmed}" already exists`);
+    }
+    return trimmed;
+  }
+
+  // IDs come from the renderer, so they are looked up in the index before touching the disk
+  getContentPath(id) {
+    return path.join(this.filesDirectory, id);
+  }
+}
+
+module.exports = FileLibrary;
@@ -0,0 +1,170 @@
+// folder-watcher.js - Watches the optimiser output folder for new plans (main process)
+const EventEmitter = require('events');
+const fs = require('fs/promises');
+const { watch } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Check that every pallet announced by a Crosslog file has all of its box lines
+ * The optimiser writes results progressively, so a change event can see half a file
+ * @param {string} content - Crosslog text
+ * @returns {boolean} True when [pallet_quantity] pallets with [item_quantity] boxes each are present
+ */
+function isCompleteCrosslog(content) {
+  const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const quantityIndex = lines.indexOf('[pallet_quantity]');
+  const palletQuantity = quantityIndex >= 0 ? parseInt(lines[quantityIndex + 1], 10) : NaN;
+
+  if (!Number.isFinite(palletQuantity)) {
+    return false;
+  }
+
+  let completePallets = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i] !== '[item_quantity]') {
+      continue;
+    }
+
+    // Box rows start after the quantity and the box section header
+    const itemQuantity = parseInt(lines[i + 1], 10);
+    let rows = 0;
+    for (let j = i + 3; j < lines.length && !lines[j].startsWith('['); j++) {
+      rows++;
+    }
+
+    if (!Number.isFinite(itemQuantity) || rows < itemQuantity) {
+      return false;
+    }
+    completePallets++;
+  }
+
+  return completePallets >= palletQuantity;
+}
+
+/**
+ * Emits 'file' with { filePath, fileName, content, size, complete } for each new or changed Crosslog file
+ * Files already in the folder when watching starts are not emitted until they change
+ * An incomplete file is held back until it stops changing for incompleteTimeout, then emitted with complete: false
+ */
+class FolderWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.extensions = options.extensions || ['txt', 'dat', 'crosslog'];
+    this.settleDelay = options.settleDelay ?? 500;
+    this.incompleteTimeout = options.incompleteTimeout ?? 5000;
+
+    this.directory = null;
+    this.watcher = null;
+    this.timers = new Map();
+    this.emittedHashes = new Map();
+    this.incompleteHashes = new Map();
+  }
+
+  /**
+   * Start watching a directory (stops any previous one)
+   * @param {string} directory - Absolute directory path
+   */
+  async start(directory) {
+    this.stop();
+
+    const stats = await fs.stat(directory);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${directory}`);
+    }
+
+    // Remember what is already there so only new results are pushed
+    for (const fileName of await fs.readdir(directory)) {
+      if (this.isPlanFile(fileName)) {
+        const filePath = path.join(directory, fileName);
+        try {
+          this.emittedHashes.set(filePath, this.hash(await fs.readFile(filePath, 'utf8')));
+        } catch (error) {
+          // Subfolders or unreadable entries are simply not tracked
+        }
+      }
+    }
+
+    this.directory = directory;
+    this.watcher = watch(directory, (eventType, fileName) => {
+      if (fileName && this.isPlanFile(fileName)) {
+        this.schedule(path.join(directory, fileName.toString()), this.settleDelay);
+      }
+    });
+    this.watcher.on('error', error => this.emit('error', error));
+  }
+
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.emittedHashes.clear();
+    this.incompleteHashes.clear();
+    this.directory = null;
+  }
+
+  isWatching() {
+    return this.watcher !== null;
+  }
+
+  isPlanFile(fileName) {
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    return this.extensions.includes(extension);
+  }
+
+  // Several change events arrive for one write; only the last one is checked
+  schedule(filePath, delay) {
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      this.check(filePath).catch(error => this.emit('error', error));
+    }, delay));
+  }
+
+  async check(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const hash = this.hash(content);
+    if (this.emittedHashes.get(filePath) === hash) {
+      return;
+    }
+
+    const complete = isCompleteCrosslog(content);
+
+    // Incomplete and still changing: look again later
+    if (!complete && this.incompleteHashes.get(filePath) !== hash) {
+      this.incompleteHashes.set(filePath, hash);
+      this.schedule(filePath, this.incompleteTimeout);
+      return;
+    }
+
+    this.incompleteHashes.delete(filePath);
+    this.emittedHashes.set(filePath, hash);
+
+    this.emit('file', {
+      filePath: filePath,
+      fileName: path.basename(filePath),
+      content: content,
+      size: Buffer.byteLength(content, 'utf8'),
+      complete: complete
+    });
+  }
+
+  hash(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+}
+
+module.exports = { FolderWatcher, isCompleteCrosslog };
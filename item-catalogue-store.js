@@ -0,0 +1,63 @@
+// item-catalogue-store.js - Item catalogue file kept with the app data (main process)
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores the item catalogue as JSON text; the renderer's ItemCatalogue reads and checks the entries
+ * (GUI/3d-viewer/js/item-catalogue.js)
+ */
+class ItemCatalogueStore {
+  constructor(storePath) {
+    this.storePath = storePath;
+  }
+
+  /**
+   * @returns {Promise<string|null>} Catalogue text, null when none was saved yet
+   */
+  async load() {
+    try {
+      return await fs.readFile(this.storePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the stored catalogue
+   * @param {string} text - Catalogue JSON with an items list
+   */
+  async save(text) {
+    ItemCatalogueStore.check(text);
+
+    // Written next to the old file first, so a failed write keeps the previous catalogue
+    const temporaryPath = `${this.storePath}.tmp`;
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    await fs.writeFile(temporaryPath, text, 'utf8');
+    await fs.rename(temporaryPath, this.storePath);
+  }
+
+  /**
+   * Reject text that is not a catalogue before it reaches the disk
+   */
+  static check(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Item catalogue must be sent as JSON text');
+    }
+
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Item catalogue is not valid JSON: ${error.message}`);
+    }
+
+    if (!document || !Array.isArray(document.items)) {
+      throw new Error('Item catalogue must have an "items" list');
+    }
+  }
+}
+
+module.exports = ItemCatalogueStore;
@@ -1,6 +1,11 @@
 // main.js - Electron main process
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const fs = require('fs/promises');
 const path = require('path');
+const FileLibrary = require('./file-library');
+const RecentFiles = require('./recent-files');
+const ItemCatalogueStore = require('./item-catalogue-store');
+const { FolderWatcher } = require('./folder-watcher');
 
 // Desabilitar sandbox e uso de shared memory para evitar erros no Linux
 //app.commandLine.appendSwitch('no-sandbox');
@@ -8,6 +13,34 @@ const path = require('path');
 
 
 let mainWindow;
+let fileLibrary;
+let recentFiles;
+let itemCatalogueStore;
+
+// Plan files opened from the menu wait here until the 3D viewer is ready to load them
+let pendingPlanFile = null;
+let viewerReady = false;
+let lastPlanDirectory = null;
+
+// Watched folder: optimiser results are pushed to the viewer as they are written
+let folderWatcher;
+let watchSettings = { directory: null, autoOpen: true };
+const pendingWatchedFiles = new Map();
+
+const VIEWER_PAGE = 'GUI/index.html';
+
+// Same extensions as PlanFormats (GUI/3d-viewer/js/plan-formats.js)
+const PLAN_FILE_FILTERS = [
+  { name: 'Pallet plans', extensions: ['txt', 'dat', 'crosslog', 'json', 'csv'] }
+];
+
+const CATALOGUE_FILE_FILTERS = [
+  { name: 'Item catalogues', extensions: ['json'] }
+];
+
+const REPORT_FILE_FILTERS = [
+  { name: 'PDF documents', extensions: ['pdf'] }
+];
 
 // Create main window
 function createWindow() {
@@ -23,6 +56,11 @@ function createWindow() {
 
   // Load HTML file
   mainWindow.loadFile('index.html');
+
+  // Any page load drops the viewer until it asks for pending files again
+  mainWindow.webContents.on('did-start-loading', () => {
+    viewerReady = false;
+  });
   
   //Descomentar esta linha para abrir o DevTools para debugging
   //-------------------------------------------------------------
@@ -31,8 +69,396 @@ function createWindow() {
 
 }
 
+// Expose the imported files library to the renderer (see preload.js)
+function registerFileLibraryHandlers() {
+  fileLibrary = new FileLibrary(path.join(app.getPath('userData'), 'file-library'));
+
+  ipcMain.handle('file-library:list', () => fileLibrary.list());
+  ipcMain.handle('file-library:save', (event, file) => fileLibrary.save(file));
+  ipcMain.handle('file-library:read', (event, id) => fileLibrary.read(id));
+  ipcMain.handle('file-library:rename', (event, id, name) => fileLibrary.rename(id, name));
+  ipcMain.handle('file-library:remove', (event, id) => fileLibrary.remove(id));
+}
+
+// Expose the item catalogue file and its import/export dialogs to the renderer (see preload.js)
+function registerItemCatalogueHandlers() {
+  itemCatalogueStore = new ItemCatalogueStore(path.join(app.getPath('userData'), 'item-catalogue.json'));
+
+  ipcMain.handle('item-catalogue:load', () => itemCatalogueStore.load());
+  ipcMain.handle('item-catalogue:save', (event, text) => itemCatalogueStore.save(text));
+  ipcMain.handle('item-catalogue:import', () => showImportCatalogueDialog());
+  ipcMain.handle('item-catalogue:export', (event, text) => showExportCatalogueDialog(text));
+}
+
+// Returns the chosen file's text, or null when cancelled
+async function showImportCatalogueDialog() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import item catalogue',
+    defaultPath: app.getPath('documents'),
+    filters: CATALOGUE_FILE_FILTERS,
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  return fs.readFile(result.filePaths[0], 'utf8');
+}
+
+// Returns the written path, or null when cancelled
+async function showExportCatalogueDialog(text) {
+  ItemCatalogueStore.check(text);
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export item catalogue',
+    defaultPath: path.join(app.getPath('documents'), 'item-catalogue.json'),
+    filters: CATALOGUE_FILE_FILTERS
+  });
+
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  await fs.writeFile(result.filePath, text, 'utf8');
+  return result.filePath;
+}
+
+// Read a plan file from disk for the renderer
+async function readPlanFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  lastPlanDirectory = path.dirname(filePath);
+
+  return {
+    filePath: filePath,
+    fileName: path.basename(filePath),
+    content: content,
+    size: Buffer.byteLength(content, 'utf8')
+  };
+}
+
+// Show the native open dialog; returns null when cancelled
+async function showOpenPlanDialog() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Open pallet plan',
+    defaultPath: lastPlanDirectory || app.getPath('documents'),
+    filters: PLAN_FILE_FILTERS,
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  const file = await readPlanFile(result.filePaths[0]);
+  await addRecentFile(file.filePath);
+  return file;
+}
+
+// Show the native save dialog and write the content; returns the path or null when cancelled
+async function showSavePlanDialog({ defaultName, content, filter }) {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save pallet plan',
+    defaultPath: path.join(lastPlanDirectory || app.getPath('documents'), defaultName || 'plan.txt'),
+    filters: filter ? [filter] : PLAN_FILE_FILTERS
+  });
+
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  await fs.writeFile(result.filePath, content, 'utf8');
+  lastPlanDirectory = path.dirname(result.filePath);
+  await addRecentFile(result.filePath);
+  return result.filePath;
+}
+
+// Print the viewer's load report page to a PDF chosen in the save dialog; returns the path or null when cancelled
+async function exportLoadReport({ html, defaultName }) {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export load report',
+    defaultPath: path.join(lastPlanDirectory || app.getPath('documents'), defaultName || 'load-report.pdf'),
+    filters: REPORT_FILE_FILTERS
+  });
+
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  // Loaded from a temporary file: the embedded renders make the page too large for a data URL
+  const pagePath = path.join(app.getPath('temp'), `load-report-${process.pid}-${Date.now()}.html`);
+  const reportWindow = new BrowserWindow({ show: false, webPreferences: { javascript: false, sandbox: true } });
+
+  try {
+    await fs.writeFile(pagePath, html, 'utf8');
+    await reportWindow.loadFile(pagePath);
+    const pdf = await reportWindow.webContents.printToPDF({ printBackground: true, preferCSSPageSize: true });
+    await fs.writeFile(result.filePath, pdf);
+  } finally {
+    reportWindow.destroy();
+    await fs.rm(pagePath, { force: true });
+  }
+
+  return result.filePath;
+}
+
+// Ask the viewer for a load report of the current pallet or of every pallet ('current' | 'all')
+function requestLoadReport(scope) {
+  if (mainWindow && viewerReady) {
+    mainWindow.webContents.send('load-report:export-requested', scope);
+  }
+}
+
+// Hand a file to the 3D viewer, opening the viewer page first if needed
+function deliverPlanFile(file) {
+  if (!mainWindow) {
+    return;
+  }
+
+  if (viewerReady) {
+    mainWindow.webContents.send('plan-file:opened', file);
+    return;
+  }
+
+  pendingPlanFile = file;
+  if (!mainWindow.webContents.getURL().includes(VIEWER_PAGE)) {
+    mainWindow.loadFile(path.join(__dirname, VIEWER_PAGE));
+  }
+}
+
+async function openPlanFromMenu() {
+  try {
+    const file = await showOpenPlanDialog();
+    if (file) {
+      deliverPlanFile(file);
+    }
+  } catch (error) {
+    dialog.showErrorBox('Cannot open file', error.message);
+  }
+}
+
+async function openRecentFile(filePath) {
+  try {
+    const file = await readPlanFile(filePath);
+    await addRecentFile(filePath);
+    deliverPlanFile(file);
+  } catch (error) {
+    // Moved or deleted files leave the list
+    await recentFiles.remove(filePath);
+    buildApplicationMenu();
+    dialog.showErrorBox('Cannot open recent file', `${filePath}\n\n${error.message}`);
+  }
+}
+
+async function addRecentFile(filePath) {
+  await recentFiles.add(filePath);
+  buildApplicationMenu();
+}
+
+function getWatchSettingsPath() {
+  return path.join(app.getPath('userData'), 'watch-folder.json');
+}
+
+async function loadWatchSettings() {
+  try {
+    watchSettings = { ...watchSettings, ...JSON.parse(await fs.readFile(getWatchSettingsPath(), 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Watch folder settings ignored:', error.message);
+    }
+  }
+}
+
+async function saveWatchSettings() {
+  await fs.writeFile(getWatchSettingsPath(), JSON.stringify(watchSettings, null, 2), 'utf8');
+  buildApplicationMenu();
+}
+
+async function startWatchingFolder(directory) {
+  await folderWatcher.start(directory);
+  watchSettings.directory = directory;
+  await saveWatchSettings();
+  console.log('Watching folder:', directory);
+}
+
+async function stopWatchingFolder() {
+  folderWatcher.stop();
+  pendingWatchedFiles.clear();
+  watchSettings.directory = null;
+  await saveWatchSettings();
+}
+
+async function chooseWatchFolder() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Watch folder for new plans',
+    defaultPath: watchSettings.directory || lastPlanDirectory || app.getPath('documents'),
+    properties: ['openDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+
+  try {
+    await startWatchingFolder(result.filePaths[0]);
+  } catch (error) {
+    dialog.showErrorBox('Cannot watch folder', error.message);
+  }
+}
+
+// New results go to the viewer now, or when it next becomes ready
+function deliverWatchedFile(file) {
+  if (mainWindow && viewerReady) {
+    mainWindow.webContents.send('watch-folder:file', { file: file, autoOpen: watchSettings.autoOpen });
+  } else {
+    pendingWatchedFiles.set(file.filePath, file);
+  }
+}
+
+function flushWatchedFiles() {
+  const files = Array.from(pendingWatchedFiles.values());
+  pendingWatchedFiles.clear();
+  files.forEach(file => deliverWatchedFile(file));
+}
+
+function setupFolderWatcher() {
+  folderWatcher = new FolderWatcher();
+  folderWatcher.on('file', file => deliverWatchedFile(file));
+  folderWatcher.on('error', error => console.error('Folder watcher error:', error.message));
+}
+
+// File menu with Open, Save As and Recent Files; the standard menus keep copy/paste and reload
+function buildApplicationMenu() {
+  const recentItems = recentFiles.list().map(entry => ({
+    label: entry.name,
+    sublabel: entry.path,
+    click: () => openRecentFile(entry.path)
+  }));
+
+  const template = [
+    ...(process.platform === 'darwin' ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        { label: 'Open...', accelerator: 'CmdOrCtrl+O', click: () => openPlanFromMenu() },
+        {
+          label: 'Save As...',
+          accelerator: 'CmdOrCtrl+Shift+S',
+          click: () => {
+            if (mainWindow && viewerReady) {
+              mainWindow.webContents.send('plan-file:save-requested');
+            }
+          }
+        },
+        {
+          label: 'Export Report',
+          submenu: [
+            { label: 'Current Pallet...', accelerator: 'CmdOrCtrl+Shift+E', click: () => requestLoadReport('current') },
+            { label: 'All Pallets...', click: () => requestLoadReport('all') }
+          ]
+        },
+        { type: 'separator' },
+        {
+          label: 'Recent Files',
+          submenu: recentItems.length > 0 ? [
+            ...recentItems,
+            { type: 'separator' },
+            {
+              label: 'Clear Recent Files',
+              click: async () => {
+                await recentFiles.clear();
+                buildApplicationMenu();
+              }
+            }
+          ] : [{ label: 'No recent files', enabled: false }]
+        },
+        { type: 'separator' },
+        { label: 'Watch Folder...', click: () => chooseWatchFolder() },
+        {
+          label: 'Stop Watching',
+          sublabel: watchSettings.directory || undefined,
+          enabled: Boolean(folderWatcher && folderWatcher.isWatching()),
+          click: async () => {
+            try {
+              await stopWatchingFolder();
+            } catch (error) {
+              // The watcher has stopped even if its settings could not be saved
+              buildApplicationMenu();
+              dialog.showErrorBox('Cannot save watch settings', error.message);
+            }
+          }
+        },
+        {
+          label: 'Auto-open New Plans',
+          type: 'checkbox',
+          checked: watchSettings.autoOpen,
+          click: async (menuItem) => {
+            watchSettings.autoOpen = menuItem.checked;
+            try {
+              await saveWatchSettings();
+            } catch (error) {
+              dialog.showErrorBox('Cannot save watch settings', error.message);
+            }
+          }
+        },
+        { type: 'separator' },
+        process.platform === 'darwin' ? { role: 'close' } : { role: 'quit' }
+      ]
+    },
+    { role: 'editMenu' },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' }
+  ];
+
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+// Expose native open/save dialogs to the renderer (see preload.js)
+function registerPlanFileHandlers() {
+  ipcMain.handle('plan-file:open', () => showOpenPlanDialog());
+  ipcMain.handle('plan-file:save', (event, request) => showSavePlanDialog(request));
+  ipcMain.handle('load-report:export', (event, request) => exportLoadReport(request));
+
+  // The viewer calls this once its FileManager listens, and receives a file opened before that
+  ipcMain.handle('plan-file:ready', () => {
+    viewerReady = true;
+    const file = pendingPlanFile;
+    pendingPlanFile = null;
+
+    // Watched folder results arrive after the reply, once the viewer listens
+    setImmediate(flushWatchedFiles);
+    return file;
+  });
+}
+
+// Headless batch scoring: electron . --score <folder> [options] writes the report and exits
+// without opening a window (see scripts/score-plans.js)
+const scoreArgumentIndex = process.argv.indexOf('--score');
+if (scoreArgumentIndex >= 0) {
+  const { runCli } = require('./scripts/score-plans');
+  app.exit(runCli(process.argv.slice(scoreArgumentIndex + 1)));
+}
+
 // Initialize the App
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  registerFileLibraryHandlers();
+  registerPlanFileHandlers();
+  registerItemCatalogueHandlers();
+
+  recentFiles = new RecentFiles(path.join(app.getPath('userData'), 'recent-files.json'));
+  await recentFiles.load();
+
+  setupFolderWatcher();
+  await loadWatchSettings();
+  if (watchSettings.directory) {
+    try {
+      await folderWatcher.start(watchSettings.directory);
+    } catch (error) {
+      console.warn('Watched folder not available:', error.message);
+    }
+  }
+  buildApplicationMenu();
+
   createWindow();
   console.log("App started successfully!");
 
@@ -10,5 +10,48 @@ contextBridge.exposeInMainWorld('electronAPI', {
   navigateTo: (page) => {
     console.log('Solicitando navegação para:', page);
     ipcRenderer.send('navigate', page);
-  }
+  },
+
+  // Biblioteca de ficheiros importados, guardada pelo processo principal
+  fileLibrary: {
+    list: () => ipcRenderer.invoke('file-library:list'),
+    save: (file) => ipcRenderer.invoke('file-library:save', file),
+    read: (id) => ipcRenderer.invoke('file-library:read', id),
+    rename: (id, name) => ipcRenderer.invoke('file-library:rename', id, name),
+    remove: (id) => ipcRenderer.invoke('file-library:remove', id)
+  },
+
+  // Catálogo de artigos (texto JSON), guardado pelo processo principal
+  itemCatalogue: {
+    load: () => ipcRenderer.invoke('item-catalogue:load'),
+    save: (text) => ipcRenderer.invoke('item-catalogue:save', text),
+    importFile: () => ipcRenderer.invoke('item-catalogue:import'),
+    exportFile: (text) => ipcRenderer.invoke('item-catalogue:export', text)
+  },
+
+  // Diálogos nativos para abrir e guardar planos (null quando cancelados)
+  openPlanFile: () => ipcRenderer.invoke('plan-file:open'),
+  savePlanFile: (request) => ipcRenderer.invoke('plan-file:save', request),
+
+  // Ficheiros abertos pelo menu File (Open / Recent Files)
+  onPlanFileOpened: (callback) => {
+    ipcRenderer.on('plan-file:opened', (event, file) => callback(file));
+  },
+  onSavePlanRequested: (callback) => {
+    ipcRenderer.on('plan-file:save-requested', () => callback());
+  },
+
+  // Relatório de carga em PDF: a página é impressa pelo processo principal (null quando cancelado)
+  exportLoadReport: (request) => ipcRenderer.invoke('load-report:export', request),
+  onLoadReportRequested: (callback) => {
+    ipcRenderer.on('load-report:export-requested', (event, scope) => callback(scope));
+  },
+
+  // Novos planos escritos pelo otimizador na pasta observada
+  onWatchedPlanFile: (callback) => {
+    ipcRenderer.on('watch-folder:file', (event, update) => callback(update));
+  },
+
+  // Indica que o visualizador está pronto; devolve um ficheiro pendente, se houver
+  planFileViewerReady: () => ipcRenderer.invoke('plan-file:ready')
 });
\ No newline at end of file
@@ -1,9 +1,206 @@
 # python/backend.py
-from fastapi import FastAPI
+import asyncio
+import threading
+import time
+import uuid
+
+from fastapi import FastAPI, HTTPException, WebSocket, WebSocketDisconnect
+from fastapi.middleware.cors import CORSMiddleware
 from fastapi.responses import JSONResponse
+from pydantic import BaseModel, Field
 
 app = FastAPI()
 
+# The Electron renderer loads pages from file://, so requests arrive with a "null" origin
+app.add_middleware(CORSMiddleware, allow_origins=["*"], allow_methods=["*"], allow_headers=["*"])
+
+
 @app.get("/status")
 def get_status():
     return JSONResponse(content={"msg": "Servidor FastAPI ativo e funcional!"})
+
+
+# ---------------------------------------------------------------------------
+# Optimisation jobs
+# POST /jobs starts a run and returns its id; GET /jobs/{id} reports progress
+# and, once completed, the plan in the viewer's JSON plan format
+# (GUI/3d-viewer/data/pallet-plan.schema.json). Units: mm and grams.
+# WS /jobs/{id}/stream pushes every placement as it is decided
+# (message format in GUI/3d-viewer/js/placement-stream.js).
+# ---------------------------------------------------------------------------
+
+class Dimensions(BaseModel):
+    x: int = Field(gt=0)
+    y: int = Field(gt=0)
+    z: int = Field(gt=0)
+
+
+class PalletSpec(Dimensions):
+    weight: int = Field(ge=0)
+
+
+class BoxRequest(BaseModel):
+    type: int
+    quantity: int = Field(ge=0)
+    dimensions: Dimensions
+    weight: int = Field(ge=0)
+
+
+class JobRequest(BaseModel):
+    orderId: int = 1
+    palletType: str
+    pallet: PalletSpec
+    boxes: list[BoxRequest]
+    # Pause after each placement so the stream can be followed box by box
+    placementDelayMs: int = Field(default=0, ge=0, le=5000)
+
+
+jobs = {}
+jobs_lock = threading.Lock()
+
+
+def update_job(job_id, **changes):
+    with jobs_lock:
+        jobs[job_id].update(changes)
+
+
+def add_event(job_id, event_type, **fields):
+    """Append to the job's stream log; ids increase so clients can resume with ?after="""
+    with jobs_lock:
+        events = jobs[job_id]["events"]
+        events.append({"id": len(events) + 1, "type": event_type, **fields})
+
+
+def place_boxes(request, on_progress, on_event=lambda event_type, **fields: None):
+    """
+    Simple layer packer used until the optimiser is wired in:
+    boxes are placed in rows along x, rows are stacked along y and layers along z,
+    largest footprint first; a new pallet starts when the load height is reached
+    """
+    items = [box for box in request.boxes for _ in range(box.quantity)]
+    items.sort(key=lambda box: box.dimensions.x * box.dimensions.y, reverse=True)
+
+    pallet = request.pallet
+    pallets = []
+    current = None
+    x = y = z = row_depth = layer_height = 0
+
+    def new_pallet():
+        entry = {
+            "palletId": len(pallets),
+            "dimensions": {"x": pallet.x, "y": pallet.y, "z": pallet.z},
+            "weight": pallet.weight,
+            "boxes": []
+        }
+        pallets.append(entry)
+        on_event("pallet", palletIndex=entry["palletId"], palletId=entry["palletId"],
+                 dimensions=entry["dimensions"], weight=pallet.weight, firstSequence=0)
+        return entry
+
+    for index, box in enumerate(items):
+        d = box.dimensions
+        if d.x > pallet.x or d.y > pallet.y or d.z > pallet.z:
+            raise ValueError(f"Box type {box.type} does not fit on a {request.palletType} pallet")
+
+        if current is None:
+            current = new_pallet()
+        if x + d.x > pallet.x:
+            x, y, row_depth = 0, y + row_depth, 0
+        if y + d.y > pallet.y:
+            x, y, z, row_depth, layer_height = 0, 0, z + layer_height, 0, 0
+        if z + d.z > pallet.z:
+            current = new_pallet()
+            x = y = z = row_depth = layer_height = 0
+
+        placement = {
+            "sequence": len(current["boxes"]),
+            "itemType": box.type,
+            "weight": box.weight,
+            "coordinates": {"xmin": x, "ymin": y, "zmin": z, "xmax": x + d.x, "ymax": y + d.y, "zmax": z + d.z},
+            "k": 0,
+            "irregular": 0
+        }
+        current["boxes"].append(placement)
+        on_event("placement", palletIndex=current["palletId"], **placement)
+
+        x += d.x
+        row_depth = max(row_depth, d.y)
+        layer_height = max(layer_height, d.z)
+        on_progress((index + 1) / len(items))
+
+    return {
+        "format": "pallet-plan",
+        "version": 1,
+        "order": {"orderId": request.orderId},
+        "pallets": pallets
+    }
+
+
+def run_job(job_id, request):
+    update_job(job_id, status="running", message="Placing boxes")
+    add_event(job_id, "order", orderId=request.orderId)
+
+    def on_event(event_type, **fields):
+        add_event(job_id, event_type, **fields)
+        if event_type == "placement" and request.placementDelayMs > 0:
+            time.sleep(request.placementDelayMs / 1000)
+
+    try:
+        plan = place_boxes(request, lambda progress: update_job(job_id, progress=progress), on_event)
+        update_job(job_id, status="completed", progress=1.0, message=f"{len(plan['pallets'])} pallets", plan=plan)
+        add_event(job_id, "complete")
+    except Exception as error:
+        update_job(job_id, status="failed", error=str(error), message="Optimisation failed")
+        add_event(job_id, "error", message=str(error))
+
+
+@app.post("/jobs", status_code=202)
+def create_job(request: JobRequest):
+    if sum(box.quantity for box in request.boxes) == 0:
+        raise HTTPException(status_code=422, detail="Select at least one box")
+
+    job_id = uuid.uuid4().hex
+    with jobs_lock:
+        jobs[job_id] = {"jobId": job_id, "status": "queued", "progress": 0.0, "message": "Queued", "plan": None, "error": None,
+                        "events": []}
+
+    threading.Thread(target=run_job, args=(job_id, request), daemon=True).start()
+    return {"jobId": job_id, "status": "queued", "progress": 0.0}
+
+
+@app.get("/jobs/{job_id}")
+def get_job(job_id: str):
+    with jobs_lock:
+        job = jobs.get(job_id)
+        if job is None:
+            raise HTTPException(status_code=404, detail=f"Unknown job {job_id}")
+        return {key: value for key, value in job.items() if key != "events"}
+
+
+@app.websocket("/jobs/{job_id}/stream")
+async def stream_job(websocket: WebSocket, job_id: str, after: int = 0):
+    """Send the job's events after the given id, then new ones as they happen, until complete or error"""
+    await websocket.accept()
+    sent = max(after, 0)
+
+    try:
+        while True:
+            with jobs_lock:
+                job = jobs.get(job_id)
+                events = list(job["events"][sent:]) if job else None
+
+            if events is None:
+                await websocket.send_json({"type": "error", "message": f"Unknown job {job_id}"})
+                break
+
+            for event in events:
+                await websocket.send_json(event)
+            sent += len(events)
+
+            if events and events[-1]["type"] in ("complete", "error"):
+                break
+            await asyncio.sleep(0.05)
+    except WebSocketDisconnect:
+        return
+
+    await websocket.close()
@@ -0,0 +1,74 @@
+// recent-files.js - Persisted "File > Recent Files" list (main process)
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Most recently opened or saved plan files, newest first
+ * Entry: { path, name, openedAt }
+ */
+class RecentFiles {
+  constructor(storePath, limit = 10) {
+    this.storePath = storePath;
+    this.limit = limit;
+    this.entries = [];
+  }
+
+  /**
+   * Read the stored list; a missing or damaged file starts an empty list
+   */
+  async load() {
+    try {
+      const entries = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+      this.entries = Array.isArray(entries) ? entries.slice(0, this.limit) : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Recent files list ignored:', error.message);
+      }
+      this.entries = [];
+    }
+    return this.list();
+  }
+
+  /**
+   * Current entries (synchronous, used to build the menu)
+   * @returns {Array} Copy of the entries
+   */
+  list() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Move a file to the top of the list
+   * @param {string} filePath - Absolute file path
+   */
+  async add(filePath) {
+    const entry = { path: filePath, name: path.basename(filePath), openedAt: new Date().toISOString() };
+
+    this.entries = [entry, ...this.entries.filter(other => other.path !== filePath)].slice(0, this.limit);
+    await this.save();
+    return this.list();
+  }
+
+  /**
+   * Drop a file, e.g. after it was moved or deleted
+   * @param {string} filePath - Absolute file path
+   */
+  async remove(filePath) {
+    this.entries = this.entries.filter(entry => entry.path !== filePath);
+    await this.save();
+    return this.list();
+  }
+
+  async clear() {
+    this.entries = [];
+    await this.save();
+    return this.list();
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    await fs.writeFile(this.storePath, JSON.stringify(this.entries, null, 2), 'utf8');
+  }
+}
+
+module.exports = RecentFiles;
@@ -0,0 +1,206 @@
+// scripts/mock-placement-stream.js - Replays a plan file as a live placement stream (development only)
+//
+//   npm run mock-stream -- [plan file] [--port 8765] [--delay 150] [--drop-every 0] [--no-shuffle]
+//   then open the viewer with ?stream=ws://localhost:8765
+//
+// Speaks the same messages as the backend's /jobs/{id}/stream endpoint
+// (see GUI/3d-viewer/js/placement-stream.js). Some neighbouring placements are
+// sent out of sequence order, and --drop-every N closes the connection after
+// N events so the viewer's reconnect and ?after= replay can be exercised.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const VIEWER_DIR = path.join(__dirname, '..', 'GUI', '3d-viewer');
+const DEFAULT_PLAN = path.join(VIEWER_DIR, 'data', 'simulation.txt');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Plan readers of the viewer, so any supported format can be replayed
+const PLAN_SCRIPTS = [
+  'crosslog-parser.js',
+  'crosslog-writer.js',
+  'plan-import-report.js',
+  'json-plan-format.js',
+  'csv-plan-format.js',
+  'plan-formats.js'
+];
+
+function readPlan(filePath) {
+  const context = { console };
+  context.window = context;
+  vm.createContext(context);
+
+  PLAN_SCRIPTS.forEach(fileName => {
+    const scriptPath = path.join(VIEWER_DIR, 'js', fileName);
+    vm.runInContext(fs.readFileSync(scriptPath, 'utf8'), context, { filename: scriptPath });
+  });
+
+  return context.planFormats.read(fs.readFileSync(filePath, 'utf8'), path.basename(filePath));
+}
+
+/**
+ * Turn a parsed plan into the stream's event log
+ * @param {Object} plan - Result of PlanFormats.read
+ * @param {Object} options - shuffle: swap every fifth pair of placements
+ * @returns {Array} Events with increasing ids
+ */
+function buildEvents(plan, options = {}) {
+  const shuffle = options.shuffle ?? true;
+  const messages = [{ type: 'order', orderId: plan.orderInfo.orderId, palletQuantity: plan.pallets.length }];
+
+  plan.pallets.forEach((pallet, palletIndex) => {
+    const placements = [...pallet.boxes]
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(box => ({
+        type: 'placement',
+        palletIndex,
+        sequence: box.sequence,
+        itemType: box.itemType,
+        weight: box.weight,
+        coordinates: { ...box.coordinates },
+        k: box.k,
+        irregular: box.irregular
+      }));
+
+    if (shuffle) {
+      for (let i = 3; i + 1 < placements.length; i += 5) {
+        [placements[i], placements[i + 1]] = [placements[i + 1], placements[i]];
+      }
+    }
+
+    messages.push({
+      type: 'pallet',
+      palletIndex,
+      palletId: pallet.metadata.palletId,
+      dimensions: { ...pallet.metadata.dimensions },
+      weight: pallet.metadata.weight,
+      firstSequence: placements.length > 0 ? Math.min(...placements.map(placement => placement.sequence)) : 0
+    });
+    messages.push(...placements);
+  });
+
+  messages.push({ type: 'complete' });
+  return messages.map((message, index) => ({ id: index + 1, ...message }));
+}
+
+// Unmasked text frame (server → client)
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Serve the events to every client, starting after the id it asks for
+ * @param {Array} events - Result of buildEvents
+ * @param {Object} options - port, delay (ms between events), dropEvery (0 = never)
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startMockStream(events, options = {}) {
+  const delay = options.delay ?? 150;
+  const dropEvery = options.dropEvery ?? 0;
+  const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket placement stream\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    const after = Number(new URL(request.url, 'http://localhost').searchParams.get('after')) || 0;
+    let next = events.findIndex(event => event.id > after);
+    let sent = 0;
+    console.log(`Client connected, replaying from event ${after + 1}`);
+
+    const timer = setInterval(() => {
+      if (next < 0 || next >= events.length) {
+        clearInterval(timer);
+        socket.end(encodeFrame('', 0x8));
+        return;
+      }
+
+      socket.write(encodeFrame(JSON.stringify(events[next])));
+      next++;
+      sent++;
+
+      if (dropEvery > 0 && sent >= dropEvery && next < events.length) {
+        console.log(`Dropping the connection after event ${events[next - 1].id}`);
+        clearInterval(timer);
+        socket.destroy();
+      }
+    }, delay);
+
+    // Any close frame (opcode 8) from the client ends the replay
+    socket.on('data', data => {
+      if ((data[0] & 0x0f) === 0x8) {
+        clearInterval(timer);
+        socket.end(encodeFrame('', 0x8));
+      }
+    });
+    socket.on('close', () => clearInterval(timer));
+    socket.on('error', () => clearInterval(timer));
+  });
+
+  return new Promise(resolve => {
+    server.listen(options.port ?? 8765, () => resolve(server));
+  });
+}
+
+function parseArguments(argv) {
+  const options = { file: DEFAULT_PLAN, port: 8765, delay: 150, dropEvery: 0, shuffle: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = Number(argv[++i]); break;
+      case '--delay': options.delay = Number(argv[++i]); break;
+      case '--drop-every': options.dropEvery = Number(argv[++i]); break;
+      case '--no-shuffle': options.shuffle = false; break;
+      default: options.file = path.resolve(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArguments(process.argv.slice(2));
+  const events = buildEvents(readPlan(options.file), options);
+
+  startMockStream(events, options).then(server => {
+    const { port } = server.address();
+    console.log(`Streaming ${events.length} events from ${path.basename(options.file)}`);
+    console.log(`Open the viewer with ?stream=ws://localhost:${port}`);
+  });
+}
+
+module.exports = { readPlan, buildEvents, startMockStream };
@@ -0,0 +1,354 @@
+// scripts/score-plans.js - Scores every plan file of a folder without opening the viewer
+//
+//   npm run score -- <folder> [--out plan-scores] [--format csv|json|both] [--recursive]
+//                             [--catalogue items.json] [--safety-limit 30]
+//   electron . --score <folder> [same options]
+//
+// Each file is read with the viewer's loader (GUI/3d-viewer/js/pallet-loader.js), scored with
+// its metrics core (pallet-metrics.js) and checked with its plan validator, so the figures are
+// the ones the metrics panel shows. One row per pallet goes to <out>.csv and/or <out>.json;
+// files that cannot be read get a row with the error and make the exit code 1; bad arguments
+// or a report that cannot be written make it 2.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const VIEWER_DIR = path.join(__dirname, '..', 'GUI', '3d-viewer');
+
+// Plan readers, loader, metrics core and plan checks of the viewer, in load order
+const VIEWER_SCRIPTS = [
+  'crosslog-parser.js',
+  'crosslog-writer.js',
+  'plan-import-report.js',
+  'json-plan-format.js',
+  'csv-plan-format.js',
+  'plan-formats.js',
+  'item-catalogue.js',
+  'pallet-loader.js',
+  'pallet-metrics.js',
+  'stacking-load.js',
+  'plan-validator.js'
+];
+
+// Report columns, in CSV order; crosslogM1 is the header's m1 value as the optimiser wrote it
+const COLUMNS = [
+  'file', 'format', 'orderId', 'palletIndex', 'palletId', 'boxCount', 'heightMm', 'totalWeightKg',
+  'volumeEfficiency', 'crosslogM1', 'centerOfMassCm', 'centerOfMassRating', 'lsi', 'lsiRating',
+  'weightBalanced', 'validationErrors', 'validationWarnings', 'parseErrors', 'parseWarnings', 'error'
+];
+
+const USAGE = 'Usage: npm run score -- <folder> [--out plan-scores] [--format csv|json|both] [--recursive]\n' +
+  '                            [--catalogue items.json] [--safety-limit 30]';
+
+function loadViewer() {
+  const context = { console };
+  context.window = context;
+  vm.createContext(context);
+
+  VIEWER_SCRIPTS.forEach(fileName => {
+    const scriptPath = path.join(VIEWER_DIR, 'js', fileName);
+    vm.runInContext(fs.readFileSync(scriptPath, 'utf8'), context, { filename: scriptPath });
+  });
+
+  return context;
+}
+
+/**
+ * Plan files of a folder, by name
+ * @param {string} folder - Folder to read
+ * @param {Array} extensions - Extensions without the dot (PlanFormats.getSupportedExtensions)
+ * @param {boolean} recursive - Include sub-folders
+ * @returns {Array} Absolute paths
+ */
+function listPlanFiles(folder, extensions, recursive = false) {
+  const files = [];
+
+  fs.readdirSync(folder, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(entry => {
+      const entryPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) {
+          files.push(...listPlanFiles(entryPath, extensions, true));
+        }
+      } else if (extensions.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+        files.push(entryPath);
+      }
+    });
+
+  return files;
+}
+
+function round(value, digits = 2) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function countSeverity(entries, severity) {
+  return entries.filter(entry => entry.severity === severity).length;
+}
+
+/**
+ * Score every pallet of one plan file
+ * @param {Object} viewer - Result of loadViewer
+ * @param {string} filePath - Plan file
+ * @param {Object} options - palletMetrics (PalletMetrics), validator (PlanValidator), name (file column)
+ * @returns {Object} { file: { file, format, orderId, palletCount, parseErrors, parseWarnings, error }, pallets (rows) }
+ */
+function scorePlan(viewer, filePath, options) {
+  const name = options.name || path.basename(filePath);
+  const loader = new viewer.PalletDataLoader(null);
+  let result;
+
+  try {
+    result = loader.parseDataFileWithDiagnostics(fs.readFileSync(filePath, 'utf8'), path.basename(filePath));
+  } catch (error) {
+    const file = { file: name, format: null, orderId: null, palletCount: 0, parseErrors: 1, parseWarnings: 0, error: error.message };
+    return { file, pallets: [{ file: name, error: error.message }] };
+  }
+
+  const diagnostics = result.diagnostics;
+  const file = {
+    file: name,
+    format: result.format,
+    orderId: result.orderInfo?.orderId ?? null,
+    palletCount: result.pallets.length,
+    parseErrors: countSeverity(diagnostics, 'error'),
+    parseWarnings: countSeverity(diagnostics, 'warning'),
+    error: null
+  };
+
+  if (result.pallets.length === 0) {
+    const firstError = diagnostics.find(entry => entry.severity === 'error');
+    file.error = firstError ? firstError.message : 'No pallets in the file';
+    return { file, pallets: [{ file: name, format: file.format, orderId: file.orderId, error: file.error }] };
+  }
+
+  const pallets = result.pallets.map((pallet, index) => {
+    const palletIndex = pallet.id ?? index;
+    const metrics = options.palletMetrics.calculate(pallet.boxes, pallet.metadata.dimensions);
+    const issues = options.validator.validatePallet(pallet, palletIndex);
+    const parseDiagnostics = diagnostics.filter(entry => entry.palletIndex === palletIndex);
+    const volumeMetrics = pallet.metadata.volumeMetrics;
+
+    return {
+      file: name,
+      format: file.format,
+      orderId: file.orderId,
+      palletIndex,
+      palletId: pallet.metadata.palletId ?? null,
+      boxCount: metrics.boxCount,
+      heightMm: round(metrics.heightMm, 1),
+      totalWeightKg: round(metrics.totalWeightKg, 3),
+      volumeEfficiency: round(metrics.volume.efficiency),
+      crosslogM1: volumeMetrics ? round(volumeMetrics.efficiency1, 5) : null,
+      centerOfMassCm: round(metrics.centerOfMass.deviationCm),
+      centerOfMassRating: metrics.boxCount > 0 ? metrics.centerOfMass.stabilityRating : null,
+      lsi: metrics.boxCount > 0 ? round(metrics.lsi.value, 1) : null,
+      lsiRating: metrics.boxCount > 0 ? metrics.lsi.stabilityRating : null,
+      weightBalanced: metrics.weightDistribution.isBalanced,
+      validationErrors: countSeverity(issues, 'error'),
+      validationWarnings: countSeverity(issues, 'warning'),
+      parseErrors: countSeverity(parseDiagnostics, 'error'),
+      parseWarnings: countSeverity(parseDiagnostics, 'warning'),
+      error: null
+    };
+  });
+
+  return { file, pallets };
+}
+
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : null;
+}
+
+/**
+ * Score every plan file of a folder
+ * @param {string} folder - Folder with plan files
+ * @param {Object} options - recursive, exclude (paths to skip, e.g. the report itself),
+ *                           catalogue (item catalogue JSON text), safetyLimitCm
+ * @returns {Object} { folder, generatedAt, safetyLimitCm, files, pallets, totals, catalogueProblems }
+ */
+function scoreFolder(folder, options = {}) {
+  const viewer = loadViewer();
+  const palletMetrics = new viewer.PalletMetrics({ safetyLimitCm: options.safetyLimitCm });
+  let catalogue = null;
+  let catalogueProblems = [];
+
+  if (options.catalogue) {
+    ({ catalogue, problems: catalogueProblems } = viewer.ItemCatalogue.parse(options.catalogue));
+  }
+
+  // Same checks as the viewer (PalletApp.createPlanValidator)
+  const validator = new viewer.PlanValidator({
+    catalogue,
+    loadAnalyzer: new viewer.StackingLoadAnalyzer()
+  });
+
+  const exclude = (options.exclude || []).map(filePath => path.resolve(filePath));
+  const filePaths = listPlanFiles(folder, viewer.planFormats.getSupportedExtensions(), options.recursive)
+    .filter(filePath => !exclude.includes(path.resolve(filePath)));
+
+  const files = [];
+  const pallets = [];
+  filePaths.forEach(filePath => {
+    const scored = scorePlan(viewer, filePath, { palletMetrics, validator, name: path.relative(folder, filePath) });
+    files.push(scored.file);
+    pallets.push(...scored.pallets);
+  });
+
+  const scoredPallets = pallets.filter(row => !row.error);
+
+  return {
+    folder: path.resolve(folder),
+    generatedAt: new Date().toISOString(),
+    safetyLimitCm: palletMetrics.safetyLimitCm,
+    files,
+    pallets,
+    totals: {
+      fileCount: files.length,
+      failedFileCount: files.filter(file => file.error).length,
+      palletCount: scoredPallets.length,
+      boxCount: scoredPallets.reduce((sum, row) => sum + row.boxCount, 0),
+      averageVolumeEfficiency: average(scoredPallets.map(row => row.volumeEfficiency)),
+      averageLsi: average(scoredPallets.map(row => row.lsi)),
+      palletsWithErrors: scoredPallets.filter(row => row.validationErrors > 0 || row.parseErrors > 0).length
+    },
+    catalogueProblems: Array.from(catalogueProblems)
+  };
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array} rows - Pallet rows of scoreFolder
+ * @returns {string} CSV with a header line
+ */
+function toCsv(rows) {
+  return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(toCsvCell).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * @param {string} outPath - Report path without extension
+ * @param {string} format - 'csv', 'json' or 'both'
+ * @returns {Array} Paths of the report files
+ */
+function getReportPaths(outPath, format) {
+  const base = outPath.replace(/\.(csv|json)$/i, '');
+  return [
+    ...(format === 'json' ? [] : [`${base}.csv`]),
+    ...(format === 'csv' ? [] : [`${base}.json`])
+  ];
+}
+
+function writeReport(report, reportPath) {
+  const content = reportPath.endsWith('.csv') ? toCsv(report.pallets) : JSON.stringify(report, null, 2) + '\n';
+  fs.writeFileSync(reportPath, content, 'utf8');
+}
+
+function parseArguments(argv) {
+  const options = { folder: null, out: 'plan-scores', format: 'both', recursive: false, catalogue: null, safetyLimitCm: 30 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--out': options.out = argv[++i]; break;
+      case '--format': options.format = argv[++i]; break;
+      case '--recursive': options.recursive = true; break;
+      case '--catalogue': options.catalogue = argv[++i]; break;
+      case '--safety-limit': options.safetyLimitCm = Number(argv[++i]); break;
+      case '--help': options.help = true; break;
+      default:
+        // A typo in an option must not quietly become the folder
+        if (argv[i].startsWith('--')) {
+          options.error = options.error || `Unknown option: ${argv[i]}`;
+        } else if (options.folder !== null) {
+          options.error = options.error || `Only one folder can be scored, got ${options.folder} and ${argv[i]}`;
+        } else {
+          options.folder = argv[i];
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * @param {Array} argv - Arguments after the script name
+ * @returns {number} Exit code: 0 when every file was scored, 1 when some could not be read,
+ *                   2 on bad arguments or when the report cannot be written
+ */
+function runCli(argv) {
+  const options = parseArguments(argv);
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.error) {
+    console.error(options.error);
+    console.error(USAGE);
+    return 2;
+  }
+  if (!options.folder || !fs.existsSync(options.folder) || !fs.statSync(options.folder).isDirectory()) {
+    console.error(options.folder ? `Not a folder: ${options.folder}` : 'No folder given');
+    console.error(USAGE);
+    return 2;
+  }
+  if (!['csv', 'json', 'both'].includes(options.format)) {
+    console.error(`Unknown report format: ${options.format}`);
+    return 2;
+  }
+  if (!(options.safetyLimitCm > 0)) {
+    console.error('--safety-limit must be a positive number of cm');
+    return 2;
+  }
+
+  const reportPaths = getReportPaths(path.resolve(options.out), options.format);
+  let report;
+  try {
+    report = scoreFolder(options.folder, {
+      recursive: options.recursive,
+      exclude: reportPaths,
+      catalogue: options.catalogue ? fs.readFileSync(options.catalogue, 'utf8') : null,
+      safetyLimitCm: options.safetyLimitCm
+    });
+  } catch (error) {
+    console.error(`Cannot score ${options.folder}: ${error.message}`);
+    return 2;
+  }
+
+  report.catalogueProblems.forEach(problem => console.warn(`Item catalogue: ${problem}`));
+  report.files.filter(file => file.error).forEach(file => console.warn(`${file.file}: ${file.error}`));
+  for (const reportPath of reportPaths) {
+    try {
+      writeReport(report, reportPath);
+    } catch (error) {
+      console.error(`Cannot write report ${reportPath}: ${error.message}`);
+      return 2;
+    }
+  }
+
+  const { totals } = report;
+  console.log(`Scored ${totals.palletCount} pallets from ${totals.fileCount - totals.failedFileCount} of ${totals.fileCount} files`);
+  reportPaths.forEach(reportPath => console.log(`Report written to ${reportPath}`));
+
+  return totals.failedFileCount > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
+
+module.exports = { COLUMNS, loadViewer, listPlanFiles, scorePlan, scoreFolder, toCsv, getReportPaths, runCli };
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+const { startStubBackend } = require('./helpers/stub-backend');
+
+// fetch in the script context also reads package.json the way the renderer does
+async function fetchWithFiles(url, init) {
+    if (!/^https?:/.test(url)) {
+        const fs = require('fs/promises');
+        const content = await fs.readFile(path.join(__dirname, '..', 'GUI', url), 'utf8');
+        return new Response(content, { headers: { 'content-type': 'application/json' } });
+    }
+    return fetch(url, init);
+}
+
+const browser = loadBrowserScripts(['api-client.js'], {
+    fetch: fetchWithFiles, Response, AbortController, setTimeout, clearTimeout
+});
+
+function createClient(baseUrl, options = {}) {
+    return new browser.ApiClient({ baseUrl, retryDelay: 10, timeout: 500, ...options });
+}
+
+test('base URL is read from package.json', async () => {
+    const client = new browser.ApiClient({ baseUrl: 'http://example.invalid' });
+
+    assert.strictEqual(await client.loadConfig(), 'http://localhost:8000');
+});
+
+test('health check reports online and offline', async (t) => {
+    const backend = await startStubBackend();
+    t.after(() => backend.close());
+
+    const client = createClient(backend.url);
+    const changes = [];
+    client.onStatusChange(status => changes.push(status));
+
+    assert.strictEqual(await client.checkHealth(), true);
+    assert.strictEqual(client.isOnline(), true);
+
+    await backend.close();
+    assert.strictEqual(await client.checkHealth(), false);
+    assert.match(client.lastError.message, /not reachable/);
+    assert.deepStrictEqual(changes, ['online', 'offline']);
+});
+
+test('server errors are retried, then succeed', async (t) => {
+    let calls = 0;
+    const backend = await startStubBackend({
+        'GET /status': () => (++calls < 3 ? { status: 503, body: { detail: 'starting' } } : { status: 200, body: { msg: 'ok' } })
+    });
+    t.after(() => backend.close());
+
+    const result = await createClient(backend.url).get('/status');
+
+    assert.strictEqual(result.msg, 'ok');
+    assert.strictEqual(calls, 3);
+});
+
+test('client errors are not retried and keep the backend detail', async (t) => {
+    const backend = await startStubBackend({
+        'POST /jobs': { status: 422, body: { detail: 'boxes must not be empty' } }
+    });
+    t.after(() => backend.close());
+
+    await assert.rejects(createClient(backend.url).post('/jobs', { boxes: [] }), error => {
+        assert.strictEqual(error.name, 'ApiError');
+        assert.strictEqual(error.status, 422);
+        assert.match(error.message, /boxes must not be empty/);
+        return true;
+    });
+    assert.strictEqual(backend.requests.length, 1);
+    assert.deepStrictEqual(backend.requests[0].body, { boxes: [] });
+});
+
+test('slow responses time out after every retry', async (t) => {
+    const backend = await startStubBackend({ 'GET /status': { status: 200, body: {}, delay: 300 } });
+    t.after(() => backend.close());
+
+    const client = createClient(backend.url, { timeout: 50, retries: 1 });
+
+    await assert.rejects(client.get('/status'), /did not answer within 50 ms/);
+    assert.strictEqual(backend.requests.length, 2);
+});
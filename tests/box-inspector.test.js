@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['layer-analysis.js', 'timeline-slider.js', 'box-inspector.js']);
+
+function box(sequence, xmin, ymin, zmin, xmax, ymax, zmax) {
+    return { sequence, coordinates: { xmin, ymin, zmin, xmax, ymax, zmax } };
+}
+
+// Three boxes on the pallet, a fourth off to the right and one bridging the first two
+function createRelations() {
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200),
+        box(2, 400, 0, 0, 800, 400, 200),
+        box(3, 0, 400, 0, 400, 800, 200),
+        box(4, 1000, 0, 0, 1200, 200, 300),
+        box(5, 200, 0, 200, 600, 400, 400)
+    ];
+    const relations = new browser.BoxRelations({ timelineMarkers: new browser.TimelineMarkers() });
+    relations.setBoxes(boxes);
+    return { relations, bySequence: sequence => relations.findBySequence(sequence) };
+}
+
+const sequences = entries => Array.from(entries, entry => entry.box.sequence);
+
+test('a box is supported by the boxes under its base, with the share they carry', () => {
+    const { relations, bySequence } = createRelations();
+
+    const supports = relations.getSupports(bySequence(5));
+    assert.deepStrictEqual(sequences(supports), [1, 2]);
+    assert.deepStrictEqual(Array.from(supports, entry => entry.share), [0.5, 0.5]);
+
+    assert.deepStrictEqual(sequences(relations.getStackedOn(bySequence(1))), [5]);
+    assert.strictEqual(relations.getStackedOn(bySequence(1))[0].area, 80000);
+    assert.deepStrictEqual(sequences(relations.getSupports(bySequence(1))), []);
+});
+
+test('layer numbers follow the timeline layer markers', () => {
+    const { relations, bySequence } = createRelations();
+
+    assert.strictEqual(relations.getLayerNumber(bySequence(4)), 1);
+    assert.strictEqual(relations.getLayerNumber(bySequence(5)), 2);
+});
+
+test('keyboard neighbours are the nearest boxes in each direction', () => {
+    const { relations, bySequence } = createRelations();
+    const neighbour = (sequence, direction) => {
+        const found = relations.findNeighbour(bySequence(sequence), direction);
+        return found ? found.sequence : null;
+    };
+
+    assert.strictEqual(neighbour(1, 'right'), 2);
+    assert.strictEqual(neighbour(2, 'right'), 4);
+    assert.strictEqual(neighbour(2, 'left'), 1);
+    assert.strictEqual(neighbour(1, 'front'), 3);
+    assert.strictEqual(neighbour(1, 'back'), null);
+    assert.strictEqual(neighbour(1, 'up'), 5);
+    assert.strictEqual(neighbour(5, 'down'), 1);
+    // Boxes in the layer below only touch it, so they are not beside it
+    assert.strictEqual(neighbour(5, 'left'), null);
+});
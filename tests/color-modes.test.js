@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+const { box } = require('./helpers/boxes');
+
+const browser = loadBrowserScripts(['layer-analysis.js', 'timeline-slider.js', 'color-modes.js']);
+
+function createModes() {
+    return new browser.BoxColorModes({ timelineMarkers: new browser.TimelineMarkers() });
+}
+
+test('weight mode spans the lightest to the heaviest box', () => {
+    const modes = createModes();
+    const boxes = [box(1, 0, 0, 0, 100, 100, 100, { weight: 2000 }), box(2, 100, 0, 0, 100, 100, 100, { weight: 4000 }),
+        box(3, 200, 0, 0, 100, 100, 100, { weight: 6000 })];
+
+    const coloring = modes.getColoring('weight', boxes);
+
+    assert.strictEqual(coloring.colorOf(boxes[0]), modes.gradientStops[0][1]);
+    assert.strictEqual(coloring.colorOf(boxes[1]), modes.gradientStops[1][1]);
+    assert.strictEqual(coloring.colorOf(boxes[2]), modes.gradientStops[2][1]);
+    assert.strictEqual(coloring.legend.type, 'gradient');
+    assert.strictEqual(coloring.legend.min, '2.0 kg');
+    assert.strictEqual(coloring.legend.max, '6.0 kg');
+});
+
+test('boxes of equal weight take the middle of the gradient', () => {
+    const modes = createModes();
+    const boxes = [box(1, 0, 0, 0, 100, 100, 100), box(2, 100, 0, 0, 100, 100, 100)];
+
+    const coloring = modes.getColoring('weight', boxes);
+
+    assert.strictEqual(coloring.colorOf(boxes[0]), modes.gradientStops[1][1]);
+});
+
+test('sequence mode follows the placement order, not the sequence numbers', () => {
+    const modes = createModes();
+    const boxes = [box(1, 0, 0, 0, 100, 100, 100), box(2, 100, 0, 0, 100, 100, 100),
+        box(50, 200, 0, 0, 100, 100, 100)];
+
+    const coloring = modes.getColoring('sequence', boxes);
+
+    assert.strictEqual(coloring.colorOf(boxes[1]), modes.gradientStops[1][1]);
+    assert.strictEqual(coloring.colorOf(box(51, 0, 0, 100, 100, 100, 100)), modes.gradientStops[2][1]);
+    assert.strictEqual(coloring.legend.max, 'Last (#50)');
+});
+
+test('layer mode colors boxes by the layers marked on the timeline', () => {
+    const modes = createModes();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200),
+        box(2, 400, 0, 0, 400, 400, 200),
+        box(3, 0, 0, 200, 400, 400, 200),
+        box(4, 400, 0, 200, 400, 400, 150)
+    ];
+
+    const coloring = modes.getColoring('layer', boxes);
+
+    assert.strictEqual(coloring.colorOf(boxes[0]), modes.layerPalette[0]);
+    assert.strictEqual(coloring.colorOf(boxes[1]), modes.layerPalette[0]);
+    assert.strictEqual(coloring.colorOf(boxes[2]), modes.layerPalette[1]);
+    assert.strictEqual(coloring.colorOf(boxes[3]), modes.layerPalette[1]);
+    assert.deepStrictEqual(Array.from(coloring.legend.entries, entry => entry.label), ['Layer 1', 'Layer 2']);
+});
+
+test('density is weight over volume in kg/m³', () => {
+    // 0.1 m³ box of 25 kg
+    assert.strictEqual(browser.BoxColorModes.getDensity(box(1, 0, 0, 0, 1000, 500, 200, { weight: 25000 })), 250);
+    assert.strictEqual(browser.BoxColorModes.getDensity(box(2, 0, 0, 0, 0, 500, 200, { weight: 25000 })), 0);
+});
+
+test('flag and validation modes use fixed categories', () => {
+    const modes = createModes();
+    const regular = box(1, 0, 0, 0, 100, 100, 100, { irregular: 0 });
+    const irregular = box(2, 100, 0, 0, 100, 100, 100, { irregular: '1', validation: 'warning' });
+
+    const flags = modes.getColoring('irregular', [regular, irregular]);
+    assert.strictEqual(flags.colorOf(regular), modes.flagColors.off);
+    assert.strictEqual(flags.colorOf(irregular), modes.flagColors.on);
+
+    const validation = modes.getColoring('validation', [regular, irregular]);
+    assert.strictEqual(validation.colorOf(regular), modes.validationColors.ok);
+    assert.strictEqual(validation.colorOf(irregular), modes.validationColors.warning);
+    assert.strictEqual(validation.legend.entries.length, 3);
+});
+
+test('item type mode keeps the item colors and names the types', () => {
+    const modes = createModes();
+    const boxes = [box(1, 0, 0, 0, 100, 100, 100), box(2, 100, 0, 0, 100, 100, 100, { itemType: 7 })];
+
+    const coloring = modes.getColoring('itemType', boxes, { getItemTypeColor: itemType => itemType * 0x10 });
+
+    assert.strictEqual(coloring.colorOf, null);
+    assert.deepStrictEqual(Array.from(coloring.legend.entries, entry => [entry.color, entry.label]),
+        [[0x10, 'Item 1'], [0x70, 'Item 7']]);
+});
+
+test('interpolate blends neighbouring stops and clamps outside them', () => {
+    const stops = [[0, 0x000000], [1, 0xff0000]];
+
+    assert.strictEqual(browser.BoxColorModes.interpolate(stops, 0.5), 0x800000);
+    assert.strictEqual(browser.BoxColorModes.interpolate(stops, -1), 0x000000);
+    assert.strictEqual(browser.BoxColorModes.interpolate(stops, 2), 0xff0000);
+    assert.strictEqual(browser.BoxColorModes.toCss(0x00ff00), '#00ff00');
+});
+
+test('an unknown mode is refused', () => {
+    assert.throws(() => createModes().getColoring('colour', []), /Unknown color mode: colour/);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['crosslog-parser.js']);
+
+const BOX_HEADER = '[xmin \t ymin \t zmin \t xmax \t ymax \t zmax \t sequence \t item_type \t weight \t k \t irregular]';
+
+// Crosslog pallet section; boxes are arrays of the 11 box fields (header totals skip non-numeric boxes)
+function palletSection(palletId, boxes, itemQuantity = boxes.length) {
+    const numeric = boxes.filter(box => box.every(value => typeof value === 'number'));
+    const weight = numeric.reduce((sum, box) => sum + box[8], 0);
+    const volume = numeric.reduce((sum, box) => sum + (box[3] - box[0]) * (box[4] - box[1]) * (box[5] - box[2]), 0);
+
+    return [
+        '[pallet_id \t x \t y \t z \t weight \t total_load]',
+        `${palletId}\t1200\t800\t1500\t25000\t${weight}`,
+        '[total_volume \t total_occupied_volume \t m1 \t m2]',
+        `1440000000\t${volume}\t0.5\t10`,
+        '[item_quantity]',
+        String(itemQuantity),
+        BOX_HEADER,
+        ...boxes.map(box => box.join('\t'))
+    ];
+}
+
+function planText(sections) {
+    return ['[order_id]', '7', '[pallet_quantity]', String(sections.length), ...sections.flat()].join('\n') + '\n';
+}
+
+const goodBoxes = [
+    [0, 0, 0, 400, 400, 200, 1, 36, 5000, 0, 0],
+    [400, 0, 0, 800, 400, 200, 2, 36, 5000, 0, 0]
+];
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('a malformed box line skips its pallet and keeps the others', () => {
+    const badBoxes = [goodBoxes[0], [400, 0, 'abc', 800, 400, 200, 2, 36, 5000, 0, 0]];
+    const text = planText([palletSection(0, badBoxes), palletSection(1, goodBoxes)]);
+    const result = new browser.CrosslogStreamParser().parse(text);
+
+    assert.deepStrictEqual(Array.from(result.pallets, pallet => pallet.id), [1]);
+    assert.strictEqual(result.pallets[0].boxes.length, 2);
+    assert.deepStrictEqual([...result.summary.skippedPallets], [0]);
+    assert.strictEqual(result.summary.palletsFound, 2);
+    assert.strictEqual(result.summary.palletsLoaded, 1);
+
+    const lines = text.split('\n');
+    const badLine = lines.findIndex(line => line.includes('abc')) + 1;
+    const errors = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+    assert.strictEqual(errors.length, 1);
+    assert.deepStrictEqual(copy(errors[0]), {
+        severity: 'error',
+        message: 'Field zmin is not a number: "abc"',
+        line: badLine,
+        column: lines[badLine - 1].indexOf('abc') + 1,
+        field: 'zmin',
+        palletIndex: 0,
+        boxIndex: 1,
+        sequence: null
+    });
+});
+
+test('a wrong item quantity is reported on its line and skips the pallet', () => {
+    // Fewer box lines than declared
+    const short = planText([palletSection(0, goodBoxes, 3), palletSection(1, goodBoxes)]);
+    const shortResult = new browser.CrosslogStreamParser().parse(short);
+    const mismatch = shortResult.diagnostics.find(diagnostic => diagnostic.field === 'item_quantity');
+
+    assert.deepStrictEqual([...shortResult.summary.skippedPallets], [0]);
+    assert.strictEqual(mismatch.severity, 'error');
+    assert.strictEqual(mismatch.message, 'Box count mismatch: expected 3, found 2');
+    assert.strictEqual(mismatch.line, short.split('\n').indexOf('3', 4) + 1);
+    assert.strictEqual(mismatch.palletIndex, 0);
+
+    // More box lines than declared
+    const long = planText([palletSection(0, goodBoxes), palletSection(1, goodBoxes, 1)]);
+    const longResult = new browser.CrosslogStreamParser().parse(long);
+    const extra = longResult.diagnostics.find(diagnostic => diagnostic.severity === 'error');
+
+    assert.deepStrictEqual([...longResult.summary.skippedPallets], [1]);
+    assert.deepStrictEqual(Array.from(longResult.pallets, pallet => pallet.id), [0]);
+    assert.strictEqual(extra.message, 'Box line beyond the declared item quantity (1)');
+    assert.strictEqual(extra.line, long.trimEnd().split('\n').length);
+    assert.strictEqual(extra.boxIndex, 1);
+});
+
+test('small chunks and CRLF line endings give the same result as one parse', () => {
+    const text = readDataFile('simulation.txt');
+    const expected = new browser.CrosslogStreamParser().parse(text);
+
+    const parser = new browser.CrosslogStreamParser();
+    const crlf = text.replace(/\r?\n/g, '\r\n');
+    for (let i = 0; i < crlf.length; i += 7) {
+        parser.write(crlf.slice(i, i + 7));
+    }
+    const streamed = parser.end();
+
+    assert.strictEqual(streamed.pallets.length, 3);
+    assert.strictEqual(streamed.summary.errorCount, 0);
+    assert.deepStrictEqual(copy(streamed), copy(expected));
+});
+
+test('a last line without a newline is parsed on end()', () => {
+    const text = planText([palletSection(0, goodBoxes)]).trimEnd();
+    const parser = new browser.CrosslogStreamParser();
+
+    parser.write(text);
+    assert.strictEqual(parser.pendingText, text.split('\n').pop());
+
+    const result = parser.end();
+    assert.strictEqual(result.pallets[0].boxes.length, 2);
+    assert.strictEqual(result.summary.errorCount, 0);
+});
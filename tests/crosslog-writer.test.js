@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['crosslog-writer.js', 'pallet-loader.js']);
+
+function parse(content) {
+    const loader = new browser.PalletDataLoader(null);
+    return loader.parseDataFile(content);
+}
+
+// Compare through JSON so objects from the script context and Node match structurally
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('parse → write → parse keeps simulation.txt identical', () => {
+    const original = parse(readDataFile('simulation.txt'));
+    const written = new browser.CrosslogWriter().write(original.orderInfo, original.pallets);
+    const reparsed = parse(written);
+
+    assert.deepStrictEqual(plain(reparsed), plain(original));
+});
+
+test('written file matches the source layout line by line', () => {
+    const source = readDataFile('simulation.txt');
+    const original = parse(source);
+    const written = new browser.CrosslogWriter().write(original.orderInfo, original.pallets);
+
+    assert.deepStrictEqual(written.trim().split('\n'), source.trim().split('\n'));
+});
+
+test('totals are recomputed for a filtered subset of boxes', () => {
+    const original = parse(readDataFile('simulation.txt'));
+    const pallet = original.pallets[0];
+    const subset = { ...pallet, boxes: pallet.boxes.slice(0, 10) };
+
+    const written = new browser.CrosslogWriter().write(original.orderInfo, [subset]);
+    const reparsed = parse(written);
+    const metadata = reparsed.pallets[0].metadata;
+
+    const expectedVolume = subset.boxes.reduce((total, box) => {
+        const c = box.coordinates;
+        return total + (c.xmax - c.xmin) * (c.ymax - c.ymin) * (c.zmax - c.zmin);
+    }, 0);
+    const expectedLoad = subset.boxes.reduce((total, box) => total + box.weight, 0);
+
+    assert.strictEqual(reparsed.orderInfo.palletQuantity, 1);
+    assert.strictEqual(reparsed.pallets[0].boxes.length, 10);
+    assert.strictEqual(metadata.volumeMetrics.occupiedVolume, expectedVolume);
+    assert.strictEqual(metadata.volumeMetrics.totalVolume, 1200 * 800 * 1500);
+    assert.strictEqual(metadata.totalLoad, expectedLoad);
+});
+
+test('missing order ID is rejected', () => {
+    assert.throws(() => new browser.CrosslogWriter().write({}, []), /order ID/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileLibrary = require('../file-library');
+
+async function createLibrary(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-library-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return { directory, library: new FileLibrary(directory) };
+}
+
+test('saved files survive a new library instance', async (t) => {
+    const { directory, library } = await createLibrary(t);
+
+    const entry = await library.save({
+        name: 'simulation_01-02-25_10-00-00.txt',
+        originalName: 'order.txt',
+        content: '[order_id]\n1\n',
+        orderId: 1,
+        palletCount: 3,
+        format: 'crosslog'
+    });
+
+    const reopened = new FileLibrary(directory);
+    const entries = await reopened.list();
+    const stored = await reopened.read(entry.id);
+
+    assert.strictEqual(entries.length, 1);
+    assert.deepStrictEqual(entries[0], entry);
+    assert.strictEqual(entry.size, 13);
+    assert.strictEqual(entry.palletCount, 3);
+    assert.strictEqual(stored.content, '[order_id]\n1\n');
+});
+
+test('rename keeps the content and rejects duplicate or empty names', async (t) => {
+    const { library } = await createLibrary(t);
+    const first = await library.save({ name: 'a.txt', content: 'A' });
+    await library.save({ name: 'b.txt', content: 'B' });
+
+    const renamed = await library.rename(first.id, '  order 42.txt ');
+    assert.strictEqual(renamed.name, 'order 42.txt');
+    assert.strictEqual((await library.read(first.id)).content, 'A');
+
+    await assert.rejects(library.rename(first.id, 'b.txt'), /already exists/);
+    await assert.rejects(library.rename(first.id, '   '), /cannot be empty/);
+});
+
+test('remove deletes the entry and its content', async (t) => {
+    const { directory, library } = await createLibrary(t);
+    const entry = await library.save({ name: 'a.txt', content: 'A' });
+
+    assert.strictEqual(await library.remove(entry.id), true);
+    assert.deepStrictEqual(await library.list(), []);
+    assert.deepStrictEqual(await fs.readdir(path.join(directory, 'files')), []);
+    await assert.rejects(library.read(entry.id), /not found/);
+});
+
+test('unknown IDs never reach the file system', async (t) => {
+    const { library } = await createLibrary(t);
+
+    await assert.rejects(library.read('../index.json'), /not found/);
+    await assert.rejects(library.remove('../index.json'), /not found/);
+});
+
+test('concurrent saves are all kept in the index', async (t) => {
+    const { library } = await createLibrary(t);
+
+    await Promise.all(['a', 'b', 'c', 'd'].map(name => library.save({ name, content: name })));
+
+    assert.deepStrictEqual((await library.list()).map(entry => entry.name).sort(), ['a', 'b', 'c', 'd']);
+});
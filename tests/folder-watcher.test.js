@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FolderWatcher, isCompleteCrosslog } = require('../folder-watcher');
+const { readDataFile } = require('./helpers/browser-scripts');
+
+async function createWatchedFolder(t, options) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'folder-watcher-'));
+    const watcher = new FolderWatcher({ settleDelay: 20, incompleteTimeout: 150, ...options });
+
+    t.after(async () => {
+        watcher.stop();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+    return { directory, watcher };
+}
+
+// Resolve with the next 'file' event, or fail after a few seconds
+function nextFile(watcher) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('No file event')), 3000);
+        watcher.once('file', file => {
+            clearTimeout(timer);
+            resolve(file);
+        });
+    });
+}
+
+test('simulation.txt is complete, a truncated copy is not', () => {
+    const content = readDataFile('simulation.txt');
+    const lines = content.trim().split('\n');
+
+    assert.strictEqual(isCompleteCrosslog(content), true);
+    assert.strictEqual(isCompleteCrosslog(lines.slice(0, -1).join('\n')), false);
+    assert.strictEqual(isCompleteCrosslog(lines.slice(0, 20).join('\n')), false);
+    assert.strictEqual(isCompleteCrosslog('[order_id]\n1\n'), false);
+});
+
+test('a new Crosslog file is emitted once with its content', async (t) => {
+    const { directory, watcher } = await createWatchedFolder(t);
+    const content = readDataFile('simulation.txt');
+    await watcher.start(directory);
+
+    const received = nextFile(watcher);
+    await fs.writeFile(path.join(directory, 'result.txt'), content);
+    const file = await received;
+
+    assert.strictEqual(file.fileName, 'result.txt');
+    assert.strictEqual(file.content, content);
+    assert.strictEqual(file.complete, true);
+});
+
+test('files present before watching and other extensions are ignored', async (t) => {
+    const { directory, watcher } = await createWatchedFolder(t);
+    const content = readDataFile('simulation.txt');
+    await fs.writeFile(path.join(directory, 'old.txt'), content);
+    await watcher.start(directory);
+
+    const received = nextFile(watcher);
+    await fs.writeFile(path.join(directory, 'notes.md'), 'not a plan');
+    await fs.writeFile(path.join(directory, 'old.txt'), content);
+    await fs.writeFile(path.join(directory, 'new.dat'), content);
+
+    assert.strictEqual((await received).fileName, 'new.dat');
+});
+
+test('a half-written file waits until it is complete', async (t) => {
+    const { directory, watcher } = await createWatchedFolder(t, { incompleteTimeout: 2000 });
+    const content = readDataFile('simulation.txt');
+    const filePath = path.join(directory, 'partial.txt');
+    await watcher.start(directory);
+
+    const received = nextFile(watcher);
+    await fs.writeFile(filePath, content.slice(0, content.length / 2));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await fs.writeFile(filePath, content);
+
+    const file = await received;
+    assert.strictEqual(file.content, content);
+    assert.strictEqual(file.complete, true);
+});
+
+test('a file that stays incomplete is emitted after the timeout', async (t) => {
+    const { directory, watcher } = await createWatchedFolder(t);
+    await watcher.start(directory);
+
+    const received = nextFile(watcher);
+    await fs.writeFile(path.join(directory, 'broken.txt'), '[order_id]\n1\n');
+
+    assert.strictEqual((await received).complete, false);
+});
@@ -0,0 +1,28 @@
+/**
+ * Plan boxes for the viewer tests, shaped like PalletDataLoader's box models
+ * before they get scene positions
+ */
+
+/**
+ * Box with Crosslog coordinates in mm
+ * @param {number} sequence - Placement sequence
+ * @param {number} x - Corner along the pallet length
+ * @param {number} y - Corner along the pallet width
+ * @param {number} z - Corner height
+ * @param {number} l - Length (mm)
+ * @param {number} w - Width (mm)
+ * @param {number} h - Height (mm)
+ * @param {Object} options - weight (g, default 1000), itemType (default 1) and any other box fields
+ * @returns {Object} Box with sequence, itemType, weight and coordinates
+ */
+function box(sequence, x, y, z, l, w, h, { weight = 1000, itemType = 1, ...fields } = {}) {
+    return {
+        sequence,
+        itemType,
+        weight,
+        coordinates: { xmin: x, ymin: y, zmin: z, xmax: x + l, ymax: y + w, zmax: z + h },
+        ...fields
+    };
+}
+
+module.exports = { box };
@@ -0,0 +1,39 @@
+/**
+ * Loads the viewer's browser scripts into an isolated context so their
+ * window globals can be used from Node tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'GUI', '3d-viewer', 'js');
+const DATA_DIR = path.join(__dirname, '..', '..', 'GUI', '3d-viewer', 'data');
+
+/**
+ * Run viewer scripts in a fresh context
+ * @param {Array} fileNames - Script names inside GUI/3d-viewer/js, in load order
+ * @param {Object} globals - Extra browser globals the scripts need (fetch, timers...)
+ * @returns {Object} The context's window object
+ */
+function loadBrowserScripts(fileNames, globals = {}) {
+    const context = { console, ...globals };
+    context.window = context;
+    vm.createContext(context);
+
+    fileNames.forEach(fileName => {
+        const filePath = path.join(SCRIPTS_DIR, fileName);
+        vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    });
+
+    return context;
+}
+
+/**
+ * Read a file from GUI/3d-viewer/data
+ */
+function readDataFile(fileName) {
+    return fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8');
+}
+
+module.exports = { loadBrowserScripts, readDataFile };
@@ -0,0 +1,54 @@
+/**
+ * Minimal stand-in for python/backend.py, listening on a free local port
+ * Each route answers with { status, body, delay }; every request is recorded
+ */
+
+const http = require('http');
+
+/**
+ * Start the stub server
+ * @param {Object} routes - 'METHOD /path' → response object or function(request) returning one
+ * @returns {Promise<Object>} { url, requests, setRoute, close }
+ */
+function startStubBackend(routes = {}) {
+    const table = {
+        'GET /status': { status: 200, body: { msg: 'Servidor FastAPI ativo e funcional!' } },
+        ...routes
+    };
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            const key = `${req.method} ${req.url}`;
+            const request = { method: req.method, path: req.url, headers: req.headers, body: data ? JSON.parse(data) : undefined };
+            requests.push(request);
+
+            const route = table[key];
+            const reply = typeof route === 'function' ? route(request) : route;
+            const { status = 404, body = { detail: 'Not Found' }, delay = 0 } = reply || {};
+
+            setTimeout(() => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(body));
+            }, delay);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                setRoute: (key, reply) => { table[key] = reply; },
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startStubBackend };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const ItemCatalogueStore = require('../item-catalogue-store');
+
+async function createStorePath(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'item-catalogue-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return path.join(directory, 'settings', 'item-catalogue.json');
+}
+
+test('there is no catalogue until one is saved', async (t) => {
+    const store = new ItemCatalogueStore(await createStorePath(t));
+
+    assert.strictEqual(await store.load(), null);
+});
+
+test('a saved catalogue is read back as written', async (t) => {
+    const storePath = await createStorePath(t);
+    const text = JSON.stringify({ format: 'item-catalogue', version: 1, items: [{ itemType: 3, name: 'Jars' }] });
+
+    await new ItemCatalogueStore(storePath).save(text);
+
+    assert.strictEqual(await new ItemCatalogueStore(storePath).load(), text);
+    await assert.rejects(fs.access(`${storePath}.tmp`));
+});
+
+test('text that is not a catalogue is rejected and the stored one kept', async (t) => {
+    const store = new ItemCatalogueStore(await createStorePath(t));
+    const text = JSON.stringify({ items: [] });
+    await store.save(text);
+
+    await assert.rejects(store.save('{ items: '), /not valid JSON/);
+    await assert.rejects(store.save(JSON.stringify({ name: 'no items' })), /"items" list/);
+    await assert.rejects(store.save({ items: [] }), /JSON text/);
+    assert.strictEqual(await store.load(), text);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['item-catalogue.js']);
+
+// Compare through JSON so objects from the script context and Node match structurally
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('the example catalogue reads without problems', () => {
+    const { catalogue, problems } = browser.ItemCatalogue.parse(readDataFile('item-catalogue.json'));
+
+    assert.deepStrictEqual(plain(problems), []);
+    assert.strictEqual(catalogue.getLabel(27), 'Wine glasses');
+    assert.strictEqual(catalogue.get(27).fragile, true);
+    assert.strictEqual(catalogue.getColor(25), 0xe74c3c);
+});
+
+test('entries get defaults and unusable values are reported', () => {
+    const { catalogue, problems } = browser.ItemCatalogue.parse(JSON.stringify({
+        items: [
+            { itemType: 5, name: ' Jars ', color: '#ABCDEF' },
+            { itemType: 6, color: 'red', maxStackLoad: -3 },
+            { itemType: 5, name: 'Duplicate' },
+            { name: 'No type' },
+            'not an entry'
+        ]
+    }));
+
+    assert.deepStrictEqual(plain(catalogue.get(5)), {
+        itemType: 5, name: 'Jars', sku: '', color: '#abcdef', maxStackLoad: null, fragile: false, thisSideUp: false
+    });
+    assert.strictEqual(catalogue.getColor(6), null);
+    assert.strictEqual(catalogue.getLabel(6), 'Item 6');
+    assert.strictEqual(catalogue.getLabel(99), 'Item 99');
+    assert.deepStrictEqual(plain(problems), [
+        'items[1]: color "red" is not #rrggbb, the palette color is used',
+        'items[1]: maxStackLoad must be a weight in grams, ignored',
+        'items[2]: item type 5 is listed more than once, the first entry is kept',
+        'items[3]: itemType must be a whole number',
+        'items[4]: entry must be an object'
+    ]);
+});
+
+test('files that are not catalogues are rejected', () => {
+    assert.throws(() => browser.ItemCatalogue.parse('{ "items": '), /not valid JSON/);
+    assert.throws(() => browser.ItemCatalogue.parse('{ "types": [] }'), /"items" list/);
+});
+
+test('crush limits list only items with a maximum stack load', () => {
+    const catalogue = new browser.ItemCatalogue([
+        { itemType: 1, maxStackLoad: 20000 },
+        { itemType: 2, maxStackLoad: null },
+        { itemType: 3, maxStackLoad: 0 }
+    ]);
+
+    assert.deepStrictEqual(plain(catalogue.getCrushLimits()), { 1: 20000, 3: 0 });
+});
+
+test('a written catalogue reads back the same, sorted by item type', () => {
+    const items = [
+        { itemType: 9, name: 'B', sku: 'B-1', color: '#000001', maxStackLoad: 1000, fragile: true, thisSideUp: false },
+        { itemType: 2, name: 'A', sku: '', color: null, maxStackLoad: null, fragile: false, thisSideUp: true }
+    ];
+    const text = JSON.stringify(new browser.ItemCatalogue(items).toJSON());
+
+    const { catalogue } = browser.ItemCatalogue.parse(text);
+
+    assert.strictEqual(JSON.parse(text).format, 'item-catalogue');
+    assert.deepStrictEqual(plain(catalogue.list()), [items[1], items[0]]);
+});
+
+test('replace swaps the entries of the same catalogue object', () => {
+    const catalogue = new browser.ItemCatalogue([{ itemType: 1, name: 'Old' }]);
+
+    catalogue.replace([{ itemType: 2, name: 'New' }]);
+
+    assert.strictEqual(catalogue.size, 1);
+    assert.strictEqual(catalogue.get(1), null);
+    assert.strictEqual(catalogue.getLabel(2), 'New');
+    assert.strictEqual(browser.ItemCatalogue.formatColor(0x00ff00), '#00ff00');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+const { box } = require('./helpers/boxes');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'layer-analysis.js', 'timeline-slider.js'
+]);
+
+function sequencesOf(layers) {
+    return Array.from(layers, layer => Array.from(layer, entry => entry.sequence));
+}
+
+test('boxes on top of taller neighbours still belong to the layer above', () => {
+    const segmenter = new browser.LayerSegmenter();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200),
+        box(2, 400, 0, 0, 400, 400, 250),
+        box(3, 800, 0, 3, 400, 400, 200),     // within tolerance of the base
+        box(4, 0, 0, 200, 400, 400, 200),
+        box(5, 400, 0, 250, 400, 400, 150),   // on the taller box 2
+        box(6, 0, 0, 400, 400, 400, 200)
+    ];
+
+    assert.deepStrictEqual(sequencesOf(segmenter.segment(boxes)), [[1, 2, 3], [4, 5], [6]]);
+});
+
+test('fillers stacked inside a layer stay in it', () => {
+    const segmenter = new browser.LayerSegmenter();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 300),
+        box(2, 400, 0, 0, 400, 400, 300),
+        box(3, 800, 0, 0, 400, 400, 150),
+        box(4, 800, 0, 150, 400, 400, 150),   // two half-height boxes make up the layer
+        box(5, 0, 0, 300, 400, 400, 300)
+    ];
+
+    assert.deepStrictEqual(sequencesOf(segmenter.segment(boxes)), [[1, 2, 3, 4], [5]]);
+});
+
+test('each layer reports coverage, height, weight and the centre of mass shift', () => {
+    const segmenter = new browser.LayerSegmenter();
+    const boxes = [
+        box(1, 0, 0, 0, 600, 800, 200, { weight: 10000 }),
+        box(2, 600, 0, 0, 600, 800, 200, { weight: 10000 }),
+        // Upper layer: one box on the left half
+        box(3, 0, 0, 200, 600, 800, 300, { weight: 20000 })
+    ];
+
+    const { layers, layerOf } = segmenter.analyse(boxes, { x: 1200, y: 800, z: 1500 });
+
+    assert.strictEqual(layers.length, 2);
+    assert.strictEqual(layers[0].coverage, 1);
+    assert.strictEqual(layers[0].height, 200);
+    assert.strictEqual(layers[0].weight, 20000);
+    assert.strictEqual(layers[0].comShift.distance, 0);
+
+    assert.strictEqual(layers[1].coverage, 0.5);
+    assert.strictEqual(layers[1].base, 200);
+    assert.strictEqual(layers[1].height, 300);
+    // Half the weight now sits 300mm left of centre: the stack's centre moves 150mm
+    assert.strictEqual(layers[1].comShift.x, -150);
+    assert.strictEqual(layers[1].comShift.distance, 150);
+    assert.strictEqual(layers[1].offset, 150);
+    assert.strictEqual(layerOf.get(boxes[2]), 2);
+});
+
+test('footprint counts boxes stacked on each other once', () => {
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 100),
+        box(2, 200, 0, 100, 400, 400, 100),
+        box(3, 1000, 0, 0, 100, 100, 100)
+    ];
+
+    assert.strictEqual(browser.LayerSegmenter.getFootprintArea(boxes), 600 * 400 + 100 * 100);
+});
+
+test('timeline layer markers come from the same layers', () => {
+    const markers = new browser.TimelineMarkers();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200),
+        box(2, 400, 0, 0, 400, 400, 250),
+        box(3, 400, 0, 250, 400, 400, 150),
+        box(4, 0, 0, 200, 400, 400, 200)
+    ];
+
+    const starts = markers.findLayerStarts(boxes);
+
+    assert.deepStrictEqual(Array.from(starts, marker => marker.index), [0, 2]);
+    assert.strictEqual(markers.getLayerNumbers(boxes).get(boxes[3]), 2);
+});
+
+test('the sample plan splits into layers from the bottom up', () => {
+    const loader = new browser.PalletDataLoader({ boxes: [] });
+    const result = loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const pallet = result.pallets[0];
+
+    const { layers } = new browser.LayerSegmenter().analyse(loader.getSortedBoxes(0), pallet.metadata.dimensions);
+
+    assert.ok(layers.length > 1);
+    assert.strictEqual(layers.reduce((sum, layer) => sum + layer.boxes.length, 0), pallet.boxes.length);
+    layers.forEach((layer, index) => {
+        assert.ok(layer.coverage > 0 && layer.coverage <= 1);
+        if (index > 0) {
+            assert.ok(layer.base > layers[index - 1].base);
+        }
+    });
+});
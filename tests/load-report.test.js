@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'pallet-metrics.js', 'layer-analysis.js',
+    'item-catalogue.js', 'load-report.js'
+]);
+
+function loadSample() {
+    const loader = new browser.PalletDataLoader(null);
+    loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    return loader;
+}
+
+function countOf(text, fragment) {
+    return text.split(fragment).length - 1;
+}
+
+test('a pallet is described with the metrics panel figures and its layers', () => {
+    const loader = loadSample();
+    const pallet = loader.allPallets[1];
+    pallet.validation = [{ severity: 'error' }, { severity: 'warning' }, { severity: 'warning' }];
+
+    const report = new browser.LoadReport();
+    const description = report.describePallet(pallet, 1);
+    const metrics = new browser.PalletMetrics().calculate(pallet.boxes, pallet.metadata.dimensions);
+
+    assert.strictEqual(description.number, 2);
+    assert.strictEqual(description.metrics.boxCount, pallet.boxes.length);
+    assert.ok(Math.abs(description.metrics.lsi.value - metrics.lsi.value) < 1e-9);
+    assert.ok(Math.abs(description.metrics.volume.efficiency - metrics.volume.efficiency) < 1e-9);
+    assert.strictEqual(description.errorCount, 1);
+    assert.strictEqual(description.warningCount, 2);
+
+    // Every box once, bottom layer first, in sequence order within each layer
+    const sequences = Array.from(description.layers).flatMap(layer => Array.from(layer.boxes, box => box.sequence));
+    assert.deepStrictEqual([...sequences].sort((a, b) => a - b), Array.from(pallet.boxes, box => box.sequence).sort((a, b) => a - b));
+    description.layers.forEach((layer, index) => {
+        assert.strictEqual(layer.number, index + 1);
+        const layerSequences = Array.from(layer.boxes, box => box.sequence);
+        assert.deepStrictEqual(layerSequences, [...layerSequences].sort((a, b) => a - b));
+        if (index > 0) {
+            assert.ok(layer.base > description.layers[index - 1].base);
+        }
+    });
+});
+
+test('the document has one sheet per pallet with renders, heatmap and build list', () => {
+    const loader = loadSample();
+    const catalogue = new browser.ItemCatalogue([{ itemType: loader.allPallets[0].boxes[0].itemType, name: 'Water <6×1.5L>' }]);
+    const report = new browser.LoadReport({ itemCatalogue: catalogue });
+    const sheets = loader.allPallets.map((pallet, index) => ({
+        pallet: report.describePallet(pallet, index),
+        images: index === 0 ? { isometric: 'data:image/png;base64,AAA', top: 'data:image/png;base64,BBB' } : {}
+    }));
+
+    const html = report.buildDocument({
+        orderInfo: loader.orderInfo,
+        fileName: 'order <7>.txt',
+        palletCount: loader.allPallets.length,
+        generatedAt: new Date(2026, 0, 2, 3, 4),
+        sheets
+    });
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.strictEqual(countOf(html, '<section class="sheet">'), 3);
+    assert.ok(html.includes('<img src="data:image/png;base64,AAA"'));
+    assert.ok(html.includes('<img src="data:image/png;base64,BBB"'));
+    assert.strictEqual(countOf(html, 'No image'), 4);
+    assert.ok(html.includes('order &lt;7&gt;.txt'));
+    assert.ok(!html.includes('order <7>'));
+    assert.ok(html.includes('Water &lt;6×1.5L&gt;'));
+    assert.ok(html.includes('<dt>Pallet</dt><dd>3 of 3</dd>'));
+    assert.ok(html.includes('@page'));
+
+    const first = sheets[0].pallet;
+    const distribution = first.metrics.weightDistribution;
+    const firstSheet = html.split('<section class="sheet">')[1];
+    assert.strictEqual(countOf(firstSheet, '<i style="background:'), distribution.rows * distribution.cols);
+    assert.strictEqual(countOf(firstSheet, 'class="marker"'), 1);
+    assert.strictEqual(countOf(firstSheet, '<tr class="layer">'), first.layers.length);
+    assert.ok(firstSheet.includes(`${first.metrics.lsi.value.toFixed(0)} (${first.metrics.lsi.stabilityRating})`));
+    assert.ok(firstSheet.includes(`${first.metrics.volume.efficiency.toFixed(1)}%`));
+});
+
+test('heatmap cells use the metrics panel bands and report names follow the plan', () => {
+    const report = new browser.LoadReport();
+
+    assert.strictEqual(report.getHeatmapColor(0, 10), '#F5F5F5');
+    assert.strictEqual(report.getHeatmapColor(2, 10), '#2E7D32');
+    assert.strictEqual(report.getHeatmapColor(5, 10), '#FDD835');
+    assert.strictEqual(report.getHeatmapColor(10, 10), '#D32F2F');
+
+    assert.strictEqual(browser.LoadReport.getFileName('simulation.txt', [2]), 'simulation_pallet-2_load-report.pdf');
+    assert.strictEqual(browser.LoadReport.getFileName('simulation.txt', [1, 2, 3]), 'simulation_load-report.pdf');
+    assert.strictEqual(browser.LoadReport.getFileName('', [1, 2]), 'pallet-plan_load-report.pdf');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+const { startStubBackend } = require('./helpers/stub-backend');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'api-client.js', 'optimisation-jobs.js'
+], { fetch, AbortController, setTimeout, clearTimeout });
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+function createJobs(baseUrl) {
+    const client = new browser.ApiClient({ baseUrl, retries: 0, timeout: 500 });
+    return new browser.OptimisationJobs(client, { pollInterval: 10, maxPollFailures: 2, storage: createStorage() });
+}
+
+// Compare through JSON so objects from the script context and Node match structurally
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const plan = {
+    format: 'pallet-plan',
+    version: 1,
+    order: { orderId: 1 },
+    pallets: [{
+        palletId: 0,
+        dimensions: { x: 1200, y: 800, z: 1500 },
+        weight: 25000,
+        boxes: [
+            { sequence: 0, itemType: 4, weight: 1800, coordinates: { xmin: 0, ymin: 0, zmin: 0, xmax: 350, ymax: 250, zmax: 200 } },
+            { sequence: 1, itemType: 1, weight: 1500, coordinates: { xmin: 350, ymin: 0, zmin: 0, xmax: 550, ymax: 200, zmax: 200 } }
+        ]
+    }]
+};
+
+test('the request lists selected box types with their size and the pallet type', () => {
+    const jobs = createJobs('http://127.0.0.1:1');
+    const request = jobs.buildRequest({ 1: 2, 2: 0, 3: 0, 4: 1 }, 'INDUSTRIAL');
+
+    assert.deepStrictEqual(plain(request), {
+        orderId: 1,
+        palletType: 'INDUSTRIAL',
+        pallet: { x: 1200, y: 1000, z: 1500, weight: 25000 },
+        boxes: [
+            { type: 1, quantity: 2, dimensions: { x: 200, y: 200, z: 200 }, weight: 1500 },
+            { type: 4, quantity: 1, dimensions: { x: 350, y: 250, z: 200 }, weight: 1800 }
+        ]
+    });
+    assert.throws(() => jobs.buildRequest({ 1: 0 }, 'EUR'), /at least one box/);
+    assert.throws(() => jobs.buildRequest({ 1: 1 }, 'HALF'), /Unknown pallet type/);
+});
+
+test('submitted jobs are remembered and followed until their plan loads', async (t) => {
+    let polls = 0;
+    const backend = await startStubBackend({
+        'POST /jobs': { status: 202, body: { jobId: 'abc123', status: 'queued', progress: 0 } },
+        'GET /jobs/abc123': () => {
+            polls++;
+            return polls < 3
+                ? { status: 200, body: { jobId: 'abc123', status: 'running', progress: polls / 3 } }
+                : { status: 200, body: { jobId: 'abc123', status: 'completed', progress: 1, plan } };
+        }
+    });
+    t.after(() => backend.close());
+
+    const jobs = createJobs(backend.url);
+    await jobs.submit({ 1: 1, 4: 1 }, 'EUR');
+    assert.strictEqual(jobs.getRememberedJob().jobId, 'abc123');
+    assert.strictEqual(backend.requests[0].body.boxes.length, 2);
+
+    const updates = [];
+    const job = await jobs.watch('abc123', update => updates.push(update.status));
+    const result = browser.planFormats.read(jobs.getPlanContent(job), 'optimisation.json');
+
+    assert.deepStrictEqual(updates, ['running', 'running', 'completed']);
+    assert.strictEqual(result.summary.errorCount, 0);
+    assert.strictEqual(result.pallets[0].boxes.length, 2);
+});
+
+test('an unknown job stops the watch at once', async (t) => {
+    const backend = await startStubBackend();
+    t.after(() => backend.close());
+
+    await assert.rejects(createJobs(backend.url).watch('missing'), error => error.status === 404);
+    assert.strictEqual(backend.requests.length, 1);
+});
+
+test('an unreachable backend fails the submit without remembering a job', async (t) => {
+    const backend = await startStubBackend();
+    const jobs = createJobs(backend.url);
+    await backend.close();
+
+    await assert.rejects(jobs.submit({ 2: 3 }, 'EUR'), /not reachable/);
+    assert.strictEqual(jobs.getRememberedJob(), null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'pallet-metrics.js', 'plan-compare.js',
+    'order-dashboard.js'
+]);
+
+function createOverview() {
+    const comparator = new browser.PlanComparator({ palletMetrics: new browser.PalletMetrics() });
+    return new browser.OrderOverview({ comparator });
+}
+
+test('every pallet of the plan gets the figures of the compare view', () => {
+    const loader = new browser.PalletDataLoader(null);
+    loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const overview = createOverview();
+
+    const { pallets, totals } = overview.analyse(loader);
+
+    assert.strictEqual(pallets.length, loader.allPallets.length);
+    pallets.forEach((pallet, index) => {
+        const expected = overview.comparator.summarize(loader.getSortedBoxes(index),
+            loader.allPallets[index].metadata.dimensions);
+        assert.strictEqual(pallet.index, index);
+        assert.strictEqual(pallet.boxCount, loader.allPallets[index].boxes.length);
+        assert.strictEqual(pallet.heightMm, expected.heightMm);
+        assert.strictEqual(pallet.lsi, expected.lsi);
+        assert.strictEqual(pallet.fileEfficiency, loader.getStatistics().palletDetails[index].efficiency);
+    });
+    assert.strictEqual(totals.palletCount, pallets.length);
+    assert.strictEqual(totals.boxCount, loader.getTotalBoxCount());
+});
+
+test('an empty loader has no pallets and zero totals', () => {
+    const { pallets, totals } = createOverview().analyse(new browser.PalletDataLoader(null));
+
+    assert.strictEqual(pallets.length, 0);
+    assert.strictEqual(totals.boxCount, 0);
+    assert.strictEqual(totals.averageEfficiency, 0);
+    assert.strictEqual(totals.lowestLsi, null);
+});
+
+test('order totals add up the pallets and keep the extremes', () => {
+    const totals = browser.OrderOverview.getTotals([
+        { index: 0, boxCount: 10, heightMm: 900, volumeEfficiency: 80, centerOfMassCm: 2, lsi: 90, totalWeightKg: 100 },
+        { index: 1, boxCount: 6, heightMm: 1400, volumeEfficiency: 60, centerOfMassCm: 7, lsi: 70, totalWeightKg: 55.5 },
+        { index: 2, boxCount: 0, heightMm: 0, volumeEfficiency: 0, centerOfMassCm: 0, lsi: null, totalWeightKg: 0 }
+    ]);
+
+    assert.strictEqual(totals.palletCount, 3);
+    assert.strictEqual(totals.boxCount, 16);
+    assert.strictEqual(totals.totalWeightKg, 155.5);
+    assert.strictEqual(totals.averageEfficiency, 140 / 3);
+    assert.strictEqual(totals.tallestMm, 1400);
+    assert.strictEqual(totals.worstCenterOfMassCm, 7);
+    assert.strictEqual(totals.lowestLsi, 70);
+});
+
+test('sorting keeps plan order for ties and puts missing figures last', () => {
+    const pallets = [
+        { index: 0, lsi: 80, heightMm: 1000 },
+        { index: 1, lsi: null, heightMm: 1200 },
+        { index: 2, lsi: 95, heightMm: 1000 }
+    ];
+    const indexes = sorted => Array.from(sorted, pallet => pallet.index);
+
+    assert.deepStrictEqual(indexes(browser.OrderOverview.sortPallets(pallets, 'lsi', true)), [2, 0, 1]);
+    assert.deepStrictEqual(indexes(browser.OrderOverview.sortPallets(pallets, 'lsi', false)), [0, 2, 1]);
+    assert.deepStrictEqual(indexes(browser.OrderOverview.sortPallets(pallets, 'heightMm', true)), [1, 0, 2]);
+});
+
+test('thumbnail camera frames the whole stack from a front corner', () => {
+    const placement = browser.PalletThumbnailRenderer.getCameraPlacement({ x: 1200, y: 800 }, 1000);
+    const { position, target } = placement;
+
+    // Centre of the stack: the pallet top is at -7.28 units, 1000mm = 10 units
+    assert.strictEqual(target.x, 0);
+    assert.ok(Math.abs(target.y - -2.28) < 1e-9);
+    assert.strictEqual(target.z, 0);
+    assert.ok(position.x > 0 && position.y > target.y && position.z > 0);
+
+    const distance = Math.hypot(position.x - target.x, position.y - target.y, position.z - target.z);
+    const radius = Math.sqrt(12 ** 2 + 8 ** 2 + 10 ** 2) / 2;
+    assert.ok(Math.abs(distance - radius / Math.sin(37.5 * Math.PI / 180)) < 1e-9);
+});
+
+test('top-down camera looks straight down on the pallet from above the stack', () => {
+    const { position, target } = browser.PalletThumbnailRenderer.getCameraPlacement({ x: 1200, y: 800 }, 1000, 75, 'top');
+
+    assert.deepStrictEqual({ ...target }, { x: 0, y: -7.28, z: 0 });
+    assert.strictEqual(position.x, 0);
+    assert.ok(Math.abs(position.z) < 0.01);
+    // Footprint fits from the top of the stack
+    assert.ok(Math.abs(position.y - (-7.28 + 10 + Math.hypot(12, 8) / 2 / Math.sin(37.5 * Math.PI / 180))) < 1e-9);
+});
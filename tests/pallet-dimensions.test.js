@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+// No heatmap in the page: the calculator keeps its grid without drawing it
+const document = { querySelector: () => null, getElementById: () => null };
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'units-system.js', 'pallet-metrics.js',
+    'weight-distribution.js'
+], { document, setTimeout: () => {} });
+
+// One 1200×1000 pallet, header dimensions in mm
+const PLAN = [
+    '[order_id]', '7',
+    '[pallet_quantity]', '1',
+    '[pallet_id \t x \t y \t z \t weight \t total_load]',
+    '0\t1200\t1000\t1500\t25000\t10000',
+    '[total_volume \t total_occupied_volume \t m1 \t m2]',
+    '1800000000\t64000000\t0.5\t10',
+    '[item_quantity]', '2',
+    '[xmin \t ymin \t zmin \t xmax \t ymax \t zmax \t sequence \t item_type \t weight \t k \t irregular]',
+    '0\t0\t0\t400\t400\t200\t1\t36\t5000\t0\t0',
+    '800\t600\t0\t1200\t1000\t200\t2\t36\t5000\t0\t0'
+].join('\n') + '\n';
+
+function loadPlan() {
+    const sceneDimensions = [];
+    const loader = new browser.PalletDataLoader({
+        setPalletDimensions: (length, width) => sceneDimensions.push([length, width])
+    });
+    loader.parseDataFileWithDiagnostics(PLAN);
+    return { loader, sceneDimensions };
+}
+
+test('box positions are relative to the centre of a 1200×1000 pallet', () => {
+    const { loader } = loadPlan();
+    const pallet = loader.allPallets[0];
+
+    assert.deepStrictEqual({ ...pallet.metadata.dimensions }, { x: 1200, y: 1000, z: 1500 });
+
+    // Corner boxes sit 4 units from the centre along X and 3 along Z, not 2 as on an 800mm wide pallet
+    const [first, last] = pallet.boxes;
+    assert.deepStrictEqual({ ...first.position }, { x: -4, y: 1 + 0.72 - 8, z: -3 });
+    assert.deepStrictEqual({ ...last.position }, { x: 4, y: 1 + 0.72 - 8, z: 3 });
+    assert.deepStrictEqual({ ...first.dimensions }, { width: 4, height: 2, depth: 4 });
+
+    // The header height is the load limit, not the deck height: boxes stay on the pallet
+    const tall = new browser.PalletDataLoader(null);
+    tall.parseDataFileWithDiagnostics(PLAN.replace('\t1000\t1500\t', '\t1000\t2200\t'));
+    assert.strictEqual(tall.allPallets[0].metadata.dimensions.z, 2200);
+    assert.strictEqual(tall.allPallets[0].boxes[0].position.y, first.position.y);
+});
+
+test('the header dimensions reach the units system, the scene and the heatmap grid', () => {
+    const { loader, sceneDimensions } = loadPlan();
+    const calculator = new browser.WeightDistributionCalculator();
+    browser.palletApp = {
+        updatePalletDimensions: () => {
+            const pallet = browser.unitsSystem.getPalletDimensionsUnits();
+            calculator.setPalletDimensions(pallet.lengthUnits, pallet.widthUnits);
+        }
+    };
+
+    loader.applyPalletDimensions(loader.allPallets[0]);
+
+    assert.deepStrictEqual({ ...browser.unitsSystem.getPalletDimensionsUnits() }, { lengthUnits: 12, widthUnits: 10, heightUnits: 15 });
+    assert.deepStrictEqual({ ...browser.unitsSystem.referenceData.displayPallet }, { lengthCm: 120, widthCm: 100, heightCm: 150 });
+    assert.strictEqual(browser.unitsSystem.getPalletAreaCm2(), 12000);
+    assert.deepStrictEqual(sceneDimensions, [[12, 10]]);
+
+    // Cells stay close to 50mm: 24 columns along the length, 20 rows across the width
+    assert.strictEqual(calculator.gridConfig.cols, 24);
+    assert.strictEqual(calculator.gridConfig.rows, 20);
+    assert.strictEqual(calculator.gridConfig.totalCells, 480);
+    assert.strictEqual(calculator.weightGrid.length, 480);
+    assert.strictEqual(calculator.cellDimensions.height, 0.5);
+
+    // An invalid header leaves the last good dimensions in place
+    assert.strictEqual(browser.unitsSystem.setPalletDimensions(1200, 0, 1500), false);
+    assert.strictEqual(browser.unitsSystem.getPalletAreaCm2(), 12000);
+});
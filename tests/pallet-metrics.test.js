@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'pallet-metrics.js',
+    'bottom-metrics.js', 'center-of-mass.js'
+]);
+
+const dimensions = { x: 1200, y: 800, z: 1500 };
+
+// Box with Crosslog coordinates in mm: corner (x, y, z), size (l, w, h) and weight in g
+function box(x, y, z, l, w, h, weight = 1000) {
+    return { weight, coordinates: { xmin: x, ymin: y, zmin: z, xmax: x + l, ymax: y + w, zmax: z + h } };
+}
+
+// What PalletDataLoader.createAndAddBox puts in the scene, without Three.js
+function meshOf(model) {
+    return { position: model.position, userData: { weight: model.weight, originalCoordinates: model.coordinates } };
+}
+
+function approximately(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('centre of mass is measured from the pallet centre, height above the pallet', () => {
+    const metrics = new browser.PalletMetrics();
+    // 30 kg on the left half, 10 kg on the right half, 300mm further back
+    const result = metrics.calculateCenterOfMass([
+        box(0, 0, 0, 600, 800, 200, 30000),
+        box(600, 300, 0, 600, 500, 400, 10000),
+        box(0, 0, 200, 100, 100, 100, 0)
+    ], dimensions);
+
+    approximately(result.x, (-300 * 30000 + 300 * 10000) / 40000);
+    approximately(result.z, (0 * 30000 + 150 * 10000) / 40000);
+    approximately(result.y, (100 * 30000 + 200 * 10000) / 40000);
+    assert.strictEqual(result.boxCount, 2);
+    assert.strictEqual(result.totalWeight, 40000);
+    approximately(result.deviationMm, Math.hypot(-150, 37.5));
+    approximately(result.deviationCm, result.deviationMm / 10);
+    assert.strictEqual(result.stabilityRating, 'Fair');
+});
+
+test('volume efficiency fills the footprint up to the load height', () => {
+    const result = new browser.PalletMetrics().calculateVolumeEfficiency([
+        box(0, 0, 0, 1200, 800, 200),
+        box(0, 0, 200, 600, 800, 200)
+    ], dimensions);
+
+    assert.strictEqual(result.currentHeightCm, 40);
+    assert.strictEqual(result.occupiedVolumeCm3, 1200 * 800 * 300 / 1000);
+    assert.strictEqual(result.efficiency, 75);
+});
+
+test('LSI combines the centre of mass and quadrant scores', () => {
+    const metrics = new browser.PalletMetrics({ safetyLimitCm: 20 });
+    // One box per quadrant, evenly loaded
+    const even = [box(0, 0, 0, 600, 400, 100), box(600, 0, 0, 600, 400, 100),
+        box(0, 400, 0, 600, 400, 100), box(600, 400, 0, 600, 400, 100)];
+
+    const balanced = metrics.calculateLoadStabilityIndex(even, dimensions, 5);
+    assert.strictEqual(balanced.weightDistributionScore, 100);
+    assert.strictEqual(balanced.centerOfMassScore, 75);
+    assert.strictEqual(balanced.value, 85);
+    assert.strictEqual(balanced.stabilityRating, 'Excellent');
+
+    // Everything in one quadrant: the spread of the shares is at its worst
+    const corner = metrics.calculateLoadStabilityIndex([box(0, 0, 0, 100, 100, 100), box(100, 0, 0, 100, 100, 100)],
+        dimensions, 25);
+    assert.strictEqual(corner.weightDistributionScore, 0);
+    assert.strictEqual(corner.centerOfMassScore, 0);
+    assert.strictEqual(corner.value, 0);
+});
+
+test('the metrics panel chain gives the core deviation and LSI', () => {
+    const loader = new browser.PalletDataLoader(null);
+    loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const palletMetrics = new browser.PalletMetrics();
+    const originalLog = console.log;
+    console.log = () => {};
+
+    try {
+        loader.allPallets.forEach((pallet, index) => {
+            const core = palletMetrics.calculate(pallet.boxes, pallet.metadata.dimensions);
+            const meshes = loader.getSortedBoxes(index).map(meshOf);
+
+            // As the app does it: the centre of mass result feeds the LSI
+            const centerOfMassCalculator = new browser.CenterOfMassCalculator({ palletMetrics });
+            centerOfMassCalculator.setPalletDimensions(pallet.metadata.dimensions.x * 0.01, pallet.metadata.dimensions.y * 0.01);
+            const centerOfMass = centerOfMassCalculator.calculateCenterOfMass(meshes);
+            const lsi = new browser.BottomMetricsCalculator({ palletMetrics }).calculateLoadStabilityIndex(meshes, centerOfMass);
+
+            approximately(centerOfMass.deviationCm, core.centerOfMass.deviationCm);
+            approximately(lsi.centerOfMassScore, core.lsi.centerOfMassScore);
+            approximately(lsi.value, core.lsi.value);
+            assert.strictEqual(lsi.stabilityRating, core.lsi.stabilityRating);
+
+            // The deviation is no longer lost on the way, so an off-centre load loses centre of mass points
+            assert.ok(core.centerOfMass.deviationCm > 0);
+            assert.ok(lsi.centerOfMassScore < 100);
+        });
+    } finally {
+        console.log = originalLog;
+    }
+});
+
+test('weight is shared by the cells under a box, and none lands past the pallet edge', () => {
+    const metrics = new browser.PalletMetrics();
+    const result = metrics.calculateWeightDistribution([
+        box(0, 0, 0, 100, 50, 100, 4000),        // two 50mm cells
+        box(1175, 0, 0, 50, 50, 100, 2000)       // half past the pallet edge
+    ], dimensions);
+
+    assert.strictEqual(result.cols, 24);
+    assert.strictEqual(result.rows, 16);
+    assert.strictEqual(result.cells[0], 2);
+    assert.strictEqual(result.cells[1], 2);
+    assert.strictEqual(result.cells[23], 2);
+    assert.strictEqual(result.totalWeightKg, 6);
+    assert.strictEqual(result.occupiedCells, 3);
+    assert.strictEqual(result.maxCellWeight, 2);
+    assert.strictEqual(result.isBalanced, true);
+
+    assert.deepStrictEqual({ ...metrics.getGridSize({ x: 1200, y: 1000 }) }, { rows: 20, cols: 24 });
+});
+
+test('every metric of a plan file without a DOM', () => {
+    const loader = new browser.PalletDataLoader(null);
+    const { pallets } = loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const metrics = new browser.PalletMetrics();
+
+    pallets.forEach(pallet => {
+        const result = metrics.calculate(pallet.boxes, pallet.metadata.dimensions);
+
+        assert.strictEqual(result.boxCount, pallet.boxes.length);
+        assert.ok(result.heightMm > 0);
+        assert.ok(result.volume.efficiency > 0 && result.volume.efficiency <= 100);
+        assert.ok(result.lsi.value >= 0 && result.lsi.value <= 100);
+        assert.ok(Number.isFinite(result.centerOfMass.deviationCm));
+        approximately(result.weightDistribution.totalWeightKg, result.totalWeightKg);
+    });
+});
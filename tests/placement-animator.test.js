@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['placement-animator.js']);
+
+// Mesh stand-in: the position stays put, the drawn point is read from the matrix
+function createMesh(x, y, z, height = 2) {
+    const mesh = {
+        position: { x, y, z },
+        geometry: { parameters: { height } },
+        matrixAutoUpdate: true,
+        drawnAt: { x, y, z },
+        matrix: {
+            makeTranslation: (px, py, pz) => { mesh.drawnAt = { x: px, y: py, z: pz }; }
+        },
+        updateMatrix: () => { mesh.drawnAt = { ...mesh.position }; }
+    };
+    return mesh;
+}
+
+// Manual clock; frames run when the test calls frame()
+function createAnimator(style, boxes = []) {
+    const clock = { time: 0 };
+    let listener = null;
+    const simulator = {
+        boxes,
+        palletDimensions: { length: 12 },
+        onFrame: callback => {
+            listener = callback;
+            return () => { listener = null; };
+        }
+    };
+
+    const animator = new browser.PlacementAnimator(simulator, { style, duration: 100, now: () => clock.time });
+    const frame = ms => {
+        clock.time += ms;
+        listener();
+    };
+
+    return { animator, simulator, frame, hasListener: () => listener !== null };
+}
+
+test('instant placement leaves the box where it was added', () => {
+    const { animator } = createAnimator('instant');
+    const mesh = createMesh(1, 0, 1);
+
+    animator.animate(mesh);
+
+    assert.strictEqual(animator.isAnimating(), false);
+    assert.strictEqual(mesh.matrixAutoUpdate, true);
+});
+
+test('a dropped box starts above its position and lands without moving its position', () => {
+    const { animator, frame } = createAnimator('drop');
+    const mesh = createMesh(1, 0, 1);
+
+    animator.animate(mesh);
+    assert.strictEqual(mesh.drawnAt.y, 4);
+    assert.deepStrictEqual({ ...mesh.position }, { x: 1, y: 0, z: 1 });
+
+    frame(50);
+    assert.ok(mesh.drawnAt.y > 0 && mesh.drawnAt.y < 4);
+
+    frame(50);
+    assert.strictEqual(animator.isAnimating(), false);
+    assert.strictEqual(mesh.matrixAutoUpdate, true);
+    assert.deepStrictEqual({ ...mesh.drawnAt }, { x: 1, y: 0, z: 1 });
+});
+
+test('the robot path starts on the pickup surface and lifts the box over the load', () => {
+    const stacked = createMesh(0, 3, 0, 2);
+    const { animator } = createAnimator('robot', [stacked]);
+    const mesh = createMesh(2, 0, 1);
+
+    animator.animate(mesh);
+    const path = animator.getRobotPath(mesh, mesh.position);
+
+    // Pickup surface at pallet-top height, the box centre half its height above it
+    assert.deepStrictEqual({ ...mesh.drawnAt }, { x: -9, y: -7.28 + 1, z: 0 });
+    // Top of the stacked box is 4; bottom of the carried box 1.5 above it
+    assert.strictEqual(path[1].y, 6.5);
+    assert.strictEqual(path[2].y, 6.5);
+    assert.deepStrictEqual({ ...path[3] }, { x: 2, y: 0, z: 1 });
+});
+
+test('boxes on the robot path are handed to the carrier until they land', () => {
+    const carried = [];
+    let landed = 0;
+    const clock = { time: 0 };
+    const animator = new browser.PlacementAnimator({ boxes: [], palletDimensions: { length: 12 } }, {
+        style: 'robot',
+        duration: 100,
+        pickupStation: { x: -5, y: 0, z: 0 },
+        now: () => clock.time,
+        onCarry: (mesh, point) => carried.push(point),
+        onLand: () => { landed++; }
+    });
+
+    animator.animate(createMesh(0, 1, 0, 2));
+    clock.time = 50;
+    animator.update();
+    animator.finishAll();
+
+    // The carrier gets the centre of the box top
+    assert.deepStrictEqual({ ...carried[0] }, { x: -5, y: 2, z: 0 });
+    assert.strictEqual(carried.length, 2);
+    assert.strictEqual(landed, 1);
+});
+
+test('pausing freezes boxes in flight and finishAll lands them', () => {
+    const { animator, frame } = createAnimator('drop');
+    const mesh = createMesh(0, 0, 0);
+
+    animator.animate(mesh, 1000);
+    frame(40);
+    const heightAtPause = mesh.drawnAt.y;
+
+    animator.pause();
+    frame(500);
+    animator.resume();
+    frame(0);
+    assert.strictEqual(mesh.drawnAt.y, heightAtPause);
+
+    animator.finishAll();
+    assert.strictEqual(animator.isAnimating(), false);
+    assert.strictEqual(mesh.drawnAt.y, 0);
+});
+
+test('unknown styles are rejected and dispose stops listening to frames', () => {
+    const { animator, hasListener } = createAnimator('drop');
+
+    assert.throws(() => animator.setStyle('teleport'), /Unknown placement style/);
+    animator.setStyle('robot');
+    assert.strictEqual(animator.style, 'robot');
+
+    animator.dispose();
+    assert.strictEqual(hasListener(), false);
+});
+
+test('pointAlong measures fractions by distance along the path', () => {
+    const path = [{ x: 0, y: 0, z: 0 }, { x: 0, y: 3, z: 0 }, { x: 1, y: 3, z: 0 }];
+
+    assert.deepStrictEqual({ ...browser.PlacementAnimator.pointAlong(path, 0.5) }, { x: 0, y: 2, z: 0 });
+    assert.deepStrictEqual({ ...browser.PlacementAnimator.pointAlong(path, 0.875) }, { x: 0.5, y: 3, z: 0 });
+    assert.deepStrictEqual({ ...browser.PlacementAnimator.pointAlong(path, 1) }, { x: 1, y: 3, z: 0 });
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+const { readPlan, buildEvents } = require('../scripts/mock-placement-stream');
+
+const browser = loadBrowserScripts(['placement-stream.js'], { setTimeout, clearTimeout });
+
+// Stands in for the browser WebSocket; the test drives open, messages and close
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.closed = false;
+        FakeWebSocket.instances.push(this);
+    }
+
+    open() {
+        this.onopen();
+    }
+
+    send(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+
+    drop() {
+        this.onclose();
+    }
+
+    close() {
+        this.closed = true;
+        this.onclose();
+    }
+}
+FakeWebSocket.instances = [];
+
+function createStream(options = {}) {
+    FakeWebSocket.instances = [];
+    const received = { placements: [], statuses: [], completed: false, error: null };
+
+    const stream = new browser.PlacementStream('ws://backend/jobs/1/stream', {
+        onPlacement: placement => received.placements.push(`${placement.palletIndex}:${placement.sequence}`),
+        onComplete: () => { received.completed = true; },
+        onStatus: status => received.statuses.push(status),
+        onError: error => { received.error = error; }
+    }, { WebSocket: FakeWebSocket, reconnectDelay: 1, ...options });
+
+    return { stream, received };
+}
+
+function placement(id, palletIndex, sequence) {
+    return { id, type: 'placement', palletIndex, sequence, coordinates: {} };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('the sequencer releases placements in order and drops duplicates', () => {
+    const sequencer = new browser.PlacementSequencer();
+    sequencer.addPallet(0, 0);
+
+    // Arrays from the script context are copied so they compare with Node arrays
+    const sequences = ready => Array.from(ready, item => item.sequence);
+
+    assert.deepStrictEqual(sequences(sequencer.push({ palletIndex: 0, sequence: 1 })), []);
+    assert.deepStrictEqual(sequences(sequencer.push({ palletIndex: 0, sequence: 1 })), []);
+    assert.strictEqual(sequencer.getPendingCount(), 1);
+    assert.deepStrictEqual(sequences(sequencer.push({ palletIndex: 0, sequence: 0 })), [0, 1]);
+    assert.deepStrictEqual(sequences(sequencer.push({ palletIndex: 0, sequence: 0 })), []);
+    assert.deepStrictEqual(sequences(sequencer.push({ palletIndex: 0, sequence: 3 })), []);
+    assert.deepStrictEqual(sequences(sequencer.flush()), [3]);
+    assert.strictEqual(sequencer.getPendingCount(), 0);
+});
+
+test('out-of-order placements reach the viewer in sequence order', () => {
+    const { stream, received } = createStream();
+    stream.connect();
+    const socket = FakeWebSocket.instances[0];
+
+    socket.open();
+    socket.send({ id: 1, type: 'order', orderId: 7 });
+    socket.send({ id: 2, type: 'pallet', palletIndex: 0, firstSequence: 0 });
+    socket.send(placement(3, 0, 1));
+    socket.send(placement(4, 0, 0));
+    socket.send(placement(5, 0, 2));
+    socket.send({ id: 6, type: 'pallet', palletIndex: 1, firstSequence: 0 });
+    socket.send(placement(7, 1, 0));
+    socket.send({ id: 8, type: 'complete' });
+
+    assert.deepStrictEqual(received.placements, ['0:0', '0:1', '0:2', '1:0']);
+    assert.strictEqual(received.completed, true);
+    assert.strictEqual(socket.closed, true);
+    assert.deepStrictEqual(received.statuses, ['connecting', 'live', 'completed']);
+});
+
+test('a dropped connection resumes after the last event without repeating boxes', async () => {
+    const { stream, received } = createStream();
+    stream.connect();
+    const first = FakeWebSocket.instances[0];
+
+    first.open();
+    first.send({ id: 1, type: 'pallet', palletIndex: 0, firstSequence: 0 });
+    first.send(placement(2, 0, 0));
+    first.send(placement(3, 0, 2));
+    first.drop();
+
+    await wait(20);
+    const second = FakeWebSocket.instances[1];
+    assert.strictEqual(second.url, 'ws://backend/jobs/1/stream?after=3');
+
+    // The server may repeat events around the reconnect
+    second.open();
+    second.send(placement(3, 0, 2));
+    second.send(placement(4, 0, 1));
+    second.send({ id: 5, type: 'complete' });
+
+    assert.deepStrictEqual(received.placements, ['0:0', '0:1', '0:2']);
+    assert.ok(received.statuses.includes('reconnecting'));
+    assert.strictEqual(received.completed, true);
+});
+
+test('the stream fails once the reconnect attempts are used up', async () => {
+    const { stream, received } = createStream({ maxReconnectAttempts: 2 });
+    stream.connect();
+
+    FakeWebSocket.instances[0].open();
+    FakeWebSocket.instances[0].drop();
+    await wait(10);
+    FakeWebSocket.instances[1].drop();
+    await wait(10);
+    FakeWebSocket.instances[2].drop();
+
+    assert.strictEqual(FakeWebSocket.instances.length, 3);
+    assert.strictEqual(received.error.message, 'Stream lost after 2 reconnect attempts');
+    assert.strictEqual(stream.status, 'failed');
+});
+
+test('a stream that never connected fails after one retry', async () => {
+    const { stream, received } = createStream({ reconnectDelay: 5 });
+    stream.connect();
+
+    FakeWebSocket.instances[0].drop();
+    await wait(20);
+    FakeWebSocket.instances[1].drop();
+
+    // The default 10 attempts only apply once the stream has been live
+    assert.strictEqual(FakeWebSocket.instances.length, 2);
+    assert.strictEqual(received.error.message, 'Stream not reachable at ws://backend/jobs/1/stream');
+    assert.strictEqual(stream.status, 'failed');
+    assert.deepStrictEqual(received.statuses, ['connecting', 'reconnecting', 'failed']);
+});
+
+test('the mock stream sends every placement of the sample plan once', () => {
+    const plan = readPlan(path.join(__dirname, '..', 'GUI', '3d-viewer', 'data', 'simulation.txt'));
+    const events = buildEvents(plan);
+    const placements = events.filter(event => event.type === 'placement');
+
+    assert.deepStrictEqual(events.map(event => event.id), events.map((event, index) => index + 1));
+    assert.strictEqual(events[events.length - 1].type, 'complete');
+    assert.strictEqual(placements.length, plan.pallets.reduce((sum, pallet) => sum + pallet.boxes.length, 0));
+    assert.ok(placements.some((event, index) => index > 0
+        && event.palletIndex === placements[index - 1].palletIndex
+        && event.sequence < placements[index - 1].sequence), 'some placements are out of order');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'pallet-metrics.js', 'plan-compare.js'
+]);
+
+const loader = new browser.PalletDataLoader(null);
+const dimensions = { x: 1200, y: 800, z: 1500 };
+
+// Box model in mm on a 1200 × 800 pallet: corner (x, y, z), size (l, w, h), weight in g
+function box(sequence, itemType, x, y, z, l = 400, w = 400, h = 200, weight = 1000) {
+    return loader.createBoxModel({
+        sequence, itemType, weight, k: 0, irregular: 0,
+        coordinates: { xmin: x, ymin: y, zmin: z, xmax: x + l, ymax: y + w, zmax: z + h }
+    }, dimensions);
+}
+
+function sequencesOf(boxes) {
+    return Array.from(boxes, entry => entry.sequence);
+}
+
+test('boxes in the same place match whatever their sequence', () => {
+    const comparator = new browser.PlanComparator();
+    const a = [box(1, 1, 0, 0, 0), box(2, 1, 400, 0, 0)];
+    const b = [box(1, 1, 400, 0, 0), box(2, 1, 0, 0, 0)];
+
+    const match = comparator.matchBoxes(a, b);
+
+    assert.strictEqual(match.pairs.length, 2);
+    assert.ok(match.pairs.every(pair => !pair.moved));
+    assert.strictEqual(match.statusA.size, 0);
+    assert.strictEqual(match.statusB.size, 0);
+});
+
+test('left-over boxes pair up as moved, extra ones are in one plan only', () => {
+    const comparator = new browser.PlanComparator();
+    const a = [box(1, 1, 0, 0, 0), box(2, 1, 400, 0, 0), box(3, 2, 800, 0, 0)];
+    const b = [box(1, 1, 0, 0, 0), box(2, 1, 400, 400, 0), box(3, 3, 800, 0, 0), box(4, 1, 0, 400, 0)];
+
+    const match = comparator.matchBoxes(a, b);
+    const moved = match.pairs.filter(pair => pair.moved);
+
+    assert.strictEqual(moved.length, 1);
+    assert.strictEqual(moved[0].a.sequence, 2);
+    assert.strictEqual(moved[0].b.sequence, 2);
+    assert.strictEqual(moved[0].distance, 400);
+    assert.deepStrictEqual(sequencesOf(match.onlyA), [3]);
+    assert.deepStrictEqual(sequencesOf(match.onlyB), [4, 3]);
+    assert.strictEqual(match.statusB.get(b[1]), 'moved');
+    assert.strictEqual(match.statusB.get(b[2]), 'only');
+    assert.strictEqual(match.statusA.has(a[0]), false);
+});
+
+test('summaries use the metrics panel formulas', () => {
+    const comparator = new browser.PlanComparator({ palletMetrics: new browser.PalletMetrics() });
+    // Two 3 kg boxes filling the pallet footprint, 200mm high
+    const boxes = [box(1, 1, 0, 0, 0, 600, 800, 200, 3000), box(2, 1, 600, 0, 0, 600, 800, 200, 3000)];
+
+    const summary = comparator.summarize(boxes, dimensions);
+
+    assert.strictEqual(summary.boxCount, 2);
+    assert.strictEqual(summary.heightMm, 200);
+    assert.strictEqual(summary.volumeEfficiency, 100);
+    assert.ok(summary.centerOfMassCm < 1e-9);
+    assert.strictEqual(summary.totalWeightKg, 6);
+    assert.ok(summary.lsi > 0 && summary.lsi <= 100);
+});
+
+test('metric rows show B − A and which side is better', () => {
+    const comparator = new browser.PlanComparator();
+    const rows = comparator.getMetricRows(
+        { boxCount: 10, heightMm: 1000, volumeEfficiency: 80, centerOfMassCm: 5, lsi: null, totalWeightKg: 50 },
+        { boxCount: 12, heightMm: 1100, volumeEfficiency: 75, centerOfMassCm: 3, lsi: null, totalWeightKg: 50 }
+    );
+    const byKey = Object.fromEntries(Array.from(rows, row => [row.key, row]));
+
+    assert.deepStrictEqual(Array.from(rows, row => row.key),
+        ['boxCount', 'heightMm', 'volumeEfficiency', 'centerOfMassCm', 'lsi', 'totalWeightKg']);
+    assert.strictEqual(byKey.boxCount.delta, 2);
+    assert.strictEqual(byKey.boxCount.better, null);
+    assert.strictEqual(byKey.volumeEfficiency.better, 'a');
+    assert.strictEqual(byKey.centerOfMassCm.better, 'b');
+    assert.strictEqual(byKey.lsi.delta, null);
+    assert.strictEqual(byKey.totalWeightKg.better, null);
+});
+
+test('a pallet compared with itself has no differences', () => {
+    loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const boxes = loader.getSortedBoxes(0);
+
+    const match = new browser.PlanComparator().matchBoxes(boxes, [...boxes].reverse());
+
+    assert.strictEqual(match.pairs.length, boxes.length);
+    assert.strictEqual(match.onlyA.length + match.onlyB.length, 0);
+    assert.ok(match.pairs.every(pair => !pair.moved));
+});
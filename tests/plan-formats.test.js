@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js',
+    'crosslog-writer.js',
+    'plan-import-report.js',
+    'json-plan-format.js',
+    'csv-plan-format.js',
+    'plan-formats.js'
+]);
+
+// Compare through JSON so objects from the script context and Node match structurally
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Raw boxes without parser bookkeeping, so formats can be compared
+function boxesOf(result) {
+    return plain(result.pallets.map(pallet => pallet.boxes.map(({ sourceLine, ...box }) => box)));
+}
+
+const crosslog = browser.planFormats.read(readDataFile('simulation.txt'), 'simulation.txt');
+
+test('format is detected from extension and content', () => {
+    const formats = browser.planFormats;
+
+    assert.strictEqual(formats.detectFormat('[order_id]\n1', 'plan.txt').id, 'crosslog');
+    assert.strictEqual(formats.detectFormat('{"pallets": []}', 'plan.txt').id, 'json');
+    assert.strictEqual(formats.detectFormat('pallet_id;xmin;ymin', 'export.txt').id, 'csv');
+    assert.strictEqual(formats.detectFormat('anything', 'plan.json').id, 'json');
+    assert.strictEqual(formats.detectFormat('anything', 'plan.csv').id, 'csv');
+});
+
+test('JSON export reads back to the same pallets and boxes', () => {
+    const json = browser.planFormats.write('json', crosslog.orderInfo, crosslog.pallets);
+    const result = browser.planFormats.read(json, 'plan.json');
+
+    assert.strictEqual(result.format, 'json');
+    assert.strictEqual(result.summary.errorCount, 0);
+    assert.deepStrictEqual(plain(result.orderInfo), plain(crosslog.orderInfo));
+    assert.deepStrictEqual(boxesOf(result), boxesOf(crosslog));
+    assert.deepStrictEqual(plain(result.pallets[1].metadata.volumeMetrics), plain(crosslog.pallets[1].metadata.volumeMetrics));
+});
+
+test('CSV export reads back to the same pallets and boxes', () => {
+    const csv = browser.planFormats.write('csv', crosslog.orderInfo, crosslog.pallets);
+    const result = browser.planFormats.read(csv, 'plan.csv');
+
+    assert.strictEqual(result.format, 'csv');
+    assert.strictEqual(result.summary.errorCount, 0);
+    assert.strictEqual(result.pallets.length, 3);
+    assert.deepStrictEqual(plain(result.pallets[0].metadata.dimensions), { x: 1200, y: 800, z: 1500 });
+    assert.strictEqual(result.pallets[2].metadata.totalLoad, crosslog.pallets[2].metadata.totalLoad);
+    assert.deepStrictEqual(boxesOf(result), boxesOf(crosslog));
+});
+
+test('plan check issues are exported and ignored on import', () => {
+    const issue = { field: 'overlap', severity: 'error', message: 'Boxes 1 and 2 intersect', sequences: [2, 1] };
+    const pallets = crosslog.pallets.map((pallet, index) => ({ ...pallet, validation: index === 0 ? [issue] : [] }));
+    const sequence = pallets[0].boxes[0].sequence;
+    pallets[0].validation = [{ ...issue, sequences: [sequence] }, { ...issue, field: 'support', sequences: [sequence] }];
+
+    const json = JSON.parse(browser.planFormats.write('json', crosslog.orderInfo, pallets));
+    assert.deepStrictEqual(json.pallets[0].issues.map(entry => entry.check), ['overlap', 'support']);
+    assert.deepStrictEqual(json.pallets[1].issues, []);
+
+    const csv = browser.planFormats.write('csv', crosslog.orderInfo, pallets);
+    assert.ok(csv.split('\n')[1].endsWith(',overlap;support'));
+
+    const result = browser.planFormats.read(csv, 'plan.csv');
+    assert.strictEqual(result.summary.warningCount, 0);
+    assert.deepStrictEqual(boxesOf(result), boxesOf(crosslog));
+});
+
+test('minimal semicolon CSV uses EUR pallet defaults', () => {
+    const csv = [
+        'pallet_id;xmin;ymin;zmin;xmax;ymax;zmax;sequence;item_type;weight',
+        '7;0;0;0;400;300;200;0;1;1500',
+        '7;400;0;0;800;300;200;1;1;2500'
+    ].join('\n');
+
+    const result = browser.planFormats.read(csv, 'plan.csv');
+    const pallet = result.pallets[0];
+
+    assert.strictEqual(result.summary.errorCount, 0);
+    assert.strictEqual(pallet.metadata.palletId, 7);
+    assert.deepStrictEqual(plain(pallet.metadata.dimensions), { x: 1200, y: 800, z: 1500 });
+    assert.strictEqual(pallet.metadata.totalLoad, 4000);
+    assert.strictEqual(pallet.metadata.volumeMetrics.occupiedVolume, 2 * 400 * 300 * 200);
+});
+
+test('CSV errors point at line and column and skip only that pallet', () => {
+    const csv = [
+        'pallet_id,xmin,ymin,zmin,xmax,ymax,zmax,sequence,item_type,weight',
+        '0,0,0,0,400,300,200,0,1,1500',
+        '1,0,0,0,abc,300,200,0,1,1500'
+    ].join('\n');
+
+    const result = browser.planFormats.read(csv, 'plan.csv');
+    const error = result.diagnostics.find(entry => entry.severity === 'error');
+
+    assert.strictEqual(result.pallets.length, 1);
+    assert.deepStrictEqual(plain(result.summary.skippedPallets), [1]);
+    assert.strictEqual(error.line, 3);
+    assert.strictEqual(error.column, 9);
+    assert.strictEqual(error.field, 'xmax');
+});
+
+test('JSON errors name the field path', () => {
+    const json = JSON.stringify({
+        order: { orderId: 3 },
+        pallets: [{ dimensions: { x: 1200, y: 800, z: 1500 }, weight: 25000, boxes: [{ sequence: 0, itemType: 1, coordinates: {} }] }]
+    });
+
+    const result = browser.planFormats.read(json, 'plan.json');
+
+    assert.strictEqual(result.pallets.length, 0);
+    assert.ok(result.diagnostics.some(entry => entry.field === 'pallets[0].boxes[0].coordinates.xmin'));
+    assert.ok(result.diagnostics.some(entry => entry.field === 'pallets[0].boxes[0].weight'));
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+const { box } = require('./helpers/boxes');
+
+const browser = loadBrowserScripts(['stacking-load.js', 'item-catalogue.js', 'plan-validator.js']);
+
+function pallet(boxes, dimensions = { x: 1200, y: 800, z: 1500 }) {
+    return { id: 0, metadata: { dimensions }, boxes };
+}
+
+function checksOf(issues) {
+    return Array.from(issues, issue => `${issue.severity}:${issue.field}:${issue.sequence}`);
+}
+
+test('a tidy stack has no issues', () => {
+    const validator = new browser.PlanValidator();
+    const boxes = [
+        box(1, 0, 0, 0, 600, 400, 300),
+        box(2, 600, 0, 0, 600, 400, 300),
+        box(3, 0, 0, 300, 600, 400, 300)
+    ];
+
+    assert.deepStrictEqual(checksOf(validator.validatePallet(pallet(boxes), 0)), []);
+});
+
+test('intersecting boxes are reported once with both sequences', () => {
+    const validator = new browser.PlanValidator();
+    const boxes = [
+        box(1, 0, 0, 0, 600, 400, 300),
+        box(2, 500, 0, 0, 600, 400, 300)
+    ];
+
+    const issues = validator.validatePallet(pallet(boxes), 2);
+
+    assert.deepStrictEqual(checksOf(issues), ['error:overlap:2']);
+    assert.strictEqual(issues[0].message, 'Boxes 1 and 2 intersect (100 × 400 × 300 mm)');
+    assert.deepStrictEqual(Array.from(issues[0].sequences), [2, 1]);
+    assert.strictEqual(issues[0].palletIndex, 2);
+    assert.strictEqual(issues[0].boxIndex, 1);
+});
+
+test('boxes touching within the tolerance do not intersect', () => {
+    const validator = new browser.PlanValidator();
+    const boxes = [
+        box(1, 0, 0, 0, 600, 400, 300),
+        box(2, 599.5, 0, 0, 600, 400, 300)
+    ];
+
+    assert.deepStrictEqual(checksOf(validator.validatePallet(pallet(boxes), 0)), []);
+});
+
+test('overhang and height limit are warnings, boxes below the pallet top are errors', () => {
+    const validator = new browser.PlanValidator();
+    const boxes = [
+        box(1, 900, 0, 0, 400, 400, 300),
+        box(2, 0, 0, -20, 400, 400, 300),
+        box(3, 0, 400, 0, 400, 400, 1600)
+    ];
+
+    const issues = validator.validatePallet(pallet(boxes), 0);
+
+    assert.deepStrictEqual(checksOf(issues), ['warning:bounds:1', 'error:bounds:2', 'warning:height:3']);
+    assert.strictEqual(issues[0].message, 'Box 1 extends 100mm beyond the pallet footprint');
+});
+
+test('floating boxes are errors and partly supported ones warnings', () => {
+    const validator = new browser.PlanValidator({ minSupportRatio: 0.7 });
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 300),
+        box(2, 200, 0, 300, 400, 400, 300),
+        box(3, 800, 0, 500, 400, 400, 300)
+    ];
+
+    const issues = validator.validatePallet(pallet(boxes), 0);
+
+    assert.deepStrictEqual(checksOf(issues), ['warning:support:2', 'error:support:3']);
+    assert.match(issues[0].message, /Only 50% of box 2's base/);
+    assert.strictEqual(validator.getSupportRatio(boxes[0], boxes), null);
+});
+
+test('duplicate sequences and worst severity per box', () => {
+    const validator = new browser.PlanValidator();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 300),
+        box(1, 400, 0, 0, 400, 400, 300),
+        box(2, 200, 0, 300, 400, 400, 300),
+        box(3, 1000, 0, 0, 400, 400, 300)
+    ];
+
+    const issues = validator.validatePallet(pallet(boxes), 0);
+    const severities = validator.getSeverityBySequence(issues);
+
+    assert.deepStrictEqual(checksOf(issues), ['error:sequence:1', 'warning:bounds:3']);
+    assert.strictEqual(severities.get(1), 'error');
+    assert.strictEqual(severities.get(3), 'warning');
+    assert.strictEqual(severities.has(2), false);
+});
+
+test('order totals count errors and warnings across pallets', () => {
+    const validator = new browser.PlanValidator();
+    const first = pallet([box(1, 0, 0, 0, 600, 400, 300), box(2, 300, 0, 0, 600, 400, 300)]);
+    const second = { ...pallet([box(1, 1100, 0, 0, 400, 400, 300)]), id: 4 };
+
+    const result = validator.validateOrder([first, second]);
+
+    assert.strictEqual(result.errorCount, 1);
+    assert.strictEqual(result.warningCount, 1);
+    assert.strictEqual(result.issues[1].palletIndex, 4);
+});
+
+test('catalogue rules: nothing on fragile items and no more than the maximum stack load', () => {
+    const catalogue = new browser.ItemCatalogue([
+        { itemType: 7, name: 'Glasses', fragile: true, maxStackLoad: null },
+        { itemType: 8, name: 'Tins', maxStackLoad: 3000 }
+    ]);
+    const validator = new browser.PlanValidator({ catalogue, loadAnalyzer: new browser.StackingLoadAnalyzer() });
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 300, { itemType: 7 }),
+        box(2, 400, 0, 0, 400, 400, 300, { itemType: 8 }),
+        box(3, 0, 0, 300, 800, 400, 300, { weight: 8000 })
+    ];
+
+    const issues = validator.validatePallet(pallet(boxes), 0);
+
+    assert.deepStrictEqual(checksOf(issues), ['warning:fragile:1', 'error:stackLoad:2']);
+    assert.strictEqual(issues[0].message, 'Box 1 (Glasses) is fragile but carries box 3');
+    assert.deepStrictEqual(Array.from(issues[0].sequences), [1, 3]);
+    assert.strictEqual(issues[1].message, 'Box 2 (Tins) carries 4 kg, above its 3 kg maximum');
+});
+
+test('this-side-up boxes standing at another height than their type are flagged', () => {
+    const catalogue = new browser.ItemCatalogue([{ itemType: 5, name: 'Oil', thisSideUp: true }]);
+    const validator = new browser.PlanValidator({ catalogue });
+    const boxes = [
+        box(1, 0, 0, 0, 300, 200, 400, { itemType: 5 }),
+        box(2, 300, 0, 0, 300, 200, 400, { itemType: 5 }),
+        // Same box tipped onto its side
+        box(3, 600, 0, 0, 400, 300, 200, { itemType: 5 }),
+        // Another size of the same item type
+        box(4, 0, 400, 0, 300, 300, 250, { itemType: 5 })
+    ];
+
+    const issues = validator.validatePallet(pallet(boxes), 0);
+
+    assert.deepStrictEqual(checksOf(issues), ['warning:orientation:3']);
+    assert.match(issues[0].message, /stands 200mm high, other boxes of its type 400mm/);
+});
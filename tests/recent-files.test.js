@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const RecentFiles = require('../recent-files');
+
+async function createStorePath(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recent-files-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return path.join(directory, 'recent-files.json');
+}
+
+test('reopened files move to the top and the list survives a restart', async (t) => {
+    const storePath = await createStorePath(t);
+    const recent = new RecentFiles(storePath);
+    await recent.load();
+
+    await recent.add('/plans/monday.txt');
+    await recent.add('/plans/tuesday.json');
+    await recent.add('/plans/monday.txt');
+
+    const restarted = new RecentFiles(storePath);
+    const entries = await restarted.load();
+
+    assert.deepStrictEqual(entries.map(entry => entry.path), ['/plans/monday.txt', '/plans/tuesday.json']);
+    assert.strictEqual(entries[1].name, 'tuesday.json');
+});
+
+test('the list is capped and entries can be removed or cleared', async (t) => {
+    const recent = new RecentFiles(await createStorePath(t), 3);
+    await recent.load();
+
+    for (const name of ['a', 'b', 'c', 'd']) {
+        await recent.add(`/plans/${name}.csv`);
+    }
+    assert.deepStrictEqual(recent.list().map(entry => entry.name), ['d.csv', 'c.csv', 'b.csv']);
+
+    await recent.remove('/plans/c.csv');
+    assert.deepStrictEqual(recent.list().map(entry => entry.name), ['d.csv', 'b.csv']);
+
+    assert.deepStrictEqual(await recent.clear(), []);
+});
+
+test('a damaged store starts an empty list', async (t) => {
+    const storePath = await createStorePath(t);
+    await fs.writeFile(storePath, '{ not json', 'utf8');
+
+    const recent = new RecentFiles(storePath);
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepStrictEqual(await recent.load(), []);
+});
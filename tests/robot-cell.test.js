@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['robot-cell.js']);
+
+const PALLET = { x: 1200, y: 800, z: 1500 };
+
+function box(sequence, xmin, ymin, zmin, size = 200) {
+    return {
+        sequence,
+        coordinates: { xmin, xmax: xmin + size, ymin, ymax: ymin + size, zmin, zmax: zmin + size }
+    };
+}
+
+test('the gripper holds a box at the centre of its top face', () => {
+    const reach = new browser.RobotReach();
+
+    assert.deepStrictEqual({ ...reach.getGripPoint(box(1, 0, 0, 200), PALLET) }, { x: -500, y: -300, z: 400 });
+});
+
+test('the pose is measured from the robot column', () => {
+    const reach = new browser.RobotReach({ base: { x: 0, y: -1000 } });
+    const pose = reach.getPose({ x: 300, y: -600, z: 250 });
+
+    assert.strictEqual(pose.radius, 500);
+    assert.strictEqual(pose.height, 250);
+    assert.ok(Math.abs(pose.angle - Math.atan2(400, 300)) < 1e-9);
+});
+
+test('every placement of a standard pallet is within the default reach', () => {
+    const reach = new browser.RobotReach();
+    const corners = [box(1, 0, 0, 0), box(2, 1000, 0, 0), box(3, 0, 600, 0), box(4, 1000, 600, 1200)];
+
+    assert.strictEqual(reach.checkPlacements(corners, PALLET).length, 0);
+    assert.strictEqual(reach.checkPoint(reach.config.pickStation).length, 0);
+});
+
+test('placements too far, too close or too high are reported with their sequence', () => {
+    const reach = new browser.RobotReach({ base: { x: 0, y: -600 }, reach: 1000, minReach: 300, maxHeight: 1000 });
+    const boxes = [
+        box(1, 500, 300, 0),      // Grip point (0, 0): 600mm away, fine
+        box(2, 1100, 500, 0),     // (600, 200): 1000mm away, still fine
+        box(3, 1100, 500, 400),   // Same spot but 600mm high: fine
+        box(4, 500, 0, 1000),     // (0, -300) is 300mm away, but 1200mm high
+        box(5, 500, -250, 0)      // (0, -550): 50mm from the column
+    ];
+    const far = new browser.RobotReach({ ...reach.config, reach: 900 });
+
+    const warnings = reach.checkPlacements(boxes, PALLET);
+    assert.deepStrictEqual(Array.from(warnings, warning => warning.sequence), [4, 5]);
+    assert.match(warnings[0].reasons[0], /1200mm above the pallet \(lift 1000mm\)/);
+    assert.match(warnings[1].reasons[0], /50mm from the robot axis \(minimum 300mm\)/);
+
+    const farWarnings = far.checkPlacements(boxes, PALLET);
+    assert.deepStrictEqual(Array.from(farWarnings, warning => warning.index), [1, 2, 3, 4]);
+    assert.match(farWarnings[0].reasons[0], /1000mm from the robot axis \(reach 900mm\)/);
+});
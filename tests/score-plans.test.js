@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+const { COLUMNS, scoreFolder, toCsv, getReportPaths, runCli } = require('../scripts/score-plans');
+
+function createFolder(t, files) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'score-plans-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(folder, name)), { recursive: true });
+        fs.writeFileSync(path.join(folder, name), content);
+    });
+    return folder;
+}
+
+function quietly(callback) {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return callback();
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+}
+
+test('every pallet of every plan file gets the metrics panel figures', (t) => {
+    const folder = createFolder(t, {
+        'run-1.txt': readDataFile('simulation.txt'),
+        'notes.md': 'not a plan',
+        'nested/run-2.txt': readDataFile('simulation.txt')
+    });
+    const report = scoreFolder(folder);
+
+    assert.deepStrictEqual(report.files.map(file => file.file), ['run-1.txt']);
+    assert.strictEqual(report.pallets.length, 3);
+    assert.deepStrictEqual(report.pallets.map(row => row.palletIndex), [0, 1, 2]);
+    assert.strictEqual(report.totals.palletCount, 3);
+
+    // Same numbers as the viewer's own core
+    const browser = loadBrowserScripts([
+        'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+        'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'pallet-metrics.js'
+    ]);
+    const loader = new browser.PalletDataLoader(null);
+    loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const pallet = loader.allPallets[0];
+    const metrics = new browser.PalletMetrics().calculate(pallet.boxes, pallet.metadata.dimensions);
+    const row = report.pallets[0];
+
+    assert.strictEqual(row.boxCount, pallet.boxes.length);
+    assert.ok(Math.abs(row.volumeEfficiency - metrics.volume.efficiency) < 0.01);
+    assert.ok(Math.abs(row.centerOfMassCm - metrics.centerOfMass.deviationCm) < 0.01);
+    assert.ok(Math.abs(row.lsi - metrics.lsi.value) < 0.1);
+    assert.ok(Math.abs(row.totalWeightKg - metrics.totalWeightKg) < 0.001);
+    assert.strictEqual(row.crosslogM1, pallet.metadata.volumeMetrics.efficiency1);
+    assert.strictEqual(row.lsiRating, metrics.lsi.stabilityRating);
+    assert.strictEqual(typeof row.validationErrors, 'number');
+
+    assert.strictEqual(scoreFolder(folder, { recursive: true }).files.length, 2);
+});
+
+test('files that cannot be read are reported instead of stopping the run', (t) => {
+    const folder = createFolder(t, {
+        'good.txt': readDataFile('simulation.txt'),
+        'broken.json': '{',
+        'empty.txt': 'garbage'
+    });
+    const report = scoreFolder(folder);
+    const failed = report.files.filter(file => file.error).map(file => file.file);
+
+    assert.deepStrictEqual(failed, ['broken.json', 'empty.txt']);
+    assert.strictEqual(report.totals.failedFileCount, 2);
+    assert.strictEqual(report.totals.palletCount, 3);
+    assert.ok(report.pallets.find(row => row.file === 'broken.json').error.length > 0);
+});
+
+test('CSV has one line per row and quotes what needs it', () => {
+    const csv = toCsv([{ file: 'a, "b".txt', boxCount: 4, weightBalanced: false, lsi: null }]);
+    const [header, line] = csv.trim().split('\n');
+
+    assert.strictEqual(header, COLUMNS.join(','));
+    assert.ok(line.startsWith('"a, ""b"".txt",,,,,4,'));
+    assert.strictEqual(line.split(',').length, COLUMNS.length + 1);
+    assert.deepStrictEqual(getReportPaths('/tmp/scores.csv', 'both'), ['/tmp/scores.csv', '/tmp/scores.json']);
+    assert.deepStrictEqual(getReportPaths('/tmp/scores', 'json'), ['/tmp/scores.json']);
+});
+
+test('the command writes the report, leaves it out of the next run and signals failures', (t) => {
+    const folder = createFolder(t, { 'good.txt': readDataFile('simulation.txt') });
+    const out = path.join(folder, 'scores');
+
+    assert.strictEqual(quietly(() => runCli([folder, '--out', out])), 0);
+    const report = JSON.parse(fs.readFileSync(`${out}.json`, 'utf8'));
+    assert.strictEqual(report.pallets.length, 3);
+    assert.strictEqual(fs.readFileSync(`${out}.csv`, 'utf8').trim().split('\n').length, 4);
+
+    // The CSV report is a plan extension too, but is not scored as one
+    assert.strictEqual(quietly(() => runCli([folder, '--out', out])), 0);
+
+    fs.writeFileSync(path.join(folder, 'broken.json'), '{');
+    assert.strictEqual(quietly(() => runCli([folder, '--out', out, '--format', 'csv'])), 1);
+    assert.strictEqual(quietly(() => runCli([path.join(folder, 'missing')])), 2);
+    assert.strictEqual(quietly(() => runCli([folder, '--format', 'xml'])), 2);
+});
+
+test('unknown options and a second folder are argument errors', (t) => {
+    const folder = createFolder(t, { 'good.txt': readDataFile('simulation.txt') });
+    const out = path.join(folder, 'scores');
+    const errors = [];
+    const run = argv => quietly(() => {
+        console.error = message => errors.push(message);
+        return runCli(argv);
+    });
+
+    assert.strictEqual(run([folder, '--formt', 'csv', '--out', out]), 2);
+    assert.strictEqual(errors[0], 'Unknown option: --formt');
+
+    assert.strictEqual(run([folder, 'csv', '--out', out]), 2);
+    assert.ok(errors.includes(`Only one folder can be scored, got ${folder} and csv`));
+    assert.ok(!fs.existsSync(`${out}.csv`));
+});
+
+test('a report that cannot be written is an error of its own', (t) => {
+    const folder = createFolder(t, { 'good.txt': readDataFile('simulation.txt') });
+    const out = path.join(folder, 'missing-folder', 'scores');
+    const errors = [];
+
+    assert.strictEqual(quietly(() => {
+        console.error = message => errors.push(message);
+        return runCli([folder, '--out', out, '--format', 'csv']);
+    }), 2);
+
+    assert.ok(errors.some(message => message.startsWith(`Cannot write report ${out}.csv: `)));
+    assert.ok(!fs.existsSync(`${out}.csv`));
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+const { box } = require('./helpers/boxes');
+
+const browser = loadBrowserScripts(['color-modes.js', 'stacking-load.js']);
+
+function loadsOf(result) {
+    return Object.fromEntries(Array.from(result.entries, entry => [entry.sequence, Math.round(entry.load)]));
+}
+
+test('a box bridging two others splits its weight by contact area', () => {
+    const analyzer = new browser.StackingLoadAnalyzer();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 300, { weight: 5000 }),
+        box(2, 400, 0, 0, 400, 400, 300, { weight: 5000 }),
+        // 300mm over box 1, 100mm over box 2
+        box(3, 100, 0, 300, 400, 400, 300, { weight: 8000 })
+    ];
+
+    const result = analyzer.analyse(boxes);
+
+    assert.deepStrictEqual(loadsOf(result), { 1: 6000, 2: 2000, 3: 0 });
+    assert.deepStrictEqual(Array.from(result.entries[2].supports, support => support.sequence), [1, 2]);
+    assert.strictEqual(result.palletLoad, 18000);
+});
+
+test('loads add up down the stack', () => {
+    const analyzer = new browser.StackingLoadAnalyzer();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200, { weight: 4000 }),
+        box(2, 0, 0, 200, 400, 400, 200, { weight: 3000 }),
+        box(3, 0, 0, 400, 400, 400, 200, { weight: 2000 }),
+        box(4, 0, 0, 603, 400, 400, 200, { weight: 1000 })
+    ];
+
+    const result = analyzer.analyse(boxes);
+
+    // Box 4 sits 3mm above box 3, within the contact tolerance
+    assert.deepStrictEqual(loadsOf(result), { 1: 6000, 2: 3000, 3: 1000, 4: 0 });
+    assert.strictEqual(result.unsupportedWeight, 0);
+});
+
+test('weight of floating boxes is reported instead of passed on', () => {
+    const analyzer = new browser.StackingLoadAnalyzer();
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200, { weight: 4000 }),
+        box(2, 0, 0, 250, 400, 400, 200, { weight: 3000 })
+    ];
+
+    const result = analyzer.analyse(boxes);
+
+    assert.strictEqual(result.unsupportedWeight, 3000);
+    assert.strictEqual(result.palletLoad, 4000);
+    assert.strictEqual(result.entries[0].load, 0);
+});
+
+test('loads are compared with the crush limit of each item type', () => {
+    const analyzer = new browser.StackingLoadAnalyzer({ defaultCrushLimit: 10000, crushLimits: { 7: 2000 } });
+    const boxes = [
+        box(1, 0, 0, 0, 400, 400, 200, { weight: 4000, itemType: 7 }),
+        box(2, 400, 0, 0, 400, 400, 200, { weight: 4000, itemType: 8 }),
+        box(3, 0, 0, 200, 800, 400, 200, { weight: 6000, itemType: 8 })
+    ];
+
+    const result = analyzer.analyse(boxes);
+
+    assert.strictEqual(result.entries[0].limit, 2000);
+    assert.strictEqual(result.entries[0].ratio, 1.5);
+    assert.strictEqual(result.entries[0].overloaded, true);
+    assert.strictEqual(result.entries[1].ratio, 0.3);
+    assert.strictEqual(result.overloadedCount, 1);
+    assert.strictEqual(result.maxRatio, 1.5);
+});
+
+test('entries sort by any column with sequence as tie-break', () => {
+    const entries = [
+        { sequence: 3, load: 100 },
+        { sequence: 1, load: 500 },
+        { sequence: 2, load: 100 }
+    ];
+
+    const byLoad = browser.StackingLoadAnalyzer.sortEntries(entries, 'load');
+    const bySequence = browser.StackingLoadAnalyzer.sortEntries(entries, 'sequence', false);
+
+    assert.deepStrictEqual(Array.from(byLoad, entry => entry.sequence), [1, 2, 3]);
+    assert.deepStrictEqual(Array.from(bySequence, entry => entry.sequence), [1, 2, 3]);
+    assert.strictEqual(entries[0].sequence, 3);
+});
+
+test('overlay colours run from green through yellow to red, darker when overloaded', () => {
+    const color = browser.StackingLoadAnalyzer.getLoadColor;
+
+    assert.strictEqual(color(0), 0x2e7d32);
+    assert.strictEqual(color(0.5), 0xfdd835);
+    assert.strictEqual(color(1), 0xd32f2f);
+    assert.strictEqual(color(1.2), 0x7b0000);
+    // Halfway between yellow and red
+    assert.strictEqual(color(0.75), 0xe88432);
+});
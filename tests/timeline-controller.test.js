@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts(['timeline-controller.js']);
+
+// Manual clock and frame queue, so playback is driven step by step
+function createTimeline(boxCount = 10) {
+    const clock = { time: 0, frames: [] };
+    const events = { counts: [], states: [] };
+
+    const timeline = new browser.TimelineController({
+        boxInterval: 100,
+        now: () => clock.time,
+        requestFrame: callback => clock.frames.push(callback),
+        cancelFrame: () => { clock.frames = []; },
+        onSeek: count => events.counts.push(count),
+        onStateChange: state => events.states.push(state)
+    });
+    timeline.load(Array.from({ length: boxCount }, (value, index) => index * 2));
+
+    // Move the clock and run the frame that was waiting for it
+    const advance = ms => {
+        clock.time += ms;
+        const frames = clock.frames;
+        clock.frames = [];
+        frames.forEach(frame => frame());
+    };
+
+    return { timeline, events, advance };
+}
+
+test('playback shows the first box at once and one more per interval', () => {
+    const { timeline, events, advance } = createTimeline(3);
+
+    timeline.play();
+    assert.strictEqual(timeline.placedCount, 1);
+
+    advance(50);
+    assert.strictEqual(timeline.placedCount, 1);
+    advance(60);
+    assert.strictEqual(timeline.placedCount, 2);
+    advance(100);
+
+    assert.strictEqual(timeline.placedCount, 3);
+    assert.deepStrictEqual(events.counts, [1, 2, 3]);
+    assert.deepStrictEqual(events.states, ['playing', 'completed']);
+});
+
+test('speed scales the interval and is limited to 0.25x-16x', () => {
+    const { timeline, advance } = createTimeline(20);
+
+    timeline.setSpeed(4);
+    timeline.play();
+    advance(100);
+    assert.strictEqual(timeline.placedCount, 5);
+
+    timeline.setSpeed(100);
+    assert.strictEqual(timeline.speed, 16);
+    timeline.setSpeed(0.1);
+    assert.strictEqual(timeline.speed, 0.25);
+
+    // 1 box per 400ms now
+    advance(399);
+    assert.strictEqual(timeline.placedCount, 5);
+    advance(1);
+    assert.strictEqual(timeline.placedCount, 6);
+});
+
+test('pause and resume keep the playhead where it was', () => {
+    const { timeline, events, advance } = createTimeline(10);
+
+    timeline.play();
+    advance(250);
+    assert.strictEqual(timeline.placedCount, 3);
+
+    timeline.pause();
+    advance(1000);
+    assert.strictEqual(timeline.placedCount, 3);
+    assert.strictEqual(timeline.state, 'paused');
+
+    timeline.play();
+    assert.strictEqual(timeline.placedCount, 4);
+    assert.deepStrictEqual(events.states, ['playing', 'paused', 'playing']);
+});
+
+test('step, seek to a sequence number and finish move the playhead directly', () => {
+    const { timeline, events } = createTimeline(10);
+
+    timeline.step(1);
+    timeline.step(1);
+    timeline.step(-1);
+    assert.strictEqual(timeline.placedCount, 1);
+    assert.strictEqual(timeline.state, 'paused');
+
+    // Sequences are 0, 2, 4...; up to sequence 7 means four boxes
+    timeline.seekToSequence(7);
+    assert.strictEqual(timeline.placedCount, 4);
+
+    timeline.seek(-5);
+    assert.strictEqual(timeline.placedCount, 0);
+
+    timeline.finish();
+    assert.strictEqual(timeline.placedCount, 10);
+    assert.strictEqual(timeline.state, 'completed');
+    assert.deepStrictEqual(events.counts, [1, 2, 1, 4, 0, 10]);
+});
+
+test('reverse playback removes boxes down to an empty pallet', () => {
+    const { timeline, events, advance } = createTimeline(3);
+
+    timeline.finish();
+    timeline.reverse();
+    timeline.play();
+    assert.strictEqual(timeline.placedCount, 2);
+
+    advance(100);
+    assert.strictEqual(timeline.placedCount, 1);
+    advance(100);
+    assert.strictEqual(timeline.placedCount, 0);
+    assert.strictEqual(timeline.state, 'paused');
+
+    // Playing forward again from the start
+    timeline.reverse();
+    timeline.play();
+    assert.strictEqual(timeline.placedCount, 1);
+    assert.deepStrictEqual(events.counts, [3, 2, 1, 0, 1]);
+});
+
+test('playing a completed timeline starts over from the first box', () => {
+    const { timeline, events } = createTimeline(3);
+
+    timeline.finish();
+    timeline.play();
+
+    assert.strictEqual(timeline.placedCount, 1);
+    assert.deepStrictEqual(events.counts, [3, 0, 1]);
+    assert.strictEqual(timeline.state, 'playing');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readDataFile } = require('./helpers/browser-scripts');
+
+const browser = loadBrowserScripts([
+    'crosslog-parser.js', 'crosslog-writer.js', 'plan-import-report.js', 'json-plan-format.js',
+    'csv-plan-format.js', 'plan-formats.js', 'pallet-loader.js', 'pallet-metrics.js', 'bottom-metrics.js', 'layer-analysis.js', 'timeline-slider.js'
+]);
+
+const loader = new browser.PalletDataLoader({ boxes: [] });
+
+// Box model in mm, placed on a 1200 × 800 × 1500 pallet
+function box(sequence, coordinates, weight = 1000) {
+    return loader.createBoxModel({ sequence, itemType: 1, weight, coordinates, k: 0, irregular: 0 },
+        { x: 1200, y: 800, z: 1500 });
+}
+
+function at(xmin, ymin, zmin, size = 400, height = 200) {
+    return { xmin, ymin, zmin, xmax: xmin + size, ymax: ymin + size, zmax: zmin + height };
+}
+
+test('a layer starts when a box rests above the current layer base', () => {
+    const markers = new browser.TimelineMarkers();
+    const boxes = [
+        box(0, at(0, 0, 0)),
+        box(1, at(400, 0, 0)),
+        box(2, at(800, 0, 5)),        // within tolerance: same layer
+        box(3, at(0, 0, 200)),
+        box(4, at(400, 400, 0)),      // filling a gap lower down
+        box(5, at(0, 0, 400))
+    ];
+
+    const layers = markers.findLayerStarts(boxes);
+
+    assert.deepStrictEqual(Array.from(layers, marker => marker.index), [0, 3, 5]);
+    assert.strictEqual(layers[1].label, 'Layer 2 (box 4)');
+});
+
+test('warnings mark where a metric crosses its threshold, once per crossing', () => {
+    const markers = new browser.TimelineMarkers({
+        thresholds: { centerOfMassCm: 15 },
+        bottomMetricsCalculator: new browser.BottomMetricsCalculator()
+    });
+    const boxes = [
+        box(0, at(800, 400, 0)),      // corner box: far off centre
+        box(1, at(800, 400, 200)),
+        box(2, at(0, 0, 0)),          // opposite corner brings it back
+        box(3, at(800, 0, 0), 5000),  // heavy box pulls it off again
+        box(4, at(0, 0, 200, 400, 1400))
+    ];
+
+    const warnings = markers.findWarnings(boxes, { x: 1200, y: 800, z: 1500 });
+    const byMetric = metric => Array.from(warnings.filter(marker => marker.metric === metric), marker => marker.index);
+
+    assert.deepStrictEqual(byMetric('centerOfMass'), [1, 4]);
+    assert.deepStrictEqual(byMetric('height'), [5]);
+    assert.ok(byMetric('lsi').length > 0);
+    assert.match(warnings.find(marker => marker.metric === 'height').label, /1600mm over the 1500mm limit/);
+});
+
+test('markers for the sample plan are sorted and inside the timeline', () => {
+    const result = loader.parseDataFileWithDiagnostics(readDataFile('simulation.txt'), 'simulation.txt');
+    const pallet = result.pallets[0];
+    const sortedBoxes = loader.getSortedBoxes(0);
+
+    const markers = new browser.TimelineMarkers({ bottomMetricsCalculator: new browser.BottomMetricsCalculator() })
+        .compute(sortedBoxes, pallet.metadata.dimensions);
+
+    assert.ok(markers.filter(marker => marker.type === 'layer').length > 1);
+    markers.forEach((marker, index) => {
+        assert.ok(marker.index >= 0 && marker.index <= sortedBoxes.length);
+        if (index > 0) {
+            assert.ok(marker.index >= markers[index - 1].index);
+        }
+    });
+});